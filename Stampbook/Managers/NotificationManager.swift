@@ -1,6 +1,7 @@
 import Foundation
 import Combine
 import FirebaseFirestore
+import FirebaseFunctions
 
 /// Manages notifications for user engagement (follows, likes, comments)
 @MainActor
@@ -9,8 +10,10 @@ class NotificationManager: ObservableObject {
     @Published var isLoading = false
     @Published var errorMessage: String?
     @Published var hasUnreadNotifications = false
+    @Published var unreadCount = 0 // users/{uid}.unreadNotificationCount (kept by Cloud Functions)
     
     private let db = Firestore.firestore()
+    private let functions = Functions.functions()
     
     // REMOVED: Real-time listener (too expensive at scale)
     // private var unreadListener: ListenerRegistration?
@@ -62,15 +65,13 @@ class NotificationManager: ObservableObject {
     
     /// Check if there are any unread notifications (efficient for badge display)
     /// Used by polling system - only charges 1 Firestore read per check
+    /// Reads the denormalized unreadNotificationCount from the user's profile
     func checkHasUnreadNotifications(userId: String) async {
         do {
-            let snapshot = try await db.collection("notifications")
-                .whereField("recipientId", isEqualTo: userId)
-                .whereField("isRead", isEqualTo: false)
-                .limit(to: 1)
-                .getDocuments()
+            let snapshot = try await db.collection("users").document(userId).getDocument()
             
-            hasUnreadNotifications = !snapshot.documents.isEmpty
+            unreadCount = max(0, snapshot.data()?["unreadNotificationCount"] as? Int ?? 0)
+            hasUnreadNotifications = unreadCount > 0
             lastCheckTime = Date() // Update last check time
         } catch {
             print("❌ Error checking unread notifications: \(error.localizedDescription)")
@@ -173,8 +174,9 @@ class NotificationManager: ObservableObject {
             ])
             
             // Update local state
-            if let index = notifications.firstIndex(where: { $0.id == id }) {
+            if let index = notifications.firstIndex(where: { $0.id == id }), !notifications[index].isRead {
                 notifications[index].isRead = true
+                unreadCount = max(0, unreadCount - 1)
                 hasUnreadNotifications = notifications.contains { !$0.isRead }
             }
         } catch {
@@ -184,27 +186,14 @@ class NotificationManager: ObservableObject {
     }
     
     /// Mark all notifications as read (called when notification sheet opens)
+    /// Uses the markAllNotificationsRead Cloud Function, which updates the
+    /// notifications and the unread count together (including ones not loaded here)
     func markAllAsRead(userId: String) async {
         // Only proceed if there are unread notifications
         guard hasUnreadNotifications else { return }
         
         do {
-            // Get all unread notification IDs
-            let unreadNotifications = notifications.filter { !$0.isRead }
-            
-            if unreadNotifications.isEmpty { return }
-            
-            // Batch update all unread to read
-            let batch = db.batch()
-            
-            for notification in unreadNotifications {
-                if let id = notification.id {
-                    let ref = db.collection("notifications").document(id)
-                    batch.updateData(["isRead": true], forDocument: ref)
-                }
-            }
-            
-            try await batch.commit()
+            _ = try await functions.httpsCallable("markAllNotificationsRead").call()
             
             // Update local state
             notifications = notifications.map { notification in
@@ -214,6 +203,7 @@ class NotificationManager: ObservableObject {
             }
             
             hasUnreadNotifications = false
+            unreadCount = 0
             
             print("✅ Marked all notifications as read")
         } catch {
@@ -231,6 +221,9 @@ class NotificationManager: ObservableObject {
             
             // Update local state
             if let index = notifications.firstIndex(where: { $0.id == id }) {
+                if !notifications[index].isRead {
+                    unreadCount = max(0, unreadCount - 1)
+                }
                 notifications.remove(at: index)
                 hasUnreadNotifications = notifications.contains { !$0.isRead }
             }
@@ -525,6 +525,21 @@ class StampsManager: ObservableObject {
         }
     }
     
+    /// Wait for the rank of a stamp that was just collected
+    /// The assignCollectorRank Cloud Function hands it out after the collected stamp
+    /// is saved, so poll briefly (up to ~5 seconds) instead of reading once
+    private func waitForUserRank(stampId: String, userId: String) async -> Int? {
+        for attempt in 1...5 {
+            if let rank = await getUserRankForStamp(stampId: stampId, userId: userId) {
+                return rank
+            }
+            if attempt < 5 {
+                try? await Task.sleep(nanoseconds: 1_000_000_000) // 1 second
+            }
+        }
+        return nil // Not assigned yet - StampDetailView fetches it again later
+    }
+    
     func isCollected(_ stamp: Stamp) -> Bool {
         userCollection.isCollected(stamp.id)
     }
@@ -555,7 +570,7 @@ class StampsManager: ObservableObject {
     /// - Background Firebase sync
     /// - Client-side reconciliation on app launch/refresh if sync fails
     ///
-    /// **FUTURE UPGRADE:** When scaling, migrate to Cloud Functions (see reconcileUserStats comment)
+    /// - Profile stats are recomputed server-side (updateProfileStats Cloud Function)
     func collectStamp(_ stamp: Stamp, userId: String) {
         Task {
             // Collect the stamp locally first (optimistic update - no rank yet)
@@ -568,11 +583,9 @@ class StampsManager: ObservableObject {
             
             // Update Firebase statistics in the background
             do {
-                // Update stamp statistics (collectors count) FIRST
-                try await firebaseService.incrementStampCollectors(stampId: stamp.id, userId: userId)
-                
-                // NOW fetch the user's rank (after incrementing, so we get the correct position)
-                let userRank = await getUserRankForStamp(stampId: stamp.id, userId: userId)
+                // Collectors count and rank are assigned by the assignCollectorRank
+                // Cloud Function once the collected stamp is saved - wait for the rank
+                let userRank = await waitForUserRank(stampId: stamp.id, userId: userId)
                 
                 // Update the cached rank in the collected stamp
                 if let rank = userRank {
@@ -581,17 +594,8 @@ class StampsManager: ObservableObject {
                     }
                 }
                 
-                // Calculate new stats (async)
-                let totalStamps = await MainActor.run { userCollection.collectedStamps.count }
-                let collectedStampIds = await MainActor.run { userCollection.collectedStamps.map { $0.stampId } }
-                let uniqueCountries = await calculateUniqueCountries(from: collectedStampIds)
-                
-                // Update user profile statistics
-                try await firebaseService.updateUserStampStats(
-                    userId: userId,
-                    totalStamps: totalStamps,
-                    uniqueCountriesVisited: uniqueCountries
-                )
+                // Profile stats (totalStamps, uniqueCountriesVisited) are updated by the
+                // updateProfileStats Cloud Function when the collected stamp is saved
                 
                 // Refetch the updated stamp statistics immediately
                 let updatedStats = try await firebaseService.fetchStampStatistics(stampId: stamp.id)
@@ -600,7 +604,6 @@ class StampsManager: ObservableObject {
                 }
                 
                 print("✅ Updated stamp statistics for \(stamp.id): \(updatedStats.totalCollectors) collectors (user rank: \(userRank ?? -1))")
-                print("✅ Updated user stats: \(totalStamps) stamps, \(uniqueCountries) countries")
             } catch {
                 Logger.error("Failed to update statistics", error: error, category: "StampsManager")
                 // Don't revert local collection - stamp is saved locally and will auto-sync
@@ -629,10 +632,8 @@ class StampsManager: ObservableObject {
                 print("✅ Stamp synced to Firestore: \(stampId)")
             }
             
-            // Then update statistics
-            try await firebaseService.incrementStampCollectors(stampId: stampId, userId: userId)
-            
-            let userRank = await getUserRankForStamp(stampId: stampId, userId: userId)
+            // Then pick up the rank assigned by the assignCollectorRank Cloud Function
+            let userRank = await waitForUserRank(stampId: stampId, userId: userId)
             
             if let rank = userRank {
                 await MainActor.run {
@@ -640,23 +641,12 @@ class StampsManager: ObservableObject {
                 }
             }
             
-            let totalStamps = await MainActor.run { userCollection.collectedStamps.count }
-            let collectedStampIds = await MainActor.run { userCollection.collectedStamps.map { $0.stampId } }
-            let uniqueCountries = await calculateUniqueCountries(from: collectedStampIds)
-            
-            try await firebaseService.updateUserStampStats(
-                userId: userId,
-                totalStamps: totalStamps,
-                uniqueCountriesVisited: uniqueCountries
-            )
-            
             let updatedStats = try await firebaseService.fetchStampStatistics(stampId: stampId)
             await MainActor.run {
                 stampStatistics[stampId] = updatedStats
             }
             
             print("✅ Updated stamp statistics for \(stampId): \(updatedStats.totalCollectors) collectors (user rank: \(userRank ?? -1))")
-            print("✅ Updated user stats: \(totalStamps) stamps, \(uniqueCountries) countries")
         } catch {
             Logger.error("Failed to sync stamp collection to Firebase", error: error, category: "StampsManager")
             // Local state is saved - will auto-sync on next app launch
@@ -694,64 +684,40 @@ class StampsManager: ObservableObject {
     
     // MARK: - Statistics
     
-    /// Reconcile user stats with actual collected stamps count
-    /// This ensures stats are correct even if Firebase updates failed previously
+    /// Check profile stats against the collected stamps in Firestore
+    ///
+    /// totalStamps and uniqueCountriesVisited are kept by the updateProfileStats
+    /// Cloud Function on every collectedStamps create/delete (clients can't write them).
+    /// If the profile doesn't match yet, the function is still catching up -
+    /// refresh ProfileManager so the UI picks up the server's numbers.
     ///
     /// Called automatically on:
     /// - App launch / user sign in
     /// - Pull to refresh
-    ///
-    /// **FUTURE UPGRADE PATH:**
-    /// When scaling beyond 10K+ users or adding multiple platforms (Android/Web),
-    /// migrate this logic to Firebase Cloud Functions for server-side counting:
-    /// - Trigger: onCreate/onDelete of users/{userId}/collectedStamps/{stampId}
-    /// - Action: Automatically update totalStamps & uniqueCountriesVisited
-    /// - Benefits: Single source of truth, handles all edge cases, multi-platform support
-    /// - Cost: ~$0 until 100K+ users (2M free invocations/month)
-    ///
-    /// For now, client-side reconciliation is perfect for your scale.
-    /// 🎯 ACTION TRIGGER: Migrate to Cloud Functions when adding Android app OR 500+ users
     func reconcileUserStats(userId: String, profileManager: ProfileManager? = nil) async {
         do {
-            // Fetch actual collected stamps count from Firestore
             let collectedStamps = try await firebaseService.fetchCollectedStamps(for: userId)
             let actualTotal = collectedStamps.count
-            let collectedStampIds = collectedStamps.map { $0.stampId }
-            let actualUniqueCountries = await calculateUniqueCountries(from: collectedStampIds)
             
-            // Fetch current profile stats
             guard let profile = try? await firebaseService.fetchUserProfile(userId: userId) else {
                 Logger.warning("Could not fetch user profile for reconciliation", category: "StampsManager")
                 return
             }
             
-            // Check if stats need updating
-            if profile.totalStamps != actualTotal || profile.uniqueCountriesVisited != actualUniqueCountries {
-                print("🔄 Reconciling user stats: \(profile.totalStamps) → \(actualTotal) stamps, \(profile.uniqueCountriesVisited) → \(actualUniqueCountries) countries")
-                
-                // Update Firebase with correct counts
-                try await firebaseService.updateUserStampStats(
-                    userId: userId,
-                    totalStamps: actualTotal,
-                    uniqueCountriesVisited: actualUniqueCountries
-                )
-                
-                print("✅ User stats reconciled successfully")
+            if profile.totalStamps != actualTotal {
+                print("🔄 Profile shows \(profile.totalStamps) stamps, collection has \(actualTotal) - waiting on server stats")
                 
-                // CRITICAL FIX: Refresh ProfileManager to show updated counts
-                // Without this, UI still shows old stats even though Firebase is updated
                 if let profileManager = profileManager {
                     await MainActor.run {
                         profileManager.refreshProfile()
                     }
-                    print("✅ ProfileManager refreshed with updated stats")
                 }
             } else {
-                print("✅ User stats already correct (\(actualTotal) stamps, \(actualUniqueCountries) countries)")
+                print("✅ User stats already correct (\(actualTotal) stamps, \(profile.uniqueCountriesVisited) countries)")
             }
         } catch {
-            Logger.error("Failed to reconcile user stats", error: error, category: "StampsManager")
-            // Don't crash - stats will be reconciled on next app launch
+            Logger.error("Failed to check user stats", error: error, category: "StampsManager")
+            // Don't crash - checked again on next app launch
         }
     }
     
@@ -10,15 +10,22 @@ struct Comment: Codable, Identifiable {
     let postOwnerId: String // User who owns the post being commented on
     let text: String
     let createdAt: Date
+    let parentCommentId: String? // Set on replies (one level deep - parent is always a top-level comment)
     
     // User info (denormalized for performance)
     let userDisplayName: String
     let userUsername: String
     let userAvatarUrl: String?
     
+    // Set server-side by createMentionNotifications (resolved @username handles)
+    var mentionedUserIds: [String]? = nil
+    
+    // Set server-side by updateReplyCounts (top-level comments only)
+    var replyCount: Int? = nil
+    
     init(userId: String, postId: String, stampId: String, postOwnerId: String, text: String, 
          userDisplayName: String, userUsername: String, userAvatarUrl: String?, 
-         createdAt: Date = Date()) {
+         createdAt: Date = Date(), parentCommentId: String? = nil) {
         // Note: @DocumentID is managed by Firebase - it will be nil until document is saved
         self.userId = userId
         self.postId = postId
@@ -29,6 +36,7 @@ struct Comment: Codable, Identifiable {
         self.userUsername = userUsername
         self.userAvatarUrl = userAvatarUrl
         self.createdAt = createdAt
+        self.parentCommentId = parentCommentId
     }
 }
 
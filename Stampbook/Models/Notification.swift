@@ -1,7 +1,7 @@
 import Foundation
 import FirebaseFirestore
 
-/// Represents a notification for user actions (follow, like, comment)
+/// Represents a notification for user actions (follow, like, comment, reply, mention) and data exports
 struct AppNotification: Codable, Identifiable, Hashable {
     @DocumentID var id: String?
     let recipientId: String       // Who receives this notification
@@ -12,6 +12,13 @@ struct AppNotification: Codable, Identifiable, Hashable {
     let commentPreview: String?   // Preview text for comments (truncated to 100 chars)
     let createdAt: Date
     var isRead: Bool
+    let actorIds: [String]?       // Aggregated likes/follows: most recent actors first (sample)
+    let actorCount: Int?          // Aggregated likes/follows: total distinct actors
+    
+    /// How many people besides actorId did the same thing (0 for single notifications)
+    var otherActorCount: Int {
+        max((actorCount ?? 1) - 1, 0)
+    }
     
     init(recipientId: String,
          actorId: String,
@@ -20,7 +27,9 @@ struct AppNotification: Codable, Identifiable, Hashable {
          stampId: String? = nil,
          commentPreview: String? = nil,
          createdAt: Date = Date(),
-         isRead: Bool = false) {
+         isRead: Bool = false,
+         actorIds: [String]? = nil,
+         actorCount: Int? = nil) {
         // Note: @DocumentID is managed by Firebase - it will be nil until document is saved
         self.recipientId = recipientId
         self.actorId = actorId
@@ -30,6 +39,8 @@ struct AppNotification: Codable, Identifiable, Hashable {
         self.commentPreview = commentPreview
         self.createdAt = createdAt
         self.isRead = isRead
+        self.actorIds = actorIds
+        self.actorCount = actorCount
     }
 }
 
@@ -38,6 +49,9 @@ enum NotificationType: String, Codable, Hashable {
     case follow = "follow"
     case like = "like"
     case comment = "comment"
+    case reply = "reply"          // Reply to one of your comments
+    case mention = "mention"      // @username in a comment
+    case dataExport = "data_export" // Requested data export is ready (actor = recipient)
     // Future types can be added here:
     // case adminMessage = "admin_message"
     // case nearbyStamp = "nearby_stamp"
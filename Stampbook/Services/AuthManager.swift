@@ -2,6 +2,7 @@ import Foundation
 import Combine
 import AuthenticationServices
 import FirebaseAuth
+import FirebaseFunctions
 import CryptoKit
 
 class AuthManager: NSObject, ObservableObject {
@@ -194,6 +195,30 @@ class AuthManager: NSObject, ObservableObject {
         }
     }
     
+    /// Permanently delete the signed-in user's account
+    /// The deleteMyAccount Cloud Function deletes the Auth account; cleanupDeletedAccount
+    /// then removes their profile, stamps, photos, follows, likes, comments and notifications.
+    /// Call signOut() afterwards to clear local state
+    func deleteAccount(reason: String) async throws {
+        _ = try await Functions.functions().httpsCallable("deleteMyAccount").call(["reason": reason])
+        Logger.success("Account deleted", category: "AuthManager")
+    }
+    
+    /// Ask for a ZIP of the signed-in user's data
+    /// The buildDataExport Cloud Function prepares it and sends a data_export notification
+    /// when the download link is ready. An export from the last day is returned instead of a new one
+    /// - Returns: The download link if that export is already ready
+    func requestDataExport() async throws -> URL? {
+        let result = try await Functions.functions().httpsCallable("requestDataExport").call()
+        Logger.success("Data export requested", category: "AuthManager")
+        
+        guard let data = result.data as? [String: Any],
+              let downloadUrl = data["downloadUrl"] as? String else {
+            return nil
+        }
+        return URL(string: downloadUrl)
+    }
+    
     // MARK: - Apple Sign In Helpers
     
     private func randomNonceString(length: Int = 32) -> String {
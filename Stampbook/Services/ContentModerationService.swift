@@ -156,5 +156,51 @@ class ContentModerationService {
             throw error
         }
     }
+    
+    /// What is being reported (matches reportContent targetType)
+    enum ReportTarget: String {
+        case post
+        case comment
+        case profile
+    }
+    
+    /// Reason codes accepted by reportContent
+    enum ReportReason: String, CaseIterable {
+        case spam
+        case harassment
+        case hateSpeech = "hate_speech"
+        case nudity
+        case violence
+        case selfHarm = "self_harm"
+        case impersonation
+        case other
+    }
+    
+    /// Report a post, comment or profile
+    /// Reporting the same item twice is a no-op on the server
+    /// - Parameters:
+    ///   - target: Type of content
+    ///   - targetId: Post ID ("{userId}-{stampId}"), comment ID, or user ID
+    ///   - reason: Reason code
+    ///   - details: Optional free text (max 500 chars)
+    func reportContent(target: ReportTarget, targetId: String, reason: ReportReason, details: String? = nil) async throws {
+        var data: [String: Any] = [
+            "targetType": target.rawValue,
+            "targetId": targetId,
+            "reason": reason.rawValue
+        ]
+        
+        if let details = details, !details.isEmpty {
+            data["details"] = String(details.prefix(500))
+        }
+        
+        do {
+            _ = try await functions.httpsCallable("reportContent").call(data)
+        } catch let error as NSError {
+            if error.domain == "FIRFunctionsErrorDomain" {
+                throw ValidationError.networkError("Unable to send report. Please check your connection.")
+            }
+            throw ValidationError.unknown(error.localizedDescription)
+        }
+    }
 }
-
@@ -1,4 +1,5 @@
 import Foundation
+import FirebaseAuth
 import FirebaseFirestore
 import FirebaseStorage
 
@@ -93,6 +94,12 @@ class FirebaseService {
             .collection("collectedStamps")
             .order(by: "collectedDate", descending: true)
         
+        // Other users' posts hidden by reports are left out (firestore.rules rejects
+        // list queries that could return them). Owners still see all their own posts.
+        if userId != Auth.auth().currentUser?.uid {
+            query = query.whereField("hidden", isEqualTo: false)
+        }
+        
         // Apply pagination cursor if provided
         if let afterDate = afterDate {
             query = query.whereField("collectedDate", isLessThan: afterDate)
@@ -142,6 +149,7 @@ class FirebaseService {
     }
     
     /// Save a single collected stamp to Firestore
+    /// userRank is left out - it's assigned by the assignCollectorRank Cloud Function
     func saveCollectedStamp(_ stamp: CollectedStamp, for userId: String) async throws {
         let docRef = db
             .collection("users")
@@ -149,7 +157,9 @@ class FirebaseService {
             .collection("collectedStamps")
             .document(stamp.stampId)
         
-        try docRef.setData(from: stamp, merge: true)
+        var data = try Firestore.Encoder().encode(stamp)
+        data.removeValue(forKey: "userRank")
+        try await docRef.setData(data, merge: true)
     }
     
     /// Update notes for a collected stamp
@@ -348,51 +358,7 @@ class FirebaseService {
             return stats
         } else {
             // No statistics yet, return default
-            return StampStatistics(stampId: stampId, totalCollectors: 0, collectorUserIds: [])
-        }
-    }
-    
-    /// Increment collector count when a user collects a stamp
-    /// Also tracks the order in which users collected it (for ranking)
-    func incrementStampCollectors(stampId: String, userId: String) async throws {
-        let docRef = db
-            .collection("stamp_statistics")
-            .document(stampId)
-        
-        // Use Firestore transaction to safely increment and add user
-        _ = try await db.runTransaction { (transaction, errorPointer) -> Any? in
-            let document: DocumentSnapshot
-            do {
-                document = try transaction.getDocument(docRef)
-            } catch let error as NSError {
-                errorPointer?.pointee = error
-                return nil
-            }
-            
-            if document.exists {
-                // Document exists, update it
-                var collectorIds = document.data()?["collectorUserIds"] as? [String] ?? []
-                
-                // Only add if user hasn't collected yet
-                if !collectorIds.contains(userId) {
-                    collectorIds.append(userId)
-                    transaction.updateData([
-                        "totalCollectors": collectorIds.count,
-                        "collectorUserIds": collectorIds,
-                        "lastUpdated": FieldValue.serverTimestamp()
-                    ], forDocument: docRef)
-                }
-            } else {
-                // Create new document
-                transaction.setData([
-                    "stampId": stampId,
-                    "totalCollectors": 1,
-                    "collectorUserIds": [userId],
-                    "lastUpdated": FieldValue.serverTimestamp()
-                ], forDocument: docRef)
-            }
-            
-            return nil
+            return StampStatistics(stampId: stampId, totalCollectors: 0)
         }
     }
     
@@ -400,18 +366,19 @@ class FirebaseService {
     /// 
     /// How it works: Like signing a guestbook - if you're the 23rd person to collect a stamp,
     /// you'll always be #23. Your rank never changes, just like your position in a concert line.
-    /// We just read the collector list and find your position - simple and fast!
     /// 
-    /// Returns the user's position in the collector order (1 = first to collect, 2 = second, etc.)
-    /// This is efficient because it only reads one document and finds the index in an array
+    /// Ranks are handed out by the assignCollectorRank Cloud Function when the collected
+    /// stamp is saved, and kept in stamp_statistics/{stampId}/collectors/{userId}.
+    /// Returns nil until the function has registered the user (usually within a second or two)
     func getUserRankForStamp(stampId: String, userId: String) async throws -> Int? {
-        let stats = try await fetchStampStatistics(stampId: stampId)
-        
-        if let index = stats.collectorUserIds.firstIndex(of: userId) {
-            return index + 1 // Rank is 1-indexed
-        }
+        let document = try await db
+            .collection("stamp_statistics")
+            .document(stampId)
+            .collection("collectors")
+            .document(userId)
+            .getDocument()
         
-        return nil
+        return document.data()?["rank"] as? Int
     }
     
     // MARK: - User Profile Management
@@ -554,9 +521,15 @@ class FirebaseService {
     /// Create or update user profile in Firestore
     /// Uses merge:true to only update provided fields
     /// Automatically invalidates cache after update
+    ///
+    /// totalStamps / uniqueCountriesVisited are left out - they're kept by the
+    /// updateProfileStats Cloud Function and firestore.rules reject client writes
     func saveUserProfile(_ profile: UserProfile) async throws {
         let docRef = db.collection("users").document(profile.id)
-        try docRef.setData(from: profile, merge: true)
+        var data = try Firestore.Encoder().encode(profile)
+        data.removeValue(forKey: "totalStamps")
+        data.removeValue(forKey: "uniqueCountriesVisited")
+        try await docRef.setData(data, merge: true)
         
         // Invalidate cache so next fetch gets fresh data
         invalidateProfileCache(userId: profile.id)
@@ -580,27 +553,6 @@ class FirebaseService {
         print("✅ Created user profile for \(displayName) (@\(username))")
     }
     
-    /// Update user's total stamp count
-    /// Called when user collects a new stamp
-    func updateUserStampCount(userId: String, count: Int) async throws {
-        let docRef = db.collection("users").document(userId)
-        try await docRef.updateData([
-            "totalStamps": count,
-            "lastActiveAt": FieldValue.serverTimestamp()
-        ])
-    }
-    
-    /// Update user's stamp statistics (totalStamps and uniqueCountriesVisited)
-    /// Called when user collects a new stamp
-    func updateUserStampStats(userId: String, totalStamps: Int, uniqueCountriesVisited: Int) async throws {
-        let docRef = db.collection("users").document(userId)
-        try await docRef.updateData([
-            "totalStamps": totalStamps,
-            "uniqueCountriesVisited": uniqueCountriesVisited,
-            "lastActiveAt": FieldValue.serverTimestamp()
-        ])
-    }
-    
     /// Update specific user profile fields
     /// Only updates fields that are provided (non-nil)
     /// Used by ProfileEditView to save changes
@@ -632,30 +584,6 @@ class FirebaseService {
         invalidateProfileCache(userId: userId)
     }
     
-    /// Check if a username is available (not taken by another user)
-    /// Returns true if available, false if taken
-    /// Used during profile editing to validate username uniqueness
-    func isUsernameAvailable(_ username: String, excludingUserId: String) async throws -> Bool {
-        let snapshot = try await db.collection("users")
-            .whereField("username", isEqualTo: username)
-            .getDocuments()
-        
-        // If no documents found, username is available
-        if snapshot.documents.isEmpty {
-            return true
-        }
-        
-        // If found, check if it's the current user's own username
-        // (user can keep their existing username)
-        if snapshot.documents.count == 1,
-           let userId = snapshot.documents.first?.documentID,
-           userId == excludingUserId {
-            return true
-        }
-        
-        return false
-    }
-    
     // MARK: - User Ranking (POST-MVP)
     
     // TODO: POST-MVP - Global User Ranking System
@@ -714,7 +642,10 @@ class FirebaseService {
             
             // Use getDocuments() instead of count aggregation for better reliability
             // Count aggregation can be slow or fail without proper indexes
+            // Profiles hidden by reports don't count (firestore.rules rejects list
+            // queries that could return them)
             let snapshot = try await db.collection("users")
+                .whereField("hidden", isEqualTo: false)
                 .whereField("totalStamps", isGreaterThan: totalStamps)
                 .getDocuments() // Default source (cache + server) for offline support
             
@@ -938,6 +869,68 @@ class FirebaseService {
         return document.exists
     }
     
+    // MARK: - Block/Mute System
+    
+    /// Block a user
+    /// Server (enforceBlockOnCreate) removes follows in both directions; rules then
+    /// reject their likes, comments and follows, and notifications from them stop
+    func blockUser(userId: String, blockedId: String) async throws {
+        guard userId != blockedId else {
+            throw NSError(domain: "FirebaseService", code: 400, userInfo: [NSLocalizedDescriptionKey: "Cannot block yourself"])
+        }
+        
+        try await db
+            .collection("users")
+            .document(userId)
+            .collection("blocked")
+            .document(blockedId)
+            .setData(["createdAt": FieldValue.serverTimestamp()])
+        
+        print("✅ User \(userId) blocked \(blockedId)")
+        // Follow edges are removed server-side
+        invalidateFollowingCache(userId: userId)
+    }
+    
+    /// Unblock a user (does not restore previous follows)
+    func unblockUser(userId: String, blockedId: String) async throws {
+        try await db
+            .collection("users")
+            .document(userId)
+            .collection("blocked")
+            .document(blockedId)
+            .delete()
+        
+        print("✅ User \(userId) unblocked \(blockedId)")
+    }
+    
+    /// Mute a user (only suppresses their notifications)
+    func muteUser(userId: String, mutedId: String) async throws {
+        guard userId != mutedId else {
+            throw NSError(domain: "FirebaseService", code: 400, userInfo: [NSLocalizedDescriptionKey: "Cannot mute yourself"])
+        }
+        
+        try await db
+            .collection("users")
+            .document(userId)
+            .collection("muted")
+            .document(mutedId)
+            .setData(["createdAt": FieldValue.serverTimestamp()])
+        
+        print("✅ User \(userId) muted \(mutedId)")
+    }
+    
+    /// Unmute a user
+    func unmuteUser(userId: String, mutedId: String) async throws {
+        try await db
+            .collection("users")
+            .document(userId)
+            .collection("muted")
+            .document(mutedId)
+            .delete()
+        
+        print("✅ User \(userId) unmuted \(mutedId)")
+    }
+    
     /// Count how many followers a user has (DEPRECATED - use denormalized count instead)
     /// 
     /// ⚠️ DEPRECATED: This expensive collection group query is no longer needed
@@ -1067,8 +1060,10 @@ class FirebaseService {
         let profiles = try await withThrowingTaskGroup(of: [UserProfile].self, returning: [UserProfile].self) { group in
             for batch in batches {
                 group.addTask {
+                    // Profiles hidden by reports are left out
                     let snapshot = try await self.db.collection("users")
                         .whereField(FieldPath.documentID(), in: batch)
+                        .whereField("hidden", isEqualTo: false)
                         .getDocuments()
                     
                     return await MainActor.run {
@@ -1112,11 +1107,12 @@ class FirebaseService {
         
         let lowercaseQuery = query.lowercased()
         
-        // Search by username (starts with)
+        // Search by username (starts with), skipping profiles hidden by reports
         // Note: This only searches username field. To also search displayName,
         // we'd need a composite index and multiple queries (or a search service)
         let usernameSnapshot = try await db
             .collection("users")
+            .whereField("hidden", isEqualTo: false)
             .whereField("username", isGreaterThanOrEqualTo: lowercaseQuery)
             .whereField("username", isLessThan: lowercaseQuery + "\u{f8ff}")
             .limit(to: limit)
@@ -1147,7 +1143,7 @@ class FirebaseService {
     ///
     /// REQUIRES COMPOSITE INDEX:
     /// Collection group: collectedStamps
-    /// Fields: userId (Ascending), collectedDate (Descending)
+    /// Fields: userId (Ascending), hidden (Ascending), collectedDate (Descending)
     func fetchFollowingFeed(userId: String, limit: Int = 20, stampsPerUser: Int = 10, initialBatchSize: Int = 15, afterDate: Date? = nil) async throws -> [(profile: UserProfile, stamp: CollectedStamp)] {
         #if DEBUG
         let overallStart = CFAbsoluteTimeGetCurrent()
@@ -1202,8 +1198,10 @@ class FirebaseService {
             // ✅ OPTIMIZED (Nov 13, 2025): Fetch exactly what we need (44% savings per feed load)
             // Safe because: Users can't delete posts, so no data disappears during pagination
             // Date-based cursor handles edge cases gracefully
+            // Posts hidden by reports are filtered out here - firestore.rules requires it
             let query = db.collectionGroup("collectedStamps")
                 .whereField("userId", in: batchUserIds)
+                .whereField("hidden", isEqualTo: false)
                 .order(by: "collectedDate", descending: true)
                 .limit(to: limit) // Was: limit * 2 (wasteful - fetched 40 to show 20)
             
@@ -1251,46 +1249,20 @@ class FirebaseService {
     
     // MARK: - Likes & Comments System
     
-    // TODO: PHASE 2 - Add reconciliation mechanism
-    // Create reconcile_like_comment_counts.js to periodically verify:
-    // - Count actual likes in subcollection
-    // - Compare to stored likeCount
-    // - Fix drift and log discrepancies
-    // Run weekly or on-demand. See docs/LIKE_COUNT_FIX_ROADMAP.md
-    
-    // TODO: PHASE 2 - Add monitoring/alerting
-    // Detect negative counts automatically:
-    // - Option A: Add to reconciliation script (console.error + notification)
-    // - Option B: Firebase Function trigger on write (validates counts >= 0)
-    // See docs/LIKE_COUNT_FIX_ROADMAP.md
-    
-    // TODO: PHASE 3 - Move to Cloud Functions (at 1000+ users)
-    // Replace client-side increment with server-side Cloud Function:
-    // - exports.toggleLike = functions.https.onCall(...)
-    // - Server validates auth and enforces business rules
-    // - Prevents client manipulation
-    // - Single source of logic
-    // See docs/LIKE_COUNT_FIX_ROADMAP.md
-    
-    // TODO: PHASE 3 - Automated reconciliation (at 1000+ users)
-    // Add scheduled Cloud Function to run daily:
-    // - exports.dailyReconciliation = functions.pubsub.schedule('0 3 * * *')
-    // - Automatically fixes drift without manual intervention
-    // - Logs results for monitoring
-    // See docs/LIKE_COUNT_FIX_ROADMAP.md
+    // likeCount / commentCount on posts are maintained by Cloud Functions
+    // (updateLikeCount / updateCommentCount) - the app only creates and deletes
+    // likes and comments, and firestore.rules reject client writes to the counts.
+    // The reconcileCounts scheduled function fixes any drift daily (drift_reports).
     
     /// Like a post (create or toggle like)
     /// Returns true if liked, false if unliked
     ///
-    /// ✅ PHASE 1 COMPLETE: Fields now initialized to 0 on collection
-    /// - FieldValue.increment() works correctly on initialized fields
-    /// - No more undefined → -1 bug
+    /// The post's likeCount is updated server-side (updateLikeCount Cloud Function)
     @discardableResult
     func toggleLike(postId: String, stampId: String, userId: String, postOwnerId: String) async throws -> Bool {
         let likeRef = db.collection("likes").document("\(userId)_\(postId)")
-        let postRef = db.collection("users").document(postOwnerId).collection("collectedStamps").document(stampId)
         
-        // Use transaction to make it atomic - both operations succeed or both fail
+        // Use transaction so a double tap can't create and delete out of order
         let result = try await db.runTransaction({ (transaction, errorPointer) -> Bool in
             let likeDoc: DocumentSnapshot
             do {
@@ -1301,14 +1273,11 @@ class FirebaseService {
             }
             
             if likeDoc.exists {
-                // Unlike: delete the like document and decrement count
+                // Unlike: delete the like document
                 transaction.deleteDocument(likeRef)
-                transaction.updateData([
-                    "likeCount": FieldValue.increment(Int64(-1))
-                ], forDocument: postRef)
                 return false
             } else {
-                // Like: create the like document and increment count
+                // Like: create the like document
                 let like = Like(
                     userId: userId,
                     postId: postId,
@@ -1324,9 +1293,6 @@ class FirebaseService {
                     return false
                 }
                 
-                transaction.updateData([
-                    "likeCount": FieldValue.increment(Int64(1))
-                ], forDocument: postRef)
                 return true
             }
         })
@@ -1415,8 +1381,10 @@ class FirebaseService {
     }
     
     /// Add a comment to a post
+    /// Pass parentCommentId to reply to a top-level comment (replies can't be replied to)
+    /// The post's commentCount is updated server-side (updateCommentCount Cloud Function)
     @discardableResult
-    func addComment(postId: String, stampId: String, postOwnerId: String, userId: String, text: String, userProfile: UserProfile) async throws -> Comment {
+    func addComment(postId: String, stampId: String, postOwnerId: String, userId: String, text: String, userProfile: UserProfile, parentCommentId: String? = nil) async throws -> Comment {
         let commentRef = db.collection("comments").document()
         
         let comment = Comment(
@@ -1428,17 +1396,12 @@ class FirebaseService {
             userDisplayName: userProfile.displayName,
             userUsername: userProfile.username,
             userAvatarUrl: userProfile.avatarUrl,
-            createdAt: Date()
+            createdAt: Date(),
+            parentCommentId: parentCommentId
         )
         
         try commentRef.setData(from: comment)
         
-        // Increment comment count on post
-        let postRef = db.collection("users").document(postOwnerId).collection("collectedStamps").document(stampId)
-        try await postRef.updateData([
-            "commentCount": FieldValue.increment(Int64(1))
-        ])
-        
         print("✅ Added comment to post: \(postId)")
         return comment
     }
@@ -1460,39 +1423,10 @@ class FirebaseService {
     }
     
     /// Delete a comment (only by comment author or post owner)
+    /// The post's commentCount is updated server-side (updateCommentCount Cloud Function),
+    /// and replies to a top-level comment are deleted with it (cascadeDeleteReplies)
     func deleteComment(commentId: String, postOwnerId: String, stampId: String) async throws {
-        let commentRef = db.collection("comments").document(commentId)
-        
-        // Delete the comment document
-        try await commentRef.delete()
-        
-        // Then, decrement comment count on post (using transaction to prevent negative counts)
-        let postRef = db.collection("users").document(postOwnerId).collection("collectedStamps").document(stampId)
-        
-        do {
-            _ = try await db.runTransaction({ (transaction, errorPointer) -> Any? in
-                let postSnapshot: DocumentSnapshot
-                do {
-                    postSnapshot = try transaction.getDocument(postRef)
-                } catch let fetchError as NSError {
-                    errorPointer?.pointee = fetchError
-                    return nil
-                }
-                
-                // Get current count and decrement, but never go below 0
-                let currentCount = postSnapshot.data()?["commentCount"] as? Int ?? 0
-                let newCount = max(0, currentCount - 1)
-                
-                transaction.updateData([
-                    "commentCount": newCount
-                ], forDocument: postRef)
-                
-                return nil
-            })
-        } catch {
-            Logger.warning("Failed to decrement comment count (comment was deleted but count may be off): \(error.localizedDescription)", category: "FirebaseService")
-            // Don't throw here - comment deletion succeeded, count decrement is less critical
-        }
+        try await db.collection("comments").document(commentId).delete()
         
         print("✅ Deleted comment: \(commentId)")
     }
@@ -1569,6 +1503,25 @@ class FirebaseService {
         
         print("✅ Feedback submitted: \(feedbackRef.documentID)")
     }
+    
+    // MARK: - Data Export
+    
+    /// Download link of the user's latest data export (written by the buildDataExport Cloud Function)
+    /// Returns nil while it's still being built, or once the link has expired
+    func fetchLatestDataExportURL(userId: String) async throws -> URL? {
+        let snapshot = try await db.collection("users").document(userId)
+            .collection("dataExports")
+            .order(by: "requestedAt", descending: true)
+            .limit(to: 1)
+            .getDocuments()
+        
+        guard let data = snapshot.documents.first?.data(),
+              data["status"] as? String == "ready",
+              let downloadUrl = data["downloadUrl"] as? String else {
+            return nil
+        }
+        return URL(string: downloadUrl)
+    }
 }
 
 // MARK: - Stamp Statistics Model
@@ -1576,20 +1529,19 @@ class FirebaseService {
 struct StampStatistics: Codable {
     let stampId: String
     let totalCollectors: Int
-    let collectorUserIds: [String] // Ordered by collection time (first to collect is first in array)
     let cachedAt: Date // Timestamp for cache expiry
     
+    // Collectors and their ranks live in the collectors subcollection
+    // (see FirebaseService.getUserRankForStamp)
     enum CodingKeys: String, CodingKey {
         case stampId
         case totalCollectors
-        case collectorUserIds
     }
     
     // Custom init to set cachedAt (not stored in Firebase)
-    init(stampId: String, totalCollectors: Int, collectorUserIds: [String], cachedAt: Date = Date()) {
+    init(stampId: String, totalCollectors: Int, cachedAt: Date = Date()) {
         self.stampId = stampId
         self.totalCollectors = totalCollectors
-        self.collectorUserIds = collectorUserIds
         self.cachedAt = cachedAt
     }
     
@@ -1598,7 +1550,6 @@ struct StampStatistics: Codable {
         let container = try decoder.container(keyedBy: CodingKeys.self)
         stampId = try container.decode(String.self, forKey: .stampId)
         totalCollectors = try container.decode(Int.self, forKey: .totalCollectors)
-        collectorUserIds = try container.decode([String].self, forKey: .collectorUserIds)
         cachedAt = Date() // Set cache timestamp to now when fetching
     }
     
@@ -165,6 +165,7 @@ struct NotificationRow: View {
     let onPostTap: () -> Void
     @EnvironmentObject var stampsManager: StampsManager
     @EnvironmentObject var profileManager: ProfileManager
+    @Environment(\.openURL) private var openURL
     @State private var actorProfile: UserProfile?
     @State private var stamp: Stamp?
     
@@ -231,20 +232,25 @@ struct NotificationRow: View {
     @ViewBuilder
     private var notificationText: some View {
         let actorName = actorProfile?.displayName ?? "Someone"
+        // Aggregated likes/follows: "Ana and 12 others"
+        let others = notification.otherActorCount == 1 ? "1 other" : "\(notification.otherActorCount) others"
+        let actors = notification.otherActorCount > 0
+            ? Text("\(Text(actorName).fontWeight(.semibold)) and \(Text(others).fontWeight(.semibold))")
+            : Text(actorName).fontWeight(.semibold)
         
         switch notification.type {
         case .follow:
-            Text("\(Text(actorName).fontWeight(.semibold)) started following you")
+            Text("\(actors) started following you")
                 .font(.subheadline)
                 .fontWeight(notification.isRead ? .regular : .medium)
             
         case .like:
             if let stampName = stamp?.name {
-                Text("\(Text(actorName).fontWeight(.semibold)) liked your \(Text(stampName).fontWeight(.semibold))")
+                Text("\(actors) liked your \(Text(stampName).fontWeight(.semibold))")
                     .font(.subheadline)
                     .fontWeight(notification.isRead ? .regular : .medium)
             } else {
-                Text("\(Text(actorName).fontWeight(.semibold)) liked your stamp")
+                Text("\(actors) liked your stamp")
                     .font(.subheadline)
                     .fontWeight(notification.isRead ? .regular : .medium)
             }
@@ -259,6 +265,21 @@ struct NotificationRow: View {
                     .font(.subheadline)
                     .fontWeight(notification.isRead ? .regular : .medium)
             }
+            
+        case .reply:
+            Text("\(Text(actorName).fontWeight(.semibold)) replied to your comment")
+                .font(.subheadline)
+                .fontWeight(notification.isRead ? .regular : .medium)
+            
+        case .mention:
+            Text("\(Text(actorName).fontWeight(.semibold)) mentioned you in a comment")
+                .font(.subheadline)
+                .fontWeight(notification.isRead ? .regular : .medium)
+            
+        case .dataExport:
+            Text("Your data export is ready. Tap to download.")
+                .font(.subheadline)
+                .fontWeight(notification.isRead ? .regular : .medium)
         }
     }
     
@@ -268,11 +289,25 @@ struct NotificationRow: View {
             // Navigate to user profile
             onProfileTap()
             
-        case .like, .comment:
+        case .like, .comment, .reply, .mention:
             // Navigate to post detail
             if notification.postId != nil {
                 onPostTap()
             }
+            
+        case .dataExport:
+            // Open the download link (short-lived - an expired one opens nothing)
+            Task {
+                do {
+                    if let url = try await FirebaseService.shared.fetchLatestDataExportURL(userId: notification.recipientId) {
+                        await MainActor.run {
+                            openURL(url)
+                        }
+                    }
+                } catch {
+                    print("❌ Error fetching data export link: \(error.localizedDescription)")
+                }
+            }
         }
     }
     
@@ -554,7 +554,7 @@ struct AccountDeletionRequestView: View {
                 
                 // Placeholder
                 if reasonText.isEmpty {
-                    Text("Sorry to see you go. Please tell us why.\n\nStampbook will manually delete your profile within 3 business days.")
+                    Text("Sorry to see you go. Please tell us why.\n\nYour profile, stamps, photos, comments and likes will be permanently deleted. This can't be undone.")
                         .font(.body)
                         .foregroundColor(.gray.opacity(0.5))
                         .padding(.horizontal, 12)
@@ -578,19 +578,21 @@ struct AccountDeletionRequestView: View {
                             ProgressView()
                                 .progressViewStyle(CircularProgressViewStyle())
                         } else {
-                            Text("Send")
+                            Text("Delete")
                                 .fontWeight(.semibold)
+                                .foregroundColor(.red)
                         }
                     }
                     .disabled(reasonText.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty || isSending)
                 }
             }
-            .alert("Request received", isPresented: $showSuccessAlert) {
+            .alert("Account deleted", isPresented: $showSuccessAlert) {
                 Button("OK") {
                     dismiss()
+                    authManager.signOut()
                 }
             } message: {
-                Text("We'll delete your account within 3 business days.")
+                Text("Your account and data have been deleted.")
             }
             .alert("Error", isPresented: $showErrorAlert) {
                 Button("OK", role: .cancel) {}
@@ -609,7 +611,7 @@ struct AccountDeletionRequestView: View {
         
         Task {
             do {
-                guard let userId = authManager.userId else {
+                guard authManager.userId != nil else {
                     await MainActor.run {
                         isSending = false
                         errorMessage = "Not signed in"
@@ -618,11 +620,8 @@ struct AccountDeletionRequestView: View {
                     return
                 }
                 
-                try await FirebaseService.shared.submitFeedback(
-                    userId: userId,
-                    type: "Account Deletion Request",
-                    message: trimmedText
-                )
+                // Sign out happens when the alert is dismissed
+                try await authManager.deleteAccount(reason: trimmedText)
                 
                 await MainActor.run {
                     isSending = false
@@ -631,7 +630,7 @@ struct AccountDeletionRequestView: View {
             } catch {
                 await MainActor.run {
                     isSending = false
-                    errorMessage = "Couldn't send request. Please try again."
+                    errorMessage = "Couldn't delete your account. Please try again."
                     showErrorAlert = true
                 }
             }
@@ -642,33 +641,28 @@ struct AccountDeletionRequestView: View {
 /// Data download request view - For users who want to download their profile data
 struct DataDownloadRequestView: View {
     @Environment(\.dismiss) private var dismiss
+    @Environment(\.openURL) private var openURL
     @EnvironmentObject var authManager: AuthManager
-    @State private var requestText = ""
     @State private var isSending = false
+    @State private var downloadURL: URL?
     @State private var showSuccessAlert = false
     @State private var showErrorAlert = false
     @State private var errorMessage = ""
     
     var body: some View {
         NavigationStack {
-            ZStack(alignment: .topLeading) {
-                TextEditor(text: $requestText)
-                    .font(.body)
-                    .padding(.horizontal, 8)
-                    .padding(.vertical, 8)
-                    .scrollContentBackground(.hidden)
-                    .background(Color(.systemBackground))
+            VStack(alignment: .leading, spacing: 16) {
+                Text("We'll put your profile, stamps, photos, comments, likes, follows and notifications into a ZIP file.")
                 
-                // Placeholder
-                if requestText.isEmpty {
-                    Text("We'll prepare your profile data and email it to you within 3 business days.\n\nWe'll use the email associated with your Apple ID.\n\n(Optional: Let us know if you have any specific requests)")
-                        .font(.body)
-                        .foregroundColor(.gray.opacity(0.5))
-                        .padding(.horizontal, 12)
-                        .padding(.vertical, 16)
-                        .allowsHitTesting(false)
-                }
+                Text("You'll get a notification when it's ready to download. The download link works for 24 hours.")
+                    .foregroundColor(.secondary)
+                
+                Spacer()
             }
+            .font(.body)
+            .padding(.horizontal, 16)
+            .padding(.vertical, 16)
+            .frame(maxWidth: .infinity, alignment: .leading)
             .navigationTitle("Download my data")
             .navigationBarTitleDisplayMode(.inline)
             .toolbar {
@@ -685,19 +679,33 @@ struct DataDownloadRequestView: View {
                             ProgressView()
                                 .progressViewStyle(CircularProgressViewStyle())
                         } else {
-                            Text("Send")
+                            Text("Request")
                                 .fontWeight(.semibold)
                         }
                     }
                     .disabled(isSending)
                 }
             }
-            .alert("Request received", isPresented: $showSuccessAlert) {
-                Button("OK") {
-                    dismiss()
+            .alert(downloadURL == nil ? "Preparing your data" : "Your data is ready", isPresented: $showSuccessAlert) {
+                if let downloadURL {
+                    Button("Download") {
+                        openURL(downloadURL)
+                        dismiss()
+                    }
+                    Button("Later", role: .cancel) {
+                        dismiss()
+                    }
+                } else {
+                    Button("OK") {
+                        dismiss()
+                    }
                 }
             } message: {
-                Text("We'll email your data within 3 business days.")
+                if downloadURL == nil {
+                    Text("We'll send you a notification when your download is ready.")
+                } else {
+                    Text("Your latest export can still be downloaded.")
+                }
             }
             .alert("Error", isPresented: $showErrorAlert) {
                 Button("OK", role: .cancel) {}
@@ -713,7 +721,7 @@ struct DataDownloadRequestView: View {
         
         Task {
             do {
-                guard let userId = authManager.userId else {
+                guard authManager.userId != nil else {
                     await MainActor.run {
                         isSending = false
                         errorMessage = "Not signed in"
@@ -722,22 +730,17 @@ struct DataDownloadRequestView: View {
                     return
                 }
                 
-                let message = requestText.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty ? "User requested data download" : requestText
-                
-                try await FirebaseService.shared.submitFeedback(
-                    userId: userId,
-                    type: "Data Download Request",
-                    message: message
-                )
+                let url = try await authManager.requestDataExport()
                 
                 await MainActor.run {
                     isSending = false
+                    downloadURL = url
                     showSuccessAlert = true
                 }
             } catch {
                 await MainActor.run {
                     isSending = false
-                    errorMessage = "Couldn't send request. Please try again."
+                    errorMessage = "Couldn't request your data. Please try again."
                     showErrorAlert = true
                 }
             }
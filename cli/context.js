@@ -0,0 +1,201 @@
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Shared setup for stampbook-admin commands
+ *
+ * Initializes firebase-admin once from serviceAccountKey.json and hands every
+ * command the same context:
+ *   db, auth, bucket, admin  - firebase-admin handles
+ *   dryRun, json, yes        - the global flags
+ *   log(message, color)      - human output (goes to stderr with --json, so
+ *                              stdout only carries the JSON result)
+ *   confirm(question)        - y/N prompt, skipped with --yes
+ *   resolveUser(ref)         - user ID, username or @username → { id, profile }
+ */
+
+const DEFAULT_PROJECT = 'stampbook-app';
+const SERVICE_ACCOUNT_PATH = path.join(__dirname, '..', 'serviceAccountKey.json');
+
+// Firebase Auth uids - anything shaped like this that has no profile is still
+// accepted, so deleted or half-deleted accounts can be audited and cleaned up
+const UID_PATTERN = /^[A-Za-z0-9]{20,128}$/;
+
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+/**
+ * An expected failure (bad input, missing data) - printed without a stack
+ */
+class CliError extends Error {}
+
+/**
+ * Split a user argument into what to look up
+ *
+ * "@name" is always a username; anything else is tried as a user ID first,
+ * then as a username.
+ *
+ * @param {string} ref
+ * @returns {{id: string|null, username: string}}
+ */
+function parseUserRef(ref) {
+  const value = String(ref || '').trim();
+  if (value.startsWith('@')) {
+    return { id: null, username: value.slice(1).toLowerCase() };
+  }
+  return { id: value, username: value.toLowerCase() };
+}
+
+/**
+ * Firestore Timestamp / Date → ISO string, for output
+ */
+function toISO(value) {
+  if (value && typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Create the context for one CLI run
+ *
+ * @param {object} flags
+ * @param {boolean} [flags.dryRun] - Commands report what they would change and write nothing
+ * @param {string} [flags.project] - Firebase project ID (default: the service account's project,
+ *   which it must match)
+ * @param {boolean} [flags.json] - Print the command's result as JSON
+ * @param {boolean} [flags.yes] - Answer yes to every confirmation
+ * @returns {object}
+ */
+function createContext({ dryRun = false, project, json = false, yes = false }) {
+  const out = json ? process.stderr : process.stdout;
+  const useColor = Boolean(out.isTTY);
+
+  function log(message = '', color = 'reset') {
+    out.write(useColor && color !== 'reset'
+      ? `${colors[color]}${message}${colors.reset}\n`
+      : `${message}\n`);
+  }
+
+  if (!fs.existsSync(SERVICE_ACCOUNT_PATH)) {
+    throw new CliError('serviceAccountKey.json not found in the repo root (see serviceAccountKey.json.template)');
+  }
+
+  const serviceAccount = require(SERVICE_ACCOUNT_PATH);
+  // A key only has access to its own project - a different --project would
+  // just fail later, or worse, label output with the wrong project
+  if (project && serviceAccount.project_id && project !== serviceAccount.project_id) {
+    throw new CliError(`--project ${project} doesn't match serviceAccountKey.json (${serviceAccount.project_id}) - use that project's service account key`);
+  }
+  const projectId = project || serviceAccount.project_id || DEFAULT_PROJECT;
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    projectId: projectId,
+    storageBucket: `${projectId}.firebasestorage.app`
+  });
+
+  const db = admin.firestore();
+
+  /**
+   * Ask before a change. Throws when there's nobody to ask (--json or no
+   * terminal) and --yes wasn't given.
+   *
+   * @param {string} question
+   * @returns {Promise<boolean>}
+   */
+  async function confirm(question) {
+    if (yes) {
+      return true;
+    }
+    if (json || !process.stdin.isTTY) {
+      throw new CliError(`${question} - pass --yes to confirm without a prompt`);
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+    rl.close();
+    return /^y(es)?$/i.test(answer.trim());
+  }
+
+  /**
+   * Find a user by ID or username
+   *
+   * @param {string} ref - User ID, username or @username
+   * @returns {Promise<{id: string, profile: object|null}>} profile is null for
+   *   a uid with no users/ doc (deleted or never finished signing up)
+   */
+  async function resolveUser(ref) {
+    const { id, username } = parseUserRef(ref);
+    if (!username) {
+      throw new CliError('Empty user argument');
+    }
+
+    if (id) {
+      const doc = await db.collection('users').doc(id).get();
+      if (doc.exists) {
+        return { id: doc.id, profile: doc.data() };
+      }
+    }
+
+    const snapshot = await db.collection('users').where('username', '==', username).limit(2).get();
+    if (snapshot.size > 1) {
+      const ids = snapshot.docs.map(doc => doc.id).join(', ');
+      throw new CliError(`@${username} matches more than one user (${ids}) - pass the user ID instead`);
+    }
+    if (snapshot.size === 1) {
+      return { id: snapshot.docs[0].id, profile: snapshot.docs[0].data() };
+    }
+
+    if (id && UID_PATTERN.test(id)) {
+      return { id, profile: null };
+    }
+    throw new CliError(`No user with ID or username "${ref}"`);
+  }
+
+  /**
+   * resolveUser for each argument, in order
+   */
+  async function resolveUsers(refs) {
+    const users = [];
+    for (const ref of refs) {
+      users.push(await resolveUser(ref));
+    }
+    return users;
+  }
+
+  return {
+    admin,
+    db,
+    auth: admin.auth(),
+    bucket: admin.storage().bucket(),
+    projectId,
+    dryRun,
+    json,
+    yes,
+    log,
+    confirm,
+    resolveUser,
+    resolveUsers
+  };
+}
+
+module.exports = {
+  CliError,
+  colors,
+  createContext,
+  parseUserRef,
+  toISO
+};
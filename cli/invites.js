@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const {CliError, toISO} = require('./context');
+
+/**
+ * stampbook-admin invites create|list|limit
+ *
+ * invite_codes/{CODE}: { code, type, createdBy, maxUses, usedCount, usedBy,
+ * createdAt, expiresAt, status } - see docs/INVITE_CODE_SYSTEM.md
+ */
+
+const UNLIMITED = 999999;
+const CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // No 0, O, 1, I, L (easy to confuse)
+const CUSTOM_CODE_PATTERN = /^[A-Z0-9]{4,20}$/;
+const MAX_GENERATED = 1000;
+
+/**
+ * Random 8 character code
+ */
+function generateCode() {
+  const bytes = crypto.randomBytes(8);
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    code += CODE_CHARS[bytes[i] % CODE_CHARS.length];
+  }
+  return code;
+}
+
+/**
+ * "unlimited" or a positive integer → maxUses value
+ */
+function parseMaxUses(value) {
+  if (value === 'unlimited') {
+    return UNLIMITED;
+  }
+  const maxUses = Number(value);
+  if (!Number.isInteger(maxUses) || maxUses < 1) {
+    throw new CliError('Max uses must be a positive number or "unlimited"');
+  }
+  return Math.min(maxUses, UNLIMITED);
+}
+
+function formatMaxUses(maxUses) {
+  return maxUses >= UNLIMITED ? 'unlimited' : String(maxUses);
+}
+
+function codeSummary(doc) {
+  const data = doc.data();
+  return {
+    code: data.code || doc.id,
+    type: data.type,
+    status: data.status,
+    maxUses: data.maxUses,
+    usedCount: data.usedCount || 0,
+    usedBy: data.usedBy || [],
+    createdBy: data.createdBy,
+    createdAt: toISO(data.createdAt)
+  };
+}
+
+/**
+ * invites create [count] [--single] | --code NAME [--max-uses N|unlimited]
+ */
+async function createCodes(ctx, args, options) {
+  const { db, log, dryRun } = ctx;
+  const codesRef = db.collection('invite_codes');
+  const newCode = (code, type, maxUses) => ({
+    code: code,
+    type: type,
+    createdBy: 'admin',
+    maxUses: maxUses,
+    usedCount: 0,
+    usedBy: [],
+    createdAt: ctx.admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: null,
+    status: 'active'
+  });
+
+  if (options.code) {
+    if (args.length > 0 || options.single) {
+      throw new CliError('--code creates one code - drop the count and --single');
+    }
+    const code = options.code.toUpperCase();
+    if (!CUSTOM_CODE_PATTERN.test(code)) {
+      throw new CliError('Code must be 4-20 characters (letters and numbers only)');
+    }
+    const maxUses = parseMaxUses(options['max-uses'] || 'unlimited');
+
+    const existing = await codesRef.doc(code).get();
+    if (existing.exists) {
+      const data = existing.data();
+      log(`   Used: ${data.usedCount}/${formatMaxUses(data.maxUses)}, status: ${data.status}`);
+      throw new CliError(`Code "${code}" already exists - change its limit with \`invites limit ${code} <max>\``);
+    }
+
+    if (dryRun) {
+      log(`💡 Dry run - would create ${code} (max uses: ${formatMaxUses(maxUses)})`, 'yellow');
+      return { codes: [code], type: 'admin', maxUses, created: false };
+    }
+    await codesRef.doc(code).create(newCode(code, 'admin', maxUses));
+
+    log('\n✅ Code created!\n', 'green');
+    log('━'.repeat(50));
+    log(`Code: ${code}`);
+    log(`Max Uses: ${formatMaxUses(maxUses)}`);
+    log('━'.repeat(50));
+    log(`\nTrack usage: stampbook-admin invites list ${code}\n`);
+    return { codes: [code], type: 'admin', maxUses, created: true };
+  }
+
+  const count = args.length > 0 ? Number(args[0]) : 10;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_GENERATED) {
+    throw new CliError(`Count must be between 1 and ${MAX_GENERATED}`);
+  }
+  const type = options.single ? 'single-use' : 'multi-use';
+  const maxUses = options.single ? 1 : parseMaxUses(options['max-uses'] || 'unlimited');
+
+  if (dryRun) {
+    log(`💡 Dry run - would generate ${count} ${type} codes (max uses: ${formatMaxUses(maxUses)})`, 'yellow');
+    return { codes: [], type, maxUses, created: false };
+  }
+
+  log(`\n🎫 Generating ${count} ${type} invite codes...\n`, 'blue');
+  const codes = [];
+  while (codes.length < count) {
+    const code = generateCode();
+    try {
+      // create() fails on an existing code, so a collision just rolls again
+      await codesRef.doc(code).create(newCode(code, type, maxUses));
+      codes.push(code);
+    } catch (error) {
+      if (error.code !== 6) { // ALREADY_EXISTS
+        throw error;
+      }
+      log(`⚠️  Collision detected: ${code}, regenerating...`, 'yellow');
+    }
+  }
+
+  log('━'.repeat(40));
+  codes.forEach(code => log(code));
+  log('━'.repeat(40));
+  log(`\n✅ Generated ${codes.length} ${type} codes (max uses per code: ${formatMaxUses(maxUses)})\n`, 'green');
+  return { codes, type, maxUses, created: true };
+}
+
+/**
+ * invites list [CODE...] [--user <user>]
+ *
+ * No codes: table of every code. --user: codes that user created or used.
+ */
+async function listCodes(ctx, args, options) {
+  const { db, log } = ctx;
+  const codesRef = db.collection('invite_codes');
+
+  if (args.length > 0) {
+    const codes = [];
+    for (const arg of args) {
+      const doc = await codesRef.doc(arg.toUpperCase()).get();
+      if (!doc.exists) {
+        throw new CliError(`Code "${arg.toUpperCase()}" not found`);
+      }
+      const code = codeSummary(doc);
+      const users = code.usedBy.length > 0
+        ? await db.getAll(...code.usedBy.map(userId => db.collection('users').doc(userId)))
+        : [];
+      code.usedBy = users.map(user => ({ id: user.id, username: user.exists ? user.data().username || null : null }));
+      codes.push(code);
+
+      log('━'.repeat(60));
+      log(`Code: ${code.code}`);
+      log(`Type: ${code.type}`);
+      log(`Status: ${code.status}`);
+      log(`Max Uses: ${formatMaxUses(code.maxUses)}`);
+      log(`Used Count: ${code.usedCount}`);
+      log(`Created By: ${code.createdBy}`);
+      log(`Created At: ${code.createdAt}`);
+      if (code.usedBy.length > 0) {
+        log(`\nUsed by ${code.usedBy.length} user(s):`);
+        code.usedBy.forEach((user, index) => {
+          log(`  ${index + 1}. ${user.id}${user.username ? ` (@${user.username})` : ''}`);
+        });
+      } else {
+        log('\nNot yet used');
+      }
+      log('━'.repeat(60));
+    }
+    return { codes };
+  }
+
+  let docs;
+  if (options.user) {
+    const { id } = await ctx.resolveUser(options.user);
+    const [used, created] = await Promise.all([
+      codesRef.where('usedBy', 'array-contains', id).get(),
+      codesRef.where('createdBy', '==', id).get()
+    ]);
+    const byId = new Map([...used.docs, ...created.docs].map(doc => [doc.id, doc]));
+    docs = [...byId.values()];
+    log(`\n📋 Invite codes created or used by ${options.user}:\n`, 'blue');
+  } else {
+    docs = (await codesRef.get()).docs;
+    log('\n📋 All Invite Codes:\n', 'blue');
+  }
+
+  // Newest first
+  const codes = docs.map(codeSummary).sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+  log('━'.repeat(80));
+  log(`${'CODE'.padEnd(12)} ${'TYPE'.padEnd(12)} ${'USES'.padEnd(15)} ${'STATUS'.padEnd(10)} CREATED`);
+  log('━'.repeat(80));
+  codes.forEach(code => {
+    const uses = `${code.usedCount}/${formatMaxUses(code.maxUses)}`;
+    const statusIcon = code.status === 'active' ? '✓' : '✗';
+    const created = code.createdAt ? code.createdAt.split('T')[0] : 'N/A';
+    log(`${code.code.padEnd(12)} ${String(code.type).padEnd(12)} ${uses.padEnd(15)} ${statusIcon} ${String(code.status).padEnd(8)} ${created}`);
+  });
+  log('━'.repeat(80));
+  log(`\nTotal: ${codes.length} codes`);
+  log(`Active: ${codes.filter(code => code.status === 'active').length}`);
+  log(`Total uses: ${codes.reduce((sum, code) => sum + code.usedCount, 0)}\n`);
+
+  return { codes };
+}
+
+/**
+ * invites limit <CODE> <max|unlimited>
+ *
+ * The limit can't go below the uses so far; a code at its limit is 'used'.
+ */
+async function limitCode(ctx, args) {
+  const { db, log } = ctx;
+  if (args.length !== 2) {
+    throw new CliError('Pass a code and its new max uses (a number or "unlimited")');
+  }
+  const code = args[0].toUpperCase();
+  const maxUses = parseMaxUses(args[1]);
+  const docRef = db.collection('invite_codes').doc(code);
+
+  const apply = async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) {
+      throw new CliError(`Code "${code}" not found - create it with \`invites create --code ${code}\``);
+    }
+    const { maxUses: oldMaxUses, usedCount = 0 } = doc.data();
+    if (maxUses < usedCount) {
+      throw new CliError(`New limit (${maxUses}) can't be below the ${usedCount} uses so far`);
+    }
+    const status = usedCount >= maxUses ? 'used' : 'active';
+    if (!ctx.dryRun) {
+      transaction.update(docRef, { maxUses: maxUses, status: status });
+    }
+    return { code, oldMaxUses, maxUses, usedCount, status };
+  };
+  const result = await db.runTransaction(apply);
+
+  log(ctx.dryRun ? '\n💡 Dry run - limit not changed\n' : '\n✅ Code limit updated!\n', ctx.dryRun ? 'yellow' : 'green');
+  log('━'.repeat(50));
+  log(`Code: ${code}`);
+  log(`Old Limit: ${formatMaxUses(result.oldMaxUses)}`);
+  log(`New Limit: ${formatMaxUses(maxUses)}`);
+  log(`Used: ${result.usedCount}`);
+  log(`Remaining: ${maxUses >= UNLIMITED ? 'unlimited' : maxUses - result.usedCount}`);
+  log(`Status: ${result.status}`);
+  log('━'.repeat(50) + '\n');
+
+  return { ...result, updated: !ctx.dryRun };
+}
+
+module.exports = {
+  description: 'Create, inspect and resize invite codes',
+  commands: {
+    create: {
+      usage: '[count] [--single] [--max-uses N|unlimited] | --code NAME [--max-uses N|unlimited]',
+      summary: 'Generate random codes (default 10, unlimited uses), or one custom code',
+      options: {
+        single: { type: 'boolean' },
+        code: { type: 'string' },
+        'max-uses': { type: 'string' }
+      },
+      run: createCodes
+    },
+    list: {
+      usage: '[CODE...] [--user <user>]',
+      summary: 'Show every code, the given codes, or the codes a user created or used',
+      options: { user: { type: 'string' } },
+      run: listCodes
+    },
+    limit: {
+      usage: '<CODE> <max|unlimited>',
+      summary: 'Change how many people can use a code',
+      run: limitCode
+    }
+  }
+};
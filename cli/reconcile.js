@@ -0,0 +1,144 @@
+const {DEFAULT_MAX_AUTO_FIX, runCountReconciliation} = require('../functions/countReconciler');
+const {buildNotificationConfig} = require('../functions/notificationConfig');
+const {runNotificationCleanup} = require('../functions/notificationCleanup');
+const {backfillVisibility} = require('../functions/visibility');
+
+/**
+ * stampbook-admin reconcile counts|notifications|visibility
+ *
+ * Manual runs of the reconcileCounts and cleanupOldNotifications scheduled
+ * functions - same implementation (functions/countReconciler.js,
+ * functions/notificationCleanup.js), so run `npm install` in functions/ first.
+ * Manual runs aren't time-limited.
+ */
+
+/**
+ * reconcile counts [user...] [--force]
+ *
+ * Fixes drift up to the auto-fix limit (--force: any size) and writes a
+ * drift_reports doc, like the scheduled run. Checks every user from the
+ * start, or only the users given.
+ */
+async function reconcileCounts(ctx, refs, options) {
+  const { log, dryRun } = ctx;
+  const force = Boolean(options.force);
+  const maxAutoFix = force ? Infinity : DEFAULT_MAX_AUTO_FIX;
+  const users = refs.length > 0 ? await ctx.resolveUsers(refs) : null;
+
+  log(`🔍 Reconciling counts${users ? ` for ${users.length} user(s)` : ''}${dryRun ? ' (dry run)' : ''}...`, 'blue');
+  log(`Auto-fix limit: ${force ? 'none (--force)' : `${maxAutoFix} per counter`}\n`);
+
+  const summary = await runCountReconciliation({
+    db: ctx.db,
+    maxAutoFix,
+    dryRun,
+    userIds: users ? users.map(user => user.id) : null,
+    resume: false,
+    timeBudgetMs: Infinity,
+    trigger: 'script',
+    log
+  });
+
+  const { counts } = summary;
+  log(`\n📊 Checked ${counts.usersChecked} users and ${counts.postsChecked} posts`);
+  log(`   Drifted counters: ${counts.drifted}`);
+  if (dryRun) {
+    log(`   Would fix: ${counts.drifted - counts.needsReview}`);
+  } else {
+    log(`   Fixed: ${counts.fixed}`);
+  }
+  if (counts.needsReview > 0) {
+    log(`   ⚠️  Over the auto-fix limit: ${counts.needsReview} (check them, then run with --force)`, 'yellow');
+  }
+  if (counts.failed > 0) {
+    log(`   ❌ Fixes failed: ${counts.failed}`, 'red');
+  }
+
+  if (counts.drifted === 0) {
+    log('\n✅ All counts are accurate!', 'green');
+  } else if (!dryRun) {
+    log('\n📝 Details saved to drift_reports', 'green');
+  }
+
+  return summary;
+}
+
+/**
+ * reconcile notifications
+ *
+ * Deletes expired and orphaned notifications and writes a maintenance_runs doc.
+ */
+async function reconcileNotifications(ctx) {
+  const { db, log, dryRun } = ctx;
+
+  const configDoc = await db.collection('config').doc('notifications').get();
+  const config = buildNotificationConfig(configDoc.exists ? configDoc.data() : {});
+
+  log(`🧹 Running notification cleanup${dryRun ? ' (dry run)' : ''}...`, 'blue');
+  log(`Read retention: ${config.readRetentionDays} days`);
+  log(`Retention: ${config.retentionDays} days\n`);
+
+  const summary = await runNotificationCleanup({
+    db,
+    config,
+    dryRun,
+    timeBudgetMs: Infinity,
+    trigger: 'script',
+    log
+  });
+
+  const { counts } = summary;
+  const verb = dryRun ? 'Would delete' : 'Deleted';
+  log(`\n✅ ${verb} ${counts.readExpired} read notifications (${config.readRetentionDays}+ days old)`);
+  log(`✅ ${verb} ${counts.expired} notifications (${config.retentionDays}+ days old)`);
+  log(`✅ ${verb} ${counts.orphanedActor} notifications from deleted accounts`);
+  log(`✅ ${verb} ${counts.orphanedPost} notifications for deleted posts`);
+  log(`   (scanned ${counts.scanned} notifications for orphans)`);
+  if (counts.failed > 0) {
+    log(`⚠️  ${counts.failed} deletes failed`, 'yellow');
+  }
+
+  log(`\n🎉 Total ${dryRun ? 'to delete' : 'deleted'}: ${summary.deleted} notifications`, 'green');
+  return summary;
+}
+
+/**
+ * reconcile visibility
+ *
+ * Adds hidden: false to profiles and posts created before the
+ * initProfileVisibility/initPostVisibility triggers. Until a doc has the
+ * field, other users' list queries (which filter on hidden == false) skip it.
+ */
+async function reconcileVisibility(ctx) {
+  const { db, log, dryRun } = ctx;
+
+  log(`👁️  Backfilling hidden: false${dryRun ? ' (dry run)' : ''}...`, 'blue');
+  const counts = await backfillVisibility({ db, dryRun, log });
+
+  const verb = dryRun ? 'Would mark' : 'Marked';
+  log(`\n✅ ${verb} ${counts.users} profiles and ${counts.posts} posts visible`);
+  log(`   (scanned ${counts.scanned} docs)`);
+  return counts;
+}
+
+module.exports = {
+  description: 'Run the nightly maintenance jobs by hand',
+  commands: {
+    counts: {
+      usage: '[user...] [--force]',
+      summary: 'Recompute follower, stamp, like and comment counts (--force fixes drift of any size)',
+      options: { force: { type: 'boolean' } },
+      run: reconcileCounts
+    },
+    notifications: {
+      usage: '',
+      summary: 'Delete expired notifications and ones about deleted accounts or posts',
+      run: reconcileNotifications
+    },
+    visibility: {
+      usage: '',
+      summary: 'Add hidden: false to profiles and posts that predate the visibility triggers',
+      run: reconcileVisibility
+    }
+  }
+};
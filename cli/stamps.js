@@ -0,0 +1,663 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {CliError, toISO} = require('./context');
+
+/**
+ * stampbook-admin stamps sync|export|images|list|remove|restore
+ *
+ * sync/export move stamps between Firestore and Stampbook/Data/*.json
+ * (see SMART_SYNC_GUIDE.md). Each side refuses to drop stamps the other
+ * side doesn't have unless given --force. images uploads stamp images to
+ * Storage and fills in imageUrl/aspectRatio in stamps.json, ready for sync.
+ */
+
+const DATA_DIR = path.join(__dirname, '..', 'Stampbook', 'Data');
+const STAMPS_PATH = path.join(DATA_DIR, 'stamps.json');
+const COLLECTIONS_PATH = path.join(DATA_DIR, 'collections.json');
+
+// Stamp images live at stamps/{stampId}.png|jpg in Storage
+const IMAGE_EXTENSION = /\.(png|jpe?g)$/i;
+
+// Enough of an image to find its dimensions in the header
+const IMAGE_HEADER_BYTES = 64 * 1024;
+
+function readJSON(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Encode coordinates to geohash string
+ */
+function encodeGeohash(latitude, longitude, precision = 8) {
+  const base32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+  const latRange = [-90.0, 90.0];
+  const lonRange = [-180.0, 180.0];
+  let hash = '';
+  let bits = 0;
+  let bit = 0;
+  let even = true;
+
+  while (hash.length < precision) {
+    const range = even ? lonRange : latRange;
+    const value = even ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    if (value > mid) {
+      bit |= (1 << (4 - bits));
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    even = !even;
+    bits++;
+
+    if (bits === 5) {
+      hash += base32[bit];
+      bits = 0;
+      bit = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Collections whose totalStamps doesn't match stamps.json
+ *
+ * @returns {Array<{id: string, name: string, expected: number, actual: number}>}
+ */
+function collectionCountMismatches(stamps, collections) {
+  const actualCounts = {};
+  stamps.forEach(stamp => {
+    (stamp.collectionIds || []).forEach(collectionId => {
+      actualCounts[collectionId] = (actualCounts[collectionId] || 0) + 1;
+    });
+  });
+
+  return collections
+    .map(collection => ({
+      id: collection.id,
+      name: collection.name,
+      expected: collection.totalStamps,
+      actual: actualCounts[collection.id] || 0
+    }))
+    .filter(count => count.expected !== count.actual);
+}
+
+/**
+ * stamps.json entry → stamps/{id} doc
+ */
+function buildStampDoc(stamp, Timestamp) {
+  const stampData = {
+    id: stamp.id,
+    name: stamp.name,
+    latitude: stamp.latitude,
+    longitude: stamp.longitude,
+    address: stamp.address,
+    imageUrl: stamp.imageUrl || '',
+    collectionIds: stamp.collectionIds,
+    about: stamp.about,
+    thingsToDoFromEditors: stamp.thingsToDoFromEditors || [],
+    geohash: encodeGeohash(stamp.latitude, stamp.longitude, 8),
+    collectionRadius: stamp.collectionRadius || 'regular'
+  };
+
+  // Optional fields only when set (keeps docs clean)
+  if (stamp.aspectRatio) {
+    stampData.aspectRatio = stamp.aspectRatio;
+  }
+  if (stamp.status) {
+    stampData.status = stamp.status;
+  }
+  if (stamp.availableFrom) {
+    stampData.availableFrom = Timestamp.fromDate(new Date(stamp.availableFrom));
+  }
+  if (stamp.availableUntil) {
+    stampData.availableUntil = Timestamp.fromDate(new Date(stamp.availableUntil));
+  }
+  if (stamp.removalReason) {
+    stampData.removalReason = stamp.removalReason;
+  }
+
+  return stampData;
+}
+
+/**
+ * stamps sync [--force]
+ *
+ * Uploads stamps.json and collections.json. Stamps only in Firestore are
+ * deleted only with --force; collections not in the JSON are always deleted.
+ */
+async function syncStamps(ctx, args, options) {
+  const { db, log, dryRun } = ctx;
+  const force = Boolean(options.force);
+
+  const stamps = readJSON(STAMPS_PATH);
+  const collections = readJSON(COLLECTIONS_PATH);
+
+  log('🔍 Verifying collection counts...', 'blue');
+  const mismatches = collectionCountMismatches(stamps, collections);
+  if (mismatches.length > 0) {
+    log('❌ COLLECTION COUNT MISMATCHES FOUND:\n', 'red');
+    mismatches.forEach(count => {
+      log(`   ${count.name} (${count.id})`);
+      log(`   Expected: ${count.expected}, Actual: ${count.actual}`);
+      log(`   → Update collections.json: "totalStamps": ${count.actual}\n`);
+    });
+    throw new CliError('Fix collections.json before syncing');
+  }
+  log('✅ All collection counts are correct\n', 'green');
+
+  log('🔍 Checking differences between Firebase and JSON...', 'blue');
+  const snapshot = await db.collection('stamps').get();
+  const firebaseStamps = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+  const jsonIds = new Set(stamps.map(stamp => stamp.id));
+
+  const onlyInFirebase = [...firebaseStamps.keys()].filter(id => !jsonIds.has(id));
+  const onlyInJSON = [...jsonIds].filter(id => !firebaseStamps.has(id));
+
+  log(`📊 Firebase: ${firebaseStamps.size} stamps`);
+  log(`📊 JSON: ${jsonIds.size} stamps`);
+  log(`📊 Only in Firebase: ${onlyInFirebase.length} stamps`);
+  log(`📊 Only in JSON: ${onlyInJSON.length} stamps\n`);
+
+  if (onlyInFirebase.length > 0) {
+    log('⚠️  Firebase has stamps that are NOT in your local JSON:', 'yellow');
+    onlyInFirebase.forEach(id => log(`   🗑️  ${firebaseStamps.get(id).name} (${id})`));
+    log();
+    if (!force) {
+      log('💡 Run `stampbook-admin stamps export` to pull them into your local JSON first,', 'yellow');
+      log('   or `stampbook-admin stamps sync --force` to DELETE them from Firebase.\n', 'yellow');
+      throw new CliError('Sync aborted - Firebase has stamps missing from stamps.json');
+    }
+  }
+
+  const collectionsSnapshot = await db.collection('collections').get();
+  const collectionIds = new Set(collections.map(collection => collection.id));
+  const collectionsToDelete = collectionsSnapshot.docs.map(doc => doc.id).filter(id => !collectionIds.has(id));
+
+  const result = {
+    stamps: { uploaded: 0, deleted: 0, failed: 0, onlyInFirebase, onlyInJSON },
+    collections: { uploaded: 0, deleted: 0, failed: 0, removed: collectionsToDelete }
+  };
+
+  if (dryRun) {
+    log(`💡 Dry run - would upload ${stamps.length} stamps and ${collections.length} collections`, 'yellow');
+    if (onlyInFirebase.length > 0) {
+      log(`   and delete ${onlyInFirebase.length} stamp(s)`, 'yellow');
+    }
+    if (collectionsToDelete.length > 0) {
+      log(`   and delete collection(s): ${collectionsToDelete.join(', ')}`, 'yellow');
+    }
+    return result;
+  }
+
+  if (onlyInFirebase.length > 0) {
+    if (!(await ctx.confirm(`Delete ${onlyInFirebase.length} stamp(s) from Firebase?`))) {
+      throw new CliError('Sync cancelled');
+    }
+    log(`🗑️  Removing ${onlyInFirebase.length} stamp(s) from Firebase:`, 'yellow');
+    for (const id of onlyInFirebase) {
+      try {
+        await db.collection('stamps').doc(id).delete();
+        result.stamps.deleted++;
+        log(`   ✓ Deleted: ${id}`);
+      } catch (error) {
+        result.stamps.failed++;
+        log(`   ✗ Failed to delete ${id}: ${error.message}`, 'red');
+      }
+    }
+  }
+
+  log('\n📤 Uploading/updating stamps...', 'blue');
+  const { Timestamp } = ctx.admin.firestore;
+  for (const stamp of stamps) {
+    try {
+      await db.collection('stamps').doc(stamp.id).set(buildStampDoc(stamp, Timestamp));
+      result.stamps.uploaded++;
+      log(`  ✓ ${stamp.name} (${stamp.id})`);
+
+      if (stamp.status && stamp.status !== 'active') {
+        log(`    📌 Status: ${stamp.status}`);
+      }
+      if (stamp.availableFrom || stamp.availableUntil) {
+        log(`    📅 ${stamp.availableFrom || 'always'} → ${stamp.availableUntil || 'forever'}`);
+      }
+    } catch (error) {
+      result.stamps.failed++;
+      log(`  ✗ Failed: ${stamp.id} - ${error.message}`, 'red');
+    }
+  }
+
+  if (collectionsToDelete.length > 0) {
+    log(`\n🗑️  Deleting ${collectionsToDelete.length} collection(s) not in JSON:`, 'yellow');
+    for (const id of collectionsToDelete) {
+      try {
+        await db.collection('collections').doc(id).delete();
+        result.collections.deleted++;
+        log(`   ✓ Deleted: ${id}`);
+      } catch (error) {
+        result.collections.failed++;
+        log(`   ✗ Failed to delete ${id}: ${error.message}`, 'red');
+      }
+    }
+  }
+
+  log('\n📤 Uploading collections...', 'blue');
+  for (const collection of collections) {
+    try {
+      await db.collection('collections').doc(collection.id).set({
+        id: collection.id,
+        emoji: collection.emoji || '',
+        name: collection.name,
+        description: collection.description,
+        region: collection.region,
+        totalStamps: collection.totalStamps
+      });
+      result.collections.uploaded++;
+      log(`  ✓ ${collection.emoji} ${collection.name}`);
+    } catch (error) {
+      result.collections.failed++;
+      log(`  ✗ Failed: ${collection.id} - ${error.message}`, 'red');
+    }
+  }
+
+  log(`\n✅ Synced ${result.stamps.uploaded}/${stamps.length} stamps and ${result.collections.uploaded}/${collections.length} collections\n`, 'green');
+  return result;
+}
+
+/**
+ * stamps export [--force]
+ *
+ * Overwrites stamps.json with Firestore. Refuses to drop local-only stamps
+ * unless given --force. Timestamps are written as ISO strings, the format
+ * sync reads.
+ */
+async function exportStamps(ctx, args, options) {
+  const { db, log, dryRun } = ctx;
+  const force = Boolean(options.force);
+
+  log('📥 Exporting stamps from Firestore...', 'blue');
+  const snapshot = await db.collection('stamps').get();
+  if (snapshot.empty) {
+    throw new CliError('No stamps found in Firestore');
+  }
+
+  const firebaseStamps = snapshot.docs.map(doc => {
+    const stamp = {};
+    Object.entries(doc.data()).forEach(([key, value]) => {
+      stamp[key] = toISO(value);
+    });
+    return stamp;
+  });
+  firebaseStamps.sort((a, b) => a.id.localeCompare(b.id));
+
+  const localStamps = fs.existsSync(STAMPS_PATH) ? readJSON(STAMPS_PATH) : [];
+  const firebaseIds = new Set(firebaseStamps.map(stamp => stamp.id));
+  const localIds = new Set(localStamps.map(stamp => stamp.id));
+
+  const onlyInFirebase = [...firebaseIds].filter(id => !localIds.has(id));
+  const onlyInLocal = localStamps.filter(stamp => !firebaseIds.has(stamp.id));
+
+  log(`📊 Firebase: ${firebaseIds.size} stamps`);
+  log(`📊 Local JSON: ${localIds.size} stamps`);
+  log(`📊 Only in Firebase: ${onlyInFirebase.length} stamps`);
+  log(`📊 Only in Local: ${onlyInLocal.length} stamps\n`);
+
+  if (onlyInLocal.length > 0) {
+    log('⚠️  Your local JSON has stamps that are NOT in Firebase:', 'yellow');
+    onlyInLocal.forEach(stamp => log(`   🗑️  ${stamp.name} (${stamp.id})`));
+    log();
+    if (!force) {
+      log('💡 Run `stampbook-admin stamps sync` to push them to Firebase first,', 'yellow');
+      log('   or `stampbook-admin stamps export --force` to DROP them from stamps.json.\n', 'yellow');
+      throw new CliError('Export aborted - stamps.json has stamps missing from Firebase');
+    }
+  }
+
+  const result = { exported: firebaseStamps.length, onlyInFirebase, onlyInLocal: onlyInLocal.map(stamp => stamp.id), path: STAMPS_PATH };
+  if (dryRun) {
+    log(`💡 Dry run - would write ${firebaseStamps.length} stamps to stamps.json`, 'yellow');
+    return result;
+  }
+
+  fs.writeFileSync(STAMPS_PATH, JSON.stringify(firebaseStamps, null, 2));
+  log(`✅ Exported ${firebaseStamps.length} stamps to ${STAMPS_PATH}`, 'green');
+  return result;
+}
+
+/**
+ * Width and height from the start of a PNG or JPEG
+ *
+ * @param {Buffer} buffer - At least the header (IMAGE_HEADER_BYTES)
+ * @returns {{width: number, height: number}|null}
+ */
+function imageDimensions(buffer) {
+  // PNG: IHDR is always the first chunk
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: walk the segments to the first start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xFF) {
+      const marker = buffer[offset + 1];
+      const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Token-based download URL for a Storage file (adds a token if it has none)
+ *
+ * @returns {Promise<string|null>} null in a dry run when the file has no token yet
+ */
+async function downloadUrl(file, bucketName, dryRun) {
+  const [metadata] = await file.getMetadata();
+  let token = metadata.metadata && metadata.metadata.firebaseStorageDownloadTokens;
+  if (!token) {
+    if (dryRun) {
+      return null;
+    }
+    token = crypto.randomUUID();
+    await file.setMetadata({ metadata: { firebaseStorageDownloadTokens: token } });
+  }
+  return `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodeURIComponent(file.name)}?alt=media&token=${token}`;
+}
+
+/**
+ * stamps images [folder]
+ *
+ * Uploads the stamp images in a folder (only files named after a stamp in
+ * stamps.json, so personal photos can't slip in) to stamps/ in Storage, then sets
+ * imageUrl - and aspectRatio where missing - in stamps.json for every stamp
+ * with an image in Storage. Run `stamps sync` afterwards.
+ */
+async function updateStampImages(ctx, args) {
+  const { bucket, log, dryRun } = ctx;
+  const [folder] = args;
+  const result = { uploaded: [], skippedFiles: [], failed: [], urlsUpdated: 0, aspectRatiosAdded: 0, noImage: [], unknownSize: [] };
+  const stamps = readJSON(STAMPS_PATH);
+  const stampIds = new Set(stamps.map(stamp => stamp.id));
+  const isStampImage = file => stampIds.has(file.replace(IMAGE_EXTENSION, ''));
+
+  if (folder) {
+    if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+      throw new CliError(`Folder not found: ${folder}`);
+    }
+    const files = fs.readdirSync(folder).filter(file => IMAGE_EXTENSION.test(file));
+    const valid = files.filter(isStampImage);
+    result.skippedFiles = files.filter(file => !isStampImage(file));
+
+    if (result.skippedFiles.length > 0) {
+      log(`⚠️  Skipping ${result.skippedFiles.length} file(s) not named after a stamp in stamps.json (<stampId>.png):`, 'yellow');
+      result.skippedFiles.slice(0, 10).forEach(file => log(`   - ${file}`));
+      if (result.skippedFiles.length > 10) {
+        log(`   ... and ${result.skippedFiles.length - 10} more`);
+      }
+      log();
+    }
+    if (valid.length === 0) {
+      throw new CliError(`No stamp images in ${folder} - add the stamp to stamps.json first`);
+    }
+
+    log(`📤 Uploading ${valid.length} stamp image(s)...`, 'blue');
+    for (const file of valid) {
+      if (dryRun) {
+        result.uploaded.push(file);
+        log(`  Would upload ${file}`);
+        continue;
+      }
+      try {
+        await bucket.upload(path.join(folder, file), {
+          destination: `stamps/${file}`,
+          metadata: {
+            contentType: /\.png$/i.test(file) ? 'image/png' : 'image/jpeg',
+            cacheControl: 'public, max-age=31536000'
+          }
+        });
+        result.uploaded.push(file);
+        log(`  ✓ ${file}`);
+      } catch (error) {
+        result.failed.push(file);
+        log(`  ✗ ${file} - ${error.message}`, 'red');
+      }
+    }
+    log();
+  }
+
+  log('🔍 Matching Storage images to stamps.json...', 'blue');
+  const [files] = await bucket.getFiles({ prefix: 'stamps/' });
+  const images = new Map();
+  files
+    .filter(file => !file.name.slice('stamps/'.length).includes('/') && IMAGE_EXTENSION.test(file.name))
+    .forEach(file => images.set(path.basename(file.name).replace(IMAGE_EXTENSION, ''), file));
+
+  for (const stamp of stamps) {
+    const file = images.get(stamp.id);
+    if (!file) {
+      result.noImage.push(stamp.id);
+      continue;
+    }
+
+    const url = await downloadUrl(file, bucket.name, dryRun);
+    if (url && stamp.imageUrl !== url) {
+      stamp.imageUrl = url;
+      result.urlsUpdated++;
+      log(`  ✓ ${stamp.id}: imageUrl`);
+    } else if (!url) {
+      result.urlsUpdated++;
+      log(`  Would add a download token and imageUrl for ${stamp.id}`);
+    }
+
+    if (!stamp.aspectRatio) {
+      const [header] = await file.download({ start: 0, end: IMAGE_HEADER_BYTES - 1 });
+      const size = imageDimensions(header);
+      if (size && size.width > 0) {
+        stamp.aspectRatio = Math.round(size.height / size.width * 100) / 100;
+        result.aspectRatiosAdded++;
+        log(`  ✓ ${stamp.id}: ${size.width}×${size.height} → aspectRatio ${stamp.aspectRatio}`);
+      } else {
+        result.unknownSize.push(stamp.id);
+        log(`  ⚠️  ${stamp.id}: couldn't read the image size, aspectRatio left unset`, 'yellow');
+      }
+    }
+  }
+
+  if (result.noImage.length > 0) {
+    log(`\n⚠️  ${result.noImage.length} stamp(s) have no image in Storage: ${result.noImage.join(', ')}`, 'yellow');
+  }
+
+  if (dryRun) {
+    log(`\n💡 Dry run - stamps.json not changed (${result.urlsUpdated} imageUrl, ${result.aspectRatiosAdded} aspectRatio)`, 'yellow');
+    return result;
+  }
+
+  fs.writeFileSync(STAMPS_PATH, JSON.stringify(stamps, null, 2));
+  log(`\n✅ Updated stamps.json: ${result.urlsUpdated} imageUrl, ${result.aspectRatiosAdded} aspectRatio`, 'green');
+  log('Next: node stampbook-admin.js stamps sync');
+  return result;
+}
+
+/**
+ * stamps list
+ *
+ * Removed and hidden stamps, with reasons
+ */
+async function listStamps(ctx) {
+  const { db, log } = ctx;
+  const snapshot = await db.collection('stamps').get();
+
+  const byStatus = { active: 0, removed: [], hidden: [] };
+  snapshot.docs.forEach(doc => {
+    const data = doc.data();
+    const status = data.status || 'active';
+    if (status === 'removed' || status === 'hidden') {
+      byStatus[status].push({
+        id: doc.id,
+        name: data.name,
+        reason: data.removalReason || null,
+        removedAt: toISO(data.removedAt)
+      });
+    } else {
+      byStatus.active++;
+    }
+  });
+
+  log('📊 Stamp Status Summary:', 'blue');
+  log(`   Active: ${byStatus.active}`);
+  log(`   Removed: ${byStatus.removed.length}`);
+  log(`   Hidden: ${byStatus.hidden.length}`);
+  log(`   Total: ${snapshot.size}\n`);
+
+  [['removed', '❌ REMOVED STAMPS:', 'No reason provided'], ['hidden', '🙈 HIDDEN STAMPS:', 'Under review']]
+    .forEach(([status, heading, noReason]) => {
+      if (byStatus[status].length === 0) {
+        return;
+      }
+      log(heading + '\n');
+      byStatus[status].forEach(stamp => {
+        log(`   ${stamp.id}`);
+        log(`   Name: ${stamp.name}`);
+        log(`   Reason: ${stamp.reason || noReason}`);
+        if (stamp.removedAt) {
+          log(`   Removed: ${stamp.removedAt}`);
+        }
+        log();
+      });
+    });
+
+  return { total: snapshot.size, ...byStatus };
+}
+
+/**
+ * stamps remove <stampId> <reason...>
+ *
+ * Soft delete for moderation: the stamp disappears for everyone, collectors
+ * keep it, the doc stays for the audit trail.
+ */
+async function removeStamp(ctx, args) {
+  const { db, log } = ctx;
+  const [stampId, ...reasonWords] = args;
+  const reason = reasonWords.join(' ').trim();
+  if (!stampId || !reason) {
+    throw new CliError('Pass a stamp ID and a reason');
+  }
+
+  const docRef = db.collection('stamps').doc(stampId);
+  const doc = await docRef.get();
+  if (!doc.exists) {
+    throw new CliError(`Stamp "${stampId}" not found in Firebase`);
+  }
+
+  const stampData = doc.data();
+  const stats = await db.collection('stamp_statistics').doc(stampId).get();
+  const collectors = stats.exists ? stats.data().totalCollectors || 0 : 0;
+
+  log(`📍 ${stampData.name} (${stampId})`, 'blue');
+  log(`   Location: ${stampData.address}`);
+  log(`   Status: ${stampData.status || 'active'}`);
+  log(`   Collectors: ${collectors} (they keep it)`);
+  log(`📝 Reason: ${reason}\n`);
+
+  if (ctx.dryRun) {
+    log('💡 Dry run - stamp not removed', 'yellow');
+    return { stampId, status: 'would_remove', collectors };
+  }
+  if (!(await ctx.confirm(`Remove ${stampId}?`))) {
+    throw new CliError('Cancelled');
+  }
+
+  await docRef.update({
+    status: 'removed',
+    removalReason: reason,
+    removedAt: ctx.admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  log('✅ Removed - invisible to all users now, data preserved for audit', 'green');
+  return { stampId, status: 'removed', collectors };
+}
+
+/**
+ * stamps restore <stampId>
+ */
+async function restoreStamp(ctx, args) {
+  const { db, log } = ctx;
+  const [stampId] = args;
+  if (!stampId) {
+    throw new CliError('Pass a stamp ID');
+  }
+
+  const docRef = db.collection('stamps').doc(stampId);
+  const doc = await docRef.get();
+  if (!doc.exists) {
+    throw new CliError(`Stamp "${stampId}" not found`);
+  }
+
+  const stampData = doc.data();
+  const status = stampData.status || 'active';
+  log(`📍 ${stampData.name} (${stampId})`, 'blue');
+  log(`   Current status: ${status}`);
+  if (status !== 'removed' && status !== 'hidden') {
+    log('⚠️  Stamp is not removed/hidden', 'yellow');
+  }
+
+  if (ctx.dryRun) {
+    log('💡 Dry run - stamp not restored', 'yellow');
+    return { stampId, status: 'would_restore', previousStatus: status };
+  }
+
+  await docRef.update({
+    status: 'active',
+    restoredAt: ctx.admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  log('✅ Restored - visible to all users again', 'green');
+  return { stampId, status: 'active', previousStatus: status };
+}
+
+module.exports = {
+  description: 'Sync stamps with Stampbook/Data and moderate them',
+  commands: {
+    sync: {
+      usage: '[--force]',
+      summary: 'Upload stamps.json and collections.json (--force deletes stamps missing from the JSON)',
+      options: { force: { type: 'boolean' } },
+      run: syncStamps
+    },
+    export: {
+      usage: '[--force]',
+      summary: 'Write Firestore stamps to stamps.json (--force drops local-only stamps)',
+      options: { force: { type: 'boolean' } },
+      run: exportStamps
+    },
+    images: {
+      usage: '[folder]',
+      summary: 'Upload stamp images from a folder, then set imageUrl and aspectRatio in stamps.json',
+      run: updateStampImages
+    },
+    list: {
+      usage: '',
+      summary: 'List removed and hidden stamps',
+      run: listStamps
+    },
+    remove: {
+      usage: '<stampId> <reason...>',
+      summary: 'Hide a stamp from everyone (collectors keep it)',
+      run: removeStamp
+    },
+    restore: {
+      usage: '<stampId>',
+      summary: 'Make a removed or hidden stamp active again',
+      run: restoreStamp
+    }
+  }
+};
@@ -0,0 +1,296 @@
+const {CliError, toISO} = require('./context');
+
+/**
+ * stampbook-admin user find|audit|delete
+ *
+ * Every command takes user IDs, usernames or @usernames.
+ */
+
+const POLL_INTERVAL_MS = 5000;
+const POLL_TIMEOUT_MS = 10 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Everything a user owns, as count queries - the same places
+ * cleanupDeletedAccount (functions/accountDeletion.js) deletes from
+ */
+const AUDIT_QUERIES = [
+  ['collectedStamps', 'Collected stamps', (db, uid) => db.collection('users').doc(uid).collection('collectedStamps')],
+  ['collectors', 'Collector entries', (db, uid) => db.collectionGroup('collectors').where('userId', '==', uid)],
+  ['following', 'Following', (db, uid) => db.collection('users').doc(uid).collection('following')],
+  ['followers', 'Followers', (db, uid) => db.collectionGroup('following').where('id', '==', uid)],
+  ['blocked', 'Blocked users', (db, uid) => db.collection('users').doc(uid).collection('blocked')],
+  ['likes', 'Likes', (db, uid) => db.collection('likes').where('userId', '==', uid)],
+  ['comments', 'Comments', (db, uid) => db.collection('comments').where('userId', '==', uid)],
+  ['notificationsReceived', 'Notifications received', (db, uid) => db.collection('notifications').where('recipientId', '==', uid)],
+  ['notificationsSent', 'Notifications sent', (db, uid) => db.collection('notifications').where('actorId', '==', uid)],
+  ['feedback', 'Feedback', (db, uid) => db.collection('feedback').where('userId', '==', uid)],
+  ['inviteCodesUsed', 'Invite codes used', (db, uid) => db.collection('invite_codes').where('usedBy', 'array-contains', uid)],
+  ['inviteCodesCreated', 'Invite codes created', (db, uid) => db.collection('invite_codes').where('createdBy', '==', uid)],
+  ['dataExports', 'Data exports', (db, uid) => db.collection('users').doc(uid).collection('dataExports')]
+];
+
+/**
+ * Auth account summary, or null if there isn't one
+ */
+async function getAuthUser(ctx, userId) {
+  try {
+    const record = await ctx.auth.getUser(userId);
+    return {
+      email: record.email || null,
+      provider: record.providerData[0] ? record.providerData[0].providerId : null,
+      disabled: record.disabled,
+      createdAt: record.metadata.creationTime,
+      lastSignInAt: record.metadata.lastSignInTime
+    };
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Profile fields worth showing
+ */
+function profileSummary(userId, profile) {
+  return {
+    id: userId,
+    username: profile ? profile.username || null : null,
+    displayName: profile ? profile.displayName || null : null,
+    bio: profile ? profile.bio || '' : null,
+    totalStamps: profile ? profile.totalStamps || 0 : null,
+    followerCount: profile ? profile.followerCount || 0 : null,
+    followingCount: profile ? profile.followingCount || 0 : null,
+    createdAt: profile ? toISO(profile.createdAt) : null
+  };
+}
+
+/**
+ * user find [user...]
+ *
+ * Without arguments, lists every user.
+ */
+async function findUsers(ctx, refs) {
+  const { db, log } = ctx;
+
+  if (refs.length === 0) {
+    const snapshot = await db.collection('users').select('username', 'displayName', 'totalStamps').get();
+    const users = snapshot.docs.map(doc => ({
+      id: doc.id,
+      username: doc.data().username || null,
+      displayName: doc.data().displayName || null,
+      totalStamps: doc.data().totalStamps || 0
+    }));
+
+    log('\n👥 All users:\n', 'blue');
+    users.forEach((user, index) => {
+      log(`${index + 1}. @${user.username} (${user.displayName})`);
+      log(`   userId: ${user.id}`, 'cyan');
+      log(`   stamps: ${user.totalStamps}`, 'cyan');
+    });
+    log(`\nTotal users: ${users.length}\n`);
+    return { users };
+  }
+
+  const users = [];
+  for (const { id, profile } of await ctx.resolveUsers(refs)) {
+    const user = { ...profileSummary(id, profile), auth: await getAuthUser(ctx, id) };
+    users.push(user);
+
+    log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    log(`User ID:       ${user.id}`);
+    if (profile) {
+      log(`Username:      @${user.username}`);
+      log(`Display Name:  ${user.displayName}`);
+      log(`Bio:           ${user.bio || '(empty)'}`);
+      log(`Total Stamps:  ${user.totalStamps}`);
+      log(`Followers:     ${user.followerCount}`);
+      log(`Following:     ${user.followingCount}`);
+      log(`Created:       ${user.createdAt || 'N/A'}`);
+    } else {
+      log('⚠️  No profile (deleted, or sign-up never finished)', 'yellow');
+    }
+    log(user.auth ? `Email:         ${user.auth.email || 'N/A'}` : '❌ No Auth account', user.auth ? 'reset' : 'red');
+    log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+  }
+  return { users };
+}
+
+/**
+ * Count everything one user owns
+ */
+async function auditUser(ctx, { id, profile }) {
+  const { db, log } = ctx;
+
+  const snapshots = await Promise.all(AUDIT_QUERIES.map(([, , query]) => query(db, id).count().get()));
+  const counts = {};
+  AUDIT_QUERIES.forEach(([key], index) => {
+    counts[key] = snapshots[index].data().count;
+  });
+
+  const [files] = await ctx.bucket.getFiles({ prefix: `users/${id}/` });
+  counts.storageFiles = files.length;
+
+  const auth = await getAuthUser(ctx, id);
+  const receipt = await db.collection('account_deletions').doc(id).get();
+  const deletion = receipt.exists
+    ? { status: receipt.data().status, requestedBy: receipt.data().requestedBy || null, completedAt: toISO(receipt.data().completedAt) }
+    : null;
+
+  log('\n========================================', 'cyan');
+  log(`  USER DATA AUDIT: ${profile ? '@' + profile.username : id}`, 'cyan');
+  log('========================================\n', 'cyan');
+
+  log('📋 Profile', 'blue');
+  if (profile) {
+    const summary = profileSummary(id, profile);
+    log(`   ✅ users/${id}`, 'green');
+    log(`      Display Name: ${summary.displayName}`, 'cyan');
+    log(`      Total Stamps: ${summary.totalStamps}`, 'cyan');
+    log(`      Followers: ${summary.followerCount}`, 'cyan');
+    log(`      Following: ${summary.followingCount}`, 'cyan');
+  } else {
+    log(`   ❌ users/${id} NOT found`, 'red');
+  }
+
+  log('\n📋 Data', 'blue');
+  AUDIT_QUERIES.forEach(([key, label]) => {
+    log(`   ${counts[key] > 0 ? '✅' : '⚪'} ${label}: ${counts[key]}`, counts[key] > 0 ? 'green' : 'reset');
+  });
+  log(`   ${counts.storageFiles > 0 ? '✅' : '⚪'} Storage files (users/${id}/): ${counts.storageFiles}`,
+    counts.storageFiles > 0 ? 'green' : 'reset');
+
+  log('\n📋 Authentication', 'blue');
+  if (auth) {
+    log('   ✅ Auth account exists', 'green');
+    log(`      Email: ${auth.email || 'N/A'}`, 'cyan');
+    log(`      Provider: ${auth.provider || 'N/A'}`, 'cyan');
+    log(`      Created: ${auth.createdAt}`, 'cyan');
+    log(`      Last Sign In: ${auth.lastSignInAt}`, 'cyan');
+  } else {
+    log('   ❌ Auth account NOT found', 'red');
+  }
+
+  if (deletion) {
+    log('\n📋 Account deletion', 'blue');
+    log(`   🗑️  account_deletions/${id}: ${deletion.status} (requested by ${deletion.requestedBy})`, 'yellow');
+  }
+  log();
+
+  return { ...profileSummary(id, profile), hasProfile: Boolean(profile), counts, auth, deletion };
+}
+
+/**
+ * user audit <user...>
+ */
+async function auditUsers(ctx, refs) {
+  if (refs.length === 0) {
+    throw new CliError('Pass at least one user');
+  }
+  const users = [];
+  for (const user of await ctx.resolveUsers(refs)) {
+    users.push(await auditUser(ctx, user));
+  }
+  return { users };
+}
+
+/**
+ * Delete one account and wait for cleanupDeletedAccount to finish
+ *
+ * Profiles without an Auth account get a placeholder Auth account with the
+ * same uid that's deleted right away, so the cleanup still runs.
+ */
+async function deleteUser(ctx, { id, profile }, reason) {
+  const { db, auth, log } = ctx;
+  const label = profile ? `@${profile.username} (${id})` : id;
+
+  if (ctx.dryRun) {
+    const audit = await auditUser(ctx, { id, profile });
+    log(`💡 Dry run - would delete ${label} and everything listed above`, 'yellow');
+    return { id, status: 'would_delete', counts: audit.counts };
+  }
+
+  if (!(await ctx.confirm(`Delete ${label} and all of their data?`))) {
+    log(`⏭️  Skipped ${label}`, 'yellow');
+    return { id, status: 'skipped' };
+  }
+
+  log(`\n🎯 Deleting ${label}`, 'yellow');
+  const receiptRef = db.collection('account_deletions').doc(id);
+  await receiptRef.set({ userId: id, status: 'requested', requestedBy: 'admin', reason: reason, requestedAt: new Date() });
+
+  // Deleting the Auth account fires cleanupDeletedAccount
+  log('📋 Deleting authentication account...', 'blue');
+  try {
+    await auth.deleteUser(id);
+    log('   ✅ Authentication account deleted', 'green');
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      throw error;
+    }
+    log('   ⚠️  Auth account not found - using a placeholder to start the cleanup', 'yellow');
+    await auth.createUser({ uid: id, disabled: true });
+    await auth.deleteUser(id);
+  }
+
+  log('📋 Waiting for cleanupDeletedAccount...', 'blue');
+  const deadline = Date.now() + POLL_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await sleep(POLL_INTERVAL_MS);
+    const receipt = (await receiptRef.get()).data() || {};
+
+    if (receipt.status === 'complete') {
+      log(`\n✅ Deleted ${label}`, 'green');
+      Object.entries(receipt.counts || {}).forEach(([step, count]) => {
+        log(`   ${step}: ${count}`, 'cyan');
+      });
+      log();
+      return { id, status: 'complete', counts: receipt.counts || {} };
+    }
+
+    log(`   ⏳ ${(receipt.completedSteps || []).length} steps done...`, 'yellow');
+  }
+
+  log(`\n⚠️  Cleanup still running - check account_deletions/${id} later`, 'yellow');
+  return { id, status: 'in_progress' };
+}
+
+/**
+ * user delete <user...> [--reason "..."]
+ */
+async function deleteUsers(ctx, refs, options) {
+  if (refs.length === 0) {
+    throw new CliError('Pass at least one user');
+  }
+  const reason = (options.reason || '').trim();
+  const users = [];
+  for (const user of await ctx.resolveUsers(refs)) {
+    users.push(await deleteUser(ctx, user, reason));
+  }
+  return { users };
+}
+
+module.exports = {
+  description: 'Look up, audit and delete users',
+  commands: {
+    find: {
+      usage: '[user...]',
+      summary: 'Show profile and Auth details (no users: list everyone)',
+      run: findUsers
+    },
+    audit: {
+      usage: '<user...>',
+      summary: 'Count everything a user owns, across every collection and Storage',
+      run: auditUsers
+    },
+    delete: {
+      usage: '<user...> [--reason "..."]',
+      summary: 'Delete the account and wait for cleanupDeletedAccount to remove the data',
+      options: { reason: { type: 'string' } },
+      run: deleteUsers
+    }
+  }
+};
@@ -0,0 +1,393 @@
+const {onCall, HttpsError} = require('firebase-functions/v2/https');
+const functionsV1 = require('firebase-functions/v1');
+const admin = require('firebase-admin');
+const {removeCollector} = require('./collectors');
+
+/**
+ * Account deletion
+ *
+ * deleteMyAccount deletes the caller's Auth account. That - or an admin
+ * deleting the user in the Firebase console - fires cleanupDeletedAccount,
+ * which removes everything the user owns, one step at a time:
+ *   collectedStamps        - their posts (cascadeDeletePost cleans up the likes,
+ *                            comments, notifications and photos on each)
+ *   collectors             - stamp_statistics collector entries (ranks released)
+ *   following / followers  - follow edges both ways (updateFollowCounts takes
+ *                            the other user's count down on each delete)
+ *   likes / comments       - everything they liked or wrote (counter and
+ *                            notification retraction triggers follow)
+ *   notificationsReceived  - notifications sent to them
+ *   notificationsSent      - notifications only about them
+ *   feedback
+ *   inviteCodes            - their uid in invite_codes.usedBy (slot freed)
+ *   storage                - users/{uid}/ in Storage, and quarantine/users/{uid}/
+ *                            (their photos imageModeration.js flagged)
+ *   profile                - users/{uid} and its remaining subcollections
+ *                            (blocked, muted, settings, devices, dataExports)
+ *
+ * Steps page through their docs and only touch what's still there, so any
+ * step can run again. Progress is kept in account_deletions/{uid}, which stays
+ * behind as the deletion receipt (who asked, counts per step, timestamps).
+ * A run that's out of time throws; the event is retried and picks up at the
+ * first unfinished step.
+ */
+
+const PAGE_SIZE = 200;
+const TIME_BUDGET_MS = 8 * 60 * 1000; // Leaves headroom under a 9 minute timeout
+
+const STEPS = [
+  'collectedStamps',
+  'collectors',
+  'following',
+  'followers',
+  'likes',
+  'comments',
+  'notificationsReceived',
+  'notificationsSent',
+  'feedback',
+  'inviteCodes',
+  'storage',
+  'profile'
+];
+
+/**
+ * Steps a deletion still has to run, in order
+ *
+ * @param {object|null} receipt - account_deletions/{uid} data
+ * @returns {string[]}
+ */
+function pendingSteps(receipt) {
+  const done = new Set((receipt && receipt.completedSteps) || []);
+  return STEPS.filter(step => !done.has(step));
+}
+
+/**
+ * invite_codes fields after taking a user out of usedBy
+ *
+ * The freed slot makes a used-up code active again.
+ *
+ * @param {object} code - invite_codes/{code} data
+ * @param {string} userId
+ * @returns {object|null} Fields to update, or null if the user isn't in usedBy
+ */
+function releaseInviteCode(code, userId) {
+  const usedBy = code.usedBy || [];
+  if (!usedBy.includes(userId)) {
+    return null;
+  }
+
+  const remaining = usedBy.filter(id => id !== userId);
+  const usedCount = Math.max(0, (code.usedCount || 0) - (usedBy.length - remaining.length));
+  const update = { usedBy: remaining, usedCount };
+  if (code.status === 'used' && usedCount < (code.maxUses || 0)) {
+    update.status = 'active';
+  }
+  return update;
+}
+
+/**
+ * Run handlePage over a query one page at a time (cursor-based, so pages
+ * whose docs are left in place don't repeat)
+ *
+ * @returns {Promise<{count: number, done: boolean}>} done is false if time ran out
+ */
+async function forEachPage(ctx, query, handlePage) {
+  let count = 0;
+  let cursor = null;
+
+  for (;;) {
+    if (ctx.outOfTime()) {
+      return { count, done: false };
+    }
+
+    let page = query.orderBy('__name__').limit(PAGE_SIZE);
+    if (cursor) {
+      page = page.startAfter(cursor);
+    }
+    const snapshot = await page.get();
+    if (snapshot.empty) {
+      return { count, done: true };
+    }
+
+    count += await handlePage(snapshot.docs);
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+
+    if (snapshot.size < PAGE_SIZE) {
+      return { count, done: true };
+    }
+  }
+}
+
+/**
+ * Delete every doc a query matches (one batch per page)
+ */
+function deleteAll(ctx, query) {
+  return forEachPage(ctx, query, async (docs) => {
+    const batch = ctx.db.batch();
+    docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    return docs.length;
+  });
+}
+
+const steps = {
+  async collectedStamps(ctx) {
+    return forEachPage(ctx, ctx.userRef.collection('collectedStamps'), async (docs) => {
+      const batch = ctx.db.batch();
+      docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+
+      // Release ranks now rather than waiting on cascadeDeletePost (a no-op for whichever runs second)
+      for (const doc of docs) {
+        await removeCollector(ctx.db, doc.id, ctx.userId);
+      }
+      return docs.length;
+    });
+  },
+
+  async collectors(ctx) {
+    const release = async (stampIds) => {
+      let released = 0;
+      for (const stampId of stampIds) {
+        if (await removeCollector(ctx.db, stampId, ctx.userId)) {
+          released++;
+        }
+      }
+      return released;
+    };
+
+    const entries = await forEachPage(ctx,
+      ctx.db.collectionGroup('collectors').where('userId', '==', ctx.userId),
+      docs => release(docs.map(doc => doc.ref.parent.parent.id)));
+    if (!entries.done) {
+      return entries;
+    }
+
+    // Stats docs not yet moved off the old collectorUserIds array
+    const legacy = await forEachPage(ctx,
+      ctx.db.collection('stamp_statistics').where('collectorUserIds', 'array-contains', ctx.userId),
+      docs => release(docs.map(doc => doc.id)));
+    return { count: entries.count + legacy.count, done: legacy.done };
+  },
+
+  following(ctx) {
+    return deleteAll(ctx, ctx.userRef.collection('following'));
+  },
+
+  followers(ctx) {
+    return deleteAll(ctx, ctx.db.collectionGroup('following').where('id', '==', ctx.userId));
+  },
+
+  likes(ctx) {
+    return deleteAll(ctx, ctx.db.collection('likes').where('userId', '==', ctx.userId));
+  },
+
+  comments(ctx) {
+    return deleteAll(ctx, ctx.db.collection('comments').where('userId', '==', ctx.userId));
+  },
+
+  notificationsReceived(ctx) {
+    return deleteAll(ctx, ctx.db.collection('notifications').where('recipientId', '==', ctx.userId));
+  },
+
+  // Notifications that merged several actors are left to the retraction
+  // triggers of the likes/comments/follows deleted above, which take this
+  // user out and keep the others
+  notificationsSent(ctx) {
+    return forEachPage(ctx, ctx.db.collection('notifications').where('actorId', '==', ctx.userId), async (docs) => {
+      const solo = docs.filter(doc => (doc.data().actorCount || 1) <= 1);
+      if (solo.length > 0) {
+        const batch = ctx.db.batch();
+        solo.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+      }
+      return solo.length;
+    });
+  },
+
+  feedback(ctx) {
+    return deleteAll(ctx, ctx.db.collection('feedback').where('userId', '==', ctx.userId));
+  },
+
+  inviteCodes(ctx) {
+    return forEachPage(ctx, ctx.db.collection('invite_codes').where('usedBy', 'array-contains', ctx.userId), async (docs) => {
+      let released = 0;
+      for (const doc of docs) {
+        const changed = await ctx.db.runTransaction(async (transaction) => {
+          const current = await transaction.get(doc.ref);
+          const update = current.exists ? releaseInviteCode(current.data(), ctx.userId) : null;
+          if (update) {
+            transaction.update(doc.ref, update);
+          }
+          return update !== null;
+        });
+        if (changed) {
+          released++;
+        }
+      }
+      return released;
+    });
+  },
+
+  async storage(ctx) {
+    const bucket = admin.storage().bucket();
+    const prefixes = [`users/${ctx.userId}/`, `quarantine/users/${ctx.userId}/`];
+    let count = 0;
+
+    for (const prefix of prefixes) {
+      for (;;) {
+        if (ctx.outOfTime()) {
+          return { count, done: false };
+        }
+        const [files] = await bucket.getFiles({ prefix, maxResults: PAGE_SIZE });
+        if (files.length === 0) {
+          break;
+        }
+        await Promise.all(files.map(file => file.delete({ ignoreNotFound: true })));
+        count += files.length;
+      }
+    }
+    return { count, done: true };
+  },
+
+  async profile(ctx) {
+    const profile = await ctx.userRef.get();
+    await ctx.db.recursiveDelete(ctx.userRef);
+    return { count: profile.exists ? 1 : 0, done: true };
+  }
+};
+
+/**
+ * Remove everything a user owns, resuming a previous run of the same deletion
+ *
+ * A receipt from an earlier deletion (Sign in with Apple gives a returning
+ * user the same uid) is replaced, not resumed.
+ *
+ * @param {string} userId
+ * @param {object} options
+ * @param {string} options.runId - Same on every retry of one deletion (the Auth event ID)
+ * @param {string} [options.requestedBy] - Recorded unless deleteMyAccount / `stampbook-admin user delete` asked first
+ * @param {number} [options.timeBudgetMs]
+ * @returns {Promise<object>} The receipt; status is 'in_progress' if time ran out
+ */
+async function runAccountDeletion(userId, { runId, requestedBy = 'auth', timeBudgetMs = TIME_BUDGET_MS }) {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+  const receiptRef = db.collection('account_deletions').doc(userId);
+  const deadline = Date.now() + timeBudgetMs;
+
+  const existing = await receiptRef.get();
+  let receipt = existing.exists ? existing.data() : {};
+  if (receipt.runId === runId && receipt.status === 'complete') {
+    return receipt;
+  }
+
+  if (receipt.runId !== runId) {
+    const requested = receipt.status === 'requested';
+    const profile = await userRef.get();
+    receipt = {
+      userId: userId,
+      runId: runId,
+      username: profile.exists ? profile.data().username || null : null,
+      requestedBy: requested ? receipt.requestedBy : requestedBy,
+      reason: requested ? receipt.reason || '' : '',
+      requestedAt: requested ? receipt.requestedAt : new Date(),
+      status: 'in_progress',
+      startedAt: new Date(),
+      completedSteps: [],
+      counts: {}
+    };
+    await receiptRef.set(receipt);
+  }
+
+  const ctx = {
+    db,
+    userId,
+    userRef,
+    outOfTime: () => Date.now() > deadline
+  };
+
+  for (const step of pendingSteps(receipt)) {
+    const { count, done } = await steps[step](ctx);
+    receipt.counts = { ...receipt.counts, [step]: (receipt.counts[step] || 0) + count };
+    if (done) {
+      receipt.completedSteps = [...receipt.completedSteps, step];
+    }
+
+    await receiptRef.set({
+      counts: receipt.counts,
+      completedSteps: receipt.completedSteps,
+      updatedAt: new Date()
+    }, { merge: true });
+
+    if (!done) {
+      console.log(`⏱️ Account deletion for ${userId} out of time during ${step}`);
+      return { ...receipt, status: 'in_progress' };
+    }
+  }
+
+  receipt.status = 'complete';
+  receipt.completedAt = new Date();
+  await receiptRef.set({ status: receipt.status, completedAt: receipt.completedAt }, { merge: true });
+  return receipt;
+}
+
+/**
+ * Cloud Function: Delete the caller's account
+ *
+ * Deletes the Auth account; cleanupDeletedAccount removes the data. The app
+ * signs out once this returns.
+ *
+ * Request: { reason?: string }
+ * @returns {{success: boolean}}
+ */
+exports.deleteMyAccount = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in required');
+  }
+
+  const userId = request.auth.uid;
+  const reason = request.data && typeof request.data.reason === 'string'
+    ? request.data.reason.trim().slice(0, 1000)
+    : '';
+
+  await admin.firestore().collection('account_deletions').doc(userId).set({
+    userId: userId,
+    status: 'requested',
+    requestedBy: 'user',
+    reason: reason,
+    requestedAt: new Date()
+  });
+
+  await admin.auth().deleteUser(userId);
+  console.log(`🗑️ ${userId} deleted their account`);
+
+  return { success: true };
+});
+
+/**
+ * Auth Trigger: Remove a deleted user's data
+ *
+ * Fires for deleteMyAccount and for accounts deleted by an admin.
+ * Throws when out of time so the event is retried (failurePolicy) and resumes.
+ */
+exports.cleanupDeletedAccount = functionsV1
+  .runWith({ timeoutSeconds: 540, memory: '512MB', failurePolicy: true })
+  .auth.user()
+  .onDelete(async (user, context) => {
+    const userId = user.uid;
+    console.log(`🗑️ Account ${userId} deleted, removing their data...`);
+
+    const receipt = await runAccountDeletion(userId, { runId: context.eventId });
+    if (receipt.status !== 'complete') {
+      throw new Error(`Account deletion for ${userId} incomplete - retrying`);
+    }
+
+    console.log(`✅ Removed data for ${userId}: ${JSON.stringify(receipt.counts)}`);
+    return null;
+  });
+
+exports.STEPS = STEPS;
+exports.pendingSteps = pendingSteps;
+exports.releaseInviteCode = releaseInviteCode;
+exports.runAccountDeletion = runAccountDeletion;
@@ -0,0 +1,39 @@
+const {HttpsError} = require('firebase-functions/v2/https');
+
+/**
+ * Admin accounts
+ *
+ * Keep in sync with isAdmin() in firestore.rules
+ */
+const ADMIN_UIDS = [
+  'mpd4k2n13adMFMY52nksmaQTbMQ2',   // hiroo (primary admin)
+  'QhAwICu2fygwSDcibHD7zYDBPoP2'    // admin web account
+];
+
+/**
+ * True if the uid belongs to an admin
+ */
+function isAdminUid(uid) {
+  return typeof uid === 'string' && ADMIN_UIDS.includes(uid);
+}
+
+/**
+ * Throw unless a callable request comes from a signed-in admin
+ *
+ * @returns {string} The admin's uid
+ */
+function assertAdmin(request) {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in required');
+  }
+  if (!isAdminUid(request.auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  return request.auth.uid;
+}
+
+module.exports = {
+  ADMIN_UIDS,
+  isAdminUid,
+  assertAdmin
+};
@@ -0,0 +1,299 @@
+const {onDocumentCreated} = require('firebase-functions/v2/firestore');
+const admin = require('firebase-admin');
+const {postRef} = require('./posts');
+
+/**
+ * Stamp collector registry
+ *
+ * stamp_statistics/{stampId}: {
+ *   stampId
+ *   totalCollectors  - Users who have the stamp right now
+ *   lastRank         - Sequence counter, the highest rank handed out
+ *   lastUpdated
+ * }
+ * stamp_statistics/{stampId}/collectors/{userId}: { userId, rank, collectedAt }
+ *
+ * Ranks ("23rd collector") are taken from lastRank inside one transaction, so
+ * two people collecting at the same moment never share a number. The rank is
+ * copied to users/{userId}/collectedStamps/{stampId}.userRank for the app.
+ *
+ * Uncollecting releases the entry. Everyone else keeps their rank; the counter
+ * only steps back when the released rank was the last one handed out.
+ *
+ * Only these functions write here - firestore.rules keep clients out.
+ * Docs from before the registry still have an ordered collectorUserIds array;
+ * the first register/remove that touches one moves it into collectors/
+ * (rank = position in the array, see migrateLegacyCollectors).
+ */
+
+// Collector entries written per transaction when migrating a legacy array
+const MIGRATION_PAGE_SIZE = 400;
+
+/**
+ * Current registry state from a stamp_statistics doc and one collector doc
+ *
+ * @param {object|null} stats - stamp_statistics/{stampId} data (null = no doc yet)
+ * @param {object|null} collector - collectors/{userId} data (null = not a collector)
+ * @param {string} userId
+ * @returns {{lastRank: number, totalCollectors: number, rank: number|null, legacyIds: string[]|null}}
+ */
+function readRegistry(stats, collector, userId) {
+  const data = stats || {};
+
+  // lastRank marks a migrated doc - an array on one of those comes from an
+  // old admin script and is ignored (the next write removes it)
+  if (Array.isArray(data.collectorUserIds) && data.lastRank === undefined) {
+    const legacyIds = [...new Set(data.collectorUserIds)];
+    const index = legacyIds.indexOf(userId);
+    return {
+      lastRank: legacyIds.length,
+      totalCollectors: legacyIds.length,
+      rank: index >= 0 ? index + 1 : null,
+      legacyIds
+    };
+  }
+
+  return {
+    lastRank: data.lastRank || 0,
+    totalCollectors: data.totalCollectors || 0,
+    rank: collector ? collector.rank : null,
+    legacyIds: null
+  };
+}
+
+/**
+ * Legacy collectorUserIds array of a stamp_statistics doc (null once migrated)
+ */
+function legacyIdsOf(statsDoc) {
+  return readRegistry(statsDoc.exists ? statsDoc.data() : null, null, null).legacyIds;
+}
+
+function sameIds(a, b) {
+  return a !== null && b !== null && a.length === b.length && a.every((id, index) => id === b[index]);
+}
+
+/**
+ * Move a stamp's legacy collectorUserIds array into collectors/
+ *
+ * Big arrays don't fit in one transaction (500 writes), so the entries go in
+ * a page per transaction - each checking the array is still the one being
+ * migrated - and the stamp is only marked migrated (lastRank set, array
+ * removed) once every page is written. Until then readRegistry keeps
+ * reading the array, so an interrupted run changes nothing and the next call
+ * writes the same entries again. If the array changes part way (old admin
+ * scripts edit it), the pass starts over and drops the entries it wrote for
+ * users no longer in it.
+ *
+ * @param {Firestore} db
+ * @param {string} stampId
+ * @returns {Promise<number>} Collectors migrated (0 if there was nothing to do)
+ */
+async function migrateLegacyCollectors(db, stampId) {
+  const statsRef = db.collection('stamp_statistics').doc(stampId);
+  const written = new Set();
+
+  for (;;) {
+    const legacyIds = legacyIdsOf(await statsRef.get());
+    if (!legacyIds) {
+      return 0;
+    }
+
+    // Entries from a previous pass for users no longer in the array go first
+    const entries = [
+      ...[...written].filter(userId => !legacyIds.includes(userId)).map(userId => ({ userId, rank: null })),
+      ...legacyIds.map((userId, index) => ({ userId, rank: index + 1 }))
+    ];
+
+    let unchanged = true;
+    for (let start = 0; unchanged && start < entries.length; start += MIGRATION_PAGE_SIZE) {
+      unchanged = await db.runTransaction(async (transaction) => {
+        if (!sameIds(legacyIdsOf(await transaction.get(statsRef)), legacyIds)) {
+          return false;
+        }
+        entries.slice(start, start + MIGRATION_PAGE_SIZE).forEach(({ userId, rank }) => {
+          const ref = statsRef.collection('collectors').doc(userId);
+          if (rank === null) {
+            transaction.delete(ref);
+          } else {
+            transaction.set(ref, {
+              userId: userId,
+              rank: rank,
+              collectedAt: null // Not recorded before the registry
+            });
+          }
+        });
+        return true;
+      });
+      if (unchanged) {
+        entries.slice(start, start + MIGRATION_PAGE_SIZE).forEach(({ userId, rank }) => {
+          if (rank === null) {
+            written.delete(userId);
+          } else {
+            written.add(userId);
+          }
+        });
+      }
+    }
+
+    const migrated = unchanged && await db.runTransaction(async (transaction) => {
+      if (!sameIds(legacyIdsOf(await transaction.get(statsRef)), legacyIds)) {
+        return false;
+      }
+      transaction.set(statsRef, {
+        stampId: stampId,
+        totalCollectors: legacyIds.length,
+        lastRank: legacyIds.length,
+        collectorUserIds: admin.firestore.FieldValue.delete(),
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      return true;
+    });
+
+    if (migrated) {
+      console.log(`🏅 Migrated ${legacyIds.length} legacy collectors of ${stampId}`);
+      return legacyIds.length;
+    }
+    // The array changed (or another run finished first) - read it again
+  }
+}
+
+/**
+ * Add a user to a stamp's collectors and give them the next rank
+ *
+ * Safe to run twice - an existing collector keeps their rank.
+ *
+ * @returns {Promise<number|null>} The user's rank, or null if the stamp was
+ *   uncollected before this ran
+ */
+async function registerCollector(db, stampId, userId) {
+  await migrateLegacyCollectors(db, stampId);
+
+  const statsRef = db.collection('stamp_statistics').doc(stampId);
+  const collectorRef = statsRef.collection('collectors').doc(userId);
+  const post = postRef(userId, stampId, db);
+
+  return db.runTransaction(async (transaction) => {
+    const [stats, collector, postDoc] = await Promise.all([
+      transaction.get(statsRef),
+      transaction.get(collectorRef),
+      transaction.get(post)
+    ]);
+    if (!postDoc.exists) {
+      return null;
+    }
+
+    const registry = readRegistry(
+      stats.exists ? stats.data() : null,
+      collector.exists ? collector.data() : null,
+      userId
+    );
+    if (registry.legacyIds) {
+      throw new Error(`Legacy collectors of ${stampId} changed during migration`);
+    }
+    let { rank, lastRank, totalCollectors } = registry;
+    const changed = rank === null;
+
+    if (rank === null) {
+      rank = ++lastRank;
+      totalCollectors++;
+      transaction.set(collectorRef, {
+        userId: userId,
+        rank: rank,
+        collectedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    if (changed) {
+      transaction.set(statsRef, {
+        stampId: stampId,
+        totalCollectors: totalCollectors,
+        lastRank: lastRank,
+        collectorUserIds: admin.firestore.FieldValue.delete(),
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    }
+    if (postDoc.data().userRank !== rank) {
+      transaction.update(post, { userRank: rank });
+    }
+    return rank;
+  });
+}
+
+/**
+ * Take a user out of a stamp's collectors and release their rank
+ *
+ * Does nothing if the stamp has been collected again since - the new
+ * collection keeps the entry.
+ *
+ * @returns {Promise<boolean>} false if they weren't a collector
+ */
+async function removeCollector(db, stampId, userId) {
+  await migrateLegacyCollectors(db, stampId);
+
+  const statsRef = db.collection('stamp_statistics').doc(stampId);
+  const collectorRef = statsRef.collection('collectors').doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const [stats, collector, postDoc] = await Promise.all([
+      transaction.get(statsRef),
+      transaction.get(collectorRef),
+      transaction.get(postRef(userId, stampId, db))
+    ]);
+    if (!stats.exists || postDoc.exists) {
+      return false;
+    }
+
+    const registry = readRegistry(stats.data(), collector.exists ? collector.data() : null, userId);
+    if (registry.legacyIds) {
+      throw new Error(`Legacy collectors of ${stampId} changed during migration`);
+    }
+    if (registry.rank === null) {
+      return false;
+    }
+
+    let { lastRank, totalCollectors } = registry;
+    totalCollectors = Math.max(0, totalCollectors - 1);
+    if (registry.rank === lastRank) {
+      lastRank--;
+    }
+    transaction.delete(collectorRef);
+
+    transaction.set(statsRef, {
+      totalCollectors: totalCollectors,
+      lastRank: lastRank,
+      collectorUserIds: admin.firestore.FieldValue.delete(),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return true;
+  });
+}
+
+/**
+ * Firestore Trigger: Register a new collector and assign their rank
+ *
+ * Releasing happens in cascadeDeletePost (postCleanup.js) when the
+ * collected stamp is deleted.
+ */
+exports.assignCollectorRank = onDocumentCreated({
+  document: 'users/{userId}/collectedStamps/{stampId}',
+  retry: true
+}, async (event) => {
+  const { userId, stampId } = event.params;
+
+  try {
+    const rank = await registerCollector(admin.firestore(), stampId, userId);
+    if (rank !== null) {
+      console.log(`🏅 ${userId} is collector #${rank} of ${stampId}`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to register ${userId} as a collector of ${stampId}:`, error);
+    throw error; // Re-throw so the event is retried (registering twice is a no-op)
+  }
+
+  return null;
+});
+
+exports.readRegistry = readRegistry;
+exports.migrateLegacyCollectors = migrateLegacyCollectors;
+exports.registerCollector = registerCollector;
+exports.removeCollector = removeCollector;
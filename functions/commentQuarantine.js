@@ -0,0 +1,107 @@
+const admin = require('firebase-admin');
+
+/**
+ * Comment quarantine
+ *
+ * Comments that fail moderation (moderateCommentOnCreate) or reach the report
+ * threshold (reportContent) are moved out of comments/ into the admin-only
+ * quarantined_comments/{commentId}, so no other user can read them. Admins
+ * bring them back with a "revert" (restoreQuarantinedComment).
+ */
+
+/**
+ * Move a comment into quarantine inside a transaction (writes only)
+ *
+ * @param {Firestore} db
+ * @param {Transaction} transaction
+ * @param {DocumentReference} commentRef
+ * @param {object} comment - The comment's current data
+ * @param {string} reason - 'profanity' or 'reports'
+ */
+function writeQuarantine(db, transaction, commentRef, comment, reason) {
+  transaction.set(db.collection('quarantined_comments').doc(commentRef.id), {
+    ...comment,
+    quarantinedAt: admin.firestore.FieldValue.serverTimestamp(),
+    reason: reason
+  });
+  transaction.delete(commentRef);
+}
+
+/**
+ * Quarantine a comment and open a moderation alert for it
+ *
+ * Safe to retry: a comment that is already quarantined, or that its author
+ * deleted in the meantime, is left alone and no second alert is opened.
+ *
+ * @param {Firestore} db
+ * @param {string} commentId
+ * @param {object} options
+ * @param {string} options.reason - Stored on the quarantine record
+ * @param {function(object): object} options.alert - Builds the moderation_alerts
+ *   fields from the comment (detectedAt and status are added here)
+ * @returns {Promise<boolean>} true if this call quarantined the comment
+ */
+async function quarantineComment(db, commentId, { reason, alert }) {
+  const commentRef = db.collection('comments').doc(commentId);
+  const quarantinedRef = db.collection('quarantined_comments').doc(commentId);
+
+  return db.runTransaction(async (transaction) => {
+    const [commentDoc, quarantinedDoc] = await Promise.all([
+      transaction.get(commentRef),
+      transaction.get(quarantinedRef)
+    ]);
+
+    if (quarantinedDoc.exists || !commentDoc.exists) {
+      return false;
+    }
+
+    const comment = commentDoc.data();
+    writeQuarantine(db, transaction, commentRef, comment, reason);
+    transaction.set(db.collection('moderation_alerts').doc(), {
+      ...alert(comment),
+      detectedAt: admin.firestore.FieldValue.serverTimestamp(),
+      status: 'pending'
+    });
+
+    return true;
+  });
+}
+
+/**
+ * Put a quarantined comment back into comments inside a transaction
+ *
+ * Reads first - call before any other writes in the transaction. The comment
+ * comes back with a server-set restoredAt, so moderateCommentOnCreate and the
+ * notification triggers leave it alone (clients can't write restoredAt, see
+ * firestore.rules) and restoreQuarantinedReplies brings its replies back.
+ *
+ * @param {Firestore} db
+ * @param {Transaction} transaction
+ * @param {string} commentId
+ * @returns {Promise<object|null>} The restored comment's fields, or null if
+ *   it isn't in quarantine
+ */
+async function restoreQuarantinedComment(db, transaction, commentId) {
+  const quarantinedRef = db.collection('quarantined_comments').doc(commentId);
+  const quarantinedDoc = await transaction.get(quarantinedRef);
+
+  if (!quarantinedDoc.exists) {
+    return null;
+  }
+
+  const { quarantinedAt, reason, ...comment } = quarantinedDoc.data();
+
+  transaction.set(db.collection('comments').doc(commentId), {
+    ...comment,
+    restoredAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  transaction.delete(quarantinedRef);
+
+  return comment;
+}
+
+module.exports = {
+  writeQuarantine,
+  quarantineComment,
+  restoreQuarantinedComment
+};
@@ -0,0 +1,299 @@
+/**
+ * Count reconciliation
+ *
+ * Shared by the reconcileCounts scheduled function and
+ * `stampbook-admin reconcile counts` in the repo root, so it takes its
+ * Firestore handle as an argument instead of using admin.firestore().
+ *
+ * Recomputes the denormalized counters from the collections they count:
+ *   users/{uid}.followerCount   - collectionGroup following where id == uid
+ *   users/{uid}.followingCount  - users/{uid}/following
+ *   users/{uid}.totalStamps     - users/{uid}/collectedStamps
+ *   collectedStamps.likeCount   - likes where postId == "{uid}-{stampId}"
+ *   collectedStamps.commentCount - comments where postId == "{uid}-{stampId}"
+ *
+ * Drift up to maxAutoFix is fixed in a transaction that counts again first
+ * (drift a trigger cleared in the meantime is left alone). Bigger drift is
+ * only reported - it usually means a bug or a bulk job still running.
+ * Negative or non-numeric counters are always fixed; recomputed values are
+ * never below 0.
+ *
+ * A like or follow whose trigger hasn't run yet can be counted twice; the
+ * next run corrects it.
+ *
+ * Users are scanned in ID order and a scheduled run resumes where the last
+ * one stopped (cursor in maintenance_state/count_reconciler). A run given
+ * userIds checks just those users and leaves the cursor alone. Every run
+ * that isn't a dry run writes a drift_reports doc listing what changed.
+ */
+
+const PAGE_SIZE = 100;
+const DEFAULT_TIME_BUDGET_MS = 8 * 60 * 1000; // Leaves headroom under a 9 minute timeout
+const DEFAULT_MAX_AUTO_FIX = 10;
+const MAX_REPORTED_CHANGES = 500; // Keeps the report doc well under 1 MB
+
+const STATE_COLLECTION = 'maintenance_state';
+const STATE_DOC_ID = 'count_reconciler';
+
+/**
+ * What to do about one counter
+ *
+ * @param {*} stored - Field value on the doc (may be missing or not a number)
+ * @param {number} actual - Recomputed count
+ * @param {number} maxAutoFix - Largest drift fixed without review
+ * @returns {'fix'|'review'|null} null when there's no drift
+ */
+function classifyDrift(stored, actual, maxAutoFix) {
+  const isNumber = typeof stored === 'number' && Number.isFinite(stored);
+  if (isNumber ? stored === actual : actual === 0) {
+    return null;
+  }
+  if (!isNumber || stored < 0 || Math.abs(actual - stored) <= maxAutoFix) {
+    return 'fix';
+  }
+  return 'review';
+}
+
+/**
+ * Count queries for a user's profile counters
+ */
+function userCountQueries(db, userRef) {
+  return {
+    followerCount: db.collectionGroup('following').where('id', '==', userRef.id).count(),
+    followingCount: userRef.collection('following').count(),
+    totalStamps: userRef.collection('collectedStamps').count()
+  };
+}
+
+/**
+ * Count queries for a post's engagement counters
+ */
+function postCountQueries(db, postRef) {
+  const postId = `${postRef.parent.parent.id}-${postRef.id}`;
+  return {
+    likeCount: db.collection('likes').where('postId', '==', postId).count(),
+    commentCount: db.collection('comments').where('postId', '==', postId).count()
+  };
+}
+
+/**
+ * Run a reconciliation pass
+ *
+ * @param {object} options
+ * @param {Firestore} options.db
+ * @param {number} [options.maxAutoFix] - Largest drift fixed without review (Infinity = fix everything)
+ * @param {number} [options.timeBudgetMs] - Stop starting new pages after this
+ * @param {boolean} [options.resume] - Start at the saved cursor, and save where this run stops
+ * @param {string[]} [options.userIds] - Only check these users (no cursor)
+ * @param {boolean} [options.dryRun] - Count only, change nothing, write no report
+ * @param {string} [options.trigger] - Recorded on the report ('schedule', 'script')
+ * @param {function} [options.log]
+ * @returns {Promise<object>} Run summary (same shape as the drift_reports doc)
+ */
+async function runCountReconciliation({
+  db,
+  maxAutoFix = DEFAULT_MAX_AUTO_FIX,
+  timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+  resume = true,
+  userIds = null,
+  dryRun = false,
+  trigger = 'schedule',
+  log = console.log
+}) {
+  const startedAt = new Date();
+  const deadline = startedAt.getTime() + timeBudgetMs;
+  const outOfTime = () => Date.now() >= deadline;
+
+  const counts = {
+    usersChecked: 0,
+    postsChecked: 0,
+    drifted: 0,
+    fixed: 0,
+    needsReview: 0,
+    failed: 0
+  };
+  const changes = [];
+  let changesTruncated = false;
+
+  const record = (change) => {
+    if (changes.length < MAX_REPORTED_CHANGES) {
+      changes.push(change);
+    } else {
+      changesTruncated = true;
+    }
+  };
+
+  /**
+   * Compare one doc's counters with their counts, and fix what's in range
+   */
+  async function reconcileDoc(doc, queries) {
+    const fields = Object.keys(queries);
+    const snapshots = await Promise.all(fields.map(field => queries[field].get()));
+    const data = doc.data();
+
+    const toFix = [];
+    fields.forEach((field, index) => {
+      const actual = snapshots[index].data().count;
+      const action = classifyDrift(data[field], actual, maxAutoFix);
+      if (!action) {
+        return;
+      }
+
+      counts.drifted++;
+      const change = { path: doc.ref.path, field, stored: data[field] === undefined ? null : data[field], actual };
+      if (action === 'review') {
+        counts.needsReview++;
+        record({ ...change, status: 'needs_review' });
+        log(`   ⚠️  ${doc.ref.path} ${field}: stored=${change.stored}, actual=${actual} (over the auto-fix limit)`);
+      } else if (dryRun) {
+        record({ ...change, status: 'would_fix' });
+        log(`   💡 ${doc.ref.path} ${field}: stored=${change.stored}, actual=${actual}`);
+      } else {
+        toFix.push(change);
+      }
+    });
+
+    if (toFix.length === 0) {
+      return;
+    }
+
+    try {
+      const fixed = await db.runTransaction(async (transaction) => {
+        const current = await transaction.get(doc.ref);
+        if (!current.exists) {
+          return {};
+        }
+        const recounts = await Promise.all(toFix.map(change => transaction.get(queries[change.field])));
+
+        const update = {};
+        toFix.forEach((change, index) => {
+          const actual = recounts[index].data().count;
+          if (classifyDrift(current.data()[change.field], actual, maxAutoFix) === 'fix') {
+            update[change.field] = actual;
+          }
+        });
+        if (Object.keys(update).length > 0) {
+          transaction.update(doc.ref, update);
+        }
+        return update;
+      });
+
+      for (const change of toFix) {
+        if (fixed[change.field] !== undefined) {
+          counts.fixed++;
+          record({ ...change, actual: fixed[change.field], status: 'fixed' });
+          log(`   ✅ ${doc.ref.path} ${change.field}: ${change.stored} → ${fixed[change.field]}`);
+        }
+      }
+    } catch (error) {
+      counts.failed += toFix.length;
+      console.error(`❌ Failed to fix counts on ${doc.ref.path}:`, error.message);
+    }
+  }
+
+  /**
+   * A user's profile counters, then the counters on each of their posts
+   */
+  async function reconcileUser(userDoc) {
+    await reconcileDoc(userDoc, userCountQueries(db, userDoc.ref));
+
+    const posts = await userDoc.ref.collection('collectedStamps').select('likeCount', 'commentCount').get();
+    for (const postDoc of posts.docs) {
+      await reconcileDoc(postDoc, postCountQueries(db, postDoc.ref));
+    }
+
+    counts.usersChecked++;
+    counts.postsChecked += posts.size;
+  }
+
+  /**
+   * Build the run summary and write it to drift_reports
+   */
+  async function finish(complete, resumedFrom) {
+    const summary = {
+      task: 'count_reconciliation',
+      trigger,
+      dryRun,
+      complete,
+      resumedFrom,
+      userIds,
+      maxAutoFix: Number.isFinite(maxAutoFix) ? maxAutoFix : null,
+      counts,
+      changes,
+      changesTruncated,
+      startedAt,
+      finishedAt: new Date()
+    };
+
+    if (!dryRun) {
+      await db.collection('drift_reports').add(summary);
+    }
+
+    return summary;
+  }
+
+  if (userIds) {
+    let checked = 0;
+    for (const userId of userIds) {
+      if (outOfTime()) {
+        break;
+      }
+      const userDoc = await db.collection('users').doc(userId).get();
+      if (userDoc.exists) {
+        await reconcileUser(userDoc);
+      } else {
+        log(`   ⚠️  users/${userId} not found`);
+      }
+      checked++;
+    }
+    return finish(checked === userIds.length, null);
+  }
+
+  const stateRef = db.collection(STATE_COLLECTION).doc(STATE_DOC_ID);
+  let cursor = null;
+  if (resume) {
+    const stateDoc = await stateRef.get();
+    cursor = stateDoc.exists ? stateDoc.data().userCursor || null : null;
+  }
+  const resumedFrom = cursor;
+
+  let complete = false;
+  while (!outOfTime()) {
+    // '__name__' = document ID order, so the cursor is just an ID
+    let query = db.collection('users')
+      .select('followerCount', 'followingCount', 'totalStamps')
+      .orderBy('__name__')
+      .limit(PAGE_SIZE);
+    if (cursor) {
+      query = query.startAfter(cursor);
+    }
+    const snapshot = await query.get();
+
+    // Users with many posts take a while - the time check is per user
+    let checked = 0;
+    for (const userDoc of snapshot.docs) {
+      if (outOfTime()) {
+        break;
+      }
+      await reconcileUser(userDoc);
+      checked++;
+    }
+
+    complete = checked === snapshot.size && snapshot.size < PAGE_SIZE;
+    cursor = complete ? null : (checked > 0 ? snapshot.docs[checked - 1].id : cursor);
+    if (resume && !dryRun) {
+      await stateRef.set({ userCursor: cursor, updatedAt: new Date() }, { merge: true });
+    }
+    if (complete || checked < snapshot.size) {
+      break;
+    }
+  }
+
+  return finish(complete, resumedFrom);
+}
+
+module.exports = {
+  DEFAULT_MAX_AUTO_FIX,
+  classifyDrift,
+  runCountReconciliation
+};
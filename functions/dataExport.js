@@ -0,0 +1,324 @@
+const {onCall, HttpsError} = require('firebase-functions/v2/https');
+const {onDocumentCreated} = require('firebase-functions/v2/firestore');
+const {onSchedule} = require('firebase-functions/v2/scheduler');
+const admin = require('firebase-admin');
+const archiver = require('archiver');
+const {createNotification, sourceKey} = require('./notifications');
+
+/**
+ * Data export ("Download my data")
+ *
+ * requestDataExport adds users/{uid}/dataExports/{exportId}. buildDataExport
+ * picks it up, writes a ZIP to Storage and notifies the user (type
+ * data_export) once the download link is on the doc.
+ *
+ * users/{uid}/dataExports/{exportId}: {
+ *   status       - requested → ready | failed, ready → expired
+ *   requestedAt, completedAt
+ *   storagePath  - users/{uid}/exports/{exportId}.zip
+ *   downloadUrl  - Signed URL, valid until expiresAt
+ *   expiresAt
+ *   counts       - Docs per file, plus photos
+ *   sizeBytes
+ *   error        - Why a failed export failed
+ * }
+ *
+ * The ZIP holds profile.json, collected_stamps.json, comments.json,
+ * likes.json, follows.json, notifications.json and the original photos
+ * (photos/ mirrors the user's folder in Storage).
+ *
+ * Only these functions write dataExports - firestore.rules let the owner
+ * read them. The ZIP lives under users/{uid}/ in Storage, so account
+ * deletion removes it along with the photos; expireDataExports removes it
+ * once the link has run out.
+ */
+
+const LINK_TTL_MS = 24 * 60 * 60 * 1000;
+const EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000; // One new export per day
+
+/**
+ * Firestore values as plain JSON (timestamps → ISO strings, references → paths)
+ */
+function toExportValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof admin.firestore.GeoPoint) {
+    return { latitude: value.latitude, longitude: value.longitude };
+  }
+  if (value instanceof admin.firestore.DocumentReference) {
+    return value.path;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toExportValue);
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toExportValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * One exported doc: its ID plus its data
+ */
+function exportDoc(doc) {
+  return { id: doc.id, ...toExportValue(doc.data()) };
+}
+
+/**
+ * Where a Storage file goes in the ZIP
+ *
+ * @returns {string|null} null for files that aren't the user's own uploads
+ *   (earlier exports)
+ */
+function exportEntryName(userId, filePath) {
+  const prefix = `users/${userId}/`;
+  if (!filePath.startsWith(prefix) || filePath.endsWith('/')) {
+    return null;
+  }
+  const relative = filePath.slice(prefix.length);
+  if (relative.startsWith('exports/')) {
+    return null;
+  }
+  return `photos/${relative}`;
+}
+
+/**
+ * Whether a request should get the user's latest export instead of a new one
+ *
+ * Exports still being built are always reused. Finished ones are reused while
+ * their link works, until the cooldown is over.
+ *
+ * @param {object|null} latest - Latest dataExports doc data
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function shouldReuseExport(latest, now = new Date()) {
+  if (!latest) {
+    return false;
+  }
+  if (latest.status === 'requested') {
+    return true;
+  }
+  if (latest.status !== 'ready') {
+    return false;
+  }
+
+  const requestedAt = latest.requestedAt ? latest.requestedAt.toDate() : new Date(0);
+  const expiresAt = latest.expiresAt ? latest.expiresAt.toDate() : new Date(0);
+  return now - requestedAt < EXPORT_COOLDOWN_MS && expiresAt > now;
+}
+
+/**
+ * Collect the Firestore side of a user's data
+ *
+ * @returns {Promise<Object<string, object>>} File name → contents
+ */
+async function gatherUserData(userId) {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+
+  const [profile, collectedStamps, comments, likes, following, followers, notifications] = await Promise.all([
+    userRef.get(),
+    userRef.collection('collectedStamps').get(),
+    db.collection('comments').where('userId', '==', userId).get(),
+    db.collection('likes').where('userId', '==', userId).get(),
+    userRef.collection('following').get(),
+    db.collectionGroup('following').where('id', '==', userId).get(),
+    db.collection('notifications').where('recipientId', '==', userId).get()
+  ]);
+
+  return {
+    'profile.json': profile.exists ? exportDoc(profile) : null,
+    'collected_stamps.json': collectedStamps.docs.map(exportDoc),
+    'comments.json': comments.docs.map(exportDoc),
+    'likes.json': likes.docs.map(exportDoc),
+    'follows.json': {
+      following: following.docs.map(exportDoc),
+      followers: followers.docs.map(doc => ({ ...exportDoc(doc), id: doc.ref.parent.parent.id }))
+    },
+    'notifications.json': notifications.docs.map(exportDoc)
+  };
+}
+
+/**
+ * Write a user's ZIP to Storage
+ *
+ * @returns {Promise<{counts: object, sizeBytes: number}>}
+ */
+async function writeExportZip(userId, storagePath) {
+  const bucket = admin.storage().bucket();
+  const files = await gatherUserData(userId);
+  const [uploads] = await bucket.getFiles({ prefix: `users/${userId}/` });
+
+  const counts = {};
+  Object.entries(files).forEach(([name, contents]) => {
+    const key = name.replace('.json', '');
+    if (Array.isArray(contents)) {
+      counts[key] = contents.length;
+    } else if (key === 'follows') {
+      counts.following = contents.following.length;
+      counts.followers = contents.followers.length;
+    }
+  });
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const output = bucket.file(storagePath).createWriteStream({
+    resumable: false,
+    metadata: {
+      contentType: 'application/zip',
+      contentDisposition: 'attachment; filename="stampbook-data.zip"'
+    }
+  });
+  const uploaded = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  Object.entries(files).forEach(([name, contents]) => {
+    archive.append(JSON.stringify(contents, null, 2), { name });
+  });
+
+  // One photo download at a time - each waits for the previous entry
+  counts.photos = 0;
+  for (const file of uploads) {
+    const name = exportEntryName(userId, file.name);
+    if (name) {
+      const written = new Promise(resolve => archive.once('entry', resolve));
+      // Photos are already compressed - store them as they are
+      archive.append(file.createReadStream(), { name, store: true });
+      await Promise.race([written, uploaded]);
+      counts.photos++;
+    }
+  }
+
+  await archive.finalize();
+  await uploaded;
+  return { counts, sizeBytes: archive.pointer() };
+}
+
+/**
+ * Cloud Function: Request an export of everything the caller has in Stampbook
+ *
+ * Returns the export to watch - an export still being built, or one whose
+ * link still works from the last day, is returned instead of starting over.
+ */
+exports.requestDataExport = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Must be signed in');
+  }
+
+  const userId = request.auth.uid;
+  const userExports = admin.firestore().collection('users').doc(userId).collection('dataExports');
+
+  const latest = await userExports.orderBy('requestedAt', 'desc').limit(1).get();
+  if (!latest.empty && shouldReuseExport(latest.docs[0].data())) {
+    const data = latest.docs[0].data();
+    return { exportId: latest.docs[0].id, status: data.status, downloadUrl: data.downloadUrl || null };
+  }
+
+  const ref = userExports.doc();
+  await ref.set({
+    status: 'requested',
+    requestedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  console.log(`📦 ${userId} requested a data export (${ref.id})`);
+  return { exportId: ref.id, status: 'requested', downloadUrl: null };
+});
+
+/**
+ * Firestore Trigger: Build a requested export and notify the user
+ *
+ * Not retried - a failed export is marked failed and the user can ask again.
+ */
+exports.buildDataExport = onDocumentCreated({
+  document: 'users/{userId}/dataExports/{exportId}',
+  timeoutSeconds: 540,
+  memory: '1GiB'
+}, async (event) => {
+  const { userId, exportId } = event.params;
+  const storagePath = `users/${userId}/exports/${exportId}.zip`;
+
+  try {
+    const { counts, sizeBytes } = await writeExportZip(userId, storagePath);
+    const expiresAt = new Date(Date.now() + LINK_TTL_MS);
+    const [downloadUrl] = await admin.storage().bucket().file(storagePath).getSignedUrl({
+      action: 'read',
+      expires: expiresAt
+    });
+
+    await event.data.ref.update({
+      status: 'ready',
+      storagePath,
+      downloadUrl,
+      expiresAt,
+      counts,
+      sizeBytes,
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.log(`✅ Data export ${exportId} for ${userId} ready (${sizeBytes} bytes, ${counts.photos} photos)`);
+  } catch (error) {
+    console.error(`❌ Data export ${exportId} for ${userId} failed:`, error);
+    await event.data.ref.update({
+      status: 'failed',
+      error: error.message || String(error),
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return null;
+  }
+
+  await createNotification({
+    recipientId: userId,
+    actorId: userId,
+    type: 'data_export',
+    sourceKey: sourceKey('data_export', userId, exportId)
+  });
+  return null;
+});
+
+/**
+ * Scheduled Function: Delete export ZIPs whose link has expired
+ *
+ * Runs daily at 3am Pacific; the dataExports doc stays (status expired) so the app can
+ * offer a new export.
+ */
+exports.expireDataExports = onSchedule({
+  schedule: '0 3 * * *',
+  timeZone: 'America/Los_Angeles'
+}, async (event) => {
+  const db = admin.firestore();
+  const bucket = admin.storage().bucket();
+
+  const snapshot = await db.collectionGroup('dataExports')
+    .where('expiresAt', '<=', new Date())
+    .get();
+
+  for (const doc of snapshot.docs) {
+    const { storagePath } = doc.data();
+    if (storagePath) {
+      await bucket.file(storagePath).delete({ ignoreNotFound: true });
+    }
+    await doc.ref.update({
+      status: 'expired',
+      downloadUrl: admin.firestore.FieldValue.delete(),
+      expiresAt: admin.firestore.FieldValue.delete()
+    });
+  }
+
+  if (snapshot.size > 0) {
+    console.log(`🗑️ Expired ${snapshot.size} data exports`);
+  }
+});
+
+exports.toExportValue = toExportValue;
+exports.exportEntryName = exportEntryName;
+exports.shouldReuseExport = shouldReuseExport;
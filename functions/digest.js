@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const {defineSecret} = require('firebase-functions/params');
+
+/**
+ * Weekly email digest
+ *
+ * Users opt in with emailDigest: true on users/{userId}/settings/notifications.
+ * Each run emails a summary of notifications that are still unread and arrived
+ * since the previous digest ("5 new followers, 12 likes on Hopi Point"), then
+ * stores lastDigestAt on the user doc.
+ *
+ * Nothing unread → no email (lastDigestAt still moves forward).
+ *
+ * Every email carries a signed unsubscribe link (and List-Unsubscribe
+ * headers for one-click unsubscribe in mail clients) pointing at the
+ * unsubscribeDigest function, which turns emailDigest off. Links are signed
+ * with the DIGEST_UNSUBSCRIBE_SECRET secret:
+ *   firebase functions:secrets:set DIGEST_UNSUBSCRIBE_SECRET
+ * Changing the secret invalidates the links in emails already sent.
+ */
+
+const DIGEST_INTERVAL_DAYS = 7;
+
+// Users who got a digest more recently than this are skipped, so a re-run
+// (or a retry after a timeout) doesn't email anyone twice
+const MIN_DIGEST_GAP_MS = 6 * 24 * 60 * 60 * 1000;
+
+const MAX_NOTIFICATIONS_PER_DIGEST = 500;
+
+const unsubscribeSecret = defineSecret('DIGEST_UNSUBSCRIBE_SECRET');
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Group notifications into summary lines
+ *
+ * Aggregated notifications count every actor (actorCount).
+ *
+ * @param {object[]} notifications - Notification doc data
+ * @param {object} stampNames - { stampId: name }
+ * @returns {string[]} e.g. ['5 new followers', '12 likes on Hopi Point']
+ */
+function summarizeNotifications(notifications, stampNames = {}) {
+  let followers = 0;
+  let replies = 0;
+  let mentions = 0;
+  const likesByStamp = new Map();
+  const commentsByStamp = new Map();
+
+  for (const notification of notifications) {
+    const count = notification.actorCount || 1;
+
+    if (notification.type === 'follow') {
+      followers += count;
+    } else if (notification.type === 'reply') {
+      replies += count;
+    } else if (notification.type === 'mention') {
+      mentions += count;
+    } else if (notification.type === 'like' || notification.type === 'comment') {
+      const byStamp = notification.type === 'like' ? likesByStamp : commentsByStamp;
+      const key = notification.stampId || '';
+      byStamp.set(key, (byStamp.get(key) || 0) + count);
+    }
+  }
+
+  const stampLabel = stampId => stampNames[stampId] || 'your stamp';
+  const byCount = (a, b) => b[1] - a[1];
+
+  const lines = [];
+  if (followers > 0) {
+    lines.push(plural(followers, 'new follower'));
+  }
+  for (const [stampId, count] of [...likesByStamp].sort(byCount)) {
+    lines.push(`${plural(count, 'like')} on ${stampLabel(stampId)}`);
+  }
+  for (const [stampId, count] of [...commentsByStamp].sort(byCount)) {
+    lines.push(`${plural(count, 'comment')} on ${stampLabel(stampId)}`);
+  }
+  if (replies > 0) {
+    lines.push(`${plural(replies, 'reply', 'replies')} to your comments`);
+  }
+  if (mentions > 0) {
+    lines.push(plural(mentions, 'mention'));
+  }
+  return lines;
+}
+
+/**
+ * Unsubscribe token for a user (HMAC of the user ID)
+ */
+function unsubscribeToken(userId, secret) {
+  return crypto.createHmac('sha256', secret)
+    .update(`digest-unsubscribe:${userId}`)
+    .digest('base64url');
+}
+
+/**
+ * Check an unsubscribe token (constant time)
+ */
+function verifyUnsubscribeToken(userId, token, secret) {
+  if (!secret || typeof userId !== 'string' || !userId || typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(unsubscribeToken(userId, secret));
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Base URL of the unsubscribeDigest function
+ *
+ * DIGEST_UNSUBSCRIBE_URL overrides it (custom domain, other region).
+ */
+function unsubscribeBaseUrl() {
+  if (process.env.DIGEST_UNSUBSCRIBE_URL) {
+    return process.env.DIGEST_UNSUBSCRIBE_URL;
+  }
+  const projectId = process.env.GCLOUD_PROJECT || JSON.parse(process.env.FIREBASE_CONFIG || '{}').projectId;
+  return `https://us-central1-${projectId}.cloudfunctions.net/unsubscribeDigest`;
+}
+
+/**
+ * Signed unsubscribe link for a user
+ */
+function unsubscribeUrl(baseUrl, userId, secret) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('uid', userId);
+  url.searchParams.set('token', unsubscribeToken(userId, secret));
+  return url.toString();
+}
+
+/**
+ * Headers that let mail clients unsubscribe in one click (RFC 8058)
+ */
+function unsubscribeHeaders(url) {
+  return {
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+/**
+ * Build the digest email
+ *
+ * @param {object} params - { displayName, notifications, stampNames, unsubscribeUrl }
+ * @returns {{subject: string, text: string, html: string, headers: object, lines: string[]} | null}
+ *   null when there's nothing to report
+ */
+function composeDigest({ displayName, notifications, stampNames, unsubscribeUrl: unsubscribeLink }) {
+  const lines = summarizeNotifications(notifications, stampNames);
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const greeting = displayName ? `Hi ${displayName},` : 'Hi,';
+  const headline = lines.length > 2
+    ? `${lines.slice(0, 2).join(', ')} and more`
+    : lines.join(' and ');
+
+  const text = [
+    greeting,
+    '',
+    'Here\'s what you missed on Stampbook this week:',
+    '',
+    ...lines.map(line => `- ${line}`),
+    '',
+    'Open Stampbook to catch up.',
+    '',
+    'You get this email because you turned on the weekly digest in notification settings.',
+    ...(unsubscribeLink ? [`Unsubscribe: ${unsubscribeLink}`] : [])
+  ].join('\n');
+
+  const html = [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: -apple-system, Helvetica, Arial, sans-serif; color: #222;">',
+    `<p>${escapeHtml(greeting)}</p>`,
+    '<p>Here&#39;s what you missed on Stampbook this week:</p>',
+    '<ul>',
+    ...lines.map(line => `<li>${escapeHtml(line)}</li>`),
+    '</ul>',
+    '<p>Open Stampbook to catch up.</p>',
+    '<p style="color: #888; font-size: 12px;">You get this email because you turned on the weekly digest in notification settings.'
+      + (unsubscribeLink ? ` <a href="${escapeHtml(unsubscribeLink)}" style="color: #888;">Unsubscribe</a>` : '')
+      + '</p>',
+    '</body></html>'
+  ].join('\n');
+
+  return {
+    subject: `Your week on Stampbook: ${headline}`,
+    text,
+    html,
+    headers: unsubscribeLink ? unsubscribeHeaders(unsubscribeLink) : {},
+    lines
+  };
+}
+
+/**
+ * Look up stamp names for the stamps mentioned in notifications
+ */
+async function loadStampNames(notifications) {
+  const stampIds = [...new Set(notifications.map(n => n.stampId).filter(Boolean))];
+  if (stampIds.length === 0) {
+    return {};
+  }
+
+  const db = admin.firestore();
+  const docs = await db.getAll(...stampIds.map(id => db.collection('stamps').doc(id)));
+  const names = {};
+  for (const doc of docs) {
+    if (doc.exists && doc.data().name) {
+      names[doc.id] = doc.data().name;
+    }
+  }
+  return names;
+}
+
+/**
+ * Send one user's digest
+ *
+ * @param {string} userId
+ * @param {object} options - { transport, now: Date, unsubscribe: { baseUrl, secret } }
+ * @returns {Promise<{status: 'sent' | 'empty' | 'skipped', reason?: string}>}
+ */
+async function sendDigestForUser(userId, { transport, now = new Date(), unsubscribe }) {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+
+  if (!userDoc.exists) {
+    return { status: 'skipped', reason: 'no_profile' };
+  }
+
+  const user = userDoc.data();
+  const lastDigestAt = user.lastDigestAt ? user.lastDigestAt.toDate() : null;
+
+  if (lastDigestAt && now.getTime() - lastDigestAt.getTime() < MIN_DIGEST_GAP_MS) {
+    return { status: 'skipped', reason: 'recent_digest' };
+  }
+
+  let email = null;
+  try {
+    email = (await admin.auth().getUser(userId)).email || null;
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      throw error;
+    }
+  }
+  if (!email) {
+    return { status: 'skipped', reason: 'no_email' };
+  }
+
+  const since = lastDigestAt || new Date(now.getTime() - DIGEST_INTERVAL_DAYS * 24 * 60 * 60 * 1000);
+
+  const snapshot = await db.collection('notifications')
+    .where('recipientId', '==', userId)
+    .where('isRead', '==', false)
+    .where('createdAt', '>', admin.firestore.Timestamp.fromDate(since))
+    .orderBy('createdAt', 'desc')
+    .limit(MAX_NOTIFICATIONS_PER_DIGEST)
+    .get();
+
+  const notifications = snapshot.docs.map(doc => doc.data());
+  const digest = composeDigest({
+    displayName: user.displayName,
+    notifications,
+    stampNames: await loadStampNames(notifications),
+    unsubscribeUrl: unsubscribe ? unsubscribeUrl(unsubscribe.baseUrl, userId, unsubscribe.secret) : null
+  });
+
+  if (digest) {
+    await transport.send({
+      to: email,
+      subject: digest.subject,
+      text: digest.text,
+      html: digest.html,
+      headers: digest.headers
+    });
+  }
+
+  await userRef.update({ lastDigestAt: admin.firestore.Timestamp.fromDate(now) });
+
+  return { status: digest ? 'sent' : 'empty' };
+}
+
+/**
+ * Handle a request to the unsubscribe link
+ *
+ * GET shows a confirmation button (link scanners follow GETs, so a GET
+ * alone never unsubscribes). POST - the button, or a mail client's
+ * one-click unsubscribe - turns emailDigest off.
+ *
+ * @param {object} db - Firestore
+ * @param {object} req - { method, query: { uid, token } }
+ * @param {object} res - Express-style response
+ * @param {string} secret - Signing secret
+ */
+async function handleUnsubscribeRequest(db, req, res, secret) {
+  const { uid: userId, token } = req.query || {};
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.set('Allow', 'GET, POST').status(405).send('Method not allowed');
+    return;
+  }
+  if (!verifyUnsubscribeToken(userId, token, secret)) {
+    res.status(400).send(unsubscribePage('This unsubscribe link is invalid. You can turn off the weekly digest in the app\'s notification settings.'));
+    return;
+  }
+
+  if (req.method === 'GET') {
+    res.status(200).send(unsubscribePage(
+      'Stop getting the weekly Stampbook digest?',
+      '<form method="POST"><button type="submit">Unsubscribe</button></form>'
+    ));
+    return;
+  }
+
+  await db.collection('users').doc(userId)
+    .collection('settings').doc('notifications')
+    .set({ emailDigest: false }, { merge: true });
+  console.log(`📧 ${userId} unsubscribed from the weekly digest`);
+
+  res.status(200).send(unsubscribePage('You\'re unsubscribed from the weekly digest. You can turn it back on in the app\'s notification settings.'));
+}
+
+function unsubscribePage(message, extraHtml = '') {
+  return [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: -apple-system, Helvetica, Arial, sans-serif; color: #222;">',
+    `<p>${escapeHtml(message)}</p>`,
+    extraHtml,
+    '</body></html>'
+  ].join('\n');
+}
+
+module.exports = {
+  unsubscribeSecret,
+  summarizeNotifications,
+  composeDigest,
+  unsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeBaseUrl,
+  unsubscribeUrl,
+  sendDigestForUser,
+  handleUnsubscribeRequest
+};
@@ -0,0 +1,400 @@
+const {onObjectFinalized} = require('firebase-functions/v2/storage');
+const {onDocumentWritten} = require('firebase-functions/v2/firestore');
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+/**
+ * Image moderation for user photo uploads
+ *
+ * Every upload to users/{userId}/stamps/{stampId}/{filename} or
+ * users/{userId}/profile_photo/{filename} runs through the active classifier.
+ * Flagged images are moved to quarantine/{original path} (no client access,
+ * see storage.rules), taken off the post or profile that shows them, and a
+ * flagged_image moderation alert is opened. An admin "revert" puts both back.
+ *
+ * The app uploads a photo before it writes the path to the post, so the post
+ * may not list it yet when the image is quarantined - detachQuarantinedImagePaths
+ * takes such paths off once they're written.
+ *
+ * Classifier interface (swap in a real vision API with setImageClassifier):
+ * {
+ *   name: string,
+ *   classify(image) → Promise<{ flagged: boolean, labels: string[], score: number }>
+ * }
+ * where image = { filePath, contentType, size, readBytes(start?, end?) → Promise<Buffer> }
+ */
+
+const QUARANTINE_PREFIX = 'quarantine/';
+
+// Custom metadata on images an admin restored from quarantine
+const APPROVED_METADATA_KEY = 'moderationApproved';
+
+const STAMP_PHOTO_PATH = /^users\/([^/]+)\/stamps\/([^/]+)\/([^/]+)$/;
+const PROFILE_PHOTO_PATH = /^users\/([^/]+)\/profile_photo\/([^/]+)$/;
+
+// ISO-BMFF brands for HEIC/HEIF/AVIF ('ftyp' alone would also match MP4 video)
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'mif1', 'msf1', 'avif'];
+
+// File signatures for formats the app uploads
+const IMAGE_SIGNATURES = [
+  { format: 'jpeg', test: bytes => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF },
+  { format: 'png', test: bytes => bytes.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+  { format: 'gif', test: bytes => bytes.slice(0, 4).toString('ascii') === 'GIF8' },
+  { format: 'webp', test: bytes => bytes.slice(0, 4).toString('ascii') === 'RIFF' && bytes.slice(8, 12).toString('ascii') === 'WEBP' },
+  { format: 'heic', test: bytes => bytes.slice(4, 8).toString('ascii') === 'ftyp' && HEIF_BRANDS.includes(bytes.slice(8, 12).toString('ascii')) }
+];
+
+/**
+ * Local heuristic classifier (no external service)
+ *
+ * Flags:
+ * - not_an_image: content doesn't match any image signature (renamed files,
+ *   payloads smuggled past the image/* content type check in storage.rules)
+ * - blocked_hash: exact SHA-256 match against config/moderation.blockedImageHashes
+ *   (re-uploads of images admins already removed)
+ */
+function createHeuristicClassifier() {
+  return {
+    name: 'heuristic',
+
+    async classify(image) {
+      const header = await image.readBytes(0, 15);
+      const isImage = IMAGE_SIGNATURES.some(signature => signature.test(header));
+
+      if (!isImage) {
+        return { flagged: true, labels: ['not_an_image'], score: 1 };
+      }
+
+      const blockedHashes = await loadBlockedImageHashes();
+      if (blockedHashes.size > 0) {
+        const hash = crypto.createHash('sha256').update(await image.readBytes()).digest('hex');
+        if (blockedHashes.has(hash)) {
+          return { flagged: true, labels: ['blocked_hash'], score: 1 };
+        }
+      }
+
+      return { flagged: false, labels: [], score: 0 };
+    }
+  };
+}
+
+async function loadBlockedImageHashes() {
+  try {
+    const doc = await admin.firestore().collection('config').doc('moderation').get();
+    const hashes = doc.exists ? doc.data().blockedImageHashes : null;
+    return new Set(Array.isArray(hashes) ? hashes.map(hash => String(hash).toLowerCase()) : []);
+  } catch (error) {
+    console.error('❌ Failed to load blocked image hashes:', error);
+    return new Set();
+  }
+}
+
+let activeClassifier = createHeuristicClassifier();
+
+/**
+ * Replace the classifier (real vision API, or a stub in tests)
+ */
+function setImageClassifier(classifier) {
+  if (!classifier || typeof classifier.classify !== 'function') {
+    throw new Error('Image classifier must implement classify(image)');
+  }
+  activeClassifier = classifier;
+}
+
+/**
+ * Work out who owns an uploaded file and what it belongs to
+ *
+ * @returns {object|null} null for paths we don't moderate
+ */
+function parseUploadPath(filePath) {
+  const stampMatch = filePath.match(STAMP_PHOTO_PATH);
+  if (stampMatch) {
+    const [, userId, stampId] = stampMatch;
+    return {
+      kind: 'stamp_photo',
+      userId,
+      stampId,
+      postId: `${userId}-${stampId}`,
+      collectedStampPath: `users/${userId}/collectedStamps/${stampId}`
+    };
+  }
+
+  const profileMatch = filePath.match(PROFILE_PHOTO_PATH);
+  if (profileMatch) {
+    return { kind: 'profile_photo', userId: profileMatch[1], stampId: null, postId: null, collectedStampPath: null };
+  }
+
+  return null;
+}
+
+/**
+ * Take a quarantined image off the doc that shows it
+ *
+ * - stamp_photo: removed from userImagePaths / userImageNames on the post
+ * - profile_photo: avatarUrl cleared if it's this file's download URL
+ *
+ * @returns {Promise<object|null>} What was removed (stored on the alert for
+ *   reattachImage), or null if nothing referenced the image
+ */
+async function detachImage(db, owner, filePath) {
+  if (owner.kind === 'stamp_photo') {
+    const postRef = db.doc(owner.collectedStampPath);
+    return db.runTransaction(async (transaction) => {
+      const post = await transaction.get(postRef);
+      const paths = post.exists ? post.data().userImagePaths || [] : [];
+      const index = paths.indexOf(filePath);
+      if (index === -1) {
+        return null;
+      }
+
+      const names = post.data().userImageNames || [];
+      transaction.update(postRef, {
+        userImagePaths: paths.filter((_, i) => i !== index),
+        userImageNames: names.filter((_, i) => i !== index)
+      });
+      return { path: owner.collectedStampPath, index, imagePath: filePath, imageName: names[index] || null };
+    });
+  }
+
+  const profilePath = `users/${owner.userId}`;
+  const profileRef = db.doc(profilePath);
+  return db.runTransaction(async (transaction) => {
+    const profile = await transaction.get(profileRef);
+    const avatarUrl = profile.exists ? profile.data().avatarUrl : null;
+    // Download URLs carry the object path URL-encoded
+    if (typeof avatarUrl !== 'string' || !avatarUrl.includes(encodeURIComponent(filePath))) {
+      return null;
+    }
+
+    transaction.update(profileRef, { avatarUrl: admin.firestore.FieldValue.delete() });
+    return { path: profilePath, avatarUrl };
+  });
+}
+
+/**
+ * Undo detachImage for a flagged_image alert (inside the revert transaction,
+ * before any other writes)
+ *
+ * Skipped if the post is gone or the user has set a new profile photo since.
+ *
+ * @returns {Promise<object|null>} Audit log changes
+ */
+async function reattachImage(db, transaction, alert) {
+  const detached = alert.detached;
+  if (!detached) {
+    return null;
+  }
+
+  const ref = db.doc(detached.path);
+  const doc = await transaction.get(ref);
+  if (!doc.exists) {
+    return null;
+  }
+
+  if (detached.avatarUrl) {
+    if (doc.data().avatarUrl) {
+      return null;
+    }
+    transaction.update(ref, { avatarUrl: detached.avatarUrl });
+    return { path: detached.path, before: { avatarUrl: null }, after: { avatarUrl: detached.avatarUrl } };
+  }
+
+  const paths = doc.data().userImagePaths || [];
+  if (paths.includes(detached.imagePath)) {
+    return null;
+  }
+  const names = doc.data().userImageNames || [];
+  const index = Math.min(detached.index, paths.length);
+  const restoredPaths = [...paths.slice(0, index), detached.imagePath, ...paths.slice(index)];
+  transaction.update(ref, {
+    userImagePaths: restoredPaths,
+    userImageNames: [...names.slice(0, index), detached.imageName || '', ...names.slice(index)]
+  });
+  return { path: detached.path, before: { userImagePaths: paths }, after: { userImagePaths: restoredPaths } };
+}
+
+/**
+ * Moderate one uploaded object (exported for the trigger and for tests)
+ *
+ * @param {Firestore} db
+ * @param {Bucket} bucket - Storage bucket the object is in
+ * @returns {Promise<{flagged: boolean, quarantinePath?: string}>}
+ */
+async function moderateImage(db, bucket, filePath, contentType, size) {
+  const owner = parseUploadPath(filePath);
+  if (!owner) {
+    return { flagged: false };
+  }
+
+  const file = bucket.file(filePath);
+
+  const verdict = await activeClassifier.classify({
+    filePath,
+    contentType,
+    size,
+    readBytes: async (start, end) => {
+      const options = start === undefined ? {} : { start, end };
+      const [contents] = await file.download(options);
+      return contents;
+    }
+  });
+
+  if (!verdict.flagged) {
+    return { flagged: false };
+  }
+
+  const quarantinePath = `${QUARANTINE_PREFIX}${filePath}`;
+  console.error(`⚠️ Flagged image ${filePath} (${activeClassifier.name}: ${verdict.labels.join(', ')})`);
+
+  await file.move(quarantinePath);
+  const detached = await detachImage(db, owner, filePath);
+
+  await db.collection('moderation_alerts').add({
+    userId: owner.userId,
+    type: 'flagged_image',
+    kind: owner.kind,
+    filePath: filePath,
+    quarantinePath: quarantinePath,
+    bucket: bucket.name,
+    detached: detached,
+    stampId: owner.stampId,
+    postId: owner.postId,
+    collectedStampPath: owner.collectedStampPath,
+    classifier: activeClassifier.name,
+    labels: verdict.labels,
+    score: verdict.score,
+    detectedAt: admin.firestore.FieldValue.serverTimestamp(),
+    status: 'pending'
+  });
+
+  console.log(`🚫 Quarantined ${filePath} → ${quarantinePath}`);
+  return { flagged: true, quarantinePath };
+}
+
+/**
+ * Take quarantined photos off a post whose userImagePaths were just written
+ *
+ * Only paths new in this write are checked: one whose file is gone from its
+ * own path but sits in quarantine/ was flagged before the post listed it
+ * (detached: null on the alert). It's detached now and the pending alert
+ * records where it was, so a revert still puts it back.
+ *
+ * @param {Firestore} db
+ * @param {Bucket} bucket - Storage bucket with the post's photos
+ * @returns {Promise<string[]>} Paths taken off the post
+ */
+async function detachLateImagePaths(db, bucket, userId, stampId, before, after) {
+  const previous = new Set(before && Array.isArray(before.userImagePaths) ? before.userImagePaths : []);
+  const added = (Array.isArray(after.userImagePaths) ? after.userImagePaths : [])
+    .filter(path => typeof path === 'string' && !previous.has(path));
+
+  const detachedPaths = [];
+  for (const filePath of added) {
+    const owner = parseUploadPath(filePath);
+    if (!owner || owner.userId !== userId || owner.stampId !== stampId) {
+      continue;
+    }
+
+    const [exists] = await bucket.file(filePath).exists();
+    if (exists) {
+      continue;
+    }
+    const [quarantined] = await bucket.file(`${QUARANTINE_PREFIX}${filePath}`).exists();
+    if (!quarantined) {
+      continue; // Still uploading, or deleted - not ours to touch
+    }
+
+    const detached = await detachImage(db, owner, filePath);
+    if (!detached) {
+      continue;
+    }
+    detachedPaths.push(filePath);
+
+    const alerts = await db.collection('moderation_alerts')
+      .where('type', '==', 'flagged_image')
+      .where('filePath', '==', filePath)
+      .get();
+    for (const alert of alerts.docs) {
+      if (alert.data().status === 'pending' && !alert.data().detached) {
+        await alert.ref.update({ detached });
+      }
+    }
+  }
+
+  return detachedPaths;
+}
+
+/**
+ * Move a quarantined image back (admin "revert" on a flagged_image alert)
+ *
+ * The restored copy carries moderationApproved metadata so the finalize event
+ * it fires doesn't quarantine it again (clients can't set it, see storage.rules)
+ */
+async function restoreQuarantinedImage(alert) {
+  const quarantined = admin.storage().bucket(alert.bucket).file(alert.quarantinePath);
+  await quarantined.copy(alert.filePath, {
+    metadata: { metadata: { [APPROVED_METADATA_KEY]: 'true' } }
+  });
+  await quarantined.delete();
+  console.log(`♻️ Restored ${alert.quarantinePath} → ${alert.filePath}`);
+}
+
+/**
+ * Storage Trigger: Moderate user photo uploads
+ *
+ * Runs on every finalized object; ignores anything outside the user photo paths
+ * (including quarantine/ itself, so moves don't re-trigger moderation)
+ * and images an admin already restored
+ */
+exports.moderateUploadedImage = onObjectFinalized(async (event) => {
+  const { bucket, name, contentType, size, metadata } = event.data;
+
+  if (!name || name.startsWith(QUARANTINE_PREFIX) || !parseUploadPath(name)) {
+    return null;
+  }
+  if (metadata && metadata[APPROVED_METADATA_KEY] === 'true') {
+    return null; // Restored by an admin
+  }
+
+  try {
+    await moderateImage(admin.firestore(), admin.storage().bucket(bucket), name, contentType, Number(size));
+  } catch (error) {
+    console.error(`❌ Error moderating image ${name}:`, error);
+    throw error; // Re-throw so Cloud Functions logs the failure
+  }
+
+  return null;
+});
+
+/**
+ * Firestore Trigger: Take quarantined photos off a post
+ *
+ * Covers photos moderateUploadedImage quarantined before the app wrote their
+ * path to the post (see detachLateImagePaths)
+ */
+exports.detachQuarantinedImagePaths = onDocumentWritten('users/{userId}/collectedStamps/{stampId}', async (event) => {
+  const { userId, stampId } = event.params;
+  if (!event.data.after.exists) {
+    return null;
+  }
+
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  try {
+    const paths = await detachLateImagePaths(admin.firestore(), admin.storage().bucket(),
+      userId, stampId, before, event.data.after.data());
+    if (paths.length > 0) {
+      console.log(`🚫 Took quarantined photos off ${userId}-${stampId}: ${paths.join(', ')}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error checking photos on ${userId}-${stampId}:`, error);
+  }
+
+  return null;
+});
+
+exports.createHeuristicClassifier = createHeuristicClassifier;
+exports.setImageClassifier = setImageClassifier;
+exports.moderateImage = moderateImage;
+exports.restoreQuarantinedImage = restoreQuarantinedImage;
+exports.reattachImage = reattachImage;
+exports.detachLateImagePaths = detachLateImagePaths;
@@ -1,24 +1,21 @@
-const {onCall} = require('firebase-functions/v2/https');
-const {onDocumentWritten, onDocumentCreated} = require('firebase-functions/v2/firestore');
+const {onCall, onRequest, HttpsError} = require('firebase-functions/v2/https');
+const {onDocumentWritten, onDocumentCreated, onDocumentDeleted} = require('firebase-functions/v2/firestore');
 const {onSchedule} = require('firebase-functions/v2/scheduler');
 const admin = require('firebase-admin');
-const Filter = require('bad-words');
+const {getModerator} = require('./moderation');
+const {quarantineComment} = require('./commentQuarantine');
+const {shouldSuppressNotification, enforceBlock} = require('./relationships');
+const {createNotification, retractNotification, sourceKey, sendDeferredPushes, markAllNotificationsRead, applyUnreadCountDelta} = require('./notifications');
+const {resolveCommentMentions} = require('./mentions');
+const {notificationRecipients} = require('./replies');
+const {sendDigestForUser, handleUnsubscribeRequest, unsubscribeBaseUrl, unsubscribeSecret} = require('./digest');
+const {isMailConfigured, getMailTransport, smtpPass} = require('./mail');
+const {runNotificationCleanup} = require('./notificationCleanup');
+const {getNotificationConfig} = require('./notificationConfig');
+const {runCountReconciliation} = require('./countReconciler');
 
 admin.initializeApp();
 
-// Initialize profanity filter with custom settings
-const filter = new Filter();
-
-// Add custom reserved words (admin terms, brand names)
-const reservedWords = [
-  'admin', 'administrator', 'support', 'help', 'official', 'verified',
-  'stampbook', 'stamp_book', 'stamp', 'moderator', 'mod', 'staff',
-  'system', 'root', 'superuser'
-];
-
-// Add reserved words to filter
-filter.addWords(...reservedWords);
-
 /**
  * Cloud Function: Validate username and display name for profanity/reserved words
  * 
@@ -32,31 +29,27 @@ filter.addWords(...reservedWords);
  * 
  * Benefits:
  * - Server-side = can't be bypassed by reading source code
- * - Centralized = easy to update word list without app updates
+ * - Centralized = word lists live in config/moderation (see moderation.js)
  * - Secure = runs with admin privileges
  */
 exports.validateContent = onCall(async (request) => {
   const data = request.data;
   const { username, displayName, type = 'profile' } = data;
   
+  const moderator = await getModerator();
   const errors = {};
   
   // Validate username (if provided)
   if (username) {
     const cleanUsername = username.toLowerCase().trim();
     
-    // Check against profanity filter
-    if (filter.isProfane(cleanUsername)) {
-      errors.username = 'Username contains inappropriate content';
-    }
-    
-    // Additional check: substring matching for reserved words
-    // (bad-words library might miss some variations)
-    for (const word of reservedWords) {
-      if (cleanUsername.includes(word)) {
-        errors.username = 'Username contains reserved words';
-        break;
-      }
+    // Profanity, or a reserved word anywhere (substring match - the
+    // bad-words library might miss some variations)
+    const usernameIssue = moderator.checkText(cleanUsername, { kind: 'username' });
+    if (usernameIssue) {
+      errors.username = usernameIssue.reason === 'reserved_word'
+        ? 'Username contains reserved words'
+        : 'Username contains inappropriate content';
     }
     
     // Check length (3-20 characters)
@@ -77,7 +70,7 @@ exports.validateContent = onCall(async (request) => {
     const cleanDisplayName = displayName.trim();
     
     // Check against profanity filter
-    if (filter.isProfane(cleanDisplayName)) {
+    if (moderator.checkText(cleanDisplayName, { kind: 'displayName' })) {
       errors.displayName = 'Display name contains inappropriate content';
     }
     
@@ -123,16 +116,17 @@ exports.checkUsernameAvailability = onCall(async (request) => {
     return { available: false, reason: 'Username must be 3-20 characters' };
   }
   
-  // Check profanity
-  if (filter.isProfane(cleanUsername)) {
-    return { available: false, reason: 'Username contains inappropriate content' };
-  }
+  const moderator = await getModerator();
   
-  // Check reserved words
-  for (const word of reservedWords) {
-    if (cleanUsername.includes(word)) {
-      return { available: false, reason: 'Username contains reserved words' };
-    }
+  // Check profanity and reserved words (same check as validateContent)
+  const usernameIssue = moderator.checkText(cleanUsername, { kind: 'username' });
+  if (usernameIssue) {
+    return {
+      available: false,
+      reason: usernameIssue.reason === 'reserved_word'
+        ? 'Username contains reserved words'
+        : 'Username contains inappropriate content'
+    };
   }
   
   // Check if already taken in Firestore
@@ -158,6 +152,8 @@ exports.checkUsernameAvailability = onCall(async (request) => {
  * Cloud Function: Moderate comment text
  * 
  * Called before posting comments to filter profanity
+ * Advisory only (gives the user instant feedback) - enforcement happens in
+ * moderateCommentOnCreate, which also catches raw Firestore writes
  * 
  * Request: { text: string }
  * Response: { clean: boolean, filtered?: string }
@@ -170,25 +166,100 @@ exports.moderateComment = onCall(async (request) => {
     return { clean: false, error: 'Comment cannot be empty' };
   }
   
-  const isProfane = filter.isProfane(text);
+  const moderator = await getModerator();
   
-  if (isProfane) {
+  // Same check as moderateCommentOnCreate
+  if (moderator.checkText(text)) {
     // Option 1: Reject comment entirely
     return { clean: false, error: 'Comment contains inappropriate content' };
     
     // Option 2: Auto-filter profanity (uncomment if you prefer this approach)
-    // const filtered = filter.clean(text);
+    // const filtered = moderator.clean(text);
     // return { clean: true, filtered: filtered, wasFiltered: true };
   }
   
   return { clean: true };
 });
 
+/**
+ * Firestore Trigger: Enforce comment moderation on every new comment
+ * 
+ * Runs on every comments/{commentId} create, so it can't be skipped by
+ * writing to Firestore directly instead of calling moderateComment.
+ * 
+ * Profane comments are quarantined (commentQuarantine.js):
+ * - Moved to quarantined_comments/{commentId} (admin-only) for review
+ * - Removed from comments so no other user can read them
+ * - Post's commentCount comes down through updateCommentCount
+ * - A moderation_alerts entry is opened
+ * 
+ * Retried on failure - the quarantine is skipped once it has happened, so a
+ * retry never opens a second alert.
+ * 
+ * createCommentNotification runs the same check, so no notification is sent
+ * for a quarantined comment.
+ */
+exports.moderateCommentOnCreate = onDocumentCreated({
+  document: 'comments/{commentId}',
+  retry: true
+}, async (event) => {
+  const commentId = event.params.commentId;
+  const comment = event.data.data();
+  
+  // Put back by an admin - they've already reviewed it
+  if (comment.restoredAt || !(await isCommentQuarantined(comment))) {
+    return null;
+  }
+  
+  console.error(`⚠️ Profanity detected in comment ${commentId} by ${comment.userId}`);
+  
+  try {
+    const quarantined = await quarantineComment(admin.firestore(), commentId, {
+      reason: 'profanity',
+      alert: (current) => ({
+        userId: current.userId,
+        type: 'profanity_in_comment',
+        commentId: commentId,
+        postId: current.postId || null,
+        postOwnerId: current.postOwnerId || null,
+        text: current.text
+      })
+    });
+    
+    if (quarantined) {
+      console.log(`🚫 Quarantined comment ${commentId}`);
+    } else {
+      console.log(`ℹ️ Comment ${commentId} already quarantined or deleted`);
+    }
+  } catch (error) {
+    console.error(`❌ Error quarantining comment ${commentId}:`, error);
+    throw error; // Re-throw so the event is retried
+  }
+  
+  return null;
+});
+
+/**
+ * Whether a comment fails moderation and must be quarantined
+ * 
+ * Shared by moderateCommentOnCreate and createCommentNotification so both
+ * triggers (which run in parallel on the same create) agree.
+ */
+async function isCommentQuarantined(comment) {
+  if (!comment || typeof comment.text !== 'string') {
+    return false;
+  }
+  const moderator = await getModerator();
+  return moderator.checkText(comment.text) !== null;
+}
+
 /**
  * Firestore Trigger: Auto-moderate profile updates
  * 
  * Runs whenever a user profile is created or updated
- * Checks for profanity and flags/removes if found
+ * Checks username, displayName and bio for profanity and flags if found
+ * - username/displayName → profanity_in_profile alert
+ * - bio → profanity_in_bio alert
  * 
  * This is a safety net in case client-side validation is bypassed
  */
@@ -203,26 +274,28 @@ exports.moderateProfileOnWrite = onDocumentWritten('users/{userId}', async (even
     const newData = change.after.data();
     const oldData = change.before.exists ? change.before.data() : null;
     
-    // Check if username or displayName changed
+    // Check if username, displayName or bio changed
     const usernameChanged = !oldData || oldData.username !== newData.username;
     const displayNameChanged = !oldData || oldData.displayName !== newData.displayName;
+    const bioChanged = !oldData || oldData.bio !== newData.bio;
     
-    if (!usernameChanged && !displayNameChanged) {
+    if (!usernameChanged && !displayNameChanged && !bioChanged) {
       return null; // No changes to moderate
     }
     
+    const moderator = await getModerator();
     const issues = [];
     
-    // Check username
+    // Check username (profanity + reserved words anywhere, same as validateContent)
     if (usernameChanged && newData.username) {
-      if (filter.isProfane(newData.username.toLowerCase())) {
+      if (moderator.checkText(newData.username.toLowerCase(), { kind: 'username' })) {
         issues.push('username');
       }
     }
     
     // Check display name
     if (displayNameChanged && newData.displayName) {
-      if (filter.isProfane(newData.displayName)) {
+      if (moderator.checkText(newData.displayName, { kind: 'displayName' })) {
         issues.push('displayName');
       }
     }
@@ -232,14 +305,17 @@ exports.moderateProfileOnWrite = onDocumentWritten('users/{userId}', async (even
       console.error(`⚠️ Profanity detected in user ${context.params.userId}:`, issues);
       
       // Create moderation alert document
-      await admin.firestore().collection('moderation_alerts').add({
+      await raiseModerationAlert({
         userId: context.params.userId,
         type: 'profanity_in_profile',
         fields: issues,
         username: newData.username,
         displayName: newData.displayName,
-        detectedAt: admin.firestore.FieldValue.serverTimestamp(),
-        status: 'pending'
+        // What a "revert" resolution restores (see moderationQueue.js)
+        previousValues: {
+          username: oldData ? oldData.username || null : null,
+          displayName: oldData ? oldData.displayName || null : null
+        }
       });
       
       // Optional: Auto-revert to safe values (uncomment if desired)
@@ -258,8 +334,224 @@ exports.moderateProfileOnWrite = onDocumentWritten('users/{userId}', async (even
       */
     }
     
+    // Check bio (shown on profile to every signed-in user)
+    if (bioChanged && typeof newData.bio === 'string' && moderator.checkText(newData.bio)) {
+      console.error(`⚠️ Profanity detected in bio of user ${context.params.userId}`);
+      
+      await raiseModerationAlert({
+        userId: context.params.userId,
+        type: 'profanity_in_bio',
+        fields: ['bio'],
+        username: newData.username,
+        text: newData.bio,
+        previousValues: {
+          bio: oldData ? oldData.bio || null : null
+        }
+      });
+    }
+    
+    return null;
+  });
+
+/**
+ * Firestore Trigger: Moderate post notes
+ * 
+ * userNotes on a collected stamp is shown to other users in the feed,
+ * so it gets the shared profanity check (moderator.checkText)
+ * 
+ * Path: users/{userId}/collectedStamps/{stampId}
+ * Alert type: profanity_in_post_notes
+ */
+exports.moderatePostNotesOnWrite = onDocumentWritten('users/{userId}/collectedStamps/{stampId}', async (event) => {
+  const change = event.data;
+  const { userId, stampId } = event.params;
+  
+  if (!change.after.exists) {
+    return null;
+  }
+  
+  const newData = change.after.data();
+  const oldData = change.before.exists ? change.before.data() : null;
+  
+  if (typeof newData.userNotes !== 'string' || newData.userNotes.trim().length === 0) {
+    return null;
+  }
+  if (oldData && oldData.userNotes === newData.userNotes) {
+    return null; // Notes unchanged (e.g. likeCount update)
+  }
+  
+  const moderator = await getModerator();
+  if (!moderator.checkText(newData.userNotes)) {
     return null;
+  }
+  
+  console.error(`⚠️ Profanity detected in post notes: ${userId}/${stampId}`);
+  
+  await raiseModerationAlert({
+    userId: userId,
+    type: 'profanity_in_post_notes',
+    fields: ['userNotes'],
+    postId: `${userId}-${stampId}`,
+    stampId: stampId,
+    text: newData.userNotes,
+    previousValues: {
+      userNotes: oldData ? oldData.userNotes || null : null
+    }
   });
+  
+  return null;
+});
+
+/**
+ * Firestore Trigger: Moderate stamp suggestions
+ * 
+ * Checks every free-text field of a suggestion (single stamp and collection)
+ * with the shared profanity check (moderator.flaggedFields)
+ * Alert type: profanity_in_suggestion
+ */
+exports.moderateSuggestionOnCreate = onDocumentCreated('stamp_suggestions/{suggestionId}', async (event) => {
+  const suggestionId = event.params.suggestionId;
+  const suggestion = event.data.data();
+  
+  const texts = {
+    stampName: suggestion.stampName,
+    fullAddress: suggestion.fullAddress,
+    additionalNotes: suggestion.additionalNotes,
+    description: suggestion.description,
+    collectionName: suggestion.collectionName
+  };
+  
+  // Collection suggestions carry a description per stamp
+  if (Array.isArray(suggestion.stamps)) {
+    suggestion.stamps.forEach((stamp, index) => {
+      texts[`stamps.${index}.description`] = stamp && stamp.description;
+    });
+  }
+  
+  const moderator = await getModerator();
+  const issues = moderator.flaggedFields(texts);
+  
+  if (issues.length === 0) {
+    return null;
+  }
+  
+  console.error(`⚠️ Profanity detected in stamp suggestion ${suggestionId}:`, issues);
+  
+  await raiseModerationAlert({
+    userId: suggestion.userId || null,
+    type: 'profanity_in_suggestion',
+    fields: issues,
+    suggestionId: suggestionId
+  });
+  
+  return null;
+});
+
+/**
+ * Firestore Trigger: Moderate feedback messages
+ * 
+ * Feedback is admin-only, but abusive messages still get flagged
+ * (and tie back to the account that sent them) - same check as post notes
+ * Alert type: profanity_in_feedback
+ */
+exports.moderateFeedbackOnCreate = onDocumentCreated('feedback/{feedbackId}', async (event) => {
+  const feedbackId = event.params.feedbackId;
+  const feedback = event.data.data();
+  
+  if (typeof feedback.message !== 'string') {
+    return null;
+  }
+  
+  const moderator = await getModerator();
+  if (!moderator.checkText(feedback.message)) {
+    return null;
+  }
+  
+  console.error(`⚠️ Profanity detected in feedback ${feedbackId}`);
+  
+  await raiseModerationAlert({
+    userId: feedback.userId || null,
+    type: 'profanity_in_feedback',
+    fields: ['message'],
+    feedbackId: feedbackId
+  });
+  
+  return null;
+});
+
+/**
+ * Write a moderation_alerts document for manual review
+ * 
+ * Every alert gets detectedAt + status: 'pending'; callers add the type
+ * (profanity_in_profile, profanity_in_bio, ...) and whatever context is needed
+ */
+async function raiseModerationAlert(alert) {
+  return admin.firestore().collection('moderation_alerts').add({
+    ...alert,
+    detectedAt: admin.firestore.FieldValue.serverTimestamp(),
+    status: 'pending'
+  });
+}
+
+// ==================== MODERATION QUEUE ====================
+
+// Admin-only callables for working through moderation_alerts (see moderationQueue.js)
+const moderationQueue = require('./moderationQueue');
+exports.listModerationAlerts = moderationQueue.listModerationAlerts;
+exports.resolveModerationAlert = moderationQueue.resolveModerationAlert;
+
+// ==================== USER REPORTS ====================
+
+// Users flag posts, comments and profiles; enough reports auto-hide (see reports.js)
+exports.reportContent = require('./reports').reportContent;
+
+// New profiles and posts get hidden: false (see visibility.js)
+const visibility = require('./visibility');
+exports.initProfileVisibility = visibility.initProfileVisibility;
+exports.initPostVisibility = visibility.initPostVisibility;
+
+// ==================== COMMENT REPLIES ====================
+
+// One-level threads: replyCount on parents, replies deleted / quarantined / restored with their parent (see replies.js)
+const replies = require('./replies');
+exports.updateReplyCounts = replies.updateReplyCounts;
+exports.cascadeDeleteReplies = replies.cascadeDeleteReplies;
+exports.restoreQuarantinedReplies = replies.restoreQuarantinedReplies;
+
+// ==================== POST COUNTERS ====================
+
+// likeCount / commentCount on collectedStamps (see postCounters.js)
+const postCounters = require('./postCounters');
+exports.updateLikeCount = postCounters.updateLikeCount;
+exports.updateCommentCount = postCounters.updateCommentCount;
+
+// ==================== PROFILE STATS ====================
+
+// totalStamps / uniqueCountriesVisited follow collectedStamps creates and deletes (see profileStats.js)
+exports.updateProfileStats = require('./profileStats').updateProfileStats;
+
+// ==================== STAMP COLLECTORS ====================
+
+// Per-stamp collector registry - assigns userRank when a stamp is collected (see collectors.js)
+exports.assignCollectorRank = require('./collectors').assignCollectorRank;
+
+// ==================== POST CLEANUP ====================
+
+// Likes, comments, notifications, photos and collector entry of a deleted post (see postCleanup.js)
+exports.cascadeDeletePost = require('./postCleanup').cascadeDeletePost;
+
+// ==================== IMAGE MODERATION ====================
+
+// Classifies user photo uploads and quarantines flagged images (see imageModeration.js)
+exports.moderateUploadedImage = require('./imageModeration').moderateUploadedImage;
+exports.detachQuarantinedImagePaths = require('./imageModeration').detachQuarantinedImagePaths;
+
+// ==================== PUSH NOTIFICATIONS ====================
+
+// FCM device registration; every notification below is also pushed (see push.js)
+const push = require('./push');
+exports.registerDevice = push.registerDevice;
+exports.unregisterDevice = push.unregisterDevice;
 
 // ==================== NOTIFICATION TRIGGERS ====================
 
@@ -278,19 +570,21 @@ exports.createFollowNotification = onDocumentCreated('users/{userId}/following/{
     return null;
   }
   
+  // Blocked or muted - no notification
+  if (await shouldSuppressNotification(admin.firestore(), followingId, followerId)) {
+    console.log(`🔇 Skipping follow notification: ${followerId} is blocked/muted by ${followingId}`);
+    return null;
+  }
+  
   console.log(`📬 Creating follow notification: ${followerId} followed ${followingId}`);
   
   try {
     // Create notification for the person being followed
-    await admin.firestore().collection('notifications').add({
+    await createNotification({
       recipientId: followingId,
       actorId: followerId,
       type: 'follow',
-      postId: null,
-      stampId: null,
-      commentPreview: null,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      isRead: false
+      sourceKey: sourceKey('follow', followerId, followingId)
     });
     
     console.log(`✅ Follow notification created successfully`);
@@ -315,19 +609,23 @@ exports.createLikeNotification = onDocumentCreated('likes/{likeId}', async (even
     return null;
   }
   
+  // Blocked or muted - no notification
+  if (await shouldSuppressNotification(admin.firestore(), like.postOwnerId, like.userId)) {
+    console.log(`🔇 Skipping like notification: ${like.userId} is blocked/muted by ${like.postOwnerId}`);
+    return null;
+  }
+  
   console.log(`📬 Creating like notification: ${like.userId} liked post by ${like.postOwnerId}`);
   
   try {
     // Create notification for the post owner
-    await admin.firestore().collection('notifications').add({
+    await createNotification({
       recipientId: like.postOwnerId,
       actorId: like.userId,
       type: 'like',
+      sourceKey: sourceKey('like', event.params.likeId),
       postId: like.postId,
-      stampId: like.stampId,
-      commentPreview: null,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      isRead: false
+      stampId: like.stampId
     });
     
     console.log(`✅ Like notification created successfully`);
@@ -343,43 +641,181 @@ exports.createLikeNotification = onDocumentCreated('likes/{likeId}', async (even
  * 
  * Triggered when a comment document is created in comments collection
  * Creates a notification for the post owner with comment preview
+ * Replies (parentCommentId set) also notify the parent comment's author
+ * with a reply notification, unless they own the post (already notified)
  */
 exports.createCommentNotification = onDocumentCreated('comments/{commentId}', async (event) => {
   const comment = event.data.data();
   
-  // Don't create notification if user comments on their own post
-  if (comment.userId === comment.postOwnerId) {
+  // Comment put back by an admin after being hidden - already notified once
+  if (comment.restoredAt) {
+    return null;
+  }
+  
+  // Post owner, and the parent comment's author for replies (see replies.js)
+  const recipients = await notificationRecipients(admin.firestore(), comment);
+  if (recipients.length === 0) {
     return null;
   }
   
-  console.log(`📬 Creating comment notification: ${comment.userId} commented on post by ${comment.postOwnerId}`);
+  // Don't notify about comments moderateCommentOnCreate is quarantining
+  if (await isCommentQuarantined(comment)) {
+    console.log(`🚫 Skipping notification for quarantined comment ${event.params.commentId}`);
+    return null;
+  }
+  
+  // Truncate comment text to 100 characters for preview
+  const commentPreview = comment.text.length > 100 
+    ? comment.text.substring(0, 100) + '...'
+    : comment.text;
+  
+  for (const { recipientId, type } of recipients) {
+    // Blocked or muted - no notification
+    if (await shouldSuppressNotification(admin.firestore(), recipientId, comment.userId)) {
+      console.log(`🔇 Skipping ${type} notification: ${comment.userId} is blocked/muted by ${recipientId}`);
+      continue;
+    }
+    
+    console.log(`📬 Creating ${type} notification: ${comment.userId} → ${recipientId}`);
+    
+    try {
+      await createNotification({
+        recipientId: recipientId,
+        actorId: comment.userId,
+        type: type,
+        sourceKey: sourceKey('comment', event.params.commentId),
+        postId: comment.postId,
+        stampId: comment.stampId,
+        commentPreview: commentPreview
+      });
+      
+      console.log(`✅ ${type} notification created successfully`);
+    } catch (error) {
+      console.error(`❌ Error creating ${type} notification:`, error);
+    }
+  }
+  
+  return null;
+});
+
+/**
+ * Firestore Trigger: Resolve @mentions in a new comment and notify mentioned users
+ *
+ * Stores the resolved user IDs on the comment (mentionedUserIds) so the app can
+ * link the handles, then creates a mention notification for each (see mentions.js
+ * for who is skipped). Shares the comment's source key, so deleting the comment
+ * retracts its mention notifications too.
+ */
+exports.createMentionNotifications = onDocumentCreated('comments/{commentId}', async (event) => {
+  const comment = event.data.data();
+  const commentId = event.params.commentId;
+  
+  if (comment.restoredAt || !comment.text || !comment.text.includes('@')) {
+    return null;
+  }
+  
+  if (await isCommentQuarantined(comment)) {
+    return null;
+  }
   
   try {
-    // Truncate comment text to 100 characters for preview
+    const { mentionedUserIds, notifyUserIds } = await resolveCommentMentions(admin.firestore(), comment);
+    if (mentionedUserIds.length === 0) {
+      return null;
+    }
+    
+    await event.data.ref.update({ mentionedUserIds });
+    
     const commentPreview = comment.text.length > 100 
       ? comment.text.substring(0, 100) + '...'
       : comment.text;
     
-    // Create notification for the post owner
-    await admin.firestore().collection('notifications').add({
-      recipientId: comment.postOwnerId,
-      actorId: comment.userId,
-      type: 'comment',
-      postId: comment.postId,
-      stampId: comment.stampId,
-      commentPreview: commentPreview,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      isRead: false
-    });
+    for (const recipientId of notifyUserIds) {
+      if (await shouldSuppressNotification(admin.firestore(), recipientId, comment.userId)) {
+        continue;
+      }
+      await createNotification({
+        recipientId: recipientId,
+        actorId: comment.userId,
+        type: 'mention',
+        sourceKey: sourceKey('comment', commentId),
+        postId: comment.postId,
+        stampId: comment.stampId,
+        commentPreview: commentPreview
+      });
+    }
     
-    console.log(`✅ Comment notification created successfully`);
+    console.log(`📬 Comment ${commentId} mentions ${mentionedUserIds.length} user(s), notified ${notifyUserIds.length}`);
   } catch (error) {
-    console.error(`❌ Error creating comment notification:`, error);
+    if (error.code === 5) {
+      return null; // NOT_FOUND: comment deleted before we got to it
+    }
+    console.error(`❌ Error creating mention notifications:`, error);
   }
   
   return null;
 });
 
+// ==================== NOTIFICATION RETRACTION ====================
+
+/**
+ * Firestore Trigger: Retract follow notification on unfollow
+ */
+exports.retractFollowNotification = onDocumentDeleted('users/{userId}/following/{followingId}', async (event) => {
+  const followerId = event.params.userId;
+  const followingId = event.params.followingId;
+
+  try {
+    const changed = await retractNotification(admin.firestore(), sourceKey('follow', followerId, followingId), followerId);
+    if (changed > 0) {
+      console.log(`↩️ Retracted follow notification: ${followerId} unfollowed ${followingId}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error retracting follow notification:`, error);
+  }
+
+  return null;
+});
+
+/**
+ * Firestore Trigger: Retract like notification on unlike
+ */
+exports.retractLikeNotification = onDocumentDeleted('likes/{likeId}', async (event) => {
+  const like = event.data.data();
+
+  try {
+    const changed = await retractNotification(admin.firestore(), sourceKey('like', event.params.likeId), like.userId);
+    if (changed > 0) {
+      console.log(`↩️ Retracted like notification: ${like.userId} unliked ${like.postId}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error retracting like notification:`, error);
+  }
+
+  return null;
+});
+
+/**
+ * Firestore Trigger: Retract comment notification when the comment is deleted
+ *
+ * Covers the author deleting it as well as moderation removing it
+ * (quarantine, hidden by reports)
+ */
+exports.retractCommentNotification = onDocumentDeleted('comments/{commentId}', async (event) => {
+  const comment = event.data.data();
+
+  try {
+    const changed = await retractNotification(admin.firestore(), sourceKey('comment', event.params.commentId), comment.userId);
+    if (changed > 0) {
+      console.log(`↩️ Retracted comment notification for ${event.params.commentId}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error retracting comment notification:`, error);
+  }
+
+  return null;
+});
+
 // ==================== FOLLOWER COUNT DENORMALIZATION ====================
 
 /**
@@ -395,6 +831,7 @@ exports.createCommentNotification = onDocumentCreated('comments/{commentId}', as
  * Path: users/{followerId}/following/{followeeId}
  * - onCreate: Increment both users' counts
  * - onDelete: Decrement both users' counts
+ * - A deleted profile is skipped (account deletion); the other user's count still changes
  * 
  * Benefits:
  * - Profile loading 10x faster (no collection group queries)
@@ -427,112 +864,333 @@ exports.updateFollowCounts = onDocumentWritten('users/{followerId}/following/{fo
   console.log(`📊 ${action}: ${followerId} → ${followeeId} (delta: ${increment > 0 ? '+' : ''}${increment})`);
   
   try {
-    // Update both users' counts atomically using batch
-    const batch = admin.firestore().batch();
-    
-    // Update follower's followingCount
-    const followerRef = admin.firestore().collection('users').doc(followerId);
-    batch.update(followerRef, {
-      followingCount: admin.firestore.FieldValue.increment(increment)
-    });
-    
-    // Update followee's followerCount
-    const followeeRef = admin.firestore().collection('users').doc(followeeId);
-    batch.update(followeeRef, {
-      followerCount: admin.firestore.FieldValue.increment(increment)
-    });
+    // Update each user separately - when an account is deleted its edges go
+    // after (or alongside) its profile, and the other user still needs their count
+    const usersRef = admin.firestore().collection('users');
+    const updates = [
+      [followerId, { followingCount: admin.firestore.FieldValue.increment(increment) }],
+      [followeeId, { followerCount: admin.firestore.FieldValue.increment(increment) }]
+    ];
     
-    await batch.commit();
+    for (const [userId, fields] of updates) {
+      try {
+        await usersRef.doc(userId).update(fields);
+      } catch (error) {
+        if (error.code !== 5) { // NOT_FOUND - profile deleted, nothing to count
+          throw error;
+        }
+      }
+    }
     
     console.log(`✅ Updated counts successfully: follower=${followerId}, followee=${followeeId}`);
   } catch (error) {
     console.error(`❌ Failed to update counts:`, error);
     // Don't throw - follow/unfollow already succeeded
-    // Count will be fixed by reconciliation script if needed
+    // reconcileCounts fixes the count on its next run
   }
   
   return null;
 });
 
-// ==================== SCHEDULED CLEANUP ====================
+// ==================== UNREAD NOTIFICATION COUNT ====================
 
 /**
- * Scheduled Function: Clean up old notifications
+ * Firestore Trigger: Keep users/{recipientId}.unreadNotificationCount in step
  * 
- * Runs daily at midnight (Pacific Time) to keep notification database lean
+ * createNotification increments the counter in the same write that creates
+ * the notification. This takes it back down when an unread notification is:
+ * - Marked read by the app
+ * - Deleted (by the user, retraction, blocking or cleanup)
  * 
- * Deletion policy:
- * - Read notifications older than 30 days: Deleted
- * - All notifications older than 90 days: Deleted
+ * Notifications marked read by markAllNotificationsRead (readByMarkAll) are
+ * skipped - that callable updates the counter itself.
+ * Never goes below 0, so a retried event can't push it negative.
+ */
+exports.updateUnreadNotificationCount = onDocumentWritten('notifications/{notificationId}', async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  
+  try {
+    await applyUnreadCountDelta(admin.firestore(), before, after);
+  } catch (error) {
+    console.error(`❌ Failed to update unread count for ${(before || after).recipientId}:`, error);
+    // Don't throw - markAllNotificationsRead resets the count once everything is read
+  }
+  
+  return null;
+});
+
+/**
+ * Cloud Function: Mark all of the caller's notifications read
  * 
- * Benefits:
- * - Keeps database performant and costs low
- * - Reduces read operations when users check notifications
- * - Matches user expectations (like Instagram/Twitter)
+ * Updates the notifications and users/{uid}.unreadNotificationCount together
+ * (see markAllNotificationsRead in notifications.js)
  * 
- * Cost: Essentially free at MVP scale (well within free tier)
+ * @returns {{marked: number}}
  */
-exports.cleanupOldNotifications = onSchedule('0 0 * * *', async (event) => {
-  console.log('🧹 Starting daily notification cleanup...');
+exports.markAllNotificationsRead = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in required');
+  }
   
-  const db = admin.firestore();
-  const now = admin.firestore.Timestamp.now();
+  const marked = await markAllNotificationsRead(admin.firestore(), request.auth.uid);
+  console.log(`✅ Marked ${marked} notifications read for ${request.auth.uid}`);
   
-  // Calculate cutoff dates
-  const thirtyDaysAgo = new Date(now.toDate());
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+  return { marked };
+});
+
+// ==================== BLOCKING ====================
+
+/**
+ * Firestore Trigger: Enforce a block
+ * 
+ * Triggered when users/{userId}/blocked/{blockedId} is created
+ * - Removes follow edges in BOTH directions (updateFollowCounts fires on each
+ *   delete, so follower/following counts stay correct)
+ * - Deletes existing notifications from the blocked user to the blocker, and
+ *   takes them out of aggregated ones (see enforceBlock in relationships.js)
+ * 
+ * New likes/comments/follows from the blocked user are rejected by firestore.rules,
+ * and notification triggers skip blocked (and muted) actors.
+ */
+exports.enforceBlockOnCreate = onDocumentCreated('users/{userId}/blocked/{blockedId}', async (event) => {
+  const { userId, blockedId } = event.params;
   
-  const ninetyDaysAgo = new Date(now.toDate());
-  ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
+  if (userId === blockedId) {
+    return null;
+  }
   
-  let totalDeleted = 0;
+  console.log(`⛔ ${userId} blocked ${blockedId}`);
   
   try {
-    // Step 1: Delete read notifications older than 30 days
-    console.log('📋 Deleting read notifications older than 30 days...');
-    const readOldQuery = db.collection('notifications')
-      .where('isRead', '==', true)
-      .where('createdAt', '<', admin.firestore.Timestamp.fromDate(thirtyDaysAgo))
-      .limit(500); // Firestore batch limit
-    
-    const readOldSnapshot = await readOldQuery.get();
+    const { edgesRemoved, notificationsDeleted, notificationsUpdated } = await enforceBlock(admin.firestore(), userId, blockedId);
     
-    if (!readOldSnapshot.empty) {
-      const batch1 = db.batch();
-      readOldSnapshot.docs.forEach(doc => {
-        batch1.delete(doc.ref);
-      });
-      await batch1.commit();
-      console.log(`✅ Deleted ${readOldSnapshot.size} read notifications (30+ days old)`);
-      totalDeleted += readOldSnapshot.size;
-    } else {
-      console.log('✓ No read notifications older than 30 days');
+    if (edgesRemoved > 0) {
+      console.log(`✅ Removed ${edgesRemoved} follow edge(s) between ${userId} and ${blockedId}`);
+    }
+    if (notificationsDeleted > 0) {
+      console.log(`✅ Deleted ${notificationsDeleted} notifications from ${blockedId} to ${userId}`);
+    }
+    if (notificationsUpdated > 0) {
+      console.log(`✅ Took ${blockedId} out of ${notificationsUpdated} aggregated notifications to ${userId}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error enforcing block ${userId} → ${blockedId}:`, error);
+    throw error; // Re-throw so Cloud Functions logs the failure
+  }
+  
+  return null;
+});
+
+// ==================== ACCOUNT DELETION ====================
+
+// deleteMyAccount callable + Auth trigger that removes a deleted user's data (see accountDeletion.js)
+const accountDeletion = require('./accountDeletion');
+exports.deleteMyAccount = accountDeletion.deleteMyAccount;
+exports.cleanupDeletedAccount = accountDeletion.cleanupDeletedAccount;
+
+// ==================== DATA EXPORT ====================
+
+// "Download my data": ZIP in Storage, download link on the export doc (see dataExport.js)
+const dataExport = require('./dataExport');
+exports.requestDataExport = dataExport.requestDataExport;
+exports.buildDataExport = dataExport.buildDataExport;
+exports.expireDataExports = dataExport.expireDataExports;
+
+// ==================== SCHEDULED CLEANUP ====================
+
+/**
+ * Scheduled Function: Send pushes held back by quiet hours
+ *
+ * Runs every 15 minutes; notifications with pushDeferredUntil in the past get
+ * their push now (unless the recipient already read them)
+ */
+exports.sendDeferredNotificationPushes = onSchedule('*/15 * * * *', async (event) => {
+  try {
+    const { sent, skipped } = await sendDeferredPushes();
+    if (sent > 0 || skipped > 0) {
+      console.log(`🌅 Deferred pushes: ${sent} sent, ${skipped} already read`);
+    }
+  } catch (error) {
+    console.error('❌ Error sending deferred pushes:', error);
+    throw error; // Re-throw so Cloud Functions logs the failure
+  }
+});
+
+// The digest functions only exist when mail is set up (SMTP_HOST and MAIL_FROM
+// in functions/.env): their secrets must be set before a deploy that includes
+// them, so a project without mail still deploys everything else (see README)
+if (isMailConfigured()) {
+  /**
+   * Scheduled Function: Weekly email digest of unread notifications
+   * 
+   * Runs Mondays at 9am Pacific for users with emailDigest: true in
+   * users/{userId}/settings/notifications (see digest.js)
+   * 
+   * Sends through the SMTP transport (SMTP_* / MAIL_FROM env vars and the
+   * SMTP_PASS secret, see mail.js). Unsubscribe links are signed with
+   * DIGEST_UNSUBSCRIBE_SECRET and land on unsubscribeDigest.
+   */
+  exports.sendWeeklyDigest = onSchedule({
+    schedule: '0 9 * * 1',
+    timeZone: 'America/Los_Angeles',
+    timeoutSeconds: 540,
+    secrets: [smtpPass, unsubscribeSecret]
+  }, async (event) => {
+    const transport = getMailTransport();
+    if (!transport) {
+      console.log('⚠️ No mail transport configured (SMTP_HOST / MAIL_FROM), skipping weekly digest');
+      return;
+    }
+  
+    const db = admin.firestore();
+    const now = new Date();
+    const unsubscribe = { baseUrl: unsubscribeBaseUrl(), secret: unsubscribeSecret.value() };
+    const counts = { sent: 0, empty: 0, skipped: 0, failed: 0 };
+    let lastDoc = null;
+  
+    for (;;) {
+      let query = db.collectionGroup('settings')
+        .where('emailDigest', '==', true)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(200);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+  
+      const snapshot = await query.get();
+      if (snapshot.empty) {
+        break;
+      }
+  
+      for (const doc of snapshot.docs) {
+        if (doc.id !== 'notifications') {
+          continue;
+        }
+        const userId = doc.ref.parent.parent.id;
+        try {
+          const result = await sendDigestForUser(userId, { transport, now, unsubscribe });
+          counts[result.status]++;
+        } catch (error) {
+          counts.failed++;
+          console.error(`❌ Failed to send digest to ${userId}:`, error);
+        }
+      }
+  
+      lastDoc = snapshot.docs[snapshot.size - 1];
+      if (snapshot.size < 200) {
+        break;
+      }
     }
+  
+    console.log(`📧 Weekly digest: ${counts.sent} sent, ${counts.empty} with nothing new, ${counts.skipped} skipped, ${counts.failed} failed`);
+  });
+
+  /**
+   * Cloud Function: Unsubscribe link in digest emails (HTTPS)
+   * 
+   * ?uid=…&token=… signed by digest.js. GET shows a confirmation button, POST
+   * (the button, or a mail client's List-Unsubscribe one-click) sets
+   * emailDigest: false in the user's notification settings.
+   */
+  exports.unsubscribeDigest = onRequest({
+    secrets: [unsubscribeSecret]
+  }, async (req, res) => {
+    await handleUnsubscribeRequest(admin.firestore(), req, res, unsubscribeSecret.value());
+  });
+}
+
+/**
+ * Scheduled Function: Clean up old notifications
+ * 
+ * Runs daily at midnight (Pacific Time) to keep notification database lean
+ * 
+ * Deletion policy (retention days come from config/notifications):
+ * - Read notifications older than readRetentionDays (default 30): Deleted
+ * - All notifications older than retentionDays (default 90): Deleted
+ * - Notifications whose actor account or target post no longer exists: Deleted
+ * 
+ * Drains every page within the time budget; whatever is left is picked up
+ * by the next run. Each run writes its counts to maintenance_runs.
+ * 
+ * Same implementation as `stampbook-admin reconcile notifications` (notificationCleanup.js)
+ */
+exports.cleanupOldNotifications = onSchedule({
+  schedule: '0 0 * * *',
+  timeZone: 'America/Los_Angeles',
+  timeoutSeconds: 540
+}, async (event) => {
+  console.log('🧹 Starting daily notification cleanup...');
+  
+  try {
+    const summary = await runNotificationCleanup({
+      db: admin.firestore(),
+      config: await getNotificationConfig(),
+      now: new Date(event.scheduleTime || Date.now()),
+      trigger: 'schedule'
+    });
     
-    // Step 2: Delete all notifications older than 90 days (regardless of read status)
-    console.log('📋 Deleting all notifications older than 90 days...');
-    const allOldQuery = db.collection('notifications')
-      .where('createdAt', '<', admin.firestore.Timestamp.fromDate(ninetyDaysAgo))
-      .limit(500);
+    const { counts } = summary;
+    console.log(`✅ Read (${summary.config.readRetentionDays}+ days): ${counts.readExpired}, ` +
+      `all (${summary.config.retentionDays}+ days): ${counts.expired}, ` +
+      `orphaned actor: ${counts.orphanedActor}, orphaned post: ${counts.orphanedPost}`);
+    if (counts.failed > 0) {
+      console.warn(`⚠️ ${counts.failed} deletes failed`);
+    }
+    if (!summary.complete) {
+      console.warn('⚠️ Ran out of time - the next run continues the cleanup');
+    }
+    console.log(`🎉 Cleanup finished! Total deleted: ${summary.deleted} notifications`);
     
-    const allOldSnapshot = await allOldQuery.get();
+  } catch (error) {
+    console.error('❌ Error during notification cleanup:', error);
+    throw error; // Re-throw so Cloud Functions logs the failure
+  }
+  
+  return null;
+});
+
+/**
+ * Scheduled Function: Reconcile denormalized counts
+ * 
+ * Runs daily at 4am Pacific. Recomputes followerCount, followingCount and
+ * totalStamps on profiles and likeCount / commentCount on posts from the
+ * collections they count (see countReconciler.js):
+ * - Drift up to the auto-fix limit: fixed
+ * - Bigger drift: left for review in the drift report
+ * - Negative counts: always fixed
+ * 
+ * Picks up where the last run stopped if it ran out of time. Each run writes
+ * a drift_reports doc listing what changed.
+ * 
+ * Same implementation as `stampbook-admin reconcile counts` (countReconciler.js)
+ */
+exports.reconcileCounts = onSchedule({
+  schedule: '0 4 * * *',
+  timeZone: 'America/Los_Angeles',
+  timeoutSeconds: 540
+}, async (event) => {
+  console.log('🔍 Starting count reconciliation...');
+  
+  try {
+    const summary = await runCountReconciliation({
+      db: admin.firestore(),
+      trigger: 'schedule',
+      log: () => {} // Changes are listed in the drift report
+    });
     
-    if (!allOldSnapshot.empty) {
-      const batch2 = db.batch();
-      allOldSnapshot.docs.forEach(doc => {
-        batch2.delete(doc.ref);
-      });
-      await batch2.commit();
-      console.log(`✅ Deleted ${allOldSnapshot.size} notifications (90+ days old)`);
-      totalDeleted += allOldSnapshot.size;
-    } else {
-      console.log('✓ No notifications older than 90 days');
+    const { counts } = summary;
+    console.log(`✅ Checked ${counts.usersChecked} users and ${counts.postsChecked} posts: ` +
+      `${counts.drifted} drifted, ${counts.fixed} fixed, ${counts.needsReview} need review`);
+    if (counts.failed > 0) {
+      console.warn(`⚠️ ${counts.failed} fixes failed`);
+    }
+    if (!summary.complete) {
+      console.warn('⚠️ Ran out of time - the next run continues the scan');
     }
-    
-    console.log(`🎉 Cleanup complete! Total deleted: ${totalDeleted} notifications`);
     
   } catch (error) {
-    console.error('❌ Error during notification cleanup:', error);
+    console.error('❌ Error during count reconciliation:', error);
     throw error; // Re-throw so Cloud Functions logs the failure
   }
   
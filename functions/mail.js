@@ -0,0 +1,115 @@
+const {defineSecret} = require('firebase-functions/params');
+
+/**
+ * Outgoing email
+ *
+ * Transport interface (swap with setMailTransport):
+ * {
+ *   name: string,
+ *   send({ to, subject, text, html, headers }) → Promise<{ messageId: string }>
+ * }
+ *
+ * The default transport is SMTP, configured through environment variables
+ * (functions/.env, or .env.<projectId> per project):
+ *   SMTP_HOST, SMTP_PORT (default 587), SMTP_USER,
+ *   MAIL_FROM (e.g. "Stampbook <digest@your-domain.com>")
+ * and the password as a secret, never in .env:
+ *   firebase functions:secrets:set SMTP_PASS
+ * Functions that send mail must list smtpPass in their `secrets` option.
+ * Without SMTP_HOST and MAIL_FROM there is no default transport and nothing
+ * is sent - index.js then doesn't define the mail functions at all, so a
+ * deploy doesn't ask for their secrets (see isMailConfigured).
+ */
+
+const smtpPass = defineSecret('SMTP_PASS');
+
+/**
+ * SMTP transport (nodemailer)
+ *
+ * @param {object} options - { host, port, secure, user, pass, from }
+ */
+function createSmtpTransport({ host, port = 587, secure = port === 465, user, pass, from }) {
+  // Required lazily so loading this module never needs nodemailer
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text, html, headers }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html, headers });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+/**
+ * In-memory transport for tests - keeps every message in `sent`
+ */
+function createMemoryTransport() {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+
+    async send(message) {
+      sent.push(message);
+      return { messageId: `memory-${sent.length}` };
+    }
+  };
+}
+
+let activeTransport;
+
+/**
+ * True if the environment configures the SMTP transport
+ *
+ * The Firebase CLI loads functions/.env before it looks at index.js, so this
+ * also decides at deploy time whether the mail functions exist.
+ */
+function isMailConfigured() {
+  return Boolean(process.env.SMTP_HOST && process.env.MAIL_FROM);
+}
+
+/**
+ * The transport used by the Cloud Functions (null if none is configured)
+ */
+function getMailTransport() {
+  if (activeTransport === undefined) {
+    activeTransport = isMailConfigured()
+      ? createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        user: process.env.SMTP_USER,
+        pass: smtpPass.value(),
+        from: process.env.MAIL_FROM
+      })
+      : null;
+  }
+  return activeTransport;
+}
+
+/**
+ * Replace the transport (another provider, or the memory transport in tests)
+ */
+function setMailTransport(transport) {
+  if (transport !== null && (!transport || typeof transport.send !== 'function')) {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+}
+
+module.exports = {
+  smtpPass,
+  createSmtpTransport,
+  createMemoryTransport,
+  isMailConfigured,
+  getMailTransport,
+  setMailTransport
+};
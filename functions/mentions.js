@@ -0,0 +1,104 @@
+const {isBlockedEitherWay} = require('./relationships');
+
+/**
+ * @mentions in comments
+ *
+ * "@username" in comment text is resolved against users.username (same
+ * format rules as signup: 3-20 chars, a-z 0-9 _). Resolved user IDs are
+ * stored on the comment as mentionedUserIds and each mentioned user gets a
+ * mention notification.
+ *
+ * Skipped: the comment author and users blocked either way. The post owner
+ * isn't sent a mention notification (their comment notification already
+ * carries the text).
+ */
+
+// Handles past this are ignored (spam protection)
+const MAX_MENTIONS_PER_COMMENT = 5;
+
+// "@" must start the text or follow something that can't be part of a handle
+// (so emails like a@b.com don't count)
+const MENTION_PATTERN = /(^|[^a-z0-9_@])@([a-z0-9_]{3,20})(?![a-z0-9_])/gi;
+
+/**
+ * Extract distinct @handles from text, in order of first appearance
+ *
+ * @param {string} text
+ * @param {number} max - Maximum handles to return
+ * @returns {string[]} Lowercased usernames
+ */
+function parseMentions(text, max = MAX_MENTIONS_PER_COMMENT) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  const usernames = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const username = match[2].toLowerCase();
+    if (!usernames.includes(username)) {
+      usernames.push(username);
+    }
+    if (usernames.length >= max) {
+      break;
+    }
+  }
+  return usernames;
+}
+
+/**
+ * Look up user IDs for usernames (unknown usernames are dropped)
+ *
+ * @returns {Promise<string[]>} User IDs in the same order as the usernames
+ */
+async function resolveUsernames(db, usernames) {
+  if (usernames.length === 0) {
+    return [];
+  }
+
+  // 'in' queries take up to 30 values - MAX_MENTIONS_PER_COMMENT is well under
+  const snapshot = await db
+    .collection('users')
+    .where('username', 'in', usernames)
+    .get();
+
+  const idsByUsername = new Map(snapshot.docs.map(doc => [doc.data().username, doc.id]));
+  return usernames
+    .map(username => idsByUsername.get(username))
+    .filter(Boolean);
+}
+
+/**
+ * Resolve a comment's mentions and decide who gets notified
+ *
+ * Self-mentions and users blocked either way are dropped entirely; the post
+ * owner stays mentioned but isn't notified twice.
+ *
+ * @param {Firestore} db
+ * @param {object} comment - Comment doc data
+ * @returns {Promise<{mentionedUserIds: string[], notifyUserIds: string[]}>}
+ */
+async function resolveCommentMentions(db, comment) {
+  const resolved = await resolveUsernames(db, parseMentions(comment.text));
+
+  const mentionedUserIds = [];
+  for (const userId of resolved) {
+    if (userId === comment.userId || mentionedUserIds.includes(userId)) {
+      continue;
+    }
+    if (await isBlockedEitherWay(db, userId, comment.userId)) {
+      continue;
+    }
+    mentionedUserIds.push(userId);
+  }
+
+  return {
+    mentionedUserIds,
+    notifyUserIds: mentionedUserIds.filter(userId => userId !== comment.postOwnerId)
+  };
+}
+
+module.exports = {
+  MAX_MENTIONS_PER_COMMENT,
+  parseMentions,
+  resolveCommentMentions
+};
@@ -0,0 +1,277 @@
+const admin = require('firebase-admin');
+const Filter = require('bad-words');
+const {normalizeForModeration} = require('./normalize');
+
+/**
+ * Content moderation word lists
+ *
+ * Single source of truth for the profanity filter and reserved words used by
+ * every Cloud Function (and by test_neutrality.js).
+ *
+ * Word lists live in Firestore at config/moderation so admins can change them
+ * without a redeploy:
+ * {
+ *   reservedWords: string[],  // Replaces DEFAULT_RESERVED_WORDS when present
+ *   blockedWords: string[],   // Extra profanity on top of the bad-words list
+ *   allowedWords: string[],   // Exceptions (Scunthorpe-style false positives)
+ *   reportHideThreshold: number  // Distinct reporters before content is auto-hidden
+ * }
+ *
+ * The config is cached per function instance for CACHE_TTL_MS, so edits go
+ * live within a few minutes. If the config can't be read we fall back to the
+ * built-in defaults rather than failing open.
+ *
+ * Every check runs on the raw text AND its normalized forms (normalize.js),
+ * so leetspeak, separators and lookalike characters don't slip through.
+ */
+
+const CONFIG_COLLECTION = 'config';
+const CONFIG_DOC_ID = 'moderation';
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Admin terms and brand names nobody should be able to claim
+const DEFAULT_RESERVED_WORDS = [
+  'admin', 'administrator', 'support', 'help', 'official', 'verified',
+  'stampbook', 'stamp_book', 'stamp', 'moderator', 'mod', 'staff',
+  'system', 'root', 'superuser'
+];
+
+// Distinct user reports before reported content is hidden (see reports.js)
+const DEFAULT_REPORT_HIDE_THRESHOLD = 3;
+
+let cachedModerator = null;
+let cachedAt = 0;
+let pendingLoad = null;
+
+/**
+ * Normalize a word list from Firestore: strings only, trimmed, lowercase, unique
+ */
+function normalizeWordList(words) {
+  if (!Array.isArray(words)) {
+    return [];
+  }
+  const cleaned = words
+    .filter(word => typeof word === 'string')
+    .map(word => word.trim().toLowerCase())
+    .filter(word => word.length > 0);
+  return [...new Set(cleaned)];
+}
+
+/**
+ * Build a moderator from word lists (no Firestore access)
+ *
+ * Reserved words only apply to names (see checkText) - they stay out of the
+ * profanity filter so "Great stamp!" or "Need help finding this" in a comment
+ * isn't flagged.
+ */
+function createModerator({
+  reservedWords = DEFAULT_RESERVED_WORDS,
+  blockedWords = [],
+  allowedWords = [],
+  reportHideThreshold = DEFAULT_REPORT_HIDE_THRESHOLD
+} = {}) {
+  const reserved = normalizeWordList(reservedWords);
+  const blocked = normalizeWordList(blockedWords);
+  const allowed = normalizeWordList(allowedWords)
+    // Longest first so "stampede" is stripped before "stamp" would be
+    .sort((a, b) => b.length - a.length);
+
+  const filter = new Filter();
+  if (blocked.length > 0) {
+    filter.addWords(...blocked);
+  }
+  if (allowed.length > 0) {
+    filter.removeWords(...allowed);
+  }
+
+  // Blank out allow-listed terms so substrings inside them don't match
+  // e.g. allowing "modern" keeps "modern_traveler" from hitting "mod"
+  function stripAllowed(text) {
+    let result = text.toLowerCase();
+    for (const word of allowed) {
+      result = result.split(word).join(' ');
+    }
+    return result;
+  }
+
+  // Raw text first, then normalized forms (leetspeak, confusables, separators)
+  function candidates(text, { includeCollapsed }) {
+    const { variants, collapsed } = normalizeForModeration(text);
+    const all = [text.toLowerCase(), ...variants];
+    if (includeCollapsed) {
+      all.push(...collapsed);
+    }
+    return [...new Set(all)].map(stripAllowed);
+  }
+
+  function isProfane(text) {
+    if (!text) {
+      return false;
+    }
+    return candidates(text, { includeCollapsed: true })
+      .some(candidate => filter.isProfane(candidate));
+  }
+
+  function findReservedWord(text) {
+    if (!text) {
+      return null;
+    }
+    // No collapsed forms here - substring matching across removed
+    // separators would glue unrelated words together
+    for (const candidate of candidates(text, { includeCollapsed: false })) {
+      const match = reserved.find(word => candidate.includes(word));
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+
+  // Reserved words as whole words only ("Staff" but not "Staffordshire");
+  // collapsed forms catch spaced-out letters ("S t a f f")
+  function findReservedToken(text) {
+    if (!text) {
+      return null;
+    }
+    for (const candidate of candidates(text, { includeCollapsed: true })) {
+      const tokens = candidate.split(/[^a-z0-9_]+/);
+      const match = reserved.find(word => tokens.includes(word));
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Shared check for everything users write (usernames, names, bios, comments,
+   * post notes, suggestions, feedback)
+   *
+   * Reserved words only apply to names, which could impersonate the app:
+   * - 'username': a reserved word anywhere ("stampbook_official")
+   * - 'displayName': a reserved word as a whole word ("Official Team")
+   * - 'text' (comments, bios, notes...): profanity only
+   *
+   * @param {string} text
+   * @param {{kind?: 'username'|'displayName'|'text'}} [options]
+   * @returns {{reason: 'reserved_word', word: string}|{reason: 'profanity'}|null}
+   */
+  function checkText(text, { kind = 'text' } = {}) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return null;
+    }
+    let word = null;
+    if (kind === 'username') {
+      word = findReservedWord(text);
+    } else if (kind === 'displayName') {
+      word = findReservedToken(text);
+    }
+    if (word) {
+      return { reason: 'reserved_word', word };
+    }
+    return isProfane(text) ? { reason: 'profanity' } : null;
+  }
+
+  return {
+    reservedWords: reserved,
+    blockedWords: blocked,
+    allowedWords: allowed,
+    reportHideThreshold: Number.isInteger(reportHideThreshold) && reportHideThreshold > 0
+      ? reportHideThreshold
+      : DEFAULT_REPORT_HIDE_THRESHOLD,
+    filter,
+
+    /** True if text contains profanity (reserved words aren't profanity) */
+    isProfane,
+
+    /** Returns the first reserved word contained anywhere in text, or null */
+    findReservedWord,
+
+    checkText,
+
+    /**
+     * Names of the fields whose text fails checkText (non-strings are skipped)
+     *
+     * @param {Object<string, *>} texts - Field name → text
+     * @returns {string[]}
+     */
+    flaggedFields(texts) {
+      return Object.keys(texts).filter(field => checkText(texts[field]) !== null);
+    },
+
+    /** Replace profane words with asterisks */
+    clean(text) {
+      return filter.clean(text);
+    }
+  };
+}
+
+/**
+ * Load word lists from Firestore and build a moderator
+ */
+async function loadModerator() {
+  try {
+    const doc = await admin.firestore()
+      .collection(CONFIG_COLLECTION)
+      .doc(CONFIG_DOC_ID)
+      .get();
+
+    if (!doc.exists) {
+      return createModerator();
+    }
+
+    const config = doc.data();
+    return createModerator({
+      reservedWords: Array.isArray(config.reservedWords) ? config.reservedWords : DEFAULT_RESERVED_WORDS,
+      blockedWords: config.blockedWords,
+      allowedWords: config.allowedWords,
+      reportHideThreshold: config.reportHideThreshold
+    });
+  } catch (error) {
+    console.error('❌ Failed to load moderation config, using defaults:', error);
+    // Keep serving the last good config if we have one
+    return cachedModerator || createModerator();
+  }
+}
+
+/**
+ * Get the current moderator, reloading from Firestore once the cache expires
+ *
+ * Concurrent callers share a single in-flight load.
+ */
+async function getModerator() {
+  if (cachedModerator && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedModerator;
+  }
+
+  if (!pendingLoad) {
+    pendingLoad = loadModerator()
+      .then((moderator) => {
+        cachedModerator = moderator;
+        cachedAt = Date.now();
+        return moderator;
+      })
+      .finally(() => {
+        pendingLoad = null;
+      });
+  }
+
+  return pendingLoad;
+}
+
+/**
+ * Drop the cached config so the next call reloads it
+ */
+function clearModeratorCache() {
+  cachedModerator = null;
+  cachedAt = 0;
+}
+
+module.exports = {
+  DEFAULT_RESERVED_WORDS,
+  DEFAULT_REPORT_HIDE_THRESHOLD,
+  CACHE_TTL_MS,
+  createModerator,
+  getModerator,
+  clearModeratorCache
+};
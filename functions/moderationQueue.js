@@ -0,0 +1,437 @@
+const {onCall, HttpsError} = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const {assertAdmin} = require('./admins');
+const {restoreReportedContent} = require('./reports');
+const {restoreQuarantinedImage, reattachImage} = require('./imageModeration');
+const {restoreQuarantinedComment} = require('./commentQuarantine');
+
+/**
+ * Moderation queue (admin only)
+ *
+ * moderation_alerts are opened by the moderation triggers in index.js with
+ * status: 'pending'. These callables let admins work through them:
+ * - listModerationAlerts: filter + paginate alerts
+ * - resolveModerationAlert: dismiss, revert, reset_username or suspend
+ *
+ * Every resolution is written to moderation_audit_log in the same transaction
+ * as the alert update. Audit entries are never updated or deleted (rules deny
+ * all client writes).
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const RESOLVE_ACTIONS = ['dismiss', 'revert', 'reset_username', 'suspend'];
+
+// Which document/fields a "revert" touches for each alert type
+// Fallback is used when there's no previous value (e.g. flagged on signup)
+const REVERTIBLE_FIELDS = {
+  profanity_in_profile: {
+    fields: ['username', 'displayName'],
+    target: alert => userRef(alert.userId)
+  },
+  profanity_in_bio: {
+    fields: ['bio'],
+    target: alert => userRef(alert.userId)
+  },
+  profanity_in_post_notes: {
+    fields: ['userNotes'],
+    target: alert => userRef(alert.userId).collection('collectedStamps').doc(alert.stampId)
+  }
+};
+
+// Alert types whose "revert" undoes a quarantine or hide instead of a field change
+const RESTORABLE_TYPES = ['reported_content', 'flagged_image', 'profanity_in_comment'];
+
+function usersRef() {
+  return admin.firestore().collection('users');
+}
+
+function userRef(userId) {
+  return usersRef().doc(userId);
+}
+
+/**
+ * Convert Firestore Timestamps to ISO strings for the callable response
+ */
+function serializeAlert(doc) {
+  const data = doc.data();
+  const result = { id: doc.id };
+  for (const [key, value] of Object.entries(data)) {
+    result[key] = value instanceof admin.firestore.Timestamp ? value.toDate().toISOString() : value;
+  }
+  return result;
+}
+
+/**
+ * Cloud Function: List moderation alerts (admin only)
+ *
+ * Request: {
+ *   status?: 'pending' | 'resolved' | 'dismissed' | 'all',  // Default 'pending'
+ *   type?: string,        // e.g. 'profanity_in_bio'
+ *   userId?: string,
+ *   limit?: number,       // Default 50, max 200
+ *   startAfter?: string   // Alert ID from the previous page's nextPageToken
+ * }
+ * Response: { alerts: object[], nextPageToken: string | null }
+ */
+exports.listModerationAlerts = onCall(async (request) => {
+  assertAdmin(request);
+
+  const { status = 'pending', type, userId, startAfter } = request.data || {};
+  const limit = Math.min(Math.max(parseInt(request.data?.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const alertsRef = admin.firestore().collection('moderation_alerts');
+  let query = alertsRef;
+
+  if (status !== 'all') {
+    query = query.where('status', '==', status);
+  }
+  if (type) {
+    query = query.where('type', '==', type);
+  }
+  if (userId) {
+    query = query.where('userId', '==', userId);
+  }
+
+  query = query.orderBy('detectedAt', 'desc');
+
+  if (startAfter) {
+    const cursor = await alertsRef.doc(startAfter).get();
+    if (!cursor.exists) {
+      throw new HttpsError('invalid-argument', 'Invalid page token');
+    }
+    query = query.startAfter(cursor);
+  }
+
+  const snapshot = await query.limit(limit).get();
+
+  return {
+    alerts: snapshot.docs.map(serializeAlert),
+    nextPageToken: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+  };
+});
+
+/**
+ * Cloud Function: Resolve a moderation alert (admin only)
+ *
+ * Request: {
+ *   alertId: string,
+ *   action: 'dismiss' | 'revert' | 'reset_username' | 'suspend',
+ *   note?: string
+ * }
+ * Response: { alertId, status, action, auditId, changes }
+ *
+ * Actions:
+ * - dismiss: False positive, nothing changes (status → 'dismissed')
+ * - revert: Restore flagged field(s) to the value before the flagged write
+ *           (profile, bio and post notes alerts), un-hide reported content
+ *           (reported_content alerts), put a quarantined comment back
+ *           (profanity_in_comment alerts), or move a quarantined image back
+ *           (flagged_image alerts)
+ * - reset_username: Replace the username with a random user_xxxxxxxx and set
+ *           usernameResetRequired so the app asks for a new one
+ * - suspend: Disable the Auth account, revoke sessions, mark profile suspended
+ */
+exports.resolveModerationAlert = onCall(async (request) => {
+  const adminId = assertAdmin(request);
+  const { alertId, action, note = null } = request.data || {};
+
+  if (!alertId || typeof alertId !== 'string') {
+    throw new HttpsError('invalid-argument', 'alertId is required');
+  }
+  if (!RESOLVE_ACTIONS.includes(action)) {
+    throw new HttpsError('invalid-argument', `action must be one of: ${RESOLVE_ACTIONS.join(', ')}`);
+  }
+
+  const db = admin.firestore();
+  const alertRef = db.collection('moderation_alerts').doc(alertId);
+
+  // Validate before touching Auth (suspend happens outside the transaction)
+  const alertSnapshot = await alertRef.get();
+  if (!alertSnapshot.exists) {
+    throw new HttpsError('not-found', 'Alert not found');
+  }
+  assertResolvable(alertSnapshot.data(), action);
+
+  // Side effects outside Firestore run before the transaction (which re-checks
+  // the alert is still pending); a suspension's Auth change is undone if the
+  // transaction then fails
+  let externalChanges = null;
+  let authResult = null;
+  if (action === 'suspend') {
+    authResult = await disableAuthUser(alertSnapshot.data().userId);
+  } else if (action === 'revert' && alertSnapshot.data().type === 'flagged_image') {
+    externalChanges = await restoreImage(alertSnapshot.data());
+  }
+
+  const auditRef = db.collection('moderation_audit_log').doc();
+
+  let result;
+  try {
+    result = await db.runTransaction(async (transaction) => {
+      const alertDoc = await transaction.get(alertRef);
+      const alert = alertDoc.data();
+      assertResolvable(alert, action);
+
+      let changes = externalChanges;
+      if (action === 'revert' && alert.type === 'flagged_image') {
+        // File already moved back above - put it back on the post / profile
+        changes = { ...externalChanges, reattached: await reattachImage(db, transaction, alert) };
+      } else if (action === 'revert') {
+        changes = await applyRevert(transaction, alert);
+      } else if (action === 'reset_username') {
+        changes = await applyUsernameReset(transaction, alert);
+      } else if (action === 'suspend') {
+        changes = await applySuspension(transaction, alert, adminId, authResult);
+      }
+
+      const status = action === 'dismiss' ? 'dismissed' : 'resolved';
+      const resolvedAt = admin.firestore.FieldValue.serverTimestamp();
+
+      transaction.update(alertRef, {
+        status: status,
+        resolution: { action, adminId, note, resolvedAt, auditId: auditRef.id }
+      });
+
+      transaction.create(auditRef, {
+        alertId: alertId,
+        alertType: alert.type,
+        action: action,
+        adminId: adminId,
+        targetUserId: alert.userId || null,
+        changes: changes,
+        note: note,
+        createdAt: resolvedAt
+      });
+
+      return { alertId, status, action, auditId: auditRef.id, changes };
+    });
+  } catch (error) {
+    if (authResult) {
+      await restoreAuthUser(alertSnapshot.data().userId, authResult);
+    }
+    throw error;
+  }
+
+  console.log(`🛡️ Alert ${alertId} ${result.status} by ${adminId} (${action})`);
+  return result;
+});
+
+/**
+ * Throw unless the alert can take this action
+ */
+function assertResolvable(alert, action) {
+  if (alert.status !== 'pending') {
+    throw new HttpsError('failed-precondition', `Alert is already ${alert.status}`);
+  }
+  if (action !== 'dismiss' && !alert.userId) {
+    throw new HttpsError('failed-precondition', 'Alert has no user to act on');
+  }
+  if (action === 'revert' && !REVERTIBLE_FIELDS[alert.type] && !RESTORABLE_TYPES.includes(alert.type)) {
+    throw new HttpsError('failed-precondition', `Revert is not supported for ${alert.type} alerts`);
+  }
+}
+
+/**
+ * Restore flagged fields to their previous values
+ *
+ * @returns {object} { path, before, after } for the audit log
+ */
+async function applyRevert(transaction, alert) {
+  if (alert.type === 'reported_content') {
+    return restoreReportedContent(transaction, alert);
+  }
+  if (alert.type === 'profanity_in_comment') {
+    return restoreComment(transaction, alert);
+  }
+
+  const config = REVERTIBLE_FIELDS[alert.type];
+  const targetRef = config.target(alert);
+  const targetDoc = await transaction.get(targetRef);
+
+  if (!targetDoc.exists) {
+    throw new HttpsError('not-found', 'Flagged document no longer exists');
+  }
+
+  const current = targetDoc.data();
+  const previousValues = alert.previousValues || {};
+  const flaggedFields = (alert.fields || config.fields).filter(field => config.fields.includes(field));
+
+  const before = {};
+  const after = {};
+
+  for (const field of flaggedFields) {
+    let restored = previousValues[field] || null;
+
+    if (!restored) {
+      if (field === 'username') {
+        throw new HttpsError('failed-precondition', 'No previous username to restore - use reset_username');
+      }
+      // Nothing to go back to: display name falls back to the username, free text is cleared
+      restored = field === 'displayName' ? current.username || '' : '';
+    }
+
+    // Someone may have taken the old username since the flagged change
+    if (field === 'username' && restored !== current.username) {
+      const claimed = await transaction.get(usersRef().where('username', '==', restored).limit(2));
+      if (claimed.docs.some(doc => doc.id !== alert.userId)) {
+        throw new HttpsError('failed-precondition', `@${restored} has been taken since - use reset_username`);
+      }
+    }
+
+    before[field] = current[field] === undefined ? null : current[field];
+    after[field] = restored;
+  }
+
+  transaction.update(targetRef, after);
+
+  return { path: targetRef.path, before, after };
+}
+
+/**
+ * Put a comment quarantined by moderateCommentOnCreate back (false positive)
+ */
+async function restoreComment(transaction, alert) {
+  if (!alert.commentId) {
+    throw new HttpsError('failed-precondition', 'Alert has no comment to restore');
+  }
+  const restored = await restoreQuarantinedComment(admin.firestore(), transaction, alert.commentId);
+
+  if (!restored) {
+    throw new HttpsError('not-found', 'Quarantined comment no longer exists');
+  }
+
+  return {
+    path: `comments/${alert.commentId}`,
+    before: { quarantined: true },
+    after: { quarantined: false }
+  };
+}
+
+/**
+ * Replace the username with a random unique placeholder
+ */
+async function applyUsernameReset(transaction, alert) {
+  const ref = userRef(alert.userId);
+  const userDoc = await transaction.get(ref);
+
+  if (!userDoc.exists) {
+    throw new HttpsError('not-found', 'User no longer exists');
+  }
+
+  let newUsername = null;
+
+  for (let attempt = 0; attempt < 5 && !newUsername; attempt++) {
+    // Hex only: can't spell any reserved word, always matches ^[a-z0-9_]+$
+    const candidate = `user_${crypto.randomBytes(4).toString('hex')}`;
+    const taken = await transaction.get(usersRef().where('username', '==', candidate).limit(1));
+    if (taken.empty) {
+      newUsername = candidate;
+    }
+  }
+
+  if (!newUsername) {
+    throw new HttpsError('aborted', 'Could not generate a unique username, try again');
+  }
+
+  transaction.update(ref, {
+    username: newUsername,
+    usernameResetRequired: true
+  });
+
+  return {
+    path: ref.path,
+    before: { username: userDoc.data().username || null },
+    after: { username: newUsername, usernameResetRequired: true }
+  };
+}
+
+/**
+ * Flag the profile as suspended (Auth is disabled separately, see disableAuthUser)
+ *
+ * @param {object} authResult - What disableAuthUser did
+ * @returns {object} Audit log changes with the real before/after state
+ */
+async function applySuspension(transaction, alert, adminId, authResult) {
+  const ref = userRef(alert.userId);
+  const userDoc = await transaction.get(ref);
+  const profile = userDoc.exists ? userDoc.data() : null;
+
+  // set+merge so a missing profile doesn't fail the resolution
+  transaction.set(ref, {
+    suspended: true,
+    suspendedAt: admin.firestore.FieldValue.serverTimestamp(),
+    suspendedBy: adminId
+  }, { merge: true });
+
+  return {
+    path: ref.path,
+    before: {
+      profileExists: profile !== null,
+      suspended: Boolean(profile && profile.suspended),
+      authDisabled: authResult.found ? authResult.wasDisabled : null
+    },
+    after: {
+      suspended: true,
+      authDisabled: authResult.found ? true : null,
+      authUserFound: authResult.found
+    }
+  };
+}
+
+/**
+ * Move a quarantined image back to its original path
+ */
+async function restoreImage(alert) {
+  try {
+    await restoreQuarantinedImage(alert);
+  } catch (error) {
+    console.error(`❌ Failed to restore image ${alert.quarantinePath}:`, error);
+    throw new HttpsError('internal', 'Failed to restore image');
+  }
+  return { path: alert.filePath, before: { path: alert.quarantinePath }, after: { path: alert.filePath } };
+}
+
+/**
+ * Disable the Auth account and sign out every session
+ *
+ * @returns {Promise<{found: boolean, wasDisabled: boolean}>} found is false
+ *   when there's no Auth user (the profile is suspended on its own)
+ */
+async function disableAuthUser(userId) {
+  try {
+    const user = await admin.auth().getUser(userId);
+    if (!user.disabled) {
+      await admin.auth().updateUser(userId, { disabled: true });
+    }
+    await admin.auth().revokeRefreshTokens(userId);
+    return { found: true, wasDisabled: user.disabled };
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      console.log(`ℹ️ Auth user ${userId} not found, suspending profile only`);
+      return { found: false, wasDisabled: false };
+    }
+    console.error(`❌ Failed to disable auth user ${userId}:`, error);
+    throw new HttpsError('internal', 'Failed to disable account');
+  }
+}
+
+/**
+ * Undo disableAuthUser after the resolution failed to commit
+ *
+ * Only re-enables accounts this resolution disabled. Revoked sessions stay
+ * revoked (the user signs in again).
+ */
+async function restoreAuthUser(userId, authResult) {
+  if (!authResult.found || authResult.wasDisabled) {
+    return;
+  }
+  try {
+    await admin.auth().updateUser(userId, { disabled: false });
+    console.log(`↩️ Re-enabled auth user ${userId} after a failed suspension`);
+  } catch (error) {
+    console.error(`❌ Failed to re-enable auth user ${userId} - enable it by hand:`, error);
+  }
+}
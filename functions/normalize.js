@@ -0,0 +1,161 @@
+/**
+ * Text normalization for moderation checks
+ *
+ * Turns obfuscated text into plain lowercase ASCII "skeletons" before it is
+ * checked against the profanity filter and reserved words, so evasions like
+ * these are caught:
+ * - Leetspeak:        4dm1n, st4mpb00k
+ * - Separators:       s_t_a_m_p_b_o_o_k, f.u.c.k
+ * - Confusables:      Cyrillic/Greek lookalikes (аdmin with Cyrillic "а")
+ * - Invisible chars:  zero-width spaces/joiners, soft hyphens
+ * - Accents:          àdmìn, fullwidth ａｄｍｉｎ (NFKC)
+ *
+ * normalizeForModeration() returns several forms; a check should fail if
+ * ANY form matches. Each form trades recall for false positives differently,
+ * which is why none of them replaces the original text.
+ */
+
+// Invisible characters used to split words without showing a gap
+const ZERO_WIDTH_REGEX = /[\u00AD\u180E\u200B-\u200F\u2060-\u2064\uFEFF]/g;
+
+// Combining marks left after NFD (accents, diacritics)
+const COMBINING_MARKS_REGEX = /[\u0300-\u036f]/g;
+
+// Characters people put between letters to dodge matching
+const SEPARATOR_REGEX = /[\s_.\-*~'"`,:;|/\\]+/g;
+
+// Unicode lookalikes → ASCII (Cyrillic, Greek, and a few symbols)
+// Only characters that are visually near-identical to a Latin letter
+const CONFUSABLES = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h',
+  'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's',
+  'і': 'i', 'ї': 'i', 'ј': 'j', 'ԁ': 'd', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w',
+  'ɡ': 'g', 'ո': 'n', 'ս': 'u',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v',
+  'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+  // Latin lookalikes not covered by NFKC
+  'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h', 'ß': 'ss'
+};
+
+// Leetspeak digits/symbols → letters
+// '1' is ambiguous (i or l), so both readings are produced
+const LEET_MAP = {
+  '0': 'o', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '+': 't', '€': 'e'
+};
+
+/**
+ * Base skeleton: NFKC, no invisible chars, no accents, confusables mapped, lowercase
+ */
+function toSkeleton(text) {
+  const folded = text
+    .normalize('NFKC')
+    .replace(ZERO_WIDTH_REGEX, '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(COMBINING_MARKS_REGEX, '');
+
+  let result = '';
+  for (const char of folded) {
+    result += CONFUSABLES[char] || char;
+  }
+  return result.normalize('NFC');
+}
+
+/**
+ * Fold leetspeak inside tokens that contain at least one letter
+ *
+ * Pure numbers are left alone so "room 455" doesn't read as "room ass".
+ */
+function foldLeet(text, oneAs) {
+  return text.replace(/[^\s_.\-]+/g, (token) => {
+    if (!/[a-z]/.test(token)) {
+      return token;
+    }
+    let result = '';
+    for (const char of token) {
+      if (char === '1') {
+        result += oneAs;
+      } else {
+        result += LEET_MAP[char] || char;
+      }
+    }
+    return result;
+  });
+}
+
+/**
+ * Replace separators with spaces and re-join runs of single letters
+ *
+ * "s_t_a_m_p" → "stamp", "f.u.c.k off" → "fuck off", "fuck_you" → "fuck you"
+ */
+function joinSeparated(text) {
+  const tokens = text.split(SEPARATOR_REGEX).filter(token => token.length > 0);
+  const words = [];
+  let run = '';
+
+  for (const token of tokens) {
+    if (token.length === 1) {
+      run += token;
+      continue;
+    }
+    if (run) {
+      words.push(run);
+      run = '';
+    }
+    words.push(token);
+  }
+  if (run) {
+    words.push(run);
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Remove everything that isn't a letter or digit
+ */
+function collapse(text) {
+  return text.replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Produce the normalized forms of a piece of text
+ *
+ * @param {string} text - Raw user input
+ * @returns {{skeleton: string, variants: string[], collapsed: string[]}}
+ *   skeleton  - base skeleton with leetspeak folded ("4dm1n" → "admin")
+ *   variants  - skeleton/leetspeak forms, with separated letters re-joined
+ *   collapsed - the same forms with every separator removed; only meaningful
+ *               for whole-word checks (substring checks would glue words together)
+ */
+function normalizeForModeration(text) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return { skeleton: '', variants: [], collapsed: [] };
+  }
+
+  const base = toSkeleton(text);
+  const forms = [base, foldLeet(base, 'i'), foldLeet(base, 'l')];
+
+  const variants = new Set(forms);
+  const collapsed = new Set();
+  for (const form of forms) {
+    variants.add(joinSeparated(form));
+    collapsed.add(collapse(form));
+  }
+  variants.delete('');
+  collapsed.delete('');
+
+  return {
+    skeleton: forms[1],
+    variants: [...variants],
+    collapsed: [...collapsed]
+  };
+}
+
+module.exports = {
+  normalizeForModeration,
+  toSkeleton
+};
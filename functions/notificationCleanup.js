@@ -0,0 +1,219 @@
+const {buildNotificationConfig} = require('./notificationConfig');
+const {parsePostId} = require('./posts');
+
+/**
+ * Notification cleanup
+ *
+ * Shared by the cleanupOldNotifications scheduled function and
+ * `stampbook-admin reconcile notifications` in the repo root, so it takes its
+ * Firestore handle as an argument instead of using admin.firestore().
+ *
+ * Each run, in order, until done or out of time:
+ * 1. Read notifications older than readRetentionDays (config/notifications)
+ * 2. All notifications older than retentionDays
+ * 3. Orphans: notifications whose actor account or target post no longer
+ *    exists. This scans the whole collection, so it resumes where the last
+ *    run stopped (cursor in maintenance_state/notification_cleanup).
+ *
+ * Every run writes a maintenance_runs doc with its counts.
+ */
+
+const PAGE_SIZE = 500;
+const DEFAULT_TIME_BUDGET_MS = 8 * 60 * 1000; // Leaves headroom under a 9 minute timeout
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATE_COLLECTION = 'maintenance_state';
+const STATE_DOC_ID = 'notification_cleanup';
+
+/**
+ * Run a cleanup pass
+ *
+ * @param {object} options
+ * @param {Firestore} options.db
+ * @param {object} [options.config] - From getNotificationConfig() / buildNotificationConfig()
+ * @param {Date} [options.now]
+ * @param {number} [options.timeBudgetMs] - Stop starting new pages after this
+ * @param {boolean} [options.dryRun] - Count only, delete nothing, write no run record
+ * @param {string} [options.trigger] - Recorded on the run doc ('schedule', 'script')
+ * @param {function} [options.log]
+ * @returns {Promise<object>} Run summary (same shape as the maintenance_runs doc)
+ */
+async function runNotificationCleanup({
+  db,
+  config = buildNotificationConfig(),
+  now = new Date(),
+  timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+  dryRun = false,
+  trigger = 'schedule',
+  log = console.log
+}) {
+  const startedAt = new Date();
+  const deadline = startedAt.getTime() + timeBudgetMs;
+  const outOfTime = () => Date.now() >= deadline;
+
+  const counts = {
+    readExpired: 0,
+    expired: 0,
+    orphanedActor: 0,
+    orphanedPost: 0,
+    scanned: 0,
+    failed: 0
+  };
+
+  const writer = dryRun ? null : db.bulkWriter();
+  const remove = (ref) => {
+    if (writer) {
+      writer.delete(ref).catch((error) => {
+        counts.failed++;
+        console.error(`❌ Failed to delete ${ref.path}:`, error.message);
+      });
+    }
+  };
+
+  const notifications = db.collection('notifications');
+  const readCutoff = new Date(now.getTime() - config.readRetentionDays * DAY_MS);
+  const cutoff = new Date(now.getTime() - config.retentionDays * DAY_MS);
+
+  /**
+   * Delete everything a query matches, page by page
+   *
+   * @returns {Promise<boolean>} true if drained, false if out of time
+   */
+  async function drain(query, countKey) {
+    let cursor = null;
+    while (!outOfTime()) {
+      const page = cursor ? query.startAfter(cursor) : query;
+      const snapshot = await page.limit(PAGE_SIZE).get();
+
+      snapshot.docs.forEach(doc => remove(doc.ref));
+      counts[countKey] += snapshot.size;
+      if (writer) {
+        await writer.flush();
+      }
+
+      if (snapshot.size < PAGE_SIZE) {
+        return true;
+      }
+      cursor = snapshot.docs[snapshot.size - 1];
+    }
+    return false;
+  }
+
+  log(`📋 Read notifications older than ${config.readRetentionDays} days...`);
+  let complete = await drain(
+    notifications.where('isRead', '==', true).where('createdAt', '<', readCutoff).orderBy('createdAt'),
+    'readExpired'
+  );
+
+  if (complete) {
+    log(`📋 All notifications older than ${config.retentionDays} days...`);
+    complete = await drain(
+      notifications.where('createdAt', '<', cutoff).orderBy('createdAt'),
+      'expired'
+    );
+  }
+
+  if (complete) {
+    log('📋 Notifications whose actor or post is gone...');
+    complete = await purgeOrphans({ db, counts, remove, writer, outOfTime, dryRun });
+  }
+
+  if (writer) {
+    await writer.close();
+  }
+
+  const summary = {
+    task: 'notification_cleanup',
+    trigger,
+    dryRun,
+    complete,
+    counts,
+    deleted: counts.readExpired + counts.expired + counts.orphanedActor + counts.orphanedPost - counts.failed,
+    config: {
+      readRetentionDays: config.readRetentionDays,
+      retentionDays: config.retentionDays
+    },
+    startedAt,
+    finishedAt: new Date()
+  };
+
+  if (!dryRun) {
+    await db.collection('maintenance_runs').add(summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Scan notifications in ID order and delete ones pointing at missing users/posts
+ *
+ * @returns {Promise<boolean>} true if the scan reached the end
+ */
+async function purgeOrphans({ db, counts, remove, writer, outOfTime, dryRun }) {
+  const stateRef = db.collection(STATE_COLLECTION).doc(STATE_DOC_ID);
+  const stateDoc = await stateRef.get();
+  let cursor = stateDoc.exists ? stateDoc.data().orphanScanCursor || null : null;
+
+  // Existence checks are shared across pages (the same actors/posts repeat a lot)
+  const exists = new Map();
+
+  async function checkExistence(paths) {
+    const unknown = [...new Set(paths)].filter(path => !exists.has(path));
+    if (unknown.length === 0) {
+      return;
+    }
+    const docs = await db.getAll(...unknown.map(path => db.doc(path)));
+    docs.forEach(doc => exists.set(doc.ref.path, doc.exists));
+  }
+
+  while (!outOfTime()) {
+    // '__name__' = document ID order, so the cursor is just an ID
+    let query = db.collection('notifications').orderBy('__name__').limit(PAGE_SIZE);
+    if (cursor) {
+      query = query.startAfter(cursor);
+    }
+    const snapshot = await query.get();
+
+    const targets = snapshot.docs.map((doc) => {
+      const notification = doc.data();
+      const post = parsePostId(notification.postId);
+      return {
+        ref: doc.ref,
+        actorPath: notification.actorId ? `users/${notification.actorId}` : null,
+        postPath: post ? `users/${post.ownerId}/collectedStamps/${post.stampId}` : null
+      };
+    });
+
+    await checkExistence(targets.flatMap(target => [target.actorPath, target.postPath].filter(Boolean)));
+
+    for (const target of targets) {
+      if (target.actorPath && !exists.get(target.actorPath)) {
+        remove(target.ref);
+        counts.orphanedActor++;
+      } else if (target.postPath && !exists.get(target.postPath)) {
+        remove(target.ref);
+        counts.orphanedPost++;
+      }
+    }
+    counts.scanned += snapshot.size;
+    if (writer) {
+      await writer.flush();
+    }
+
+    const finished = snapshot.size < PAGE_SIZE;
+    cursor = finished ? null : snapshot.docs[snapshot.size - 1].id;
+    if (!dryRun) {
+      await stateRef.set({ orphanScanCursor: cursor, updatedAt: new Date() }, { merge: true });
+    }
+    if (finished) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  DEFAULT_TIME_BUDGET_MS,
+  runNotificationCleanup
+};
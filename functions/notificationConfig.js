@@ -0,0 +1,93 @@
+const admin = require('firebase-admin');
+
+/**
+ * Notification settings (config/notifications)
+ *
+ * {
+ *   aggregationWindowMinutes: number  // Likes on one post / follows within this
+ *                                     // window merge into one notification (0 = off)
+ *   readRetentionDays: number         // Read notifications are deleted after this
+ *   retentionDays: number             // Every notification is deleted after this
+ * }
+ *
+ * Cached per function instance for CACHE_TTL_MS, same as the moderation
+ * config. Missing fields fall back to DEFAULT_NOTIFICATION_CONFIG.
+ */
+
+const CONFIG_COLLECTION = 'config';
+const CONFIG_DOC_ID = 'notifications';
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+const DEFAULT_NOTIFICATION_CONFIG = {
+  aggregationWindowMinutes: 60,
+  readRetentionDays: 30,
+  retentionDays: 90
+};
+
+let cachedConfig = null;
+let cachedAt = 0;
+let pendingLoad = null;
+
+function nonNegativeNumber(value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function positiveNumber(value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Merge a config doc over the defaults, ignoring invalid values
+ */
+function buildNotificationConfig(data = {}) {
+  return {
+    aggregationWindowMinutes: nonNegativeNumber(
+      data.aggregationWindowMinutes,
+      DEFAULT_NOTIFICATION_CONFIG.aggregationWindowMinutes
+    ),
+    readRetentionDays: positiveNumber(data.readRetentionDays, DEFAULT_NOTIFICATION_CONFIG.readRetentionDays),
+    retentionDays: positiveNumber(data.retentionDays, DEFAULT_NOTIFICATION_CONFIG.retentionDays)
+  };
+}
+
+async function loadNotificationConfig() {
+  try {
+    const doc = await admin.firestore()
+      .collection(CONFIG_COLLECTION)
+      .doc(CONFIG_DOC_ID)
+      .get();
+    return buildNotificationConfig(doc.exists ? doc.data() : {});
+  } catch (error) {
+    console.error('❌ Failed to load notification config, using defaults:', error);
+    return cachedConfig || buildNotificationConfig();
+  }
+}
+
+/**
+ * Get the current notification config, reloading once the cache expires
+ */
+async function getNotificationConfig() {
+  if (cachedConfig && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedConfig;
+  }
+
+  if (!pendingLoad) {
+    pendingLoad = loadNotificationConfig()
+      .then((config) => {
+        cachedConfig = config;
+        cachedAt = Date.now();
+        return config;
+      })
+      .finally(() => {
+        pendingLoad = null;
+      });
+  }
+
+  return pendingLoad;
+}
+
+module.exports = {
+  DEFAULT_NOTIFICATION_CONFIG,
+  buildNotificationConfig,
+  getNotificationConfig
+};
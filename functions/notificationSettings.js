@@ -0,0 +1,203 @@
+const admin = require('firebase-admin');
+
+/**
+ * Per-user notification preferences
+ *
+ * users/{userId}/settings/notifications: {
+ *   types: {                      // Per notification type:
+ *     follow: 'push',             //   'push'   - in-app notification + push (default)
+ *     like: 'in_app',             //   'in_app' - in-app notification only
+ *     comment: 'off',             //   'off'    - nothing
+ *     reply: 'push',
+ *     mention: true               //   true/false are accepted as 'push'/'off'
+ *   },
+ *   onlyFromFollowing: false,     // Drop notifications from people I don't follow
+ *   quietHours: {                 // Pushes during quiet hours wait until they end
+ *     enabled: true,
+ *     start: '22:00',             // HH:MM local time
+ *     end: '07:00',
+ *     timeZone: 'America/Denver'  // IANA zone, UTC if missing/invalid
+ *   },
+ *   emailDigest: false            // Weekly email of unread notifications (digest.js)
+ * }
+ *
+ * Missing doc or fields = everything on, no quiet hours. Settings are cached
+ * per function instance for SETTINGS_CACHE_TTL_MS, so changes apply within a
+ * minute.
+ */
+
+const NOTIFICATION_TYPES = ['follow', 'like', 'comment', 'reply', 'mention'];
+const DELIVERY_LEVELS = ['push', 'in_app', 'off'];
+
+const SETTINGS_CACHE_TTL_MS = 60 * 1000; // 1 minute
+const SETTINGS_CACHE_MAX_ENTRIES = 1000;
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  types: NOTIFICATION_TYPES.reduce((types, type) => ({ ...types, [type]: 'push' }), {}),
+  onlyFromFollowing: false,
+  quietHours: null,
+  emailDigest: false
+};
+
+const settingsCache = new Map();
+
+function parseClock(value) {
+  const match = typeof value === 'string' ? value.match(/^([01]\d|2[0-3]):([0-5]\d)$/) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function normalizeLevel(value) {
+  if (value === true) {
+    return 'push';
+  }
+  if (value === false) {
+    return 'off';
+  }
+  return DELIVERY_LEVELS.includes(value) ? value : 'push';
+}
+
+/**
+ * Turn a settings doc into a complete, valid settings object
+ */
+function normalizeSettings(data = {}) {
+  const types = { ...DEFAULT_NOTIFICATION_SETTINGS.types };
+  for (const type of NOTIFICATION_TYPES) {
+    if (data.types && data.types[type] !== undefined) {
+      types[type] = normalizeLevel(data.types[type]);
+    }
+  }
+
+  let quietHours = null;
+  const quiet = data.quietHours;
+  if (quiet && quiet.enabled !== false) {
+    const start = parseClock(quiet.start);
+    const end = parseClock(quiet.end);
+    if (start !== null && end !== null && start !== end) {
+      quietHours = {
+        start,
+        end,
+        timeZone: typeof quiet.timeZone === 'string' ? quiet.timeZone : 'UTC'
+      };
+    }
+  }
+
+  return {
+    types,
+    onlyFromFollowing: data.onlyFromFollowing === true,
+    quietHours,
+    emailDigest: data.emailDigest === true
+  };
+}
+
+/**
+ * Minutes since local midnight in a time zone
+ */
+function localMinutes(date, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+  } catch (error) {
+    // Unknown time zone - fall back to UTC
+    return date.getUTCHours() * 60 + date.getUTCMinutes();
+  }
+  const hour = Number(parts.find(part => part.type === 'hour').value);
+  const minute = Number(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+/**
+ * When the current quiet hours end
+ *
+ * @param {object|null} quietHours - Normalized quiet hours
+ * @param {Date} now
+ * @returns {Date|null} null if not in quiet hours right now
+ */
+function quietHoursEnd(quietHours, now) {
+  if (!quietHours) {
+    return null;
+  }
+
+  const { start, end, timeZone } = quietHours;
+  const current = localMinutes(now, timeZone);
+
+  // Overnight ranges (22:00 → 07:00) wrap past midnight
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+
+  if (!inside) {
+    return null;
+  }
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+  return endsAt;
+}
+
+/**
+ * Decide what happens to a notification for this recipient
+ *
+ * @param {object} settings - Normalized settings
+ * @param {string} type - Notification type
+ * @param {object} context - { followsActor: boolean, now: Date }
+ * @returns {{action: 'push' | 'in_app' | 'skip', deferUntil: Date | null}}
+ */
+function decideDelivery(settings, type, { followsActor = true, now = new Date() } = {}) {
+  const level = settings.types[type] || 'push';
+
+  if (level === 'off' || (settings.onlyFromFollowing && !followsActor)) {
+    return { action: 'skip', deferUntil: null };
+  }
+  if (level === 'in_app') {
+    return { action: 'in_app', deferUntil: null };
+  }
+
+  return { action: 'push', deferUntil: quietHoursEnd(settings.quietHours, now) };
+}
+
+/**
+ * Load a user's settings (cached)
+ */
+async function getNotificationSettings(userId) {
+  const cached = settingsCache.get(userId);
+  if (cached && Date.now() - cached.at < SETTINGS_CACHE_TTL_MS) {
+    return cached.settings;
+  }
+
+  let settings;
+  try {
+    const doc = await admin.firestore()
+      .collection('users').doc(userId)
+      .collection('settings').doc('notifications')
+      .get();
+    settings = normalizeSettings(doc.exists ? doc.data() : {});
+  } catch (error) {
+    console.error(`❌ Failed to load notification settings for ${userId}:`, error);
+    // Don't lose notifications over a failed lookup
+    return cached ? cached.settings : normalizeSettings();
+  }
+
+  settingsCache.delete(userId);
+  settingsCache.set(userId, { settings, at: Date.now() });
+  if (settingsCache.size > SETTINGS_CACHE_MAX_ENTRIES) {
+    // Map keeps insertion order - drop the oldest entry
+    settingsCache.delete(settingsCache.keys().next().value);
+  }
+
+  return settings;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DEFAULT_NOTIFICATION_SETTINGS,
+  normalizeSettings,
+  quietHoursEnd,
+  decideDelivery,
+  getNotificationSettings
+};
@@ -0,0 +1,93 @@
+/**
+ * Push notification copy, per locale
+ *
+ * Placeholders:
+ * - {actor}    Display name (or @username) of whoever triggered the notification
+ * - {preview}  Comment preview text
+ * - {others}   How many other people did the same (aggregated *_many types)
+ *
+ * Add a locale by adding a key here - device locales like "ja-JP" fall back
+ * to "ja", then to DEFAULT_LOCALE.
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+const TEMPLATES = {
+  en: {
+    follow: { title: 'New follower', body: '{actor} started following you' },
+    like: { title: 'New like', body: '{actor} liked your stamp' },
+    like_many: { title: 'New likes', body: '{actor} and {others} more liked your stamp' },
+    follow_many: { title: 'New followers', body: '{actor} and {others} more started following you' },
+    comment: { title: 'New comment', body: '{actor} commented: {preview}' },
+    reply: { title: 'New reply', body: '{actor} replied: {preview}' },
+    mention: { title: 'New mention', body: '{actor} mentioned you: {preview}' },
+    data_export: { title: 'Your data is ready', body: 'Your Stampbook data export is ready to download' }
+  },
+  ja: {
+    follow: { title: '新しいフォロワー', body: '{actor}さんがあなたをフォローしました' },
+    like: { title: 'いいね', body: '{actor}さんがあなたのスタンプにいいねしました' },
+    like_many: { title: 'いいね', body: '{actor}さんと他{others}人があなたのスタンプにいいねしました' },
+    follow_many: { title: '新しいフォロワー', body: '{actor}さんと他{others}人があなたをフォローしました' },
+    comment: { title: '新しいコメント', body: '{actor}さんがコメントしました: {preview}' },
+    reply: { title: '新しい返信', body: '{actor}さんが返信しました: {preview}' },
+    mention: { title: 'メンション', body: '{actor}さんがあなたをメンションしました: {preview}' },
+    data_export: { title: 'データの準備ができました', body: 'Stampbookのデータをダウンロードできます' }
+  },
+  es: {
+    follow: { title: 'Nuevo seguidor', body: '{actor} empezó a seguirte' },
+    like: { title: 'Nuevo me gusta', body: 'A {actor} le gustó tu sello' },
+    like_many: { title: 'Nuevos me gusta', body: 'A {actor} y {others} más les gustó tu sello' },
+    follow_many: { title: 'Nuevos seguidores', body: '{actor} y {others} más empezaron a seguirte' },
+    comment: { title: 'Nuevo comentario', body: '{actor} comentó: {preview}' },
+    reply: { title: 'Nueva respuesta', body: '{actor} respondió: {preview}' },
+    mention: { title: 'Nueva mención', body: '{actor} te mencionó: {preview}' },
+    data_export: { title: 'Tus datos están listos', body: 'Ya puedes descargar tu exportación de datos de Stampbook' }
+  }
+};
+
+/**
+ * Pick the template set for a device locale ("ja-JP" → ja, unknown → en)
+ */
+function resolveLocale(locale) {
+  if (typeof locale !== 'string' || locale.length === 0) {
+    return DEFAULT_LOCALE;
+  }
+  const normalized = locale.replace('_', '-').toLowerCase();
+  if (TEMPLATES[normalized]) {
+    return normalized;
+  }
+  const language = normalized.split('-')[0];
+  return TEMPLATES[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Render title + body for a notification
+ *
+ * @param {string} type - Notification type (follow, like, comment, like_many, ...)
+ * @param {string} locale - Device locale
+ * @param {object} values - { actor, preview, others }
+ * @returns {{title: string, body: string} | null} null for unknown types
+ */
+function renderNotification(type, locale, values) {
+  const template = TEMPLATES[resolveLocale(locale)][type] || TEMPLATES[DEFAULT_LOCALE][type];
+  if (!template) {
+    return null;
+  }
+
+  const fill = text => text.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = values[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+
+  return {
+    title: fill(template.title),
+    body: fill(template.body).trim()
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  TEMPLATES,
+  resolveLocale,
+  renderNotification
+};
@@ -0,0 +1,606 @@
+const admin = require('firebase-admin');
+const {getPushDelivery} = require('./push');
+const {getNotificationConfig} = require('./notificationConfig');
+const {getNotificationSettings, decideDelivery} = require('./notificationSettings');
+
+/**
+ * Notification creation
+ *
+ * Every notification trigger goes through createNotification so the in-app
+ * notifications doc and the push to the recipient's devices stay in step.
+ *
+ * notifications/{id}: {
+ *   recipientId, actorId, type, postId, stampId, commentPreview,
+ *   createdAt, isRead,
+ *   sourceKeys  - What caused it (see sourceKey below), so undoing the action
+ *                 can find and retract it
+ *   pushDeferredUntil - Set while the push waits for the recipient's quiet
+ *                 hours to end (sent by sendDeferredPushes)
+ *   readByMarkAll - Marked read by markAllNotificationsRead, which already
+ *                 took it off the unread counter
+ * }
+ *
+ * users/{recipientId}.unreadNotificationCount goes up in the same write that
+ * creates a notification (or turns an aggregated one unread again) and comes
+ * down in updateUnreadNotificationCount when one is read or deleted.
+ *
+ * The recipient's settings (notificationSettings.js) decide whether a
+ * notification is created at all, and whether it pushes now, later or never.
+ *
+ * Aggregation: a like on a post or a follow of a user merges into the last
+ * notification for the same post / user if that one is less than
+ * config/notifications.aggregationWindowMinutes old (its createdAt moves up
+ * with every merge, so a steady stream keeps merging). Aggregated docs have
+ * extra fields:
+ *   aggregationKey - "like_{recipientId}_{postId}" / "follow_{recipientId}"
+ *   actorIds       - Most recent actors first, at most ACTOR_SAMPLE_SIZE
+ *   actorCount     - Distinct actors merged in
+ *   mergedActorIds - Most recent actors first, at most MAX_TRACKED_ACTORS, so
+ *                    a redelivered event isn't counted twice
+ * actorId is always the most recent actor, so older app versions still show
+ * a sensible single-actor notification.
+ *
+ * notification_aggregates/{aggregationKey} points at the last notification
+ * for each key ({ notificationId, expireAt }) and is what transactions lock
+ * on. Pointers past expireAt are useless and removed by a TTL policy.
+ */
+
+const ACTOR_SAMPLE_SIZE = 5;
+const MAX_TRACKED_ACTORS = 200;
+
+// Transactions are capped at 500 writes - one page plus the counter
+const MARK_ALL_PAGE_SIZE = 400;
+
+/**
+ * Deterministic key for the document that caused a notification
+ *
+ * - like:    "like:{likeId}"
+ * - comment: "comment:{commentId}"
+ * - follow:  "follow:{followerId}:{followingId}"
+ */
+function sourceKey(type, ...ids) {
+  return [type, ...ids].join(':');
+}
+
+/**
+ * Key that notifications merge on, or null if the type doesn't aggregate
+ */
+function aggregationKeyFor(fields) {
+  if (fields.type === 'like' && fields.postId) {
+    return `like_${fields.recipientId}_${fields.postId}`;
+  }
+  if (fields.type === 'follow') {
+    return `follow_${fields.recipientId}`;
+  }
+  return null;
+}
+
+/**
+ * Can a new notification merge into this one?
+ *
+ * Only while the last merge (createdAt) is less than the window old.
+ *
+ * @param {object} existing - Current doc data
+ * @param {number} windowMinutes
+ * @param {Date} now
+ */
+function isWithinWindow(existing, windowMinutes, now) {
+  const createdAt = existing.createdAt;
+  if (!createdAt || typeof createdAt.toMillis !== 'function') {
+    return false;
+  }
+  return now.getTime() - createdAt.toMillis() < windowMinutes * 60 * 1000;
+}
+
+/**
+ * Add an actor to an aggregated notification
+ *
+ * @param {object} existing - Current doc data
+ * @param {string} actorId
+ * @returns {object|null} Fields to update, or null if the actor was already
+ *   merged in (duplicate trigger delivery, or like → unlike → like)
+ */
+function mergeActor(existing, actorId) {
+  const actorIds = existing.actorIds || [existing.actorId];
+  const merged = existing.mergedActorIds || actorIds;
+  if (merged.includes(actorId) || actorIds.includes(actorId)) {
+    return null;
+  }
+
+  return {
+    actorId: actorId,
+    actorIds: [actorId, ...actorIds].slice(0, ACTOR_SAMPLE_SIZE),
+    actorCount: (existing.actorCount || actorIds.length) + 1,
+    mergedActorIds: [actorId, ...merged].slice(0, MAX_TRACKED_ACTORS)
+  };
+}
+
+/**
+ * Take an actor back out of a notification (unlike, unfollow, comment deleted)
+ *
+ * @param {object} existing - Current doc data
+ * @param {string} actorId
+ * @returns {object|null} Fields to update, or null if the notification should
+ *   be deleted (no actors left, or it was never aggregated)
+ */
+function removeActor(existing, actorId) {
+  const actorCount = existing.actorCount || 1;
+  if (actorCount <= 1) {
+    return null;
+  }
+
+  const actorIds = (existing.actorIds || []).filter(id => id !== actorId);
+  return {
+    // Older actors beyond the sample aren't known - keep the current actor then
+    actorId: existing.actorId === actorId && actorIds.length > 0 ? actorIds[0] : existing.actorId,
+    actorIds: actorIds,
+    actorCount: actorCount - 1,
+    ...(existing.mergedActorIds ? { mergedActorIds: existing.mergedActorIds.filter(id => id !== actorId) } : {})
+  };
+}
+
+/**
+ * How a notification write changes the recipient's unread counter, from the
+ * updateUnreadNotificationCount trigger's point of view
+ *
+ * Creating a notification (or making an aggregated one unread again) is
+ * counted by createNotification itself, and markAllNotificationsRead counts
+ * its own reads - so this is only ever -1 or 0.
+ *
+ * @param {object|null} before - Doc data before the write (null = created)
+ * @param {object|null} after - Doc data after the write (null = deleted)
+ * @returns {number}
+ */
+function unreadCountDelta(before, after) {
+  const wasUnread = before !== null && before.isRead !== true;
+  const isUnread = after !== null && after.isRead !== true;
+  if (!wasUnread || isUnread || (after && after.readByMarkAll)) {
+    return 0;
+  }
+  return -1;
+}
+
+/**
+ * Apply unreadCountDelta for a notification write to the recipient's counter
+ *
+ * Never goes below 0, so a retried event can't push it negative.
+ *
+ * @param {Firestore} db
+ * @param {object|null} before - Doc data before the write (null = created)
+ * @param {object|null} after - Doc data after the write (null = deleted)
+ * @returns {Promise<boolean>} Whether the counter changed
+ */
+async function applyUnreadCountDelta(db, before, after) {
+  if (unreadCountDelta(before, after) === 0) {
+    return false;
+  }
+
+  const userRef = db.collection('users').doc(before.recipientId);
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) {
+      return false;
+    }
+    const current = userDoc.data().unreadNotificationCount || 0;
+    if (current <= 0) {
+      return false;
+    }
+    transaction.update(userRef, { unreadNotificationCount: current - 1 });
+    return true;
+  });
+}
+
+/**
+ * Counter update for the recipient's profile
+ */
+function unreadCountChange(delta) {
+  return { unreadNotificationCount: admin.firestore.FieldValue.increment(delta) };
+}
+
+/**
+ * Merge into the last notification for this key, or start a new one
+ *
+ * @param {Firestore} db
+ * @param {string} key - aggregationKeyFor() the notification
+ * @param {string} source - sourceKey() of what caused it
+ * @param {object} notification - Fields for a new notification
+ * @param {number} windowMinutes
+ * @param {Date} [now]
+ * @returns {Promise<{ref: DocumentReference, notification: object, isNew: boolean, wasRead: boolean} | null>}
+ *   null when nothing changed
+ */
+async function aggregateNotification(db, key, source, notification, windowMinutes, now = new Date()) {
+  const pointerRef = db.collection('notification_aggregates').doc(key);
+  const recipientRef = db.collection('users').doc(notification.recipientId);
+  const expireAt = admin.firestore.Timestamp.fromMillis(now.getTime() + windowMinutes * 60 * 1000);
+
+  return db.runTransaction(async (transaction) => {
+    const pointer = await transaction.get(pointerRef);
+    const last = pointer.exists
+      ? await transaction.get(db.collection('notifications').doc(pointer.data().notificationId))
+      : null;
+
+    if (!last || !last.exists || !isWithinWindow(last.data(), windowMinutes, now)) {
+      const ref = db.collection('notifications').doc();
+      const created = {
+        ...notification,
+        sourceKeys: [source],
+        aggregationKey: key,
+        actorIds: [notification.actorId],
+        actorCount: 1,
+        mergedActorIds: [notification.actorId]
+      };
+      transaction.create(ref, created);
+      transaction.update(recipientRef, unreadCountChange(1));
+      transaction.set(pointerRef, { notificationId: ref.id, expireAt });
+      return { ref, notification: created, isNew: true, wasRead: false };
+    }
+
+    const ref = last.ref;
+    const existing = last.data();
+    const merged = mergeActor(existing, notification.actorId);
+    if (!merged) {
+      if (!(existing.sourceKeys || []).includes(source)) {
+        transaction.update(ref, { sourceKeys: admin.firestore.FieldValue.arrayUnion(source) });
+      }
+      return null;
+    }
+
+    // New actors bring it back to the top of the list as unread
+    const update = {
+      ...merged,
+      sourceKeys: admin.firestore.FieldValue.arrayUnion(source),
+      createdAt: notification.createdAt,
+      isRead: false,
+      readByMarkAll: admin.firestore.FieldValue.delete(),
+      ...(notification.pushDeferredUntil ? { pushDeferredUntil: notification.pushDeferredUntil } : {})
+    };
+    transaction.update(ref, update);
+    transaction.update(pointerRef, { expireAt });
+    if (existing.isRead === true) {
+      transaction.update(recipientRef, unreadCountChange(1));
+    }
+
+    return {
+      ref,
+      notification: { ...existing, ...update },
+      isNew: false,
+      wasRead: existing.isRead === true
+    };
+  });
+}
+
+/**
+ * Does the recipient follow the actor?
+ */
+async function followsActor(recipientId, actorId) {
+  const doc = await admin.firestore()
+    .collection('users').doc(recipientId)
+    .collection('following').doc(actorId)
+    .get();
+  return doc.exists;
+}
+
+/**
+ * Write a notification and push it to the recipient's devices
+ *
+ * Recipient settings apply first: the type can be off (nothing written),
+ * in-app only (written, no push), or pushed - now, or once quiet hours end.
+ *
+ * Aggregated notifications only push when they're new or were already read -
+ * one buzz per burst of likes, not one per like.
+ *
+ * Push failures are logged, not thrown - the in-app notification is already
+ * saved and shows up next time the app loads.
+ *
+ * @param {object} fields - { recipientId, actorId, type, sourceKey, postId?, stampId?, commentPreview? }
+ * @returns {Promise<DocumentReference|null>} null when the recipient's settings
+ *   skip it, or when merged into an existing notification with no change
+ */
+async function createNotification(fields) {
+  const settings = await getNotificationSettings(fields.recipientId);
+  const delivery = decideDelivery(settings, fields.type, {
+    // Notifications about the recipient's own actions (data_export) always pass
+    followsActor: settings.onlyFromFollowing && fields.actorId !== fields.recipientId
+      ? await followsActor(fields.recipientId, fields.actorId)
+      : true,
+    now: new Date()
+  });
+
+  if (delivery.action === 'skip') {
+    console.log(`🔕 ${fields.recipientId} has ${fields.type} notifications from ${fields.actorId} turned off`);
+    return null;
+  }
+
+  const notification = {
+    recipientId: fields.recipientId,
+    actorId: fields.actorId,
+    type: fields.type,
+    postId: fields.postId || null,
+    stampId: fields.stampId || null,
+    commentPreview: fields.commentPreview || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    isRead: false
+  };
+
+  if (delivery.action === 'push' && delivery.deferUntil) {
+    notification.pushDeferredUntil = admin.firestore.Timestamp.fromDate(delivery.deferUntil);
+  }
+
+  const { aggregationWindowMinutes } = await getNotificationConfig();
+  const key = aggregationWindowMinutes > 0 ? aggregationKeyFor(notification) : null;
+
+  let ref;
+  let pushed = notification;
+
+  try {
+    if (key) {
+      const result = await aggregateNotification(admin.firestore(), key, fields.sourceKey, notification, aggregationWindowMinutes);
+      if (!result) {
+        return null;
+      }
+      ref = result.ref;
+      pushed = result.notification;
+      if (!result.isNew && !result.wasRead) {
+        console.log(`🔁 Merged ${notification.actorId} into ${ref.id} (${pushed.actorCount} actors)`);
+        return ref;
+      }
+    } else {
+      const db = admin.firestore();
+      ref = db.collection('notifications').doc();
+      const batch = db.batch();
+      batch.create(ref, {
+        ...notification,
+        sourceKeys: [fields.sourceKey]
+      });
+      batch.update(db.collection('users').doc(fields.recipientId), unreadCountChange(1));
+      await batch.commit();
+    }
+  } catch (error) {
+    if (error.code === 5) { // NOT_FOUND - the recipient's profile is gone
+      console.log(`⚠️ Recipient ${fields.recipientId} no longer exists, skipping ${fields.type} notification`);
+      return null;
+    }
+    throw error;
+  }
+
+  if (delivery.action === 'in_app') {
+    return ref;
+  }
+  if (notification.pushDeferredUntil) {
+    console.log(`🌙 Push for ${ref.id} deferred until ${delivery.deferUntil.toISOString()} (quiet hours)`);
+    return ref;
+  }
+
+  await sendPush(ref.id, pushed);
+  return ref;
+}
+
+/**
+ * Push one notification, logging instead of throwing
+ */
+async function sendPush(notificationId, notification) {
+  try {
+    const result = await getPushDelivery().send({ id: notificationId, ...notification });
+    if (result.sent > 0 || result.failed > 0) {
+      console.log(`📲 Push for ${notificationId}: ${result.sent} sent, ${result.failed} failed`);
+    }
+  } catch (error) {
+    console.error(`❌ Push delivery failed for notification ${notificationId}:`, error);
+  }
+}
+
+/**
+ * Send pushes held back by quiet hours whose time has come
+ *
+ * Notifications read in the meantime are cleared without a push.
+ *
+ * @returns {Promise<{sent: number, skipped: number}>}
+ */
+async function sendDeferredPushes(now = new Date()) {
+  const db = admin.firestore();
+  const batchSize = 200;
+  let sent = 0;
+  let skipped = 0;
+
+  for (;;) {
+    const snapshot = await db.collection('notifications')
+      .where('pushDeferredUntil', '<=', admin.firestore.Timestamp.fromDate(now))
+      .limit(batchSize)
+      .get();
+
+    if (snapshot.empty) {
+      break;
+    }
+
+    for (const doc of snapshot.docs) {
+      const notification = doc.data();
+      // Clear first so a failed push isn't retried forever
+      await doc.ref.update({ pushDeferredUntil: admin.firestore.FieldValue.delete() });
+
+      if (notification.isRead) {
+        skipped++;
+        continue;
+      }
+      await sendPush(doc.id, notification);
+      sent++;
+    }
+
+    if (snapshot.size < batchSize) {
+      break;
+    }
+  }
+
+  return { sent, skipped };
+}
+
+/**
+ * Retract whatever a since-undone action notified
+ *
+ * Single notifications are deleted; aggregated ones lose the actor and are
+ * deleted once nobody is left. Notifications from before sourceKeys existed
+ * can't be matched and age out through cleanupOldNotifications.
+ *
+ * @param {Firestore} db
+ * @param {string} source - sourceKey() of the deleted like/comment/follow
+ * @param {string} actorId - Who undid it
+ * @returns {Promise<number>} Notifications changed
+ */
+async function retractNotification(db, source, actorId) {
+  const snapshot = await db.collection('notifications')
+    .where('sourceKeys', 'array-contains', source)
+    .get();
+
+  for (const doc of snapshot.docs) {
+    await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(doc.ref);
+      if (!current.exists) {
+        return;
+      }
+
+      const update = removeActor(current.data(), actorId);
+      if (!update) {
+        transaction.delete(doc.ref);
+        return;
+      }
+
+      transaction.update(doc.ref, {
+        ...update,
+        sourceKeys: admin.firestore.FieldValue.arrayRemove(source)
+      });
+    });
+  }
+
+  return snapshot.size;
+}
+
+/**
+ * Whether a sourceKey() is a like or follow by this actor
+ *
+ * Like IDs are "{userId}_{postId}", follows "follow:{followerId}:{followingId}"
+ */
+function isSourceOf(source, actorId) {
+  return source.startsWith(`like:${actorId}_`) || source.startsWith(`follow:${actorId}:`);
+}
+
+/**
+ * Take an actor out of every aggregated notification a recipient has (block)
+ *
+ * Like retractNotification, but for everything the actor merged into: they
+ * lose their place in actorIds / mergedActorIds and their sourceKeys, and a
+ * notification nobody else is left on is deleted along with its
+ * notification_aggregates pointer. Found through mergedActorIds (or actorIds
+ * on docs from before it existed).
+ *
+ * @param {Firestore} db
+ * @param {string} recipientId
+ * @param {string} actorId
+ * @returns {Promise<{updated: number, deleted: number}>}
+ */
+async function retractActor(db, recipientId, actorId) {
+  const received = db.collection('notifications').where('recipientId', '==', recipientId);
+  const snapshots = await Promise.all([
+    received.where('mergedActorIds', 'array-contains', actorId).get(),
+    received.where('actorIds', 'array-contains', actorId).get()
+  ]);
+  const refs = new Map();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(doc => refs.set(doc.id, doc.ref)));
+
+  const result = { updated: 0, deleted: 0 };
+  for (const ref of refs.values()) {
+    const outcome = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(ref);
+      if (!current.exists) {
+        return null;
+      }
+      const existing = current.data();
+      const pointerRef = existing.aggregationKey
+        ? db.collection('notification_aggregates').doc(existing.aggregationKey)
+        : null;
+      const pointer = pointerRef ? await transaction.get(pointerRef) : null;
+
+      const update = removeActor(existing, actorId);
+      if (!update) {
+        transaction.delete(ref);
+        if (pointer && pointer.exists && pointer.data().notificationId === ref.id) {
+          transaction.delete(pointerRef);
+        }
+        return 'deleted';
+      }
+
+      transaction.update(ref, {
+        ...update,
+        sourceKeys: (existing.sourceKeys || []).filter(source => !isSourceOf(source, actorId))
+      });
+      return 'updated';
+    });
+    if (outcome) {
+      result[outcome]++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Mark every unread notification of a user read, keeping the counter exact
+ *
+ * Each page of notifications and the counter change commit in one
+ * transaction. Once nothing unread is left the counter is set to 0, which
+ * also repairs any drift.
+ *
+ * @param {Firestore} db
+ * @param {string} userId
+ * @returns {Promise<number>} Notifications marked read
+ */
+async function markAllNotificationsRead(db, userId) {
+  const userRef = db.collection('users').doc(userId);
+  const unread = db.collection('notifications')
+    .where('recipientId', '==', userId)
+    .where('isRead', '==', false)
+    .limit(MARK_ALL_PAGE_SIZE);
+
+  let marked = 0;
+  for (;;) {
+    const count = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(unread);
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists) {
+        return 0;
+      }
+
+      snapshot.docs.forEach((doc) => {
+        transaction.update(doc.ref, { isRead: true, readByMarkAll: true });
+      });
+
+      const current = userDoc.data().unreadNotificationCount || 0;
+      transaction.update(userRef, {
+        unreadNotificationCount: snapshot.size < MARK_ALL_PAGE_SIZE ? 0 : Math.max(0, current - snapshot.size)
+      });
+      return snapshot.size;
+    });
+
+    marked += count;
+    if (count < MARK_ALL_PAGE_SIZE) {
+      return marked;
+    }
+  }
+}
+
+module.exports = {
+  ACTOR_SAMPLE_SIZE,
+  MAX_TRACKED_ACTORS,
+  sourceKey,
+  aggregationKeyFor,
+  isWithinWindow,
+  mergeActor,
+  aggregateNotification,
+  removeActor,
+  retractActor,
+  unreadCountDelta,
+  applyUnreadCountDelta,
+  createNotification,
+  retractNotification,
+  sendDeferredPushes,
+  markAllNotificationsRead
+};
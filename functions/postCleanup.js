@@ -0,0 +1,109 @@
+const {onDocumentDeleted} = require('firebase-functions/v2/firestore');
+const admin = require('firebase-admin');
+const {removeCollector} = require('./collectors');
+
+/**
+ * Post deletion cascade
+ *
+ * Removing users/{userId}/collectedStamps/{stampId} (uncollecting a stamp,
+ * or account deletion) leaves everything that hangs off the post behind.
+ * This cleans it up in pages:
+ * - likes and comments on the post (their own triggers retract the
+ *   notifications and skip the counters, since the post is gone)
+ * - notifications pointing at the post
+ * - photos under users/{userId}/stamps/{stampId}/ in Storage, and any of them
+ *   imageModeration.js moved to quarantine/
+ * - the user's collector entry under stamp_statistics/{stampId} (releases their rank)
+ * (Profile stats are recomputed separately by updateProfileStats.)
+ */
+
+const PAGE_SIZE = 500;
+
+/**
+ * Delete every doc a query matches, one batch per page
+ *
+ * @returns {Promise<number>} Docs deleted
+ */
+async function deleteQueryInPages(db, query) {
+  let deleted = 0;
+
+  for (;;) {
+    const snapshot = await query.limit(PAGE_SIZE).get();
+    if (snapshot.empty) {
+      return deleted;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+
+    if (snapshot.size < PAGE_SIZE) {
+      return deleted;
+    }
+  }
+}
+
+/**
+ * Remove everything that hangs off a deleted post
+ *
+ * Safe to run twice - every step only removes what's still there.
+ *
+ * @param {Firestore} db
+ * @param {Bucket} bucket - Storage bucket with the post's photos
+ * @param {string} userId
+ * @param {string} stampId
+ * @returns {Promise<{likes: number, comments: number, notifications: number, removedCollector: boolean}>}
+ */
+async function cleanUpPost(db, bucket, userId, stampId) {
+  const postId = `${userId}-${stampId}`;
+
+  const likes = await deleteQueryInPages(db, db.collection('likes').where('postId', '==', postId));
+  const comments = await deleteQueryInPages(db, db.collection('comments').where('postId', '==', postId));
+  const notifications = await deleteQueryInPages(db, db.collection('notifications').where('postId', '==', postId));
+
+  const prefix = `users/${userId}/stamps/${stampId}/`;
+  for (const photos of [prefix, `quarantine/${prefix}`]) {
+    try {
+      await bucket.deleteFiles({ prefix: photos });
+    } catch (error) {
+      console.error(`❌ Failed to delete photos under ${photos}:`, error);
+      // Keep going - orphaned photos cost storage, not correctness
+    }
+  }
+
+  const removedCollector = await removeCollector(db, stampId, userId);
+
+  return { likes, comments, notifications, removedCollector };
+}
+
+/**
+ * Firestore Trigger: Clean up after a deleted post
+ *
+ * Retried on failure - cleanUpPost is safe to run twice.
+ */
+exports.cascadeDeletePost = onDocumentDeleted({
+  document: 'users/{userId}/collectedStamps/{stampId}',
+  timeoutSeconds: 540,
+  retry: true
+}, async (event) => {
+  const { userId, stampId } = event.params;
+  const postId = `${userId}-${stampId}`;
+
+  console.log(`🗑️ Post ${postId} deleted, cleaning up...`);
+
+  try {
+    const { likes, comments, notifications, removedCollector } =
+      await cleanUpPost(admin.firestore(), admin.storage().bucket(), userId, stampId);
+
+    console.log(`✅ Cleaned up ${postId}: ${likes} likes, ${comments} comments, ` +
+      `${notifications} notifications${removedCollector ? ', collector entry' : ''}`);
+  } catch (error) {
+    console.error(`❌ Error cleaning up post ${postId}:`, error);
+    throw error; // Re-throw so the event is retried
+  }
+
+  return null;
+});
+
+exports.cleanUpPost = cleanUpPost;
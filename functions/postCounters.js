@@ -0,0 +1,125 @@
+const {onDocumentWritten} = require('firebase-functions/v2/firestore');
+const admin = require('firebase-admin');
+const {postRef, parsePostId} = require('./posts');
+
+/**
+ * Post engagement counters
+ *
+ * likeCount / commentCount on users/{ownerId}/collectedStamps/{stampId} are
+ * only written here - the app just creates and deletes likes/comments, and
+ * firestore.rules keep every client off both fields.
+ *
+ * Triggers can be delivered more than once, so each change commits in one
+ * transaction with a processed_events/{eventId} marker; a redelivered event
+ * finds its marker and changes nothing. Markers carry expireAt for the
+ * Firestore TTL policy (firestore.indexes.json) and disappear after a week.
+ *
+ * Counts never go below 0.
+ */
+
+const PROCESSED_EVENT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Which post a like/comment write affects, and by how much
+ *
+ * @param {object|null} before - Doc data before the write (null = created)
+ * @param {object|null} after - Doc data after the write (null = deleted)
+ * @returns {{ownerId: string, stampId: string, delta: number} | null}
+ *   null for updates (nothing to count) or docs that don't name a post
+ */
+function postCounterChange(before, after) {
+  const delta = (after ? 1 : 0) - (before ? 1 : 0);
+  if (delta === 0) {
+    return null;
+  }
+
+  // The post comes from postId only - postOwnerId and stampId are whatever the
+  // client wrote next to it
+  const parsed = parsePostId((after || before).postId);
+  if (!parsed) {
+    return null;
+  }
+
+  return { ownerId: parsed.ownerId, stampId: parsed.stampId, delta };
+}
+
+/**
+ * Apply one counter change exactly once
+ *
+ * @returns {Promise<boolean>} false if the event was already applied or the post is gone
+ */
+async function applyPostCounterChange(eventId, field, { ownerId, stampId, delta }) {
+  const db = admin.firestore();
+  const markerRef = db.collection('processed_events').doc(eventId);
+  const ref = postRef(ownerId, stampId);
+
+  return db.runTransaction(async (transaction) => {
+    const [marker, post] = await Promise.all([transaction.get(markerRef), transaction.get(ref)]);
+    if (marker.exists) {
+      return false;
+    }
+
+    transaction.set(markerRef, {
+      type: field,
+      path: ref.path,
+      delta: delta,
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + PROCESSED_EVENT_TTL_MS)
+    });
+
+    if (!post.exists) {
+      return false; // Post deleted - nothing left to count on
+    }
+
+    const current = post.data()[field] || 0;
+    transaction.update(ref, { [field]: Math.max(0, current + delta) });
+    return true;
+  });
+}
+
+/**
+ * Shared trigger body for likes and comments
+ */
+async function updatePostCounter(event, field) {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+
+  const change = postCounterChange(before, after);
+  if (!change) {
+    return null;
+  }
+
+  try {
+    const applied = await applyPostCounterChange(event.id, field, change);
+    if (applied) {
+      console.log(`📊 ${field} ${change.delta > 0 ? '+1' : '-1'} on ${change.ownerId}-${change.stampId}`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to update ${field} on ${change.ownerId}-${change.stampId}:`, error);
+    throw error; // Re-throw so the event is retried (retry: true - the marker keeps it idempotent)
+  }
+
+  return null;
+}
+
+/**
+ * Firestore Trigger: likeCount follows likes/{likeId} creates and deletes
+ */
+exports.updateLikeCount = onDocumentWritten(
+  { document: 'likes/{likeId}', retry: true },
+  event => updatePostCounter(event, 'likeCount')
+);
+
+/**
+ * Firestore Trigger: commentCount follows comments/{commentId} creates and deletes
+ *
+ * Covers every way a comment appears or disappears: posted, deleted by the
+ * author or post owner, quarantined by moderation, hidden by reports,
+ * restored by an admin, or deleted along with its parent (replies).
+ */
+exports.updateCommentCount = onDocumentWritten(
+  { document: 'comments/{commentId}', retry: true },
+  event => updatePostCounter(event, 'commentCount')
+);
+
+exports.postCounterChange = postCounterChange;
@@ -0,0 +1,48 @@
+const admin = require('firebase-admin');
+
+/**
+ * Post helpers
+ *
+ * A "post" is a collected stamp: users/{userId}/collectedStamps/{stampId}
+ * Its ID everywhere else (likes, comments, notifications) is "{userId}-{stampId}"
+ */
+
+/**
+ * Reference to a post document
+ *
+ * @param {string} ownerId
+ * @param {string} stampId
+ * @param {Firestore} [db] - Defaults to the app's Firestore
+ */
+function postRef(ownerId, stampId, db = admin.firestore()) {
+  return db
+    .collection('users').doc(ownerId)
+    .collection('collectedStamps').doc(stampId);
+}
+
+/**
+ * Split a post ID into owner and stamp ID
+ *
+ * Firebase Auth UIDs never contain '-', stamp IDs do (us-ca-sf-...),
+ * so everything after the first '-' is the stamp ID.
+ *
+ * @returns {{ownerId: string, stampId: string} | null}
+ */
+function parsePostId(postId) {
+  if (typeof postId !== 'string') {
+    return null;
+  }
+  const separator = postId.indexOf('-');
+  if (separator <= 0 || separator === postId.length - 1) {
+    return null;
+  }
+  return {
+    ownerId: postId.substring(0, separator),
+    stampId: postId.substring(separator + 1)
+  };
+}
+
+module.exports = {
+  postRef,
+  parsePostId
+};
@@ -0,0 +1,153 @@
+const {onDocumentWritten} = require('firebase-functions/v2/firestore');
+const admin = require('firebase-admin');
+
+/**
+ * Profile stamp stats
+ *
+ * users/{userId}: {
+ *   totalStamps             - Docs in users/{userId}/collectedStamps
+ *   uniqueCountriesVisited  - Distinct countries among those stamps, from the
+ *                             catalog (stamps/{stampId}.address)
+ * }
+ *
+ * Stamps taken off the map (status: 'removed', or past availableUntil) still
+ * count - they stay in the catalog, and users keep what they collected, same
+ * as the app (fetchStamps(includeRemoved: true)). A stamp deleted from the
+ * catalog outright has no address left: it still counts toward totalStamps
+ * but not toward uniqueCountriesVisited, which is also what the app shows.
+ *
+ * Only updateProfileStats writes these - firestore.rules keep clients off both
+ * fields, so there's nothing for fix scripts to repair.
+ */
+
+// getAll() batch size for catalog lookups
+const STAMP_LOOKUP_BATCH = 300;
+
+/**
+ * Country from a catalog address
+ *
+ * Same parsing as StampsManager.calculateUniqueCountries in the app:
+ * - "Street\nCity, State, Country PostalCode" (US format)
+ * - "Street\nCity, Country PostalCode" (international format)
+ * The country is the first word of the 3rd (or 2nd) part of the second line.
+ *
+ * @param {string} address
+ * @returns {string|null}
+ */
+function parseCountryFromAddress(address) {
+  if (typeof address !== 'string') {
+    return null;
+  }
+
+  const lines = address.split('\n');
+  if (lines.length < 2) {
+    return null;
+  }
+
+  const parts = lines[1].split(',').map(part => part.trim());
+  let countryPart;
+  if (parts.length >= 3) {
+    countryPart = parts[2];
+  } else if (parts.length === 2) {
+    countryPart = parts[1];
+  } else {
+    return null;
+  }
+
+  const country = countryPart.split(' ')[0];
+  return country || null;
+}
+
+/**
+ * Number of distinct countries among catalog addresses
+ */
+function countUniqueCountries(addresses) {
+  const countries = new Set();
+  for (const address of addresses) {
+    const country = parseCountryFromAddress(address);
+    if (country) {
+      countries.add(country);
+    }
+  }
+  return countries.size;
+}
+
+/**
+ * Recompute totalStamps and uniqueCountriesVisited from a user's collectedStamps
+ *
+ * Runs in one transaction so two collects landing together can't leave the
+ * older count behind.
+ *
+ * @param {string} userId
+ * @returns {Promise<{totalStamps: number, uniqueCountriesVisited: number} | null>}
+ *   null if the profile doesn't exist (account deleted)
+ */
+async function recomputeProfileStats(userId) {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const [user, collected] = await Promise.all([
+      transaction.get(userRef),
+      transaction.get(userRef.collection('collectedStamps').select())
+    ]);
+    if (!user.exists) {
+      return null;
+    }
+
+    const stampIds = collected.docs.map(doc => doc.id);
+    const addresses = [];
+    for (let i = 0; i < stampIds.length; i += STAMP_LOOKUP_BATCH) {
+      const refs = stampIds.slice(i, i + STAMP_LOOKUP_BATCH).map(id => db.collection('stamps').doc(id));
+      const stamps = await transaction.getAll(...refs);
+      // Deleted from the catalog → no country to count (see header)
+      stamps.filter(doc => doc.exists).forEach(doc => addresses.push(doc.data().address));
+    }
+
+    const stats = {
+      totalStamps: stampIds.length,
+      uniqueCountriesVisited: countUniqueCountries(addresses)
+    };
+
+    const current = user.data();
+    if (current.totalStamps !== stats.totalStamps ||
+        current.uniqueCountriesVisited !== stats.uniqueCountriesVisited) {
+      transaction.update(userRef, stats);
+    }
+    return stats;
+  });
+}
+
+/**
+ * Firestore Trigger: Keep profile stats in step with collectedStamps
+ *
+ * Only creates and deletes change the stats - notes, photos and counters on
+ * the post are ignored. The recompute is idempotent, so retries are safe.
+ */
+exports.updateProfileStats = onDocumentWritten({
+  document: 'users/{userId}/collectedStamps/{stampId}',
+  retry: true
+}, async (event) => {
+  if (event.data.before.exists === event.data.after.exists) {
+    return null;
+  }
+
+  const { userId, stampId } = event.params;
+
+  try {
+    const stats = await recomputeProfileStats(userId);
+    if (stats) {
+      console.log(`📊 ${userId} ${event.data.after.exists ? 'collected' : 'removed'} ${stampId}: ` +
+        `${stats.totalStamps} stamps, ${stats.uniqueCountriesVisited} countries`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to update profile stats for ${userId}:`, error);
+    throw error; // Re-throw so the event is retried
+  }
+
+  return null;
+});
+
+exports.parseCountryFromAddress = parseCountryFromAddress;
+exports.countUniqueCountries = countUniqueCountries;
+exports.recomputeProfileStats = recomputeProfileStats;
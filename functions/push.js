@@ -0,0 +1,238 @@
+const {onCall, HttpsError} = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const {renderNotification, resolveLocale} = require('./notificationTemplates');
+
+/**
+ * Push delivery via FCM
+ *
+ * Devices register their FCM token under users/{userId}/devices/{deviceId}
+ * (deviceId = hash of the token, so re-registering is idempotent):
+ * { token, platform, locale, updatedAt }
+ *
+ * createPushDelivery() takes its messaging client and Firestore handle as
+ * arguments so it can run against a mock (see test_push_delivery.js).
+ * The Cloud Functions use the default instance from getPushDelivery().
+ */
+
+// FCM error codes that mean the token will never work again
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+const MAX_PREVIEW_LENGTH = 100;
+
+function deviceIdForToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').substring(0, 40);
+}
+
+/**
+ * Build a push delivery layer
+ *
+ * @param {object} deps
+ * @param {object} deps.messaging - Anything with sendEachForMulticast(message) (admin.messaging() in prod)
+ * @param {object} deps.db - Firestore (admin.firestore() in prod)
+ * @returns {{send: function(object): Promise<{sent: number, failed: number, pruned: number}>}}
+ */
+function createPushDelivery({ messaging, db }) {
+  async function loadDevices(userId) {
+    const snapshot = await db.collection('users').doc(userId).collection('devices').get();
+    return snapshot.docs
+      .map(doc => ({ ref: doc.ref, ...doc.data() }))
+      .filter(device => typeof device.token === 'string' && device.token.length > 0);
+  }
+
+  async function loadActorName(actorId) {
+    if (!actorId) {
+      return null;
+    }
+    const actorDoc = await db.collection('users').doc(actorId).get();
+    if (!actorDoc.exists) {
+      return null;
+    }
+    const actor = actorDoc.data();
+    return actor.displayName || (actor.username ? `@${actor.username}` : null);
+  }
+
+  /**
+   * Send one notification to every registered device of its recipient
+   *
+   * @param {object} notification - Notification doc data plus its id
+   */
+  async function send(notification) {
+    const devices = await loadDevices(notification.recipientId);
+    if (devices.length === 0) {
+      return { sent: 0, failed: 0, pruned: 0 };
+    }
+
+    const actorName = await loadActorName(notification.actorId);
+    const preview = notification.commentPreview
+      ? notification.commentPreview.substring(0, MAX_PREVIEW_LENGTH)
+      : null;
+
+    // One multicast per locale - each locale gets its own copy
+    const byLocale = new Map();
+    for (const device of devices) {
+      const locale = resolveLocale(device.locale);
+      if (!byLocale.has(locale)) {
+        byLocale.set(locale, []);
+      }
+      byLocale.get(locale).push(device);
+    }
+
+    let sent = 0;
+    let failed = 0;
+    const invalidDevices = [];
+
+    // Aggregated notifications ("Ana and 12 more liked your stamp")
+    const actorCount = notification.actorCount || 1;
+    const templateType = actorCount > 1 ? `${notification.type}_many` : notification.type;
+
+    for (const [locale, localeDevices] of byLocale) {
+      const rendered = renderNotification(templateType, locale, {
+        actor: actorName || 'Someone',
+        preview: preview,
+        others: actorCount - 1
+      });
+      if (!rendered) {
+        continue; // Unknown type - nothing to say
+      }
+
+      const response = await messaging.sendEachForMulticast({
+        tokens: localeDevices.map(device => device.token),
+        notification: rendered,
+        // FCM data values must be strings
+        data: {
+          notificationId: String(notification.id || ''),
+          type: String(notification.type),
+          actorId: String(notification.actorId || ''),
+          actorCount: String(actorCount),
+          postId: String(notification.postId || ''),
+          stampId: String(notification.stampId || '')
+        },
+        apns: {
+          payload: { aps: { sound: 'default' } }
+        }
+      });
+
+      response.responses.forEach((result, index) => {
+        if (result.success) {
+          sent++;
+          return;
+        }
+        failed++;
+        if (result.error && INVALID_TOKEN_ERRORS.includes(result.error.code)) {
+          invalidDevices.push(localeDevices[index]);
+        }
+      });
+    }
+
+    // Prune tokens FCM says are dead
+    await Promise.all(invalidDevices.map(device => device.ref.delete()));
+    if (invalidDevices.length > 0) {
+      console.log(`🧹 Pruned ${invalidDevices.length} invalid device token(s) for ${notification.recipientId}`);
+    }
+
+    return { sent, failed, pruned: invalidDevices.length };
+  }
+
+  return { send };
+}
+
+let defaultDelivery = null;
+
+/**
+ * The delivery layer used by the Cloud Functions
+ */
+function getPushDelivery() {
+  if (!defaultDelivery) {
+    defaultDelivery = createPushDelivery({
+      messaging: admin.messaging(),
+      db: admin.firestore()
+    });
+  }
+  return defaultDelivery;
+}
+
+/**
+ * Swap the delivery layer (tests, or null to restore the default)
+ */
+function setPushDelivery(delivery) {
+  defaultDelivery = delivery;
+}
+
+/**
+ * Cloud Function: Register this device for push notifications
+ *
+ * Request: { token: string, platform?: 'ios', locale?: string }
+ * Response: { deviceId: string }
+ *
+ * A token belongs to one user at a time - if it was registered by another
+ * account (shared device, account switch) that registration is removed.
+ */
+exports.registerDevice = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in required');
+  }
+
+  const userId = request.auth.uid;
+  const { token, platform = 'ios', locale = null } = request.data || {};
+
+  if (typeof token !== 'string' || token.length === 0 || token.length > 4096) {
+    throw new HttpsError('invalid-argument', 'token is required');
+  }
+
+  const db = admin.firestore();
+  const deviceId = deviceIdForToken(token);
+
+  // Collection group query - needs the devices.token field override in firestore.indexes.json
+  const existing = await db.collectionGroup('devices').where('token', '==', token).get();
+  const batch = db.batch();
+  existing.docs
+    .filter(doc => doc.ref.parent.parent.id !== userId)
+    .forEach(doc => batch.delete(doc.ref));
+
+  batch.set(db.collection('users').doc(userId).collection('devices').doc(deviceId), {
+    token: token,
+    platform: platform,
+    locale: typeof locale === 'string' ? locale : null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  await batch.commit();
+
+  return { deviceId };
+});
+
+/**
+ * Cloud Function: Stop push notifications to this device (sign out)
+ *
+ * Request: { token: string }
+ * Response: { removed: boolean }
+ */
+exports.unregisterDevice = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in required');
+  }
+
+  const { token } = request.data || {};
+  if (typeof token !== 'string' || token.length === 0) {
+    throw new HttpsError('invalid-argument', 'token is required');
+  }
+
+  const ref = admin.firestore()
+    .collection('users').doc(request.auth.uid)
+    .collection('devices').doc(deviceIdForToken(token));
+
+  const doc = await ref.get();
+  if (doc.exists) {
+    await ref.delete();
+  }
+
+  return { removed: doc.exists };
+});
+
+exports.createPushDelivery = createPushDelivery;
+exports.getPushDelivery = getPushDelivery;
+exports.setPushDelivery = setPushDelivery;
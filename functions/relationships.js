@@ -0,0 +1,108 @@
+/**
+ * Block and mute relationships
+ *
+ * - users/{userId}/blocked/{blockedId}: userId blocked blockedId
+ *     No follows either way (existing edges removed by enforceBlockOnCreate),
+ *     rules reject likes/comments/follows from blockedId, no notifications
+ * - users/{userId}/muted/{mutedId}: userId muted mutedId
+ *     Notifications from mutedId are suppressed, nothing else changes
+ */
+
+const {retractActor} = require('./notifications');
+
+function relationshipRef(db, userId, type, otherId) {
+  return db
+    .collection('users').doc(userId)
+    .collection(type).doc(otherId);
+}
+
+/**
+ * True if either user has blocked the other
+ */
+async function isBlockedEitherWay(db, userId, otherId) {
+  const [forward, backward] = await Promise.all([
+    relationshipRef(db, userId, 'blocked', otherId).get(),
+    relationshipRef(db, otherId, 'blocked', userId).get()
+  ]);
+  return forward.exists || backward.exists;
+}
+
+/**
+ * True if a notification from actorId to recipientId should not be created
+ *
+ * Blocked in either direction, or the recipient muted the actor
+ */
+async function shouldSuppressNotification(db, recipientId, actorId) {
+  if (!recipientId || !actorId) {
+    return false;
+  }
+
+  try {
+    const [blocked, muted] = await Promise.all([
+      isBlockedEitherWay(db, recipientId, actorId),
+      relationshipRef(db, recipientId, 'muted', actorId).get()
+    ]);
+    return blocked || muted.exists;
+  } catch (error) {
+    console.error(`❌ Failed to check block/mute for ${actorId} → ${recipientId}:`, error);
+    return false; // Don't lose notifications over a failed lookup
+  }
+}
+
+/**
+ * Undo what a new block leaves behind (enforceBlockOnCreate)
+ *
+ * - Removes follow edges in BOTH directions (deleted one by one, so
+ *   updateFollowCounts fires on each and the counts stay correct)
+ * - Takes the blocked user out of the blocker's aggregated notifications
+ *   (retractActor) - other actors' likes and follows stay
+ * - Deletes the rest of the notifications from the blocked user to the blocker
+ *
+ * Only touches what's still there, so it can run again.
+ *
+ * @returns {Promise<{edgesRemoved: number, notificationsDeleted: number, notificationsUpdated: number}>}
+ */
+async function enforceBlock(db, userId, blockedId) {
+  const usersRef = db.collection('users');
+  const edges = [
+    usersRef.doc(userId).collection('following').doc(blockedId),
+    usersRef.doc(blockedId).collection('following').doc(userId)
+  ];
+
+  let edgesRemoved = 0;
+  for (const edge of edges) {
+    const edgeDoc = await edge.get();
+    if (edgeDoc.exists) {
+      await edge.delete();
+      edgesRemoved++;
+    }
+  }
+
+  // Aggregates first, so one the blocked user was last to join keeps its other actors
+  const retracted = await retractActor(db, userId, blockedId);
+
+  let notificationsDeleted = retracted.deleted;
+  let snapshot;
+  do {
+    snapshot = await db.collection('notifications')
+      .where('recipientId', '==', userId)
+      .where('actorId', '==', blockedId)
+      .limit(500)
+      .get();
+
+    if (!snapshot.empty) {
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+      notificationsDeleted += snapshot.size;
+    }
+  } while (snapshot.size === 500);
+
+  return { edgesRemoved, notificationsDeleted, notificationsUpdated: retracted.updated };
+}
+
+module.exports = {
+  isBlockedEitherWay,
+  shouldSuppressNotification,
+  enforceBlock
+};
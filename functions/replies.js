@@ -0,0 +1,276 @@
+const {onDocumentCreated, onDocumentWritten, onDocumentDeleted} = require('firebase-functions/v2/firestore');
+const admin = require('firebase-admin');
+
+/**
+ * Threaded comment replies (one level deep)
+ *
+ * A reply is a normal comments doc with parentCommentId set to a top-level
+ * comment on the same post (enforced in firestore.rules). The parent keeps a
+ * server-maintained replyCount; deleting the parent deletes its replies, and
+ * quarantining it takes its replies into quarantine too.
+ */
+
+/**
+ * Who a new comment notifies
+ *
+ * The post owner gets a comment notification (unless they wrote it); for a
+ * reply, the parent comment's author also gets a reply notification (unless
+ * they wrote it or own the post - already notified).
+ *
+ * @returns {Promise<Array<{recipientId: string, type: string}>>}
+ */
+async function notificationRecipients(db, comment) {
+  const recipients = [];
+
+  if (comment.userId !== comment.postOwnerId) {
+    recipients.push({ recipientId: comment.postOwnerId, type: 'comment' });
+  }
+
+  if (comment.parentCommentId) {
+    const parent = await db.collection('comments').doc(comment.parentCommentId).get();
+    const parentAuthorId = parent.exists ? parent.data().userId : null;
+    if (parentAuthorId && parentAuthorId !== comment.userId && parentAuthorId !== comment.postOwnerId) {
+      recipients.push({ recipientId: parentAuthorId, type: 'reply' });
+    }
+  }
+
+  return recipients;
+}
+
+/**
+ * Move a parent comment's replyCount by delta (never below 0)
+ *
+ * @returns {Promise<boolean>} false if the parent is gone (cascade in progress)
+ */
+async function adjustReplyCount(db, parentCommentId, delta) {
+  const parentRef = db.collection('comments').doc(parentCommentId);
+
+  return db.runTransaction(async (transaction) => {
+    const parent = await transaction.get(parentRef);
+    if (!parent.exists) {
+      return false;
+    }
+    const replyCount = parent.data().replyCount || 0;
+    transaction.update(parentRef, { replyCount: Math.max(0, replyCount + delta) });
+    return true;
+  });
+}
+
+/**
+ * Firestore Trigger: Keep replyCount on parent comments in step
+ *
+ * Counts every reply that exists in comments, so quarantine and restore
+ * (delete + re-create) adjust it too. Never goes below 0.
+ */
+exports.updateReplyCounts = onDocumentWritten('comments/{commentId}', async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+
+  // Only creates and deletes change the count (parentCommentId never changes)
+  if (before && after) {
+    return null;
+  }
+
+  const parentCommentId = (after || before).parentCommentId;
+  if (!parentCommentId) {
+    return null;
+  }
+
+  try {
+    await adjustReplyCount(admin.firestore(), parentCommentId, after ? 1 : -1);
+  } catch (error) {
+    console.error(`❌ Error updating reply count on ${parentCommentId}:`, error);
+    throw error; // Re-throw so Cloud Functions logs the failure
+  }
+
+  return null;
+});
+
+// Each moved reply is two writes (copy + delete), plus one update on the parent
+const MOVE_PAGE_SIZE = 200;
+
+/**
+ * Move a quarantined comment's replies in with it
+ *
+ * Replies are copied to quarantined_comments/{commentId}/replies and removed
+ * from comments, a page per transaction. The quarantine record's replyCount
+ * comes down by the same amount (updateReplyCounts can't - the parent is gone
+ * from comments), so it's right again once restoreReplies moves them back.
+ * Stops as soon as the record is gone (the parent was restored meanwhile).
+ *
+ * @returns {Promise<number>} Replies moved
+ */
+async function quarantineReplies(db, commentId) {
+  const quarantinedRef = db.collection('quarantined_comments').doc(commentId);
+  let moved = 0;
+
+  for (;;) {
+    const count = await db.runTransaction(async (transaction) => {
+      const quarantined = await transaction.get(quarantinedRef);
+      if (!quarantined.exists) {
+        return 0;
+      }
+      const snapshot = await transaction.get(db.collection('comments')
+        .where('parentCommentId', '==', commentId)
+        .limit(MOVE_PAGE_SIZE));
+
+      snapshot.docs.forEach((doc) => {
+        transaction.set(quarantinedRef.collection('replies').doc(doc.id), doc.data());
+        transaction.delete(doc.ref);
+      });
+      if (snapshot.size > 0) {
+        const replyCount = quarantined.data().replyCount || 0;
+        transaction.update(quarantinedRef, { replyCount: Math.max(0, replyCount - snapshot.size) });
+      }
+      return snapshot.size;
+    });
+
+    if (count === 0) {
+      return moved;
+    }
+    moved += count;
+  }
+}
+
+/**
+ * Put the replies quarantineReplies set aside back into comments
+ *
+ * Marked restoredAt like their parent, so no notifications go out again.
+ * updateReplyCounts counts each one back onto the parent.
+ *
+ * @returns {Promise<number>} Replies restored
+ */
+async function restoreReplies(db, commentId) {
+  const savedReplies = db.collection('quarantined_comments').doc(commentId).collection('replies');
+  let restored = 0;
+
+  for (;;) {
+    const snapshot = await savedReplies.limit(MOVE_PAGE_SIZE).get();
+    if (snapshot.empty) {
+      return restored;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => {
+      batch.set(db.collection('comments').doc(doc.id), {
+        ...doc.data(),
+        restoredAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      batch.delete(doc.ref);
+    });
+    await batch.commit();
+    restored += snapshot.size;
+  }
+}
+
+/**
+ * Delete every reply to a comment
+ *
+ * @returns {Promise<number>} Replies deleted
+ */
+async function deleteReplies(db, commentId) {
+  let deleted = 0;
+  for (;;) {
+    const snapshot = await db.collection('comments')
+      .where('parentCommentId', '==', commentId)
+      .limit(500)
+      .get();
+
+    if (snapshot.empty) {
+      return deleted;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+  }
+}
+
+/**
+ * Firestore Trigger: Delete replies when their parent comment is deleted
+ *
+ * When the parent was moved to quarantined_comments (moderation or reports),
+ * its replies go into quarantine with it instead (quarantineReplies), and
+ * come back when an admin restores it (restoreQuarantinedReplies).
+ * Each removed reply also comes off the post's commentCount (updateCommentCount).
+ *
+ * Retried on failure - both paths only touch replies that are still there.
+ */
+exports.cascadeDeleteReplies = onDocumentDeleted({
+  document: 'comments/{commentId}',
+  retry: true
+}, async (event) => {
+  const comment = event.data.data();
+  const commentId = event.params.commentId;
+
+  if (comment.parentCommentId) {
+    return null; // Replies can't have replies
+  }
+
+  const db = admin.firestore();
+
+  try {
+    const [quarantined, current] = await Promise.all([
+      db.collection('quarantined_comments').doc(commentId).get(),
+      db.collection('comments').doc(commentId).get()
+    ]);
+
+    if (quarantined.exists) {
+      const moved = await quarantineReplies(db, commentId);
+      if (moved > 0) {
+        console.log(`🚫 Moved ${moved} replies into quarantine with comment ${commentId}`);
+      }
+      return null;
+    }
+
+    if (current.exists) {
+      return null; // Quarantined and already restored - the replies stay
+    }
+
+    const deleted = await deleteReplies(db, commentId);
+    if (deleted > 0) {
+      console.log(`🗑️ Deleted ${deleted} replies to comment ${commentId}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error removing replies to ${commentId}:`, error);
+    throw error; // Re-throw so the event is retried
+  }
+
+  return null;
+});
+
+/**
+ * Firestore Trigger: Bring back a restored comment's replies
+ *
+ * Runs when restoreReportedContent puts a comment back (restoredAt set).
+ */
+exports.restoreQuarantinedReplies = onDocumentCreated({
+  document: 'comments/{commentId}',
+  retry: true
+}, async (event) => {
+  const comment = event.data.data();
+  const commentId = event.params.commentId;
+
+  if (!comment.restoredAt || comment.parentCommentId) {
+    return null;
+  }
+
+  try {
+    const restored = await restoreReplies(admin.firestore(), commentId);
+    if (restored > 0) {
+      console.log(`♻️ Restored ${restored} replies to comment ${commentId}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error restoring replies to ${commentId}:`, error);
+    throw error; // Re-throw so the event is retried
+  }
+
+  return null;
+});
+
+exports.notificationRecipients = notificationRecipients;
+exports.adjustReplyCount = adjustReplyCount;
+exports.deleteReplies = deleteReplies;
+exports.quarantineReplies = quarantineReplies;
+exports.restoreReplies = restoreReplies;
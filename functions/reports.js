@@ -0,0 +1,267 @@
+const {onCall, HttpsError} = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const {getModerator} = require('./moderation');
+const {postRef, parsePostId} = require('./posts');
+const {writeQuarantine, restoreQuarantinedComment} = require('./commentQuarantine');
+
+/**
+ * User reports
+ *
+ * Users flag posts, comments and profiles through reportContent.
+ *
+ * Collections:
+ * - reports/{targetType}_{targetId}_{reporterId}
+ *     One doc per reporter per item (the ID is the dedupe key)
+ * - report_summaries/{targetType}_{targetId}
+ *     Distinct reporter count + count per reason code
+ *
+ * Once reportHideThreshold distinct users (config/moderation, default 3)
+ * have reported an item it is hidden and a reported_content alert is opened:
+ * - post/profile: hidden: true on the document (rules hide it from non-owners,
+ *   see visibility.js)
+ * - comment: moved to quarantined_comments (same as profanity quarantine),
+ *   replies with it (see replies.js)
+ *
+ * Admins restore hidden content by resolving the alert with "revert".
+ */
+
+const TARGET_TYPES = ['post', 'comment', 'profile'];
+
+const REASON_CODES = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'nudity',
+  'violence',
+  'self_harm',
+  'impersonation',
+  'other'
+];
+
+const MAX_DETAILS_LENGTH = 500;
+
+/**
+ * Resolve a report target to its document and owner
+ *
+ * @returns {{ref: DocumentReference, ownerId: string|null}} ownerId is null
+ *   for comments until the doc is read (owner = comment author)
+ */
+function resolveTarget(targetType, targetId) {
+  const db = admin.firestore();
+
+  if (targetType === 'post') {
+    const parsed = parsePostId(targetId);
+    if (!parsed) {
+      throw new HttpsError('invalid-argument', 'Invalid post ID');
+    }
+    return { ref: postRef(parsed.ownerId, parsed.stampId), ownerId: parsed.ownerId };
+  }
+
+  if (targetType === 'comment') {
+    return { ref: db.collection('comments').doc(targetId), ownerId: null };
+  }
+
+  return { ref: db.collection('users').doc(targetId), ownerId: targetId };
+}
+
+function summaryRef(targetType, targetId) {
+  return admin.firestore().collection('report_summaries').doc(`${targetType}_${targetId}`);
+}
+
+/**
+ * Cloud Function: Report a post, comment or profile
+ *
+ * Request: {
+ *   targetType: 'post' | 'comment' | 'profile',
+ *   targetId: string,     // post: "{userId}-{stampId}", comment: comment ID, profile: user ID
+ *   reason: string,       // One of REASON_CODES
+ *   details?: string      // Optional, max 500 chars
+ * }
+ * Response: { reported: true, alreadyReported: boolean }
+ *
+ * Reporting the same item twice is a no-op (alreadyReported: true)
+ */
+exports.reportContent = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in required');
+  }
+
+  const reporterId = request.auth.uid;
+  const { targetType, targetId, reason, details = null } = request.data || {};
+
+  if (!TARGET_TYPES.includes(targetType)) {
+    throw new HttpsError('invalid-argument', `targetType must be one of: ${TARGET_TYPES.join(', ')}`);
+  }
+  if (!targetId || typeof targetId !== 'string' || targetId.includes('/')) {
+    throw new HttpsError('invalid-argument', 'targetId is required');
+  }
+  if (!REASON_CODES.includes(reason)) {
+    throw new HttpsError('invalid-argument', `reason must be one of: ${REASON_CODES.join(', ')}`);
+  }
+  if (details !== null && (typeof details !== 'string' || details.length > MAX_DETAILS_LENGTH)) {
+    throw new HttpsError('invalid-argument', `details must be at most ${MAX_DETAILS_LENGTH} characters`);
+  }
+
+  const db = admin.firestore();
+  const target = resolveTarget(targetType, targetId);
+  const reportRef = db.collection('reports').doc(`${targetType}_${targetId}_${reporterId}`);
+  const summary = summaryRef(targetType, targetId);
+  const { reportHideThreshold } = await getModerator();
+
+  const result = await db.runTransaction(async (transaction) => {
+    const [reportDoc, summaryDoc, targetDoc] = await Promise.all([
+      transaction.get(reportRef),
+      transaction.get(summary),
+      transaction.get(target.ref)
+    ]);
+
+    if (reportDoc.exists) {
+      return { alreadyReported: true };
+    }
+
+    const summaryData = summaryDoc.exists ? summaryDoc.data() : {};
+
+    // Already hidden (e.g. comment moved to quarantine) - still record the report
+    if (!targetDoc.exists && !summaryData.hidden) {
+      throw new HttpsError('not-found', 'Reported content not found');
+    }
+
+    const targetData = targetDoc.exists ? targetDoc.data() : {};
+    const ownerId = target.ownerId || targetData.userId || summaryData.ownerId || null;
+
+    if (ownerId === reporterId) {
+      throw new HttpsError('failed-precondition', 'You cannot report your own content');
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    transaction.create(reportRef, {
+      reporterId: reporterId,
+      targetType: targetType,
+      targetId: targetId,
+      ownerId: ownerId,
+      reason: reason,
+      details: details,
+      createdAt: now
+    });
+
+    const reporterCount = (summaryData.reporterCount || 0) + 1;
+    // Reports from before an admin restored the item don't count again
+    const activeReports = reporterCount - (summaryData.clearedReporterCount || 0);
+    const shouldHide = !summaryData.hidden && targetDoc.exists && activeReports >= reportHideThreshold;
+
+    transaction.set(summary, {
+      targetType: targetType,
+      targetId: targetId,
+      ownerId: ownerId,
+      reporterCount: reporterCount,
+      reasons: { [reason]: admin.firestore.FieldValue.increment(1) },
+      lastReportedAt: now,
+      ...(shouldHide ? { hidden: true, hiddenAt: now } : {})
+    }, { merge: true });
+
+    if (!shouldHide) {
+      return { alreadyReported: false };
+    }
+
+    hideTarget(transaction, targetType, target.ref, targetData);
+
+    transaction.set(db.collection('moderation_alerts').doc(), {
+      userId: ownerId,
+      type: 'reported_content',
+      targetType: targetType,
+      targetId: targetId,
+      reporterCount: reporterCount,
+      reasons: { ...(summaryData.reasons || {}), [reason]: ((summaryData.reasons || {})[reason] || 0) + 1 },
+      detectedAt: now,
+      status: 'pending'
+    });
+
+    return { alreadyReported: false };
+  });
+
+  if (!result.alreadyReported) {
+    console.log(`🚩 ${reporterId} reported ${targetType} ${targetId} (${reason})`);
+  }
+
+  return { reported: true, alreadyReported: result.alreadyReported };
+});
+
+/**
+ * Hide reported content inside a transaction
+ */
+function hideTarget(transaction, targetType, ref, data) {
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  if (targetType === 'comment') {
+    writeQuarantine(admin.firestore(), transaction, ref, data, 'reports');
+    return;
+  }
+
+  transaction.update(ref, {
+    hidden: true,
+    hiddenReason: 'reports',
+    hiddenAt: now
+  });
+}
+
+/**
+ * Undo hideTarget for a reported_content alert (admin "revert")
+ *
+ * Must be called before any other writes in the transaction (it reads first).
+ * Reports received so far are marked as cleared, so the item is only hidden
+ * again after another reportHideThreshold distinct reports.
+ *
+ * @returns {object} Audit log changes
+ */
+async function restoreReportedContent(transaction, alert) {
+  const db = admin.firestore();
+  const target = resolveTarget(alert.targetType, alert.targetId);
+  const summary = summaryRef(alert.targetType, alert.targetId);
+
+  if (alert.targetType === 'comment') {
+    const summaryDoc = await transaction.get(summary);
+    const restored = await restoreQuarantinedComment(db, transaction, alert.targetId);
+
+    if (!restored) {
+      throw new HttpsError('not-found', 'Hidden comment no longer exists');
+    }
+
+    clearSummary(transaction, summary, summaryDoc);
+
+    return { path: target.ref.path, before: { hidden: true }, after: { hidden: false } };
+  }
+
+  const [targetDoc, summaryDoc] = await Promise.all([
+    transaction.get(target.ref),
+    transaction.get(summary)
+  ]);
+
+  if (!targetDoc.exists) {
+    throw new HttpsError('not-found', 'Hidden content no longer exists');
+  }
+
+  // Back to false, not deleted - list queries filter on hidden == false (visibility.js)
+  transaction.update(target.ref, {
+    hidden: false,
+    hiddenReason: admin.firestore.FieldValue.delete(),
+    hiddenAt: admin.firestore.FieldValue.delete()
+  });
+  clearSummary(transaction, summary, summaryDoc);
+
+  return { path: target.ref.path, before: { hidden: true }, after: { hidden: false } };
+}
+
+function clearSummary(transaction, ref, doc) {
+  if (!doc.exists) {
+    return;
+  }
+  transaction.update(ref, {
+    hidden: false,
+    clearedReporterCount: doc.data().reporterCount || 0,
+    restoredAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+exports.REASON_CODES = REASON_CODES;
+exports.restoreReportedContent = restoreReportedContent;
@@ -0,0 +1,377 @@
+const admin = require('firebase-admin');
+
+/**
+ * In-memory Firestore for the test_*.js scripts
+ *
+ * Covers the parts of the Admin SDK the Cloud Functions use: doc/collection
+ * refs, queries (where / orderBy / limit / startAfter / count), collection
+ * groups, transactions, batches and BulkWriter. FieldValue sentinels
+ * (serverTimestamp, increment, delete, arrayUnion, arrayRemove) are applied
+ * like the real server would.
+ *
+ * Like Firestore, transactions and batches fail with more than 500 writes.
+ *
+ *   const db = createFakeFirestore({ 'users/alice': { username: 'alice' } });
+ *   db.data('users/alice')  // → stored fields (undefined if missing)
+ *   db.paths('comments')    // → sorted paths of docs directly in comments/
+ */
+
+const MAX_WRITES = 500;
+
+function firestoreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const comparable = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toMillis();
+  }
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+
+function getField(data, field) {
+  return String(field).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Apply a value (or FieldValue sentinel) to a plain object at a dotted path
+ */
+function setField(target, field, value, now) {
+  const keys = field.split('.');
+  const last = keys.pop();
+  let parent = target;
+  for (const key of keys) {
+    if (parent[key] === null || typeof parent[key] !== 'object') {
+      parent[key] = {};
+    }
+    parent = parent[key];
+  }
+
+  const method = value && value.methodName;
+  if (method === 'FieldValue.delete') {
+    delete parent[last];
+  } else if (method === 'FieldValue.serverTimestamp') {
+    parent[last] = admin.firestore.Timestamp.fromDate(now());
+  } else if (method === 'FieldValue.increment') {
+    parent[last] = (typeof parent[last] === 'number' ? parent[last] : 0) + value.operand;
+  } else if (method === 'FieldValue.arrayUnion') {
+    const current = Array.isArray(parent[last]) ? parent[last] : [];
+    parent[last] = [...current, ...value.elements.filter(element => !current.some(item => isEqual(item, element)))];
+  } else if (method === 'FieldValue.arrayRemove') {
+    const current = Array.isArray(parent[last]) ? parent[last] : [];
+    parent[last] = current.filter(item => !value.elements.some(element => isEqual(item, element)));
+  } else if (value && typeof value === 'object' && value.constructor === Object) {
+    parent[last] = {};
+    Object.entries(value).forEach(([key, nested]) => setField(parent[last], key, nested, now));
+  } else {
+    parent[last] = value;
+  }
+}
+
+// set(..., { merge: true }) merges nested maps instead of replacing them
+function mergeFields(target, data, now, prefix = '') {
+  for (const [key, value] of Object.entries(data)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      mergeFields(target, value, now, field);
+    } else {
+      setField(target, field, value, now);
+    }
+  }
+}
+
+const OPERATORS = {
+  '==': (value, expected) => isEqual(value, expected),
+  '!=': (value, expected) => value !== undefined && !isEqual(value, expected),
+  '<': (value, expected) => value !== undefined && comparable(value) < comparable(expected),
+  '<=': (value, expected) => value !== undefined && comparable(value) <= comparable(expected),
+  '>': (value, expected) => value !== undefined && comparable(value) > comparable(expected),
+  '>=': (value, expected) => value !== undefined && comparable(value) >= comparable(expected),
+  'in': (value, expected) => expected.some(item => isEqual(value, item)),
+  'not-in': (value, expected) => value !== undefined && !expected.some(item => isEqual(value, item)),
+  'array-contains': (value, expected) => Array.isArray(value) && value.some(item => isEqual(item, expected)),
+  'array-contains-any': (value, expected) => Array.isArray(value) && value.some(item => expected.some(other => isEqual(item, other)))
+};
+
+function createFakeFirestore(initial = {}, { now = () => new Date() } = {}) {
+  const docs = new Map();
+  let autoId = 0;
+
+  const clone = data => (data === undefined ? undefined : structuredCloneData(data));
+
+  function structuredCloneData(data) {
+    if (Array.isArray(data)) {
+      return data.map(structuredCloneData);
+    }
+    if (data && typeof data === 'object' && data.constructor === Object) {
+      return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, structuredCloneData(value)]));
+    }
+    return data;
+  }
+
+  function snapshot(path) {
+    const data = clone(docs.get(path));
+    return {
+      id: path.split('/').pop(),
+      ref: docRef(path),
+      exists: data !== undefined,
+      data: () => data,
+      get: field => getField(data, field)
+    };
+  }
+
+  // Writes are applied through here, so transactions/batches can queue them
+  function write(type, path, data, options = {}) {
+    const existing = docs.get(path);
+    if (type === 'create' && existing !== undefined) {
+      throw firestoreError(6, `Document already exists: ${path}`);
+    }
+    if (type === 'update' && existing === undefined) {
+      throw firestoreError(5, `No document to update: ${path}`);
+    }
+    if (type === 'delete') {
+      docs.delete(path);
+      return;
+    }
+
+    const next = type === 'set' && !options.merge ? {} : clone(existing) || {};
+    if (type === 'update') {
+      Object.entries(data).forEach(([field, value]) => setField(next, field, value, now));
+    } else {
+      mergeFields(next, data, now);
+    }
+    docs.set(path, next);
+  }
+
+  function docRef(path) {
+    const segments = path.split('/');
+    return {
+      id: segments[segments.length - 1],
+      path,
+      get parent() {
+        return collectionRef(segments.slice(0, -1).join('/'));
+      },
+      collection: name => collectionRef(`${path}/${name}`),
+      get: async () => snapshot(path),
+      create: async data => write('create', path, data),
+      set: async (data, options) => write('set', path, data, options),
+      update: async data => write('update', path, data),
+      delete: async () => write('delete', path)
+    };
+  }
+
+  function query(matchesPath, state = {}) {
+    const { filters = [], orders = [], after = null, max = Infinity } = state;
+    const next = changes => query(matchesPath, { filters, orders, after, max, ...changes });
+
+    const fieldValue = (path, data, field) => (field === '__name__' || (field && field.constructor && field.constructor.name === 'FieldPath')
+      ? path.split('/').pop()
+      : getField(data, field));
+
+    function sortKey(path, data) {
+      return [...orders.map(({ field }) => comparable(fieldValue(path, data, field))), path];
+    }
+
+    function compare(a, b) {
+      for (let i = 0; i < a.length; i++) {
+        const direction = i < orders.length && orders[i].direction === 'desc' ? -1 : 1;
+        if (a[i] < b[i]) {
+          return -direction;
+        }
+        if (a[i] > b[i]) {
+          return direction;
+        }
+      }
+      return 0;
+    }
+
+    function run() {
+      let matches = [...docs.keys()]
+        .filter(matchesPath)
+        .filter(path => filters.every(({ field, op, value }) => OPERATORS[op](fieldValue(path, docs.get(path), field), value)))
+        .filter(path => orders.every(({ field }) => fieldValue(path, docs.get(path), field) !== undefined))
+        .sort((a, b) => compare(sortKey(a, docs.get(a)), sortKey(b, docs.get(b))));
+
+      if (after) {
+        const afterKey = after.ref
+          ? sortKey(after.ref.path, after.data())
+          : [...after.map(comparable), ''];
+        matches = matches.filter(path => compare(sortKey(path, docs.get(path)), afterKey) > 0);
+      }
+      return matches.slice(0, max);
+    }
+
+    return {
+      where: (field, op, value) => {
+        if (!OPERATORS[op]) {
+          throw new Error(`Unsupported operator ${op}`);
+        }
+        return next({ filters: [...filters, { field, op, value }] });
+      },
+      orderBy: (field, direction = 'asc') => next({ orders: [...orders, { field, direction }] }),
+      startAfter: (...values) => next({ after: values.length === 1 && values[0] && values[0].ref ? values[0] : values }),
+      limit: count => next({ max: count }),
+      select: () => next({}),
+      count: () => ({
+        get: async () => {
+          const count = run().length;
+          return { data: () => ({ count }) };
+        }
+      }),
+      get: async () => {
+        const page = run().map(snapshot);
+        return { docs: page, size: page.length, empty: page.length === 0, forEach: fn => page.forEach(fn) };
+      }
+    };
+  }
+
+  function collectionRef(path) {
+    const depth = path.split('/').length + 1;
+    return {
+      id: path.split('/').pop(),
+      path,
+      ...query(docPath => docPath.startsWith(`${path}/`) && docPath.split('/').length === depth),
+      doc: id => docRef(`${path}/${id || `auto-${++autoId}`}`),
+      add: async (data) => {
+        const ref = docRef(`${path}/auto-${++autoId}`);
+        await ref.set(data);
+        return ref;
+      }
+    };
+  }
+
+  // Queue writes, apply them together (and count them against the 500 limit)
+  function createWriteQueue() {
+    const queue = [];
+    const push = (type, ref, data, options) => {
+      queue.push({ type, path: ref.path, data, options });
+    };
+    return {
+      queue,
+      create: (ref, data) => push('create', ref, data),
+      set: (ref, data, options) => push('set', ref, data, options),
+      update: (ref, data) => push('update', ref, data),
+      delete: ref => push('delete', ref),
+      apply: () => {
+        if (queue.length > MAX_WRITES) {
+          throw firestoreError(3, `Maximum ${MAX_WRITES} writes allowed per request, got ${queue.length}`);
+        }
+        const saved = new Map(docs);
+        try {
+          queue.forEach(({ type, path, data, options }) => write(type, path, data, options));
+        } catch (error) {
+          docs.clear();
+          saved.forEach((value, key) => docs.set(key, value));
+          throw error;
+        }
+      }
+    };
+  }
+
+  const db = {
+    docs,
+    writeCount: 0,
+    data: path => clone(docs.get(path)),
+    paths: (prefix) => {
+      const depth = prefix.split('/').length + 1;
+      return [...docs.keys()].filter(path => path.startsWith(`${prefix}/`) && path.split('/').length === depth).sort();
+    },
+    collection: name => collectionRef(name),
+    collectionGroup: name => query(path => path.split('/').length % 2 === 0 && path.split('/').slice(-2)[0] === name),
+    doc: path => docRef(path),
+    getAll: async (...refs) => refs.map(ref => snapshot(ref.path)),
+
+    runTransaction: async (fn) => {
+      const writes = createWriteQueue();
+      const transaction = {
+        // Doc refs read one doc, queries run
+        get: async target => (target.collection ? snapshot(target.path) : target.get()),
+        getAll: async (...refs) => refs.map(ref => snapshot(ref.path)),
+        create: (ref, data) => {
+          writes.create(ref, data);
+          return transaction;
+        },
+        set: (ref, data, options) => {
+          writes.set(ref, data, options);
+          return transaction;
+        },
+        update: (ref, data) => {
+          writes.update(ref, data);
+          return transaction;
+        },
+        delete: (ref) => {
+          writes.delete(ref);
+          return transaction;
+        }
+      };
+      const result = await fn(transaction);
+      writes.apply();
+      db.writeCount += writes.queue.length;
+      return result;
+    },
+
+    batch: () => {
+      const writes = createWriteQueue();
+      const batch = {
+        create: (ref, data) => {
+          writes.create(ref, data);
+          return batch;
+        },
+        set: (ref, data, options) => {
+          writes.set(ref, data, options);
+          return batch;
+        },
+        update: (ref, data) => {
+          writes.update(ref, data);
+          return batch;
+        },
+        delete: (ref) => {
+          writes.delete(ref);
+          return batch;
+        },
+        commit: async () => {
+          writes.apply();
+          db.writeCount += writes.queue.length;
+        }
+      };
+      return batch;
+    },
+
+    bulkWriter: () => {
+      const pending = [];
+      const flush = async () => {
+        for (const { type, path, data, options } of pending.splice(0)) {
+          write(type, path, data, options);
+          db.writeCount++;
+        }
+      };
+      const push = (type, ref, data, options) => {
+        pending.push({ type, path: ref.path, data, options });
+        return Promise.resolve();
+      };
+      return {
+        create: (ref, data) => push('create', ref, data),
+        set: (ref, data, options) => push('set', ref, data, options),
+        update: (ref, data) => push('update', ref, data),
+        delete: ref => push('delete', ref),
+        onWriteError: () => {},
+        flush,
+        close: flush
+      };
+    }
+  };
+
+  Object.entries(initial).forEach(([path, data]) => docs.set(path, clone(data)));
+  return db;
+}
+
+module.exports = {
+  createFakeFirestore
+};
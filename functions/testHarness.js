@@ -0,0 +1,74 @@
+/**
+ * Shared output for the test_*.js scripts
+ *
+ * Each test script runs in its own process (see "test" in package.json), so
+ * the pass/fail tally lives here:
+ *   header(title)                  - banner at the top of the run
+ *   section(name)                  - 📋 heading for a group of checks
+ *   report(passed, label, detail)  - one ✅/❌ line; detail is shown on failure
+ *   finish()                       - summary, then exit 1 if anything failed
+ */
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m'
+};
+
+const RULE = '═══════════════════════════════════════════════════════════';
+
+let totalTests = 0;
+let failedTests = 0;
+
+function header(title) {
+  console.log('\n' + colors.blue + RULE + colors.reset);
+  console.log(colors.blue + `🧪 ${title}` + colors.reset);
+  console.log(colors.blue + RULE + colors.reset);
+}
+
+function section(name) {
+  console.log(colors.magenta + `\n📋 ${name}` + colors.reset);
+  console.log('─'.repeat(60));
+}
+
+function report(passed, label, detail) {
+  totalTests++;
+  if (passed) {
+    console.log(`  ✅ ${colors.green}${label}${colors.reset}`);
+  } else {
+    failedTests++;
+    console.log(`  ❌ ${colors.red}${label} - ${detail}${colors.reset}`);
+  }
+}
+
+function finish() {
+  console.log('\n' + colors.blue + RULE + colors.reset);
+  console.log(`Total tests:   ${totalTests}`);
+  console.log(`${colors.green}✅ Passed:     ${totalTests - failedTests}${colors.reset}`);
+  console.log(`${colors.red}❌ Failed:     ${failedTests}${colors.reset}\n`);
+
+  process.exit(failedTests > 0 ? 1 : 0);
+}
+
+/**
+ * For async test scripts: run main(), and fail the run if it throws
+ */
+function runAsync(main) {
+  main().then(finish).catch((error) => {
+    console.error(`${colors.red}❌ Test run failed:${colors.reset}`, error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  colors,
+  header,
+  section,
+  report,
+  finish,
+  runAsync
+};
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Account Deletion Test
+ *
+ * Checks the pure parts of accountDeletion.js:
+ * - A resumed deletion skips the steps it already finished, in order
+ * - Freeing an invite code slot (usedBy, usedCount, status)
+ *
+ * Run this BEFORE deploying changes to accountDeletion.js
+ */
+
+const {STEPS, pendingSteps, releaseInviteCode} = require('./accountDeletion');
+const {header, section, report, finish} = require('./testHarness');
+
+header('ACCOUNT DELETION TEST');
+
+// Resuming
+section('Steps');
+{
+  report(JSON.stringify(pendingSteps(null)) === JSON.stringify(STEPS), 'new deletion → every step', pendingSteps(null));
+  report(STEPS[STEPS.length - 1] === 'profile', 'profile goes last', STEPS);
+  report(STEPS.indexOf('collectedStamps') < STEPS.indexOf('collectors'),
+    'posts before the collector sweep', STEPS);
+
+  const resumed = pendingSteps({ completedSteps: ['collectedStamps', 'collectors', 'following'] });
+  report(resumed[0] === 'followers' && resumed.length === STEPS.length - 3,
+    'resumed deletion → starts at the first unfinished step', resumed);
+
+  report(pendingSteps({ completedSteps: STEPS }).length === 0, 'finished deletion → nothing left', pendingSteps({ completedSteps: STEPS }));
+}
+
+// Invite codes
+section('Invite codes');
+{
+  const shared = { usedBy: ['alice', 'bob'], usedCount: 2, maxUses: 999999, status: 'active' };
+  const released = releaseInviteCode(shared, 'alice');
+  report(JSON.stringify(released) === JSON.stringify({ usedBy: ['bob'], usedCount: 1 }),
+    'removes the user and frees one slot', JSON.stringify(released));
+
+  const single = releaseInviteCode({ usedBy: ['alice'], usedCount: 1, maxUses: 1, status: 'used' }, 'alice');
+  report(single.usedCount === 0 && single.status === 'active', 'used-up single-use code → active again', JSON.stringify(single));
+
+  const drifted = releaseInviteCode({ usedBy: ['alice'], usedCount: 0, maxUses: 1, status: 'used' }, 'alice');
+  report(drifted.usedCount === 0, 'usedCount never goes below 0', JSON.stringify(drifted));
+
+  report(releaseInviteCode(shared, 'carol') === null, 'not in usedBy → nothing to change', 'expected null');
+}
+
+finish();
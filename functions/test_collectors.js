@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Collector Registry Test
+ *
+ * Checks collectors.js (the migration against an in-memory Firestore):
+ * - New stamp → counter at 0, nobody ranked
+ * - Existing collector keeps their rank
+ * - Legacy collectorUserIds arrays → rank = position, duplicates ignored
+ * - Arrays written onto already-migrated docs are ignored
+ * - Arrays too big for one transaction migrate in pages, and the stamp is
+ *   only marked migrated once every page is in
+ *
+ * Run this BEFORE deploying changes to collectors.js
+ */
+
+const {readRegistry, migrateLegacyCollectors, registerCollector, removeCollector} = require('./collectors');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const STAMP = 'us-az-hopi-point';
+const STATS = `stamp_statistics/${STAMP}`;
+
+// A pre-registry stats doc with `count` collectors (user0 first)
+function legacyStamp(count, extra = {}) {
+  const ids = Array.from({ length: count }, (_, i) => `user${i}`);
+  return createFakeFirestore({
+    [STATS]: { stampId: STAMP, totalCollectors: count, collectorUserIds: ids },
+    ...extra
+  });
+}
+
+// Run `before` ahead of the nth transaction (throw in it to fail that transaction)
+function beforeTransaction(db, n, before) {
+  const runTransaction = db.runTransaction.bind(db);
+  let calls = 0;
+  db.runTransaction = async (fn) => {
+    calls++;
+    if (calls === n) {
+      await before();
+    }
+    return runTransaction(fn);
+  };
+  return () => {
+    db.runTransaction = runTransaction;
+  };
+}
+
+// Migrations log a line per stamp - keep the test output readable
+async function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+async function run() {
+  header('COLLECTOR REGISTRY TEST');
+
+  section('Registry');
+  {
+    const fresh = readRegistry(null, null, 'alice');
+    report(fresh.lastRank === 0 && fresh.totalCollectors === 0 && fresh.rank === null && fresh.legacyIds === null,
+      'no stats doc → empty registry', JSON.stringify(fresh));
+
+    const stats = { stampId: 'us-az-hopi-point', totalCollectors: 2, lastRank: 3 };
+    const newcomer = readRegistry(stats, null, 'carol');
+    report(newcomer.lastRank === 3 && newcomer.totalCollectors === 2 && newcomer.rank === null,
+      'new collector → not ranked yet, counter unchanged', JSON.stringify(newcomer));
+
+    const existing = readRegistry(stats, { userId: 'bob', rank: 2 }, 'bob');
+    report(existing.rank === 2, 'existing collector keeps their rank', JSON.stringify(existing));
+  }
+
+  section('Legacy collectorUserIds');
+  {
+    const stats = { stampId: 'us-az-hopi-point', totalCollectors: 4, collectorUserIds: ['alice', 'bob', 'alice', 'carol'] };
+
+    const bob = readRegistry(stats, null, 'bob');
+    report(bob.rank === 2, 'rank = position in the array', JSON.stringify(bob));
+    report(JSON.stringify(bob.legacyIds) === JSON.stringify(['alice', 'bob', 'carol']),
+      'duplicates keep their first position', JSON.stringify(bob.legacyIds));
+    report(bob.lastRank === 3 && bob.totalCollectors === 3, 'counter and total from the array', JSON.stringify(bob));
+
+    const dave = readRegistry(stats, null, 'dave');
+    report(dave.rank === null, 'not in the array → not ranked yet', JSON.stringify(dave));
+
+    const migrated = readRegistry(stats, { userId: 'carol', rank: 9 }, 'carol');
+    report(migrated.rank === 3, 'array wins over a stray collector doc', JSON.stringify(migrated));
+
+    const stray = readRegistry({ totalCollectors: 5, lastRank: 6, collectorUserIds: ['dave'] }, { userId: 'dave', rank: 6 }, 'dave');
+    report(stray.legacyIds === null && stray.rank === 6 && stray.lastRank === 6,
+      'array on an already-migrated doc is ignored', JSON.stringify(stray));
+  }
+
+  section('Legacy migration');
+  {
+    // More entries than one transaction can write
+    const db = legacyStamp(1200);
+    const migrated = await quietly(() => migrateLegacyCollectors(db, STAMP));
+    const stats = db.data(STATS);
+
+    report(migrated === 1200 && db.paths(`${STATS}/collectors`).length === 1200, 'every collector gets an entry, across pages', migrated);
+    report(db.data(`${STATS}/collectors/user0`).rank === 1 && db.data(`${STATS}/collectors/user1199`).rank === 1200,
+      'rank = position in the array', JSON.stringify(db.data(`${STATS}/collectors/user1199`)));
+    report(stats.collectorUserIds === undefined && stats.lastRank === 1200 && stats.totalCollectors === 1200,
+      'stamp marked migrated: array removed, counter set', JSON.stringify({ ...stats, collectorUserIds: undefined }));
+    report(await quietly(() => migrateLegacyCollectors(db, STAMP)) === 0, 'running again does nothing', 'migrated twice');
+  }
+  {
+    const db = legacyStamp(1200);
+    // Timed out after the first page
+    const restore = beforeTransaction(db, 2, () => {
+      throw new Error('deadline exceeded');
+    });
+    let error = null;
+    try {
+      await quietly(() => migrateLegacyCollectors(db, STAMP));
+    } catch (caught) {
+      error = caught;
+    }
+    restore();
+    const stats = db.data(STATS);
+    report(error !== null && Array.isArray(stats.collectorUserIds) && stats.lastRank === undefined,
+      'interrupted run → stamp not marked migrated', JSON.stringify({ lastRank: stats.lastRank }));
+    report(readRegistry(stats, db.data(`${STATS}/collectors/user5`), 'user5').rank === 6, 'array still read until then', 'rank changed');
+
+    const migrated = await quietly(() => migrateLegacyCollectors(db, STAMP));
+    report(migrated === 1200 && db.paths(`${STATS}/collectors`).length === 1200 && db.data(STATS).lastRank === 1200,
+      'next run finishes it', migrated);
+  }
+  {
+    const db = legacyStamp(1200);
+    // An admin script takes user5 out of the array after the first page
+    const restore = beforeTransaction(db, 2, () => db.collection('stamp_statistics').doc(STAMP).update({
+      collectorUserIds: db.data(STATS).collectorUserIds.filter(id => id !== 'user5')
+    }));
+    const migrated = await quietly(() => migrateLegacyCollectors(db, STAMP));
+    restore();
+
+    report(migrated === 1199 && db.data(STATS).lastRank === 1199, 'array changed part way → migrated as it is now', migrated);
+    report(!db.data(`${STATS}/collectors/user5`) && db.data(`${STATS}/collectors/user6`).rank === 6,
+      'entry from the first pass dropped, no rank handed out twice', JSON.stringify(db.data(`${STATS}/collectors/user5`)));
+  }
+
+  section('Register and remove on a legacy stamp');
+  {
+    const db = legacyStamp(1200, {
+      'users/newbie/collectedStamps/us-az-hopi-point': { userId: 'newbie' },
+      'users/user3/collectedStamps/us-az-hopi-point': { userId: 'user3' }
+    });
+    const rank = await quietly(() => registerCollector(db, STAMP, 'newbie'));
+    report(rank === 1201 && db.data('users/newbie/collectedStamps/us-az-hopi-point').userRank === 1201,
+      'new collector ranked after every legacy collector', rank);
+    report(db.data(STATS).totalCollectors === 1201 && db.paths(`${STATS}/collectors`).length === 1201,
+      'legacy collectors migrated first', db.data(STATS).totalCollectors);
+
+    const legacyRank = await registerCollector(db, STAMP, 'user3');
+    report(legacyRank === 4, 'legacy collector keeps their array position', legacyRank);
+  }
+  {
+    const db = legacyStamp(1200);
+    const removed = await quietly(() => removeCollector(db, STAMP, 'user1199'));
+    const stats = db.data(STATS);
+    report(removed && !db.data(`${STATS}/collectors/user1199`), 'legacy collector removed', removed);
+    report(stats.totalCollectors === 1199 && stats.lastRank === 1199 && stats.collectorUserIds === undefined,
+      'counts step back, array gone', JSON.stringify({ ...stats, collectorUserIds: undefined }));
+    report(db.data(`${STATS}/collectors/user0`).rank === 1 && db.paths(`${STATS}/collectors`).length === 1199,
+      'everyone else keeps their rank', db.paths(`${STATS}/collectors`).length);
+  }
+}
+
+runAsync(run);
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Comment Quarantine Test
+ *
+ * Checks commentQuarantine.js against an in-memory Firestore:
+ * - A quarantined comment leaves comments/ and lands in quarantined_comments/
+ * - One moderation alert per comment, even when the trigger is retried
+ * - Comments deleted before moderation ran are left alone
+ * - An admin revert puts the comment back, marked restoredAt
+ *
+ * Run this BEFORE deploying changes to commentQuarantine.js
+ */
+
+const {quarantineComment, writeQuarantine, restoreQuarantinedComment} = require('./commentQuarantine');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const comment = {
+  userId: 'bob',
+  postId: 'alice-us-az-hopi-point',
+  postOwnerId: 'alice',
+  text: 'something rude',
+  createdAt: new Date('2026-06-01T00:00:00Z')
+};
+
+const options = {
+  reason: 'profanity',
+  alert: current => ({ userId: current.userId, type: 'profanity_in_comment', commentId: 'c1', text: current.text })
+};
+
+const alertPaths = db => db.paths('moderation_alerts');
+
+async function run() {
+  header('COMMENT QUARANTINE TEST');
+
+  section('Quarantine');
+  {
+    const db = createFakeFirestore({ 'comments/c1': comment });
+    const quarantined = await quarantineComment(db, 'c1', options);
+
+    report(quarantined === true, 'returns true when it quarantines', quarantined);
+    report(db.data('comments/c1') === undefined, 'comment removed from comments/', 'still there');
+
+    const record = db.data('quarantined_comments/c1') || {};
+    report(record.text === comment.text && record.userId === 'bob', 'comment copied to quarantined_comments/', JSON.stringify(record));
+    report(record.reason === 'profanity' && record.quarantinedAt !== undefined, 'reason and quarantinedAt recorded', JSON.stringify(record));
+
+    const alerts = alertPaths(db).map(path => db.data(path));
+    report(alerts.length === 1, 'one moderation alert opened', alerts.length);
+    report(alerts[0] && alerts[0].status === 'pending' && alerts[0].type === 'profanity_in_comment',
+      'alert is pending with the caller\'s fields', JSON.stringify(alerts[0]));
+  }
+
+  section('Retries');
+  {
+    const db = createFakeFirestore({ 'comments/c1': comment });
+    await quarantineComment(db, 'c1', options);
+    const again = await quarantineComment(db, 'c1', options);
+
+    report(again === false, 'second run is a no-op', again);
+    report(alertPaths(db).length === 1, 'still one alert after a retry', alertPaths(db).length);
+    report(db.data('quarantined_comments/c1') !== undefined, 'quarantine record kept', 'missing');
+  }
+  {
+    const db = createFakeFirestore({});
+    const quarantined = await quarantineComment(db, 'c1', options);
+
+    report(quarantined === false, 'comment already deleted by its author → skipped', quarantined);
+    report(db.paths('quarantined_comments').length === 0 && alertPaths(db).length === 0,
+      'nothing written for a deleted comment', JSON.stringify([...db.docs.keys()]));
+  }
+
+  section('Reported comments');
+  {
+    const db = createFakeFirestore({ 'comments/c2': comment });
+    const ref = db.collection('comments').doc('c2');
+    await db.runTransaction(async (transaction) => {
+      writeQuarantine(db, transaction, ref, comment, 'reports');
+    });
+
+    const record = db.data('quarantined_comments/c2') || {};
+    report(db.data('comments/c2') === undefined && record.reason === 'reports',
+      'writeQuarantine moves the comment with the given reason', JSON.stringify(record));
+    report(alertPaths(db).length === 0, 'no alert (reportContent opens its own)', alertPaths(db).length);
+  }
+
+  section('Restore');
+  {
+    // False positive: the admin reverts a profanity_in_comment alert
+    const db = createFakeFirestore({ 'comments/c1': comment });
+    await quarantineComment(db, 'c1', options);
+    const restore = () => db.runTransaction(transaction => restoreQuarantinedComment(db, transaction, 'c1'));
+    const restored = await restore();
+
+    const back = db.data('comments/c1') || {};
+    report(restored && back.text === comment.text && back.userId === 'bob', 'comment back in comments/', JSON.stringify(back));
+    report(back.restoredAt !== undefined, 'marked restoredAt (moderation and notifications skip it)', JSON.stringify(back));
+    report(back.quarantinedAt === undefined && back.reason === undefined, 'quarantine fields dropped', JSON.stringify(back));
+    report(db.data('quarantined_comments/c1') === undefined, 'quarantine record removed', 'still there');
+    report(alertPaths(db).length === 1, 'alert left for the caller to resolve', alertPaths(db).length);
+
+    const again = await restore();
+    report(again === null && db.data('comments/c1') !== undefined, 'restoring twice → nothing to restore', JSON.stringify(again));
+  }
+}
+
+runAsync(run);
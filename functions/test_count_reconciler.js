@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Count Reconciler Test
+ *
+ * Checks classifyDrift in countReconciler.js:
+ * - Matching counters are left alone
+ * - Drift up to the limit is fixed, bigger drift goes to review
+ * - Negative and missing counters are always fixed
+ *
+ * Run this BEFORE deploying changes to countReconciler.js
+ */
+
+const {classifyDrift} = require('./countReconciler');
+const {header, section, report, finish} = require('./testHarness');
+
+function check(stored, actual, maxAutoFix, expected, label) {
+  const action = classifyDrift(stored, actual, maxAutoFix);
+  report(action === expected, label, `expected ${expected}, got ${action}`);
+}
+
+header('COUNT RECONCILER TEST');
+
+// Drift
+section('Drift');
+check(12, 12, 10, null, 'matching count → nothing to do');
+check(12, 15, 10, 'fix', 'small drift up → fixed');
+check(12, 9, 10, 'fix', 'small drift down → fixed');
+check(10, 0, 10, 'fix', 'drift exactly at the limit → fixed');
+check(40, 12, 10, 'review', 'drift over the limit → review');
+check(40, 12, Infinity, 'fix', 'no limit (--force) → fixed');
+
+// Broken counters
+section('Negative and missing counters');
+check(-1, 0, 10, 'fix', 'negative → fixed');
+check(-50, 3, 10, 'fix', 'negative far off → still fixed');
+check(undefined, 0, 10, null, 'missing and nothing to count → left alone');
+check(undefined, 25, 10, 'fix', 'missing → fixed');
+check('7', 7, 10, 'fix', 'not a number → fixed');
+check(NaN, 2, 10, 'fix', 'NaN → fixed');
+
+finish();
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Data Export Test
+ *
+ * Checks the pure parts of dataExport.js:
+ * - Firestore values → plain JSON (timestamps, geopoints, nested data)
+ * - Which Storage files go in the ZIP, and where
+ * - When a request reuses the latest export instead of building a new one
+ *
+ * Run this BEFORE deploying changes to dataExport.js
+ */
+
+const admin = require('firebase-admin');
+const {toExportValue, exportEntryName, shouldReuseExport} = require('./dataExport');
+const {header, section, report, finish} = require('./testHarness');
+
+const HOUR = 60 * 60 * 1000;
+const at = date => admin.firestore.Timestamp.fromDate(date);
+
+header('DATA EXPORT TEST');
+
+// JSON values
+section('Values');
+{
+  const collected = toExportValue({
+    collectedDate: at(new Date('2025-03-01T12:00:00Z')),
+    location: new admin.firestore.GeoPoint(35.36, 138.73),
+    photos: ['a.jpg', 'b.jpg'],
+    userRank: 3,
+    caption: null
+  });
+
+  report(collected.collectedDate === '2025-03-01T12:00:00.000Z', 'timestamp → ISO string', collected.collectedDate);
+  report(collected.location.latitude === 35.36 && collected.location.longitude === 138.73,
+    'geopoint → latitude/longitude', JSON.stringify(collected.location));
+  report(JSON.stringify(collected.photos) === '["a.jpg","b.jpg"]' && collected.userRank === 3 && collected.caption === null,
+    'plain values unchanged', JSON.stringify(collected));
+
+  const nested = toExportValue({ settings: { updatedAt: at(new Date('2025-01-01T00:00:00Z')) } });
+  report(nested.settings.updatedAt === '2025-01-01T00:00:00.000Z', 'nested timestamps converted', JSON.stringify(nested));
+}
+
+// ZIP entries
+section('Photos');
+{
+  report(exportEntryName('alice', 'users/alice/stamps/us-az-hopi-point/1.jpg') === 'photos/stamps/us-az-hopi-point/1.jpg',
+    'stamp photo → photos/ with the same folders', exportEntryName('alice', 'users/alice/stamps/us-az-hopi-point/1.jpg'));
+  report(exportEntryName('alice', 'users/alice/profile_photo/me.jpg') === 'photos/profile_photo/me.jpg',
+    'profile photo included', exportEntryName('alice', 'users/alice/profile_photo/me.jpg'));
+  report(exportEntryName('alice', 'users/alice/exports/abc.zip') === null, 'earlier exports left out', 'expected null');
+  report(exportEntryName('alice', 'users/alicia/stamps/x/1.jpg') === null, 'other users\' files left out', 'expected null');
+  report(exportEntryName('alice', 'users/alice/stamps/') === null, 'folder placeholders left out', 'expected null');
+}
+
+// Reusing exports
+section('Reuse');
+{
+  const now = new Date('2025-06-01T12:00:00Z');
+  const hoursAgo = hours => at(new Date(now.getTime() - hours * HOUR));
+  const inHours = hours => at(new Date(now.getTime() + hours * HOUR));
+
+  report(shouldReuseExport(null, now) === false, 'no earlier export → new export', 'expected false');
+  report(shouldReuseExport({ status: 'requested', requestedAt: hoursAgo(30) }, now) === true,
+    'still building → reuse', 'expected true');
+  report(shouldReuseExport({ status: 'ready', requestedAt: hoursAgo(2), expiresAt: inHours(22) }, now) === true,
+    'ready and link works → reuse', 'expected true');
+  report(shouldReuseExport({ status: 'ready', requestedAt: hoursAgo(25), expiresAt: inHours(1) }, now) === false,
+    'cooldown over → new export', 'expected false');
+  report(shouldReuseExport({ status: 'ready', requestedAt: hoursAgo(2), expiresAt: hoursAgo(1) }, now) === false,
+    'link expired → new export', 'expected false');
+  report(shouldReuseExport({ status: 'failed', requestedAt: hoursAgo(1) }, now) === false,
+    'failed → new export', 'expected false');
+}
+
+finish();
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Email Digest Test
+ *
+ * Checks digest.js rendering and the in-memory mail transport:
+ * - Notifications group into summary lines ("5 new followers, 12 likes on Hopi Point")
+ * - Aggregated notifications count every actor
+ * - HTML output escapes user-controlled text
+ * - Nothing to report → no email
+ * - Signed unsubscribe links and List-Unsubscribe headers; the unsubscribe
+ *   endpoint turns the digest off only for a valid token
+ * - The digest functions are only deployed with mail configured
+ *
+ * Run this BEFORE deploying changes to digest.js or mail.js
+ */
+
+const {summarizeNotifications, composeDigest, unsubscribeToken, verifyUnsubscribeToken, unsubscribeUrl, handleUnsubscribeRequest} = require('./digest');
+const {createMemoryTransport, setMailTransport, getMailTransport, isMailConfigured} = require('./mail');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const stampNames = { 'us-az-hopi-point': 'Hopi Point', 'us-ca-sf-ferry-building': 'Ferry Building' };
+
+const SECRET = 'test-secret';
+const BASE_URL = 'https://us-central1-stampbook-test.cloudfunctions.net/unsubscribeDigest';
+
+function createFakeResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+}
+
+async function requestUnsubscribe(db, method, link) {
+  const url = new URL(link);
+  const res = createFakeResponse();
+  // Successful unsubscribes are logged - keep the test output readable
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    await handleUnsubscribeRequest(db, { method, query: Object.fromEntries(url.searchParams) }, res, SECRET);
+  } finally {
+    console.log = originalLog;
+  }
+  return res;
+}
+
+const notifications = [
+  { type: 'follow', actorCount: 4 },
+  { type: 'follow' },
+  { type: 'like', stampId: 'us-az-hopi-point', actorCount: 10 },
+  { type: 'like', stampId: 'us-az-hopi-point', actorCount: 2 },
+  { type: 'like', stampId: 'us-ca-sf-ferry-building' },
+  { type: 'comment', stampId: 'us-az-hopi-point' },
+  { type: 'reply' },
+  { type: 'reply' },
+  { type: 'mention' }
+];
+
+async function run() {
+  header('EMAIL DIGEST TEST');
+
+  // Summary lines
+  section('Summary lines');
+  {
+    const lines = summarizeNotifications(notifications, stampNames);
+    const expected = [
+      '5 new followers',
+      '12 likes on Hopi Point',
+      '1 like on Ferry Building',
+      '1 comment on Hopi Point',
+      '2 replies to your comments',
+      '1 mention'
+    ];
+    report(JSON.stringify(lines) === JSON.stringify(expected), 'groups, counts and orders lines', JSON.stringify(lines));
+
+    const unknownStamp = summarizeNotifications([{ type: 'like', stampId: 'gone' }], stampNames);
+    report(unknownStamp[0] === '1 like on your stamp', 'deleted stamp falls back to "your stamp"', unknownStamp[0]);
+  }
+
+  // Rendering
+  section('Rendering');
+  {
+    const digest = composeDigest({ displayName: 'Ana', notifications, stampNames });
+    report(digest.subject === 'Your week on Stampbook: 5 new followers, 12 likes on Hopi Point and more', 'subject headline', digest.subject);
+    report(digest.text.includes('- 12 likes on Hopi Point') && digest.text.startsWith('Hi Ana,'), 'plaintext body', digest.text.split('\n')[0]);
+    report(digest.html.includes('<li>12 likes on Hopi Point</li>'), 'HTML body', 'missing list item');
+
+    const sneaky = composeDigest({
+      displayName: '<script>x</script>',
+      notifications: [{ type: 'like', stampId: 'a' }],
+      stampNames: { a: 'Tom & Jerry\'s <Cafe>' }
+    });
+    report(!sneaky.html.includes('<script>') && sneaky.html.includes('Tom &amp; Jerry&#39;s &lt;Cafe&gt;'), 'HTML escapes names', sneaky.html);
+
+    report(composeDigest({ displayName: 'Ana', notifications: [], stampNames }) === null, 'nothing unread → no email', 'got an email');
+  }
+
+  section('Unsubscribe links');
+  {
+    const token = unsubscribeToken('ana', SECRET);
+    report(verifyUnsubscribeToken('ana', token, SECRET), 'token verifies for its user', token);
+    report(!verifyUnsubscribeToken('bob', token, SECRET), 'token doesn\'t work for another user', 'accepted');
+    report(!verifyUnsubscribeToken('ana', token, 'other-secret'), 'token from another secret rejected', 'accepted');
+    report(!verifyUnsubscribeToken('ana', token.slice(0, -1), SECRET) && !verifyUnsubscribeToken('ana', undefined, SECRET),
+      'truncated or missing token rejected', 'accepted');
+    report(!verifyUnsubscribeToken('ana', unsubscribeToken('ana', ''), ''), 'no secret configured → nothing verifies', 'accepted');
+
+    const link = unsubscribeUrl(BASE_URL, 'ana', SECRET);
+    const digest = composeDigest({ displayName: 'Ana', notifications, stampNames, unsubscribeUrl: link });
+    report(link.startsWith(`${BASE_URL}?uid=ana&token=`), 'link points at unsubscribeDigest', link);
+    report(digest.text.includes(`Unsubscribe: ${link}`), 'plaintext body has the link', digest.text.split('\n').pop());
+    report(digest.html.includes(`<a href="${link.replace('&', '&amp;')}"`), 'HTML body has the link', 'missing link');
+    report(digest.headers['List-Unsubscribe'] === `<${link}>` && digest.headers['List-Unsubscribe-Post'] === 'List-Unsubscribe=One-Click',
+      'List-Unsubscribe headers for one-click unsubscribe', JSON.stringify(digest.headers));
+  }
+
+  section('Unsubscribe endpoint');
+  {
+    const settingsPath = 'users/ana/settings/notifications';
+    const db = createFakeFirestore({
+      'users/ana': { username: 'ana' },
+      [settingsPath]: { emailDigest: true, onlyFromFollowing: true },
+      'users/bob/settings/notifications': { emailDigest: true }
+    });
+    const link = unsubscribeUrl(BASE_URL, 'ana', SECRET);
+
+    const page = await requestUnsubscribe(db, 'GET', link);
+    report(page.statusCode === 200 && page.body.includes('<form method="POST">'), 'GET shows a confirmation button', page.body);
+    report(db.data(settingsPath).emailDigest === true, 'GET alone doesn\'t unsubscribe (link scanners)', JSON.stringify(db.data(settingsPath)));
+
+    const forged = await requestUnsubscribe(db, 'POST', unsubscribeUrl(BASE_URL, 'bob', 'guessed'));
+    report(forged.statusCode === 400 && db.data('users/bob/settings/notifications').emailDigest === true,
+      'bad token → 400, nothing changed', forged.statusCode);
+
+    const done = await requestUnsubscribe(db, 'POST', link);
+    report(done.statusCode === 200 && db.data(settingsPath).emailDigest === false, 'POST turns the digest off', JSON.stringify(db.data(settingsPath)));
+    report(db.data(settingsPath).onlyFromFollowing === true, 'other settings kept', JSON.stringify(db.data(settingsPath)));
+
+    const again = await requestUnsubscribe(db, 'POST', link);
+    report(again.statusCode === 200 && db.data(settingsPath).emailDigest === false, 'clicking twice is fine', again.statusCode);
+
+    const db2 = createFakeFirestore({ 'users/carol': { username: 'carol' } });
+    await requestUnsubscribe(db2, 'POST', unsubscribeUrl(BASE_URL, 'carol', SECRET));
+    report(db2.data('users/carol/settings/notifications').emailDigest === false, 'works without a settings doc', JSON.stringify(db2.data('users/carol/settings/notifications')));
+
+    const put = await requestUnsubscribe(db, 'PUT', link);
+    report(put.statusCode === 405, 'other methods → 405', put.statusCode);
+  }
+
+  // Transport
+  section('Memory transport');
+  {
+    const transport = createMemoryTransport();
+    setMailTransport(transport);
+    const digest = composeDigest({ displayName: 'Ana', notifications, stampNames, unsubscribeUrl: unsubscribeUrl(BASE_URL, 'ana', SECRET) });
+    const result = await getMailTransport().send({ to: 'ana@example.com', ...digest });
+
+    report(transport.sent.length === 1 && transport.sent[0].to === 'ana@example.com', 'records sent messages', JSON.stringify(transport.sent.map(m => m.to)));
+    report(transport.sent[0].headers['List-Unsubscribe'] !== undefined, 'headers passed through', JSON.stringify(transport.sent[0].headers));
+    report(result.messageId === 'memory-1', 'returns a message ID', result.messageId);
+
+    let rejected = false;
+    try {
+      setMailTransport({ name: 'broken' });
+    } catch (error) {
+      rejected = true;
+    }
+    report(rejected, 'rejects transports without send()', 'accepted');
+    setMailTransport(null);
+    report(getMailTransport() === null, 'null clears the transport', 'still set');
+  }
+
+  section('Mail configuration');
+  {
+    const saved = { SMTP_HOST: process.env.SMTP_HOST, MAIL_FROM: process.env.MAIL_FROM };
+    const setEnv = (values) => {
+      for (const [key, value] of Object.entries(values)) {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      }
+    };
+
+    setEnv({ SMTP_HOST: undefined, MAIL_FROM: undefined });
+    const none = isMailConfigured();
+    setEnv({ SMTP_HOST: 'smtp.example.com', MAIL_FROM: undefined });
+    const hostOnly = isMailConfigured();
+    setEnv({ SMTP_HOST: 'smtp.example.com', MAIL_FROM: 'Stampbook <digest@example.com>' });
+    const both = isMailConfigured();
+    setEnv(saved);
+
+    report(!none && !hostOnly, 'no SMTP_HOST or MAIL_FROM → digest functions not deployed', JSON.stringify({ none, hostOnly }));
+    report(both, 'SMTP_HOST and MAIL_FROM → digest functions deployed', both);
+  }
+}
+
+runAsync(run);
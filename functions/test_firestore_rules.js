@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Firestore Rules Test
+ *
+ * Runs firestore.rules in the Firestore emulator and checks the writes the
+ * Cloud Functions rely on clients not being able to make:
+ * - Comments can't be created with server-managed fields (restoredAt
+ *   would skip moderation and notifications)
+ * - Likes and comments can't name a postOwnerId other than the owner in
+ *   postId (the block check trusts it)
+ * - The app's list queries on other users' profiles and posts filter on
+ *   hidden == false, which isListableBy requires
+ *
+ * Needs the emulator (Java + Firebase CLI), so it isn't part of `npm test`:
+ *   npm run test:rules
+ *
+ * Run this BEFORE deploying changes to firestore.rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {initializeTestEnvironment} = require('@firebase/rules-unit-testing');
+const {doc, setDoc, collection, collectionGroup, query, where, orderBy, getDocs, Timestamp} = require('firebase/firestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const PROJECT_ID = 'demo-stampbook';
+
+// Resolves true if the read or write was allowed, false if the rules denied it
+async function allowed(write) {
+  try {
+    await write;
+    return true;
+  } catch (error) {
+    if (error.code === 'permission-denied') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+function comment(fields = {}) {
+  return {
+    userId: 'bob',
+    postId: 'alice-us-az-hopi-point',
+    postOwnerId: 'alice',
+    stampId: 'us-az-hopi-point',
+    text: 'Great stamp!',
+    createdAt: Timestamp.now(),
+    ...fields
+  };
+}
+
+async function run() {
+  header('FIRESTORE RULES TEST');
+
+  const testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: {
+      rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8')
+    }
+  });
+
+  try {
+    const bob = testEnv.authenticatedContext('bob').firestore();
+
+    section('Comments');
+    {
+      const created = await allowed(setDoc(doc(bob, 'comments/c1'), comment()));
+      report(created, 'plain comment → allowed', 'denied');
+
+      const restored = await allowed(setDoc(doc(bob, 'comments/c2'), comment({ restoredAt: Timestamp.now() })));
+      report(!restored, 'comment with restoredAt → denied (would skip moderation)', 'allowed');
+
+      const replyCount = await allowed(setDoc(doc(bob, 'comments/c3'), comment({ replyCount: 5 })));
+      report(!replyCount, 'comment with replyCount → denied', 'allowed');
+    }
+
+    section('Post owner');
+    {
+      const like = fields => ({
+        userId: 'bob',
+        postId: 'alice-us-az-hopi-point',
+        postOwnerId: 'alice',
+        stampId: 'us-az-hopi-point',
+        createdAt: Timestamp.now(),
+        ...fields
+      });
+
+      const plain = await allowed(setDoc(doc(bob, 'likes/bob_alice-us-az-hopi-point'), like()));
+      report(plain, 'like naming the post\'s owner → allowed', 'denied');
+
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), 'users/alice/blocked/bob'), { createdAt: Timestamp.now() }));
+
+      const blocked = await allowed(setDoc(doc(bob, 'likes/bob_alice-us-az-hopi-point'), like()));
+      report(!blocked, 'blocked by the owner → denied', 'allowed');
+
+      const otherOwner = await allowed(setDoc(doc(bob, 'likes/bob_alice-us-az-hopi-point'), like({ postOwnerId: 'carol' })));
+      report(!otherOwner, 'like naming someone else as postOwnerId → denied', 'allowed');
+
+      const split = await allowed(setDoc(doc(bob, 'likes/bob_alice-us-az-hopi-point'),
+        like({ postOwnerId: 'alice-us', stampId: 'az-hopi-point' })));
+      report(!split, 'postId split at another \'-\' → denied', 'allowed');
+
+      const blockedComment = await allowed(setDoc(doc(bob, 'comments/c4'), comment({ postOwnerId: 'carol' })));
+      report(!blockedComment, 'comment naming someone else as postOwnerId → denied', 'allowed');
+    }
+
+    section('List queries');
+    {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'users/alice'), { username: 'alice', totalStamps: 12, hidden: false });
+        await setDoc(doc(db, 'users/carol'), { username: 'carol', totalStamps: 30, hidden: true });
+        await setDoc(doc(db, 'users/alice/collectedStamps/us-az-hopi-point'),
+          { userId: 'alice', stampId: 'us-az-hopi-point', collectedDate: Timestamp.now(), hidden: false });
+      });
+      const users = collection(bob, 'users');
+
+      // FirebaseService.calculateUserRank
+      const rank = await allowed(getDocs(query(users, where('hidden', '==', false), where('totalStamps', '>', 5))));
+      report(rank, 'profile rank (hidden == false) → allowed', 'denied');
+      const unfiltered = await allowed(getDocs(query(users, where('totalStamps', '>', 5))));
+      report(!unfiltered, 'profile rank without the hidden filter → denied', 'allowed');
+
+      // FirebaseService.searchUsers
+      const search = await allowed(getDocs(query(users, where('hidden', '==', false),
+        where('username', '>=', 'al'), where('username', '<', 'al\uf8ff'))));
+      report(search, 'user search → allowed', 'denied');
+
+      // FirebaseService.fetchCollectedStamps (another user's profile) and the following feed
+      const posts = await allowed(getDocs(query(collection(bob, 'users/alice/collectedStamps'),
+        where('hidden', '==', false), orderBy('collectedDate', 'desc'))));
+      report(posts, 'another user\'s posts → allowed', 'denied');
+      const feed = await allowed(getDocs(query(collectionGroup(bob, 'collectedStamps'),
+        where('userId', 'in', ['alice']), where('hidden', '==', false), orderBy('collectedDate', 'desc'))));
+      report(feed, 'following feed → allowed', 'denied');
+    }
+  } finally {
+    await testEnv.cleanup();
+  }
+}
+
+runAsync(run);
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * Image Moderation Test
+ *
+ * Runs moderateImage with a stub classifier against an in-memory Firestore
+ * and Storage bucket:
+ * - Flagged uploads → quarantine/, taken off the post or profile, alert opened
+ * - Clean uploads and classifier errors leave everything as it was
+ * - reattachImage puts a restored image back where it was
+ * - A photo quarantined before the post lists it is taken off once the app
+ *   writes its path (detachLateImagePaths)
+ *
+ * Run this BEFORE deploying changes to imageModeration.js
+ */
+
+// The storage trigger needs a default bucket when the module loads
+process.env.FIREBASE_CONFIG = process.env.FIREBASE_CONFIG
+  || JSON.stringify({ projectId: 'stampbook-test', storageBucket: 'stampbook-test.appspot.com' });
+
+const {moderateImage, reattachImage, detachLateImagePaths, setImageClassifier, createHeuristicClassifier} = require('./imageModeration');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01]);
+
+const PHOTO = 'users/alice/stamps/us-az-hopi-point/sunset.jpg';
+const OTHER_PHOTO = 'users/alice/stamps/us-az-hopi-point/canyon.jpg';
+const AVATAR = 'users/alice/profile_photo/me.jpg';
+const AVATAR_URL = `https://firebasestorage.googleapis.com/v0/b/stampbook-test.appspot.com/o/${encodeURIComponent(AVATAR)}?alt=media&token=abc`;
+
+function createFakeBucket(files) {
+  const objects = new Map(Object.entries(files));
+  const file = path => ({
+    download: async ({ start, end } = {}) => {
+      const contents = objects.get(path);
+      return [start === undefined ? contents : contents.subarray(start, end + 1)];
+    },
+    exists: async () => [objects.has(path)],
+    move: async (destination) => {
+      objects.set(destination, objects.get(path));
+      objects.delete(path);
+    }
+  });
+  return { name: 'stampbook-test.appspot.com', objects, file };
+}
+
+function fixtures() {
+  const db = createFakeFirestore({
+    'users/alice': { username: 'alice', avatarUrl: AVATAR_URL },
+    'users/alice/collectedStamps/us-az-hopi-point': {
+      userId: 'alice',
+      userImagePaths: [OTHER_PHOTO, PHOTO],
+      userImageNames: ['canyon.jpg', 'sunset.jpg']
+    }
+  });
+  const bucket = createFakeBucket({ [PHOTO]: JPEG, [OTHER_PHOTO]: JPEG, [AVATAR]: JPEG });
+  return { db, bucket };
+}
+
+function stubClassifier(verdict) {
+  const calls = [];
+  return {
+    calls,
+    name: 'stub',
+    classify: async (image) => {
+      calls.push({ filePath: image.filePath, header: await image.readBytes(0, 3) });
+      if (verdict instanceof Error) {
+        throw verdict;
+      }
+      return verdict;
+    }
+  };
+}
+
+const alerts = db => db.paths('moderation_alerts').map(path => db.data(path));
+const post = db => db.data('users/alice/collectedStamps/us-az-hopi-point');
+
+async function run() {
+  header('IMAGE MODERATION TEST');
+
+  // Flagged images log a warning - keep the test output readable
+  const originalError = console.error;
+  const originalLog = console.log;
+  console.error = () => {};
+  console.log = () => {};
+  const restoreConsole = () => {
+    console.error = originalError;
+    console.log = originalLog;
+  };
+
+  const results = [];
+  try {
+    const flagged = stubClassifier({ flagged: true, labels: ['nudity'], score: 0.97 });
+    setImageClassifier(flagged);
+    {
+      const { db, bucket } = fixtures();
+      const result = await moderateImage(db, bucket, PHOTO, 'image/jpeg', JPEG.length);
+      results.push(['flaggedPost', { db, bucket, result, image: flagged.calls[0] }]);
+    }
+    {
+      const { db, bucket } = fixtures();
+      const result = await moderateImage(db, bucket, AVATAR, 'image/jpeg', JPEG.length);
+      results.push(['flaggedAvatar', { db, bucket, result }]);
+    }
+    {
+      // Upload finishes (and is quarantined) before the app writes the path
+      const { db, bucket } = fixtures();
+      const before = { userId: 'alice', userImagePaths: [OTHER_PHOTO], userImageNames: ['canyon.jpg'] };
+      await db.doc('users/alice/collectedStamps/us-az-hopi-point').set(before);
+      const result = await moderateImage(db, bucket, PHOTO, 'image/jpeg', JPEG.length);
+      const [alertBefore] = alerts(db);
+
+      const after = { ...before, userImagePaths: [OTHER_PHOTO, PHOTO], userImageNames: ['canyon.jpg', 'sunset.jpg'] };
+      await db.doc('users/alice/collectedStamps/us-az-hopi-point').set(after);
+      const detachedPaths = await detachLateImagePaths(db, bucket, 'alice', 'us-az-hopi-point', before, after);
+      results.push(['latePath', { db, bucket, result, detachedAtUpload: alertBefore.detached, detachedPaths }]);
+    }
+
+    const clean = stubClassifier({ flagged: false, labels: [], score: 0.01 });
+    setImageClassifier(clean);
+    {
+      const { db, bucket } = fixtures();
+      const result = await moderateImage(db, bucket, PHOTO, 'image/jpeg', JPEG.length);
+      const outside = await moderateImage(db, bucket, 'stamps/us-az-hopi-point.png', 'image/png', JPEG.length);
+      results.push(['clean', { db, bucket, result, outside, calls: clean.calls.length }]);
+    }
+
+    setImageClassifier(stubClassifier(new Error('vision API unavailable')));
+    {
+      const { db, bucket } = fixtures();
+      let error = null;
+      try {
+        await moderateImage(db, bucket, PHOTO, 'image/jpeg', JPEG.length);
+      } catch (caught) {
+        error = caught;
+      }
+      results.push(['classifierError', { db, bucket, error }]);
+    }
+
+    setImageClassifier(createHeuristicClassifier());
+    {
+      const { db, bucket } = fixtures();
+      bucket.objects.set(PHOTO, Buffer.from('<?php echo "not a photo"; ?>'));
+      const result = await moderateImage(db, bucket, PHOTO, 'image/jpeg', 29);
+      results.push(['heuristic', { db, result }]);
+    }
+  } finally {
+    restoreConsole();
+  }
+  const by = Object.fromEntries(results);
+
+  section('Flagged stamp photo');
+  {
+    const { db, bucket, result, image } = by.flaggedPost;
+    const [alert] = alerts(db);
+
+    report(result.flagged && result.quarantinePath === `quarantine/${PHOTO}`, 'reported as flagged', JSON.stringify(result));
+    report(!bucket.objects.has(PHOTO) && bucket.objects.has(`quarantine/${PHOTO}`), 'file moved to quarantine/', [...bucket.objects.keys()].join());
+    report(post(db).userImagePaths.join() === OTHER_PHOTO && post(db).userImageNames.join() === 'canyon.jpg',
+      'path and name removed from the post, other photos kept', JSON.stringify(post(db)));
+    report(alerts(db).length === 1 && alert.type === 'flagged_image' && alert.status === 'pending',
+      'one pending flagged_image alert', JSON.stringify(alerts(db)));
+    report(alert.classifier === 'stub' && alert.labels.join() === 'nudity' && alert.score === 0.97 && alert.postId === 'alice-us-az-hopi-point',
+      'alert carries the verdict and the post', JSON.stringify(alert));
+    report(alert.detached && alert.detached.index === 1 && alert.detached.imageName === 'sunset.jpg',
+      'alert records where the image was', JSON.stringify(alert.detached));
+
+    report(image && image.filePath === PHOTO && image.header.equals(JPEG.subarray(0, 4)),
+      'classifier can read the upload\'s bytes', image && image.filePath);
+
+    await db.runTransaction(transaction => reattachImage(db, transaction, alert));
+    report(post(db).userImagePaths.join() === `${OTHER_PHOTO},${PHOTO}` && post(db).userImageNames.join() === 'canyon.jpg,sunset.jpg',
+      'revert puts it back in the same place', JSON.stringify(post(db)));
+
+    const again = await db.runTransaction(transaction => reattachImage(db, transaction, alert));
+    report(again === null && post(db).userImagePaths.length === 2, 'reattaching twice doesn\'t duplicate it', JSON.stringify(post(db)));
+  }
+
+  section('Flagged profile photo');
+  {
+    const { db, bucket, result } = by.flaggedAvatar;
+    const [alert] = alerts(db);
+
+    report(result.flagged && bucket.objects.has(`quarantine/${AVATAR}`), 'file moved to quarantine/', [...bucket.objects.keys()].join());
+    report(db.data('users/alice').avatarUrl === undefined, 'avatarUrl cleared', db.data('users/alice').avatarUrl);
+    report(alert.kind === 'profile_photo' && alert.detached && alert.detached.avatarUrl === AVATAR_URL,
+      'alert keeps the old avatarUrl', JSON.stringify(alert));
+
+    await db.collection('users').doc('alice').update({ avatarUrl: 'https://example.com/new.jpg' });
+    await db.runTransaction(transaction => reattachImage(db, transaction, alert));
+    report(db.data('users/alice').avatarUrl === 'https://example.com/new.jpg', 'revert keeps a newer profile photo', db.data('users/alice').avatarUrl);
+  }
+
+  section('Path written after the photo was quarantined');
+  {
+    const { db, bucket, result, detachedAtUpload, detachedPaths } = by.latePath;
+    const [alert] = alerts(db);
+
+    report(result.flagged && detachedAtUpload === null, 'post didn\'t list it at upload → nothing detached', JSON.stringify(detachedAtUpload));
+    report(detachedPaths.join() === PHOTO && post(db).userImagePaths.join() === OTHER_PHOTO && post(db).userImageNames.join() === 'canyon.jpg',
+      'path taken off when the app writes it', JSON.stringify(post(db)));
+    report(alert.detached && alert.detached.index === 1 && alert.detached.imagePath === PHOTO,
+      'alert now records where it was', JSON.stringify(alert.detached));
+
+    await db.runTransaction(transaction => reattachImage(db, transaction, alert));
+    report(post(db).userImagePaths.join() === `${OTHER_PHOTO},${PHOTO}`, 'revert puts it back', JSON.stringify(post(db)));
+
+    // Photos still in place (or never quarantined) are left alone
+    const current = post(db);
+    bucket.objects.set(PHOTO, JPEG);
+    const kept = await detachLateImagePaths(db, bucket, 'alice', 'us-az-hopi-point', { userImagePaths: [] }, current);
+    const missing = await detachLateImagePaths(db, bucket, 'alice', 'us-az-hopi-point', { userImagePaths: [] },
+      { userImagePaths: ['users/alice/stamps/us-az-hopi-point/uploading.jpg'] });
+    report(kept.length === 0 && missing.length === 0 && post(db).userImagePaths.length === 2,
+      'photos in place or not in quarantine/ → kept', JSON.stringify({ kept, missing }));
+
+    const otherPost = await detachLateImagePaths(db, bucket, 'alice', 'us-ca-sf-ferry-building', { userImagePaths: [] }, current);
+    report(otherPost.length === 0, 'paths under another post are ignored', JSON.stringify(otherPost));
+  }
+
+  section('Clean uploads');
+  {
+    const { db, bucket, result, outside, calls } = by.clean;
+    report(!result.flagged && bucket.objects.has(PHOTO), 'clean image stays in place', JSON.stringify(result));
+    report(post(db).userImagePaths.length === 2 && alerts(db).length === 0, 'post untouched, no alert', JSON.stringify(post(db)));
+    report(!outside.flagged && calls === 1, 'paths outside user photos aren\'t classified', calls);
+  }
+
+  section('Classifier errors');
+  {
+    const { db, bucket, error } = by.classifierError;
+    report(error && error.message === 'vision API unavailable', 'error is thrown (the trigger logs it)', error);
+    report(bucket.objects.has(PHOTO) && !bucket.objects.has(`quarantine/${PHOTO}`), 'file left in place', [...bucket.objects.keys()].join());
+    report(post(db).userImagePaths.length === 2 && alerts(db).length === 0, 'post untouched, no alert', JSON.stringify(post(db)));
+  }
+
+  section('Heuristic classifier');
+  {
+    const { db, result } = by.heuristic;
+    const [alert] = alerts(db);
+    report(result.flagged && alert && alert.labels.join() === 'not_an_image' && alert.classifier === 'heuristic',
+      'non-image bytes → not_an_image', JSON.stringify(alert));
+  }
+}
+
+runAsync(run);
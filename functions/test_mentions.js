@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+/**
+ * Mention Parsing Test
+ *
+ * Checks parseMentions in mentions.js:
+ * - Handles follow the username rules (3-20 chars, a-z 0-9 _)
+ * - Emails and other words containing "@" aren't mentions
+ * - Duplicates collapse, case-insensitive
+ * - Mentions past the per-comment cap are ignored
+ *
+ * Run this BEFORE deploying changes to mentions.js
+ */
+
+const {parseMentions, MAX_MENTIONS_PER_COMMENT} = require('./mentions');
+const {header, section, report, finish} = require('./testHarness');
+
+const cases = [
+  { text: '@hiroo nice shot!', expect: ['hiroo'] },
+  { text: 'Going with @ana_b and @Tom99 next week', expect: ['ana_b', 'tom99'] },
+  { text: '(@ana_b), @ana_b, @ANA_B!', expect: ['ana_b'], note: 'duplicates' },
+  { text: 'mail me at someone@example.com', expect: [], note: 'email' },
+  { text: '@@hiroo', expect: [], note: 'double @' },
+  { text: '@ab is too short', expect: [], note: 'under 3 chars' },
+  { text: '@abcdefghijklmnopqrstu is too long', expect: [], note: 'over 20 chars' },
+  { text: 'so cool @hiroo.', expect: ['hiroo'], note: 'trailing punctuation' },
+  { text: 'no mentions here', expect: [] },
+  {
+    text: '@aaa @bbb @ccc @ddd @eee @fff @ggg',
+    expect: ['aaa', 'bbb', 'ccc', 'ddd', 'eee'].slice(0, MAX_MENTIONS_PER_COMMENT),
+    note: `capped at ${MAX_MENTIONS_PER_COMMENT}`
+  }
+];
+
+header('MENTION PARSING TEST');
+section('parseMentions');
+
+for (const testCase of cases) {
+  const result = parseMentions(testCase.text);
+  const label = `${JSON.stringify(testCase.text).padEnd(40)} → [${testCase.expect.join(', ')}]${testCase.note ? ` (${testCase.note})` : ''}`;
+  report(JSON.stringify(result) === JSON.stringify(testCase.expect), label, `got [${result.join(', ')}]`);
+}
+
+finish();
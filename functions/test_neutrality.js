@@ -10,28 +10,17 @@
  * - Geographic locations
  * 
  * Run this BEFORE deploying to ensure political neutrality
+ * 
+ * Uses the built-in default word lists from moderation.js (the same code the
+ * Cloud Functions run). Live overrides in config/moderation are not loaded.
  */
 
-const Filter = require('bad-words');
-
-// Colors for terminal output
-const colors = {
-  reset: '\x1b[0m',
-  red: '\x1b[31m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  magenta: '\x1b[35m'
-};
-
-const filter = new Filter();
+const {createModerator, DEFAULT_RESERVED_WORDS} = require('./moderation');
+const {colors, header, section} = require('./testHarness');
 
-// Add your reserved words (matching functions/index.js)
-const reservedWords = [
-  'admin', 'administrator', 'support', 'help', 'official', 'verified',
-  'stampbook', 'stamp_book', 'stamp', 'moderator', 'mod', 'staff',
-  'system', 'root', 'superuser'
-];
+const moderator = createModerator();
+const filter = moderator.filter;
+const reservedWords = DEFAULT_RESERVED_WORDS;
 
 // Test categories
 const testCategories = {
@@ -84,9 +73,7 @@ const testCategories = {
   ]
 };
 
-console.log('\n' + colors.blue + '═══════════════════════════════════════════════════════════' + colors.reset);
-console.log(colors.blue + '🧪 CONTENT MODERATION NEUTRALITY TEST' + colors.reset);
-console.log(colors.blue + '═══════════════════════════════════════════════════════════' + colors.reset + '\n');
+header('CONTENT MODERATION NEUTRALITY TEST');
 
 let totalTests = 0;
 let passedTests = 0;
@@ -101,24 +88,17 @@ function shouldBeBlocked(word, category) {
 
 // Helper to check reserved words
 function containsReservedWord(text) {
-  const lowercased = text.toLowerCase();
-  for (const word of reservedWords) {
-    if (lowercased.includes(word)) {
-      return true;
-    }
-  }
-  return false;
+  return moderator.findReservedWord(text) !== null;
 }
 
 // Run tests
 for (const [category, words] of Object.entries(testCategories)) {
-  console.log(colors.magenta + `\n📋 ${category}` + colors.reset);
-  console.log('─'.repeat(60));
+  section(category);
   
   for (const word of words) {
     totalTests++;
     
-    const isProfane = filter.isProfane(word);
+    const isProfane = moderator.isProfane(word);
     const hasReservedWord = containsReservedWord(word);
     const isBlocked = isProfane || hasReservedWord;
     const shouldBlock = shouldBeBlocked(word, category);
@@ -179,7 +159,7 @@ if (failures.length > 0) {
     console.log(`   ${colors.yellow}Action needed: ${
       failure.reason.includes('should block') 
         ? 'Add to reserved words list' 
-        : 'Remove from filter using filter.removeWords()'
+        : 'Add to allowedWords in config/moderation'
     }${colors.reset}\n`);
   }
 } else {
@@ -194,9 +174,9 @@ if (failures.length > 0) {
 console.log(colors.blue + '═══════════════════════════════════════════════════════════' + colors.reset);
 console.log(colors.blue + '📚 LIBRARY INFO' + colors.reset);
 console.log(colors.blue + '═══════════════════════════════════════════════════════════' + colors.reset + '\n');
-console.log(`bad-words library: ${filter.list.length} profane words blocked`);
+console.log(`bad-words library: ${filter.list.length - reservedWords.length} profane words blocked`);
 console.log(`Reserved words: ${reservedWords.length} custom words blocked`);
-console.log(`Total unique blocks: ~${filter.list.length + reservedWords.length}\n`);
+console.log(`Total unique blocks: ~${filter.list.length}\n`);
 
 // Exit with appropriate code
 process.exit(failedTests > 0 ? 1 : 0);
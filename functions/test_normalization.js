@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Moderation Normalization Test
+ *
+ * Fixture-driven checks for normalize.js and the moderator built on it:
+ * - Skeletons: leetspeak, confusables, zero-width chars, accents fold to ASCII
+ * - Usernames: same checks as validateContent / checkUsernameAvailability
+ * - Display names: same check as validateContent
+ * - Free text: the shared checkText every content trigger uses (comments,
+ *   bios, post notes, suggestions, feedback) - profanity only, reserved words
+ *   like "stamp" or "help" are fine
+ *
+ * Fixtures live in fixtures/normalization.json - add a case there whenever an
+ * evasion (or a false positive) is reported.
+ *
+ * Run this BEFORE deploying changes to normalize.js or moderation.js
+ */
+
+const path = require('path');
+const {normalizeForModeration} = require('./normalize');
+const {createModerator} = require('./moderation');
+const {header, section, report, finish} = require('./testHarness');
+
+const fixtures = require(path.join(__dirname, 'fixtures', 'normalization.json'));
+
+const moderator = createModerator();
+
+// Same decisions the Cloud Functions make
+const checks = {
+  usernames: input => moderator.checkText(input.toLowerCase().trim(), { kind: 'username' }) !== null,
+  displayNames: input => moderator.checkText(input.trim(), { kind: 'displayName' }) !== null,
+  // Comments, bios, post notes, suggestions and feedback
+  freeText: input => moderator.checkText(input) !== null
+};
+
+// Show invisible / non-ASCII characters in output
+function printable(text) {
+  return JSON.stringify(text).replace(/[^\x20-\x7e]/g, (char) => {
+    return `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+  });
+}
+
+header('MODERATION NORMALIZATION TEST');
+
+// Skeletons
+section('Skeletons');
+for (const fixture of fixtures.skeletons) {
+  const { skeleton } = normalizeForModeration(fixture.input);
+  report(
+    skeleton === fixture.skeleton,
+    `${printable(fixture.input).padEnd(30)} → ${printable(fixture.skeleton)}${fixture.note ? ` (${fixture.note})` : ''}`,
+    `got ${printable(skeleton)}`
+  );
+}
+
+// Blocked / allowed decisions
+for (const category of Object.keys(checks)) {
+  section(`${category}`);
+
+  for (const fixture of fixtures[category]) {
+    const blocked = checks[category](fixture.input);
+    const expectBlocked = fixture.expect === 'blocked';
+    report(
+      blocked === expectBlocked,
+      `${printable(fixture.input).padEnd(30)} ${fixture.expect.toUpperCase()}${fixture.note ? ` (${fixture.note})` : ''}`,
+      `got ${blocked ? 'BLOCKED' : 'ALLOWED'}`
+    );
+  }
+}
+
+// Suggestions flag each failing field (moderateSuggestionOnCreate)
+section('Flagged fields');
+{
+  const fields = moderator.flaggedFields({
+    stampName: 'Hopi Point',
+    fullAddress: 'Grand Canyon Village, AZ',
+    additionalNotes: 'ask the staff for help',
+    description: 'sh1t view',
+    collectionName: undefined
+  });
+  report(JSON.stringify(fields) === JSON.stringify(['description']),
+    'only failing text fields are returned', JSON.stringify(fields));
+  report(moderator.flaggedFields({ message: 42, notes: null }).length === 0, 'non-text fields are skipped', 'flagged');
+}
+
+finish();
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Aggregation Test
+ *
+ * Checks notifications.js / notificationConfig.js:
+ * - Which notifications merge, and on what key
+ * - The window runs from the last merge, not from fixed clock buckets
+ *   (aggregateNotification against an in-memory Firestore)
+ * - Adding actors: count, sample order/size, duplicates
+ * - Removing actors when a like/follow is undone
+ * - Which writes take a notification off the unread counter
+ * - Config defaults and validation
+ *
+ * Run this BEFORE deploying changes to notifications.js
+ */
+
+const admin = require('firebase-admin');
+const {
+  ACTOR_SAMPLE_SIZE,
+  MAX_TRACKED_ACTORS,
+  aggregationKeyFor,
+  isWithinWindow,
+  mergeActor,
+  aggregateNotification,
+  removeActor,
+  unreadCountDelta,
+  sourceKey
+} = require('./notifications');
+const {buildNotificationConfig, DEFAULT_NOTIFICATION_CONFIG} = require('./notificationConfig');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Like notifications on one post, delivered at the given minutes
+ *
+ * @returns {Promise<{db, results}>}
+ */
+async function likesAt(minutes, { actors } = {}) {
+  let clock = new Date('2026-06-01T09:59:00Z');
+  const db = createFakeFirestore({ 'users/owner': { username: 'owner', unreadNotificationCount: 0 } }, { now: () => clock });
+  const results = [];
+
+  for (const [i, minute] of minutes.entries()) {
+    clock = new Date(Date.parse('2026-06-01T09:59:00Z') + minute * MINUTE);
+    const actorId = actors ? actors[i] : `fan${i}`;
+    const notification = {
+      recipientId: 'owner',
+      actorId,
+      type: 'like',
+      postId: 'owner-us-az-hopi-point',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      isRead: false
+    };
+    results.push(await aggregateNotification(db, aggregationKeyFor(notification), `like:${actorId}_${i}`, notification, 60, clock));
+  }
+  return { db, results };
+}
+
+async function run() {
+  header('NOTIFICATION AGGREGATION TEST');
+
+  // Keys
+  section('Aggregation keys');
+  {
+    const likeKey = aggregationKeyFor({ type: 'like', recipientId: 'owner', postId: 'owner-us-az-hopi-point' });
+    report(likeKey === 'like_owner_owner-us-az-hopi-point', 'likes merge per post', likeKey);
+    const followKey = aggregationKeyFor({ type: 'follow', recipientId: 'owner' });
+    report(followKey === 'follow_owner', 'follows merge per recipient', followKey);
+    const commentKey = aggregationKeyFor({ type: 'comment', recipientId: 'owner', postId: 'owner-x' });
+    report(commentKey === null, 'comments never merge', commentKey);
+  }
+
+  // Windows
+  section('Windows');
+  {
+    const last = { createdAt: admin.firestore.Timestamp.fromMillis(Date.parse('2026-06-01T10:00:00Z')) };
+    report(isWithinWindow(last, 60, new Date('2026-06-01T10:59:59Z')), 'just under an hour after the last merge → merges', 'not merged');
+    report(!isWithinWindow(last, 60, new Date('2026-06-01T11:00:00Z')), 'an hour after the last merge → new notification', 'merged');
+    report(!isWithinWindow({ createdAt: null }, 60, new Date()), 'no timestamp yet → new notification', 'merged');
+
+    // 09:59 and 10:01 straddle a clock-hour boundary
+    const straddling = await likesAt([0, 2]);
+    report(straddling.db.paths('notifications').length === 1, 'likes 2 minutes apart across the hour merge', straddling.db.paths('notifications').join());
+
+    const steady = await likesAt([0, 50, 100, 150]);
+    const [only] = steady.db.paths('notifications').map(path => steady.db.data(path));
+    report(steady.db.paths('notifications').length === 1 && only.actorCount === 4,
+      'a steady stream keeps merging (window runs from the last like)', JSON.stringify(steady.db.paths('notifications')));
+
+    const gap = await likesAt([0, 30, 95]);
+    const docs = gap.db.paths('notifications').map(path => gap.db.data(path));
+    report(docs.length === 2 && docs.map(doc => doc.actorCount).sort().join() === '1,2',
+      'a quiet hour starts a new notification', JSON.stringify(docs.map(doc => doc.actorIds)));
+    report(gap.results[2].isNew && gap.db.data('notification_aggregates/like_owner_owner-us-az-hopi-point').notificationId === gap.results[2].ref.id,
+      'pointer moves to the newest notification', JSON.stringify(gap.db.data('notification_aggregates/like_owner_owner-us-az-hopi-point')));
+    report(gap.db.data('users/owner').unreadNotificationCount === 2, 'one unread per notification, not per like', gap.db.data('users/owner').unreadNotificationCount);
+  }
+  {
+    const { db, results } = await likesAt([0]);
+    await results[0].ref.delete(); // Retracted (unliked)
+    const clock = new Date('2026-06-01T10:05:00Z');
+    const notification = { recipientId: 'owner', actorId: 'fan9', type: 'like', postId: 'owner-us-az-hopi-point', createdAt: clock, isRead: false };
+    const next = await aggregateNotification(db, aggregationKeyFor(notification), 'like:fan9', notification, 60, clock);
+    report(next && next.isNew && db.paths('notifications').length === 1, 'last notification deleted → a new one starts', JSON.stringify(db.paths('notifications')));
+  }
+  {
+    const actors = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'a'];
+    const { db, results } = await likesAt([0, 1, 2, 3, 4, 5, 6, 7], { actors });
+    const [only] = db.paths('notifications').map(path => db.data(path));
+    report(results[7] === null && only.actorCount === 7,
+      'redelivered like from an actor outside the sample isn\'t counted twice', `count ${only.actorCount}`);
+  }
+
+  // Merging actors
+  section('Merging actors');
+  {
+    const first = { actorId: 'a', actorIds: ['a'], actorCount: 1 };
+    const second = mergeActor(first, 'b');
+    report(second.actorCount === 2 && second.actorId === 'b', 'new actor increments count and becomes actorId', JSON.stringify(second));
+    report(second.actorIds[0] === 'b' && second.actorIds[1] === 'a', 'most recent actor first', JSON.stringify(second.actorIds));
+    report(mergeActor(second, 'a') === null, 'actor already in sample is ignored', 'merged again');
+
+    const beyondSample = { actorId: 'f', actorIds: ['f', 'e', 'd', 'c', 'b'], actorCount: 6, mergedActorIds: ['f', 'e', 'd', 'c', 'b', 'a'] };
+    report(mergeActor(beyondSample, 'a') === null, 'actor merged earlier but outside the sample is ignored', 'merged again');
+
+    let current = first;
+    for (const actor of ['b', 'c', 'd', 'e', 'f', 'g', 'h']) {
+      current = { ...current, ...mergeActor(current, actor) };
+    }
+    report(current.actorCount === 8, 'count keeps going past the sample', `count ${current.actorCount}`);
+    report(current.actorIds.length === ACTOR_SAMPLE_SIZE, `sample capped at ${ACTOR_SAMPLE_SIZE}`, `${current.actorIds.length} IDs`);
+
+    let many = { actorId: 'u0', actorIds: ['u0'], actorCount: 1, mergedActorIds: ['u0'] };
+    for (let i = 1; i <= MAX_TRACKED_ACTORS + 10; i++) {
+      many = { ...many, ...mergeActor(many, `u${i}`) };
+    }
+    report(many.mergedActorIds.length === MAX_TRACKED_ACTORS && many.mergedActorIds[0] === `u${MAX_TRACKED_ACTORS + 10}`,
+      `tracked actors capped at ${MAX_TRACKED_ACTORS}, most recent kept`, `${many.mergedActorIds.length} IDs`);
+
+    const legacy = mergeActor({ actorId: 'old' }, 'new');
+    report(legacy.actorCount === 2 && legacy.actorIds.join() === 'new,old', 'pre-aggregation docs merge too', JSON.stringify(legacy));
+  }
+
+  // Removing actors
+  section('Removing actors');
+  {
+    report(removeActor({ actorId: 'a' }, 'a') === null, 'single notification is deleted', 'not deleted');
+    report(removeActor({ actorId: 'a', actorIds: ['a'], actorCount: 1 }, 'a') === null, 'last actor out deletes it', 'not deleted');
+
+    const aggregated = { actorId: 'c', actorIds: ['c', 'b', 'a'], actorCount: 3 };
+    const withoutLatest = removeActor(aggregated, 'c');
+    report(
+      withoutLatest.actorCount === 2 && withoutLatest.actorId === 'b' && withoutLatest.actorIds.join() === 'b,a',
+      'removing the latest actor promotes the next one',
+      JSON.stringify(withoutLatest)
+    );
+    const withoutOldest = removeActor(aggregated, 'a');
+    report(
+      withoutOldest.actorCount === 2 && withoutOldest.actorId === 'c' && withoutOldest.actorIds.join() === 'c,b',
+      'removing an older actor keeps actorId',
+      JSON.stringify(withoutOldest)
+    );
+    const outsideSample = removeActor({ actorId: 'f', actorIds: ['f', 'e', 'd', 'c', 'b'], actorCount: 6 }, 'a');
+    report(outsideSample.actorCount === 5 && outsideSample.actorIds.length === 5, 'actor outside the sample only lowers the count', JSON.stringify(outsideSample));
+    const tracked = removeActor({ actorId: 'c', actorIds: ['c', 'b', 'a'], actorCount: 3, mergedActorIds: ['c', 'b', 'a'] }, 'b');
+    report(tracked.mergedActorIds.join() === 'c,a', 'removed actor leaves the tracked set (can be merged again)', JSON.stringify(tracked));
+
+    report(sourceKey('follow', 'u1', 'u2') === 'follow:u1:u2', 'follow source key', sourceKey('follow', 'u1', 'u2'));
+    report(sourceKey('like', 'u1_u2-stamp') === 'like:u1_u2-stamp', 'like source key', sourceKey('like', 'u1_u2-stamp'));
+  }
+
+  // Unread counter
+  section('Unread counter');
+  {
+    const unread = { recipientId: 'owner', isRead: false };
+    const read = { recipientId: 'owner', isRead: true };
+
+    report(unreadCountDelta(unread, read) === -1, 'marking read counts down', unreadCountDelta(unread, read));
+    report(unreadCountDelta(unread, null) === -1, 'deleting unread counts down', unreadCountDelta(unread, null));
+    report(unreadCountDelta(read, null) === 0, 'deleting read changes nothing', unreadCountDelta(read, null));
+    report(unreadCountDelta(null, unread) === 0, 'creating is counted by createNotification', unreadCountDelta(null, unread));
+    report(unreadCountDelta(read, unread) === 0, 'aggregation making it unread is counted by createNotification', unreadCountDelta(read, unread));
+    report(unreadCountDelta(unread, { ...unread, actorCount: 2 }) === 0, 'merging into unread changes nothing', 'counted');
+    report(
+      unreadCountDelta(unread, { ...read, readByMarkAll: true }) === 0,
+      'mark-all reads are counted by markAllNotificationsRead',
+      'counted twice'
+    );
+  }
+
+  // Config
+  section('Config');
+  {
+    report(
+      buildNotificationConfig().aggregationWindowMinutes === DEFAULT_NOTIFICATION_CONFIG.aggregationWindowMinutes,
+      'defaults when config doc is missing',
+      JSON.stringify(buildNotificationConfig())
+    );
+    report(buildNotificationConfig({ aggregationWindowMinutes: 0 }).aggregationWindowMinutes === 0, '0 turns aggregation off', 'not 0');
+    report(
+      buildNotificationConfig({ aggregationWindowMinutes: -5 }).aggregationWindowMinutes === DEFAULT_NOTIFICATION_CONFIG.aggregationWindowMinutes,
+      'invalid window falls back to default',
+      JSON.stringify(buildNotificationConfig({ aggregationWindowMinutes: -5 }))
+    );
+  }
+}
+
+runAsync(run);
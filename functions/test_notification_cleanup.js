@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Cleanup Test
+ *
+ * Runs notificationCleanup.js against a small in-memory Firestore:
+ * - Read / all notifications past their retention (config/notifications) are deleted
+ * - Cleanup keeps paging until nothing matches (more than one page of 500)
+ * - Notifications from deleted accounts or for deleted posts are deleted
+ * - Dry run deletes nothing and records nothing
+ * - Each run writes a maintenance_runs doc with its counts
+ * - Out of time → stops, reports incomplete, next run resumes the orphan scan
+ *
+ * Run this BEFORE deploying changes to notificationCleanup.js
+ */
+
+const {runNotificationCleanup} = require('./notificationCleanup');
+const {buildNotificationConfig} = require('./notificationConfig');
+const {header, section, report, runAsync} = require('./testHarness');
+
+/**
+ * Just enough of the Firestore API for notificationCleanup.js
+ */
+function createFakeDb(initial = {}) {
+  const docs = new Map(Object.entries(initial));
+  let autoId = 0;
+
+  const snapshot = (path) => {
+    const data = docs.get(path);
+    return {
+      id: path.split('/').pop(),
+      ref: docRef(path),
+      exists: data !== undefined,
+      data: () => data
+    };
+  };
+
+  function docRef(path) {
+    return {
+      path,
+      id: path.split('/').pop(),
+      get: async () => snapshot(path),
+      set: async (data, options = {}) => {
+        docs.set(path, options.merge ? { ...(docs.get(path) || {}), ...data } : data);
+      }
+    };
+  }
+
+  const comparable = value => (value instanceof Date ? value.getTime() : value);
+
+  function query(collection, { filters = [], order = null, after = null, max = Infinity } = {}) {
+    const state = { filters, order, after, max };
+    const next = changes => query(collection, { ...state, ...changes });
+    const sortKey = (id, data) => [order && order !== '__name__' ? comparable(data[order]) : id, id];
+    const compare = (a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+
+    return {
+      where: (field, op, value) => next({ filters: [...filters, { field, op, value }] }),
+      orderBy: field => next({ order: field }),
+      startAfter: cursor => next({ after: cursor }),
+      limit: count => next({ max: count }),
+      get: async () => {
+        let matches = [...docs.entries()]
+          .filter(([path]) => path.startsWith(`${collection}/`) && path.split('/').length === 2)
+          .map(([path, data]) => ({ id: path.split('/')[1], data }))
+          .filter(({ data }) => filters.every(({ field, op, value }) => (op === '=='
+            ? comparable(data[field]) === comparable(value)
+            : comparable(data[field]) < comparable(value))))
+          .sort((a, b) => compare(sortKey(a.id, a.data), sortKey(b.id, b.data)));
+
+        if (after) {
+          const id = typeof after === 'string' ? after : after.id;
+          const afterKey = typeof after === 'string' ? [id, id] : sortKey(id, after.data());
+          matches = matches.filter(({ id: matchId, data }) => compare(sortKey(matchId, data), afterKey) > 0);
+        }
+        const page = matches.slice(0, max).map(({ id }) => snapshot(`${collection}/${id}`));
+        return { docs: page, size: page.length, empty: page.length === 0 };
+      }
+    };
+  }
+
+  return {
+    docs,
+    collection: name => ({
+      ...query(name),
+      doc: id => docRef(`${name}/${id}`),
+      add: async (data) => {
+        const ref = docRef(`${name}/auto-${++autoId}`);
+        await ref.set(data);
+        return ref;
+      }
+    }),
+    doc: path => docRef(path),
+    getAll: async (...refs) => refs.map(ref => snapshot(ref.path)),
+    bulkWriter: () => {
+      const pending = [];
+      return {
+        delete: (ref) => {
+          pending.push(ref.path);
+          return Promise.resolve();
+        },
+        flush: async () => {
+          pending.splice(0).forEach(path => docs.delete(path));
+        },
+        close: async () => {
+          pending.splice(0).forEach(path => docs.delete(path));
+        }
+      };
+    }
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T00:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * DAY_MS);
+
+function notification(fields) {
+  return {
+    recipientId: 'alice',
+    actorId: 'bob',
+    type: 'like',
+    postId: 'alice-us-az-hopi-point',
+    stampId: 'us-az-hopi-point',
+    isRead: false,
+    createdAt: daysAgo(1),
+    ...fields
+  };
+}
+
+function seed() {
+  return {
+    'users/alice': { username: 'alice' },
+    'users/bob': { username: 'bob' },
+    'users/alice/collectedStamps/us-az-hopi-point': { stampId: 'us-az-hopi-point' },
+    'notifications/fresh-unread': notification({}),
+    'notifications/fresh-read': notification({ isRead: true, createdAt: daysAgo(10) }),
+    'notifications/old-read': notification({ isRead: true, createdAt: daysAgo(31) }),
+    'notifications/old-unread': notification({ createdAt: daysAgo(45) }),
+    'notifications/ancient-unread': notification({ createdAt: daysAgo(91) }),
+    'notifications/follow': notification({ type: 'follow', postId: null, stampId: null }),
+    'notifications/gone-actor': notification({ actorId: 'deleted-user' }),
+    'notifications/gone-post': notification({ postId: 'alice-us-ca-sf-ferry-building' })
+  };
+}
+
+const notificationIds = db => [...db.docs.keys()]
+  .filter(path => path.startsWith('notifications/'))
+  .map(path => path.split('/')[1])
+  .sort();
+
+const silent = () => {};
+
+async function run() {
+  header('NOTIFICATION CLEANUP TEST');
+
+  // Retention + orphans with the default config
+  section('Default retention (30 / 90 days)');
+  {
+    const db = createFakeDb(seed());
+    const summary = await runNotificationCleanup({ db, now, log: silent });
+    const left = notificationIds(db);
+
+    report(JSON.stringify(left) === JSON.stringify(['follow', 'fresh-read', 'fresh-unread', 'old-unread']),
+      'keeps fresh and unread-under-90-days notifications', JSON.stringify(left));
+    report(summary.counts.readExpired === 1, 'counts read 30+ days', summary.counts.readExpired);
+    report(summary.counts.expired === 1, 'counts 90+ days', summary.counts.expired);
+    report(summary.counts.orphanedActor === 1, 'counts deleted-account notifications', summary.counts.orphanedActor);
+    report(summary.counts.orphanedPost === 1, 'counts deleted-post notifications', summary.counts.orphanedPost);
+    report(summary.deleted === 4 && summary.complete, 'reports 4 deleted, complete', JSON.stringify(summary));
+
+    const runs = [...db.docs.entries()].filter(([path]) => path.startsWith('maintenance_runs/'));
+    report(runs.length === 1 && runs[0][1].task === 'notification_cleanup' && runs[0][1].deleted === 4,
+      'writes a maintenance_runs doc', JSON.stringify(runs));
+    report(db.docs.get('maintenance_state/notification_cleanup').orphanScanCursor === null,
+      'resets the orphan scan cursor after a full scan', JSON.stringify(db.docs.get('maintenance_state/notification_cleanup')));
+  }
+
+  // Retention from config
+  section('Configured retention');
+  {
+    const db = createFakeDb(seed());
+    const config = buildNotificationConfig({ readRetentionDays: 7, retentionDays: 40 });
+    await runNotificationCleanup({ db, now, config, log: silent });
+    const left = notificationIds(db);
+    report(JSON.stringify(left) === JSON.stringify(['follow', 'fresh-unread']),
+      'readRetentionDays 7 / retentionDays 40', JSON.stringify(left));
+
+    const fallback = buildNotificationConfig({ readRetentionDays: 0, retentionDays: 'forever' });
+    report(fallback.readRetentionDays === 30 && fallback.retentionDays === 90,
+      'invalid retention values fall back to defaults', JSON.stringify(fallback));
+  }
+
+  // Dry run
+  section('Dry run');
+  {
+    const db = createFakeDb(seed());
+    const before = db.docs.size;
+    const summary = await runNotificationCleanup({ db, now, dryRun: true, log: silent });
+    report(db.docs.size === before, 'deletes and records nothing', `${before} → ${db.docs.size}`);
+    report(summary.deleted === 4 && summary.dryRun, 'still reports what would be deleted', JSON.stringify(summary.counts));
+  }
+
+  // More than one page
+  section('Draining');
+  {
+    const data = seed();
+    for (let i = 0; i < 1203; i++) {
+      data[`notifications/bulk-${String(i).padStart(4, '0')}`] = notification({ isRead: true, createdAt: daysAgo(60 + (i % 7)) });
+    }
+    const db = createFakeDb(data);
+    const summary = await runNotificationCleanup({ db, now, log: silent });
+    report(summary.counts.readExpired === 1204, 'deletes every page, not just the first 500', summary.counts.readExpired);
+    report(!notificationIds(db).some(id => id.startsWith('bulk-')), 'nothing left behind', notificationIds(db).length);
+  }
+
+  // Time budget
+  section('Time budget');
+  {
+    const data = seed();
+    for (let i = 0; i < 600; i++) {
+      data[`notifications/recent-${String(i).padStart(4, '0')}`] = notification({});
+    }
+    const db = createFakeDb(data);
+    const stopped = await runNotificationCleanup({ db, now, timeBudgetMs: 0, log: silent });
+    report(!stopped.complete && stopped.deleted === 0, 'no time → stops before the first page', JSON.stringify(stopped));
+
+    await db.collection('maintenance_state').doc('notification_cleanup').set({ orphanScanCursor: 'gone-actor' });
+    const resumed = await runNotificationCleanup({ db, now, log: silent });
+    report(resumed.counts.orphanedActor === 0 && resumed.counts.orphanedPost === 1,
+      'orphan scan resumes after the saved cursor', JSON.stringify(resumed.counts));
+    report(resumed.counts.scanned < 608, 'skips already-scanned notifications', resumed.counts.scanned);
+  }
+}
+
+runAsync(run);
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Retraction Test
+ *
+ * Checks retractNotification in notifications.js against an in-memory
+ * Firestore (unlike, unfollow, comment deleted):
+ * - Single notifications are deleted
+ * - Aggregated ones lose the actor, and are deleted once nobody is left
+ * - Other notifications are never touched, and retries change nothing
+ *
+ * Run this BEFORE deploying changes to notifications.js
+ */
+
+const {retractNotification, sourceKey} = require('./notifications');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const likeA = sourceKey('like', 'a_owner-us-az-hopi-point');
+const likeB = sourceKey('like', 'b_owner-us-az-hopi-point');
+const likeC = sourceKey('like', 'c_owner-us-az-hopi-point');
+const follow = sourceKey('follow', 'a', 'owner');
+const comment = sourceKey('comment', 'c1');
+
+function fixtures() {
+  return createFakeFirestore({
+    'notifications/follow1': { recipientId: 'owner', actorId: 'a', type: 'follow', sourceKeys: [follow], isRead: false },
+    'notifications/likes1': {
+      recipientId: 'owner',
+      actorId: 'c',
+      type: 'like',
+      postId: 'owner-us-az-hopi-point',
+      sourceKeys: [likeA, likeB, likeC],
+      aggregationKey: 'like_owner_owner-us-az-hopi-point',
+      actorIds: ['c', 'b', 'a'],
+      actorCount: 3,
+      mergedActorIds: ['c', 'b', 'a'],
+      isRead: false
+    },
+    'notifications/comment1': { recipientId: 'owner', actorId: 'b', type: 'comment', sourceKeys: [comment], isRead: false },
+    'notifications/mention1': { recipientId: 'carol', actorId: 'b', type: 'mention', sourceKeys: [comment], isRead: false },
+    'notifications/other': { recipientId: 'owner', actorId: 'd', type: 'follow', sourceKeys: [sourceKey('follow', 'd', 'owner')], isRead: false }
+  });
+}
+
+async function run() {
+  header('NOTIFICATION RETRACTION TEST');
+
+  section('Single notifications');
+  {
+    const db = fixtures();
+    const changed = await retractNotification(db, follow, 'a');
+    report(changed === 1 && db.data('notifications/follow1') === undefined, 'unfollow deletes the follow notification', changed);
+    report(db.data('notifications/other') !== undefined, 'other users\' follow notifications kept', 'deleted');
+
+    const again = await retractNotification(db, follow, 'a');
+    report(again === 0 && db.paths('notifications').length === 4, 'retry finds nothing to do', again);
+  }
+  {
+    const db = fixtures();
+    const changed = await retractNotification(db, comment, 'b');
+    report(changed === 2 && !db.data('notifications/comment1') && !db.data('notifications/mention1'),
+      'deleted comment takes its comment and mention notifications with it', db.paths('notifications').join());
+  }
+
+  section('Aggregated notifications');
+  {
+    const db = fixtures();
+    await retractNotification(db, likeC, 'c');
+    const likes = db.data('notifications/likes1');
+
+    report(likes && likes.actorCount === 2, 'unlike lowers the count', JSON.stringify(likes));
+    report(likes.actorId === 'b' && likes.actorIds.join() === 'b,a', 'next actor takes over the notification', JSON.stringify(likes.actorIds));
+    report(likes.sourceKeys.join() === `${likeA},${likeB}`, 'source key removed', JSON.stringify(likes.sourceKeys));
+    report(likes.mergedActorIds.join() === 'b,a', 'actor can merge in again if they like again', JSON.stringify(likes.mergedActorIds));
+
+    await retractNotification(db, likeC, 'c');
+    report(db.data('notifications/likes1').actorCount === 2, 'retried unlike doesn\'t lower the count twice', db.data('notifications/likes1').actorCount);
+
+    await retractNotification(db, likeA, 'a');
+    await retractNotification(db, likeB, 'b');
+    report(db.data('notifications/likes1') === undefined, 'last actor out deletes it', JSON.stringify(db.data('notifications/likes1')));
+    report(db.paths('notifications').length === 4, 'everything else kept', db.paths('notifications').join());
+  }
+}
+
+runAsync(run);
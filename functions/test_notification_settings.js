@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Settings Test
+ *
+ * Checks notificationSettings.js:
+ * - Settings docs normalize to a complete, valid object
+ * - Per-type levels: push / in_app / off
+ * - "Only from people I follow"
+ * - Quiet hours, including overnight ranges and time zones
+ *
+ * Run this BEFORE deploying changes to notificationSettings.js
+ */
+
+const {normalizeSettings, quietHoursEnd, decideDelivery} = require('./notificationSettings');
+const {header, section, report, finish} = require('./testHarness');
+
+header('NOTIFICATION SETTINGS TEST');
+
+// Normalizing
+section('Normalizing');
+{
+  const defaults = normalizeSettings();
+  report(
+    Object.values(defaults.types).every(level => level === 'push') && !defaults.onlyFromFollowing && defaults.quietHours === null,
+    'missing doc → everything on',
+    JSON.stringify(defaults)
+  );
+
+  const mixed = normalizeSettings({ types: { like: false, comment: 'in_app', mention: true, follow: 'loud' } });
+  report(mixed.types.like === 'off', 'false → off', mixed.types.like);
+  report(mixed.types.mention === 'push', 'true → push', mixed.types.mention);
+  report(mixed.types.comment === 'in_app', 'in_app kept', mixed.types.comment);
+  report(mixed.types.follow === 'push', 'unknown level → push', mixed.types.follow);
+
+  const badQuiet = normalizeSettings({ quietHours: { start: '25:00', end: '07:00' } });
+  report(badQuiet.quietHours === null, 'invalid quiet hours ignored', JSON.stringify(badQuiet.quietHours));
+  const disabled = normalizeSettings({ quietHours: { enabled: false, start: '22:00', end: '07:00' } });
+  report(disabled.quietHours === null, 'disabled quiet hours ignored', JSON.stringify(disabled.quietHours));
+}
+
+// Decisions
+section('Decisions');
+{
+  const now = new Date('2026-03-10T12:00:00Z');
+  const settings = normalizeSettings({ types: { like: 'off', comment: 'in_app' } });
+
+  report(decideDelivery(settings, 'like', { now }).action === 'skip', 'off type is skipped', decideDelivery(settings, 'like', { now }).action);
+  report(decideDelivery(settings, 'comment', { now }).action === 'in_app', 'in_app type has no push', decideDelivery(settings, 'comment', { now }).action);
+  const follow = decideDelivery(settings, 'follow', { now });
+  report(follow.action === 'push' && follow.deferUntil === null, 'push type pushes now', JSON.stringify(follow));
+
+  const followingOnly = normalizeSettings({ onlyFromFollowing: true });
+  report(decideDelivery(followingOnly, 'comment', { followsActor: false, now }).action === 'skip', 'stranger skipped with onlyFromFollowing', 'not skipped');
+  report(decideDelivery(followingOnly, 'comment', { followsActor: true, now }).action === 'push', 'followed actor still pushes', 'not pushed');
+}
+
+// Quiet hours
+section('Quiet hours');
+{
+  const overnight = normalizeSettings({ quietHours: { start: '22:00', end: '07:00', timeZone: 'UTC' } }).quietHours;
+
+  const lateEvening = quietHoursEnd(overnight, new Date('2026-03-10T23:30:00Z'));
+  report(lateEvening && lateEvening.toISOString() === '2026-03-11T07:00:00.000Z', 'before midnight → deferred to 07:00 next day', lateEvening && lateEvening.toISOString());
+
+  const earlyMorning = quietHoursEnd(overnight, new Date('2026-03-11T03:15:00Z'));
+  report(earlyMorning && earlyMorning.toISOString() === '2026-03-11T07:00:00.000Z', 'after midnight → deferred to 07:00 same day', earlyMorning && earlyMorning.toISOString());
+
+  report(quietHoursEnd(overnight, new Date('2026-03-11T07:00:00Z')) === null, 'end time is outside quiet hours', 'still quiet');
+  report(quietHoursEnd(overnight, new Date('2026-03-11T12:00:00Z')) === null, 'midday not quiet', 'quiet');
+
+  const daytime = normalizeSettings({ quietHours: { start: '09:00', end: '17:00', timeZone: 'UTC' } }).quietHours;
+  const work = quietHoursEnd(daytime, new Date('2026-03-11T10:00:00Z'));
+  report(work && work.toISOString() === '2026-03-11T17:00:00.000Z', 'same-day range', work && work.toISOString());
+
+  // 22:00-07:00 in Tokyo (UTC+9) = 13:00-22:00 UTC
+  const tokyo = normalizeSettings({ quietHours: { start: '22:00', end: '07:00', timeZone: 'Asia/Tokyo' } }).quietHours;
+  const tokyoNight = quietHoursEnd(tokyo, new Date('2026-03-11T14:00:00Z'));
+  report(tokyoNight && tokyoNight.toISOString() === '2026-03-11T22:00:00.000Z', 'time zone applied', tokyoNight && tokyoNight.toISOString());
+  report(quietHoursEnd(tokyo, new Date('2026-03-11T03:00:00Z')) === null, 'Tokyo noon not quiet', 'quiet');
+
+  const unknownZone = normalizeSettings({ quietHours: { start: '22:00', end: '07:00', timeZone: 'Mars/Olympus' } }).quietHours;
+  report(quietHoursEnd(unknownZone, new Date('2026-03-10T23:00:00Z')) !== null, 'unknown time zone falls back to UTC', 'not quiet');
+
+  const quietSettings = normalizeSettings({ quietHours: { start: '22:00', end: '07:00', timeZone: 'UTC' } });
+  const deferred = decideDelivery(quietSettings, 'like', { now: new Date('2026-03-10T23:30:00Z') });
+  report(deferred.action === 'push' && deferred.deferUntil !== null, 'push during quiet hours is deferred', JSON.stringify(deferred));
+}
+
+finish();
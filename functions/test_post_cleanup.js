@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Post Deletion Cascade Test
+ *
+ * Runs cleanUpPost from postCleanup.js against an in-memory Firestore and
+ * Storage bucket:
+ * - The post's likes, comments, notifications and photos (quarantined ones
+ *   too) are removed
+ * - The owner's collector entry is released
+ * - Other posts' data is never touched
+ * - A retried run (or a Storage failure) is safe
+ *
+ * Run this BEFORE deploying changes to postCleanup.js
+ */
+
+const {cleanUpPost} = require('./postCleanup');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const POST = 'alice-us-az-hopi-point';
+const OTHER_POST = 'alice-us-ca-sf-ferry-building';
+
+function createFakeBucket(paths, { failing = false } = {}) {
+  const files = new Set(paths);
+  return {
+    files,
+    deleteFiles: async ({ prefix }) => {
+      if (failing) {
+        throw new Error('storage unavailable');
+      }
+      [...files].filter(path => path.startsWith(prefix)).forEach(path => files.delete(path));
+    }
+  };
+}
+
+function fixtures(likeCount = 3) {
+  const docs = {
+    'users/alice/collectedStamps/us-ca-sf-ferry-building': { userId: 'alice', userRank: 1 },
+    'stamp_statistics/us-az-hopi-point': { stampId: 'us-az-hopi-point', totalCollectors: 2, lastRank: 2 },
+    'stamp_statistics/us-az-hopi-point/collectors/bob': { userId: 'bob', rank: 1 },
+    'stamp_statistics/us-az-hopi-point/collectors/alice': { userId: 'alice', rank: 2 },
+    'comments/c1': { userId: 'bob', postId: POST, text: 'nice' },
+    'comments/c2': { userId: 'carol', postId: POST, text: 'wow' },
+    'comments/keep': { userId: 'bob', postId: OTHER_POST, text: 'keep me' },
+    'likes/bob_other': { userId: 'bob', postId: OTHER_POST },
+    'notifications/n1': { recipientId: 'alice', actorId: 'bob', type: 'like', postId: POST },
+    'notifications/n2': { recipientId: 'alice', actorId: 'bob', type: 'follow', postId: null },
+    'notifications/n3': { recipientId: 'alice', actorId: 'bob', type: 'like', postId: OTHER_POST }
+  };
+  for (let i = 0; i < likeCount; i++) {
+    docs[`likes/user${i}_${POST}`] = { userId: `user${i}`, postId: POST };
+  }
+  const bucket = createFakeBucket([
+    'users/alice/stamps/us-az-hopi-point/sunset.jpg',
+    'users/alice/stamps/us-az-hopi-point/canyon.jpg',
+    'quarantine/users/alice/stamps/us-az-hopi-point/flagged.jpg',
+    'users/alice/stamps/us-ca-sf-ferry-building/clock.jpg',
+    'quarantine/users/alice/stamps/us-ca-sf-ferry-building/flagged.jpg',
+    'users/alice/profile_photo/me.jpg'
+  ]);
+  return { db: createFakeFirestore(docs), bucket };
+}
+
+async function run() {
+  header('POST DELETION CASCADE TEST');
+
+  section('Cascade');
+  {
+    const { db, bucket } = fixtures();
+    const result = await cleanUpPost(db, bucket, 'alice', 'us-az-hopi-point');
+
+    report(result.likes === 3 && db.paths('likes').join() === 'likes/bob_other', 'post\'s likes deleted, others kept', db.paths('likes').join());
+    report(result.comments === 2 && db.paths('comments').join() === 'comments/keep', 'post\'s comments deleted, others kept', db.paths('comments').join());
+    report(result.notifications === 1 && db.paths('notifications').join() === 'notifications/n2,notifications/n3',
+      'post\'s notifications deleted, others kept', db.paths('notifications').join());
+    report(!bucket.files.has('users/alice/stamps/us-az-hopi-point/sunset.jpg') && bucket.files.size === 3,
+      'post\'s photos deleted, other photos kept', [...bucket.files].join());
+    report(!bucket.files.has('quarantine/users/alice/stamps/us-az-hopi-point/flagged.jpg')
+      && bucket.files.has('quarantine/users/alice/stamps/us-ca-sf-ferry-building/flagged.jpg'),
+      'post\'s quarantined photos deleted, other posts\' kept', [...bucket.files].join());
+    report(result.removedCollector && !db.data('stamp_statistics/us-az-hopi-point/collectors/alice'),
+      'collector entry released', JSON.stringify(result));
+    report(db.data('stamp_statistics/us-az-hopi-point').totalCollectors === 1 && db.data('stamp_statistics/us-az-hopi-point').lastRank === 1,
+      'collector count and counter step back', JSON.stringify(db.data('stamp_statistics/us-az-hopi-point')));
+    report(db.data('stamp_statistics/us-az-hopi-point/collectors/bob').rank === 1, 'other collectors keep their rank', 'rank changed');
+
+    const again = await cleanUpPost(db, bucket, 'alice', 'us-az-hopi-point');
+    report(again.likes === 0 && again.comments === 0 && again.notifications === 0 && !again.removedCollector,
+      'retried run finds nothing left', JSON.stringify(again));
+    report(db.data('stamp_statistics/us-az-hopi-point').totalCollectors === 1, 'retry doesn\'t release twice', db.data('stamp_statistics/us-az-hopi-point').totalCollectors);
+  }
+  {
+    const { db, bucket } = fixtures(1200);
+    const result = await cleanUpPost(db, bucket, 'alice', 'us-az-hopi-point');
+    report(result.likes === 1200 && db.paths('likes').length === 1, 'more likes than one batch → all deleted', result.likes);
+  }
+
+  section('Edge cases');
+  {
+    const { db, bucket } = fixtures();
+    await db.collection('users').doc('alice').collection('collectedStamps').doc('us-az-hopi-point').set({ userId: 'alice' });
+    const result = await cleanUpPost(db, bucket, 'alice', 'us-az-hopi-point');
+    report(!result.removedCollector && db.data('stamp_statistics/us-az-hopi-point/collectors/alice') !== undefined,
+      'stamp collected again before the cleanup ran → collector entry kept', JSON.stringify(result));
+  }
+  {
+    const { db } = fixtures();
+    const bucket = createFakeBucket(['users/alice/stamps/us-az-hopi-point/sunset.jpg'], { failing: true });
+    // The Storage failure is logged - keep the test output readable
+    const originalError = console.error;
+    console.error = () => {};
+    let result;
+    try {
+      result = await cleanUpPost(db, bucket, 'alice', 'us-az-hopi-point');
+    } finally {
+      console.error = originalError;
+    }
+    report(result.removedCollector && db.paths('likes').length === 1, 'Storage failure → Firestore cleanup still finishes', JSON.stringify(result));
+  }
+}
+
+runAsync(run);
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Post Counter Test
+ *
+ * Checks postCounterChange in postCounters.js:
+ * - Creates count up, deletes count down, updates don't count
+ * - The post is found from postId, never from the client's postOwnerId
+ * - Docs that don't name a post are ignored
+ *
+ * Run this BEFORE deploying changes to postCounters.js
+ */
+
+const {postCounterChange} = require('./postCounters');
+const {header, section, report, finish} = require('./testHarness');
+
+const like = { userId: 'bob', postId: 'alice-us-az-hopi-point', postOwnerId: 'alice', stampId: 'us-az-hopi-point' };
+
+header('POST COUNTER TEST');
+
+// Deltas
+section('Deltas');
+{
+  const created = postCounterChange(null, like);
+  report(created && created.delta === 1, 'create counts +1', JSON.stringify(created));
+  const deleted = postCounterChange(like, null);
+  report(deleted && deleted.delta === -1, 'delete counts -1', JSON.stringify(deleted));
+  const updated = postCounterChange(like, { ...like, mentionedUserIds: ['carol'] });
+  report(updated === null, 'update counts nothing', JSON.stringify(updated));
+}
+
+// Finding the post
+section('Finding the post');
+{
+  const direct = postCounterChange(null, like);
+  report(
+    direct.ownerId === 'alice' && direct.stampId === 'us-az-hopi-point',
+    'owner and stamp parsed from postId',
+    JSON.stringify(direct)
+  );
+  const mismatched = postCounterChange(null, { ...like, postOwnerId: 'carol', stampId: 'us-ca-sf-ferry-building' });
+  report(
+    mismatched && mismatched.ownerId === 'alice' && mismatched.stampId === 'us-az-hopi-point',
+    'postOwnerId / stampId that disagree with postId are ignored',
+    JSON.stringify(mismatched)
+  );
+  report(postCounterChange(null, { userId: 'bob', postOwnerId: 'alice', stampId: 'us-az-hopi-point' }) === null,
+    'no postId → ignored', 'counted');
+  report(postCounterChange(null, { userId: 'bob', postId: 'nodash' }) === null, 'malformed postId → ignored', 'counted');
+}
+
+finish();
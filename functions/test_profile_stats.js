@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Profile Stats Test
+ *
+ * Checks country parsing in profileStats.js against the same addresses as
+ * StampbookTests/CountryParsingTests.swift, so server and app agree on
+ * uniqueCountriesVisited:
+ * - US, UK, Japan, France formats
+ * - Postal codes and extra whitespace
+ * - Addresses without a country → not counted
+ *
+ * Run this BEFORE deploying changes to profileStats.js
+ */
+
+const {parseCountryFromAddress, countUniqueCountries} = require('./profileStats');
+const {header, section, report, finish} = require('./testHarness');
+
+const addresses = [
+  ['Golden Gate Bridge\nSan Francisco, CA, USA 94129', 'USA', 'US address'],
+  ['Test Street\nNew York, NY, USA', 'USA', 'US address without zip'],
+  ['4 Chome-2-8 Shibakoen\nTokyo, Japan', 'Japan', 'Japanese address'],
+  ['Westminster\nLondon, England, UK SW1A 0AA', 'UK', 'UK address'],
+  ['Champ de Mars\nParis, France 75007', 'France', 'French address (postal code stripped)'],
+  ['123 Street\nSan Francisco  ,  CA  ,  USA  94102', 'USA', 'extra whitespace'],
+  ['123 Street\nCity, State, Country, ExtraField', 'Country', 'extra commas'],
+  ['Single Line Address', null, 'single line address'],
+  ['', null, 'empty address'],
+  ['123 Street\nSingleLocation', null, 'no commas'],
+  [undefined, null, 'missing address']
+];
+
+header('PROFILE STATS TEST');
+
+// Country parsing
+section('Country parsing');
+for (const [address, expected, label] of addresses) {
+  const country = parseCountryFromAddress(address);
+  report(country === expected, label, `got ${JSON.stringify(country)}, expected ${JSON.stringify(expected)}`);
+}
+
+// Counting
+section('Unique countries');
+{
+  const count = countUniqueCountries(addresses.map(([address]) => address));
+  report(count === 5, 'USA, Japan, UK, France, Country', count);
+  report(countUniqueCountries([]) === 0, 'no stamps → 0', countUniqueCountries([]));
+}
+
+finish();
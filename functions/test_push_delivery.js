@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Push Delivery Test
+ *
+ * Runs createPushDelivery against a mock FCM client and an in-memory
+ * Firestore stand-in (only the calls push.js makes):
+ * - Every registered device gets the push, grouped by locale
+ * - Copy is localized, unknown locales fall back to English
+ * - Dead tokens are pruned, transient failures are kept
+ * - No devices → no FCM call
+ *
+ * Run this BEFORE deploying changes to push.js or notificationTemplates.js
+ */
+
+const {createPushDelivery} = require('./push');
+const {renderNotification, resolveLocale} = require('./notificationTemplates');
+const {header, section, report, runAsync} = require('./testHarness');
+
+/**
+ * Minimal Firestore: users/{id} docs and users/{id}/devices/{id} docs
+ */
+function createFakeDb({ users = {}, devices = {} }) {
+  const deleted = [];
+
+  return {
+    deleted,
+    collection: () => ({
+      doc: (userId) => ({
+        get: async () => ({
+          exists: Boolean(users[userId]),
+          data: () => users[userId]
+        }),
+        collection: () => ({
+          get: async () => ({
+            docs: Object.entries(devices[userId] || {}).map(([deviceId, data]) => ({
+              data: () => data,
+              ref: {
+                delete: async () => {
+                  deleted.push(`${userId}/${deviceId}`);
+                }
+              }
+            }))
+          })
+        })
+      })
+    })
+  };
+}
+
+/**
+ * Mock FCM client: records messages, fails tokens listed in `errors`
+ */
+function createMockMessaging(errors = {}) {
+  const messages = [];
+  return {
+    messages,
+    sendEachForMulticast: async (message) => {
+      messages.push(message);
+      return {
+        responses: message.tokens.map(token => errors[token]
+          ? { success: false, error: { code: errors[token] } }
+          : { success: true })
+      };
+    }
+  };
+}
+
+const notification = {
+  id: 'n1',
+  recipientId: 'owner',
+  actorId: 'fan',
+  type: 'comment',
+  postId: 'owner-us-az-hopi-point',
+  stampId: 'us-az-hopi-point',
+  commentPreview: 'Great view!'
+};
+
+const users = { fan: { username: 'fan', displayName: 'Fan Person' } };
+
+async function run() {
+  header('PUSH DELIVERY TEST');
+
+  // Templates
+  section('Templates');
+  report(resolveLocale('ja-JP') === 'ja', 'ja-JP resolves to ja', resolveLocale('ja-JP'));
+  report(resolveLocale('fr_FR') === 'en', 'fr_FR falls back to en', resolveLocale('fr_FR'));
+  report(resolveLocale(null) === 'en', 'missing locale falls back to en', resolveLocale(null));
+  const rendered = renderNotification('comment', 'en', { actor: 'Ann', preview: 'Hi' });
+  report(rendered.body === 'Ann commented: Hi', 'comment body fills placeholders', rendered.body);
+  report(renderNotification('unknown', 'en', {}) === null, 'unknown type renders nothing', 'got a template');
+
+  // Delivery
+  section('Delivery');
+
+  {
+    const db = createFakeDb({
+      users,
+      devices: {
+        owner: {
+          d1: { token: 'token-en', locale: 'en-US' },
+          d2: { token: 'token-ja', locale: 'ja-JP' },
+          d3: { token: 'token-fr', locale: 'fr' }
+        }
+      }
+    });
+    const messaging = createMockMessaging();
+    const result = await createPushDelivery({ messaging, db }).send(notification);
+
+    report(result.sent === 3 && result.failed === 0, 'sends to every device', JSON.stringify(result));
+    report(messaging.messages.length === 2, 'one multicast per locale', `${messaging.messages.length} calls`);
+
+    const english = messaging.messages.find(message => message.tokens.includes('token-en'));
+    const japanese = messaging.messages.find(message => message.tokens.includes('token-ja'));
+    report(english && english.tokens.includes('token-fr'), 'unknown locale grouped with English', JSON.stringify(english && english.tokens));
+    report(english && english.notification.body === 'Fan Person commented: Great view!', 'English copy', english && english.notification.body);
+    report(japanese && japanese.notification.title === '新しいコメント', 'Japanese copy', japanese && japanese.notification.title);
+    report(english && english.data.notificationId === 'n1' && english.data.postId === notification.postId, 'data payload carries IDs', JSON.stringify(english && english.data));
+    report(Object.values(english.data).every(value => typeof value === 'string'), 'data values are strings', JSON.stringify(english.data));
+  }
+
+  {
+    const db = createFakeDb({
+      users,
+      devices: {
+        owner: {
+          live: { token: 'token-live' },
+          gone: { token: 'token-gone' },
+          bad: { token: 'token-bad' },
+          flaky: { token: 'token-flaky' }
+        }
+      }
+    });
+    const messaging = createMockMessaging({
+      'token-gone': 'messaging/registration-token-not-registered',
+      'token-bad': 'messaging/invalid-registration-token',
+      'token-flaky': 'messaging/internal-error'
+    });
+    const result = await createPushDelivery({ messaging, db }).send(notification);
+
+    report(result.sent === 1 && result.failed === 3, 'counts failures', JSON.stringify(result));
+    report(result.pruned === 2, 'prunes dead tokens only', `pruned ${result.pruned}`);
+    report(
+      db.deleted.includes('owner/gone') && db.deleted.includes('owner/bad') && !db.deleted.includes('owner/flaky'),
+      'deletes the right device docs',
+      JSON.stringify(db.deleted)
+    );
+  }
+
+  {
+    const db = createFakeDb({ users, devices: {} });
+    const messaging = createMockMessaging();
+    const result = await createPushDelivery({ messaging, db }).send(notification);
+    report(result.sent === 0 && messaging.messages.length === 0, 'no devices → no FCM call', `${messaging.messages.length} calls`);
+  }
+
+  {
+    const db = createFakeDb({ users: {}, devices: { owner: { d1: { token: 'token-en' } } } });
+    const messaging = createMockMessaging();
+    await createPushDelivery({ messaging, db }).send({ ...notification, type: 'follow', commentPreview: null });
+    const body = messaging.messages[0] && messaging.messages[0].notification.body;
+    report(body === 'Someone started following you', 'deleted actor falls back to "Someone"', body);
+  }
+
+  {
+    const db = createFakeDb({ users, devices: { owner: { d1: { token: 'token-en' } } } });
+    const messaging = createMockMessaging();
+    await createPushDelivery({ messaging, db }).send({ ...notification, type: 'like', commentPreview: null, actorCount: 13 });
+    const body = messaging.messages[0] && messaging.messages[0].notification.body;
+    report(body === 'Fan Person and 12 more liked your stamp', 'aggregated like copy', body);
+  }
+}
+
+runAsync(run);
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Block / Mute Test
+ *
+ * Checks relationships.js (and the block check in mentions.js) against an
+ * in-memory Firestore:
+ * - Blocks suppress notifications both ways, mutes only for the muter
+ * - Blocked users are dropped from @mentions
+ * - A new block removes follow edges both ways and the blocked user's
+ *   notifications to the blocker, including from aggregated ones
+ *
+ * Run this BEFORE deploying changes to relationships.js
+ */
+
+const {isBlockedEitherWay, shouldSuppressNotification, enforceBlock} = require('./relationships');
+const {resolveCommentMentions} = require('./mentions');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const people = {
+  'users/alice': { username: 'alice' },
+  'users/bob': { username: 'bob' },
+  'users/carol': { username: 'carol' },
+  'users/dave': { username: 'dave' }
+};
+
+async function run() {
+  header('BLOCK / MUTE TEST');
+
+  section('Notification filtering');
+  {
+    const db = createFakeFirestore({
+      ...people,
+      'users/alice/blocked/bob': { blockedAt: new Date() },
+      'users/carol/muted/dave': { mutedAt: new Date() }
+    });
+
+    report(await isBlockedEitherWay(db, 'alice', 'bob') === true, 'blocker → blocked is blocked', 'false');
+    report(await isBlockedEitherWay(db, 'bob', 'alice') === true, 'blocked → blocker is blocked too', 'false');
+    report(await isBlockedEitherWay(db, 'alice', 'carol') === false, 'unrelated users aren\'t blocked', 'true');
+
+    report(await shouldSuppressNotification(db, 'alice', 'bob') === true, 'blocked actor → suppressed', 'false');
+    report(await shouldSuppressNotification(db, 'bob', 'alice') === true, 'blocker as actor → suppressed', 'false');
+    report(await shouldSuppressNotification(db, 'carol', 'dave') === true, 'muted actor → suppressed', 'false');
+    report(await shouldSuppressNotification(db, 'dave', 'carol') === false, 'mute is one-way: the muted user still hears from the muter', 'true');
+    report(await shouldSuppressNotification(db, 'carol', 'alice') === false, 'no block or mute → delivered', 'true');
+    report(await shouldSuppressNotification(db, null, 'alice') === false, 'missing recipient → not suppressed', 'true');
+  }
+  {
+    const failing = {
+      collection: () => {
+        throw new Error('unavailable');
+      }
+    };
+    const originalError = console.error;
+    console.error = () => {};
+    const suppressed = await shouldSuppressNotification(failing, 'alice', 'bob');
+    console.error = originalError;
+    report(suppressed === false, 'failed lookup → notification still sent', suppressed);
+  }
+
+  section('Mentions');
+  {
+    const db = createFakeFirestore({
+      ...people,
+      'users/carol/blocked/bob': { blockedAt: new Date() },
+      'users/bob/blocked/dave': { blockedAt: new Date() }
+    });
+    const comment = { userId: 'bob', postOwnerId: 'alice', text: 'hi @alice @carol @dave' };
+    const { mentionedUserIds, notifyUserIds } = await resolveCommentMentions(db, comment);
+
+    report(!mentionedUserIds.includes('carol'), 'user who blocked the author isn\'t mentioned', mentionedUserIds.join());
+    report(!mentionedUserIds.includes('dave'), 'user the author blocked isn\'t mentioned', mentionedUserIds.join());
+    report(mentionedUserIds.join() === 'alice' && notifyUserIds.length === 0,
+      'post owner stays mentioned, not notified twice', JSON.stringify({ mentionedUserIds, notifyUserIds }));
+  }
+
+  section('New block');
+  {
+    const db = createFakeFirestore({
+      ...people,
+      'users/alice/following/bob': { followedAt: new Date() },
+      'users/bob/following/alice': { followedAt: new Date() },
+      'users/alice/following/carol': { followedAt: new Date() },
+      'notifications/n1': { recipientId: 'alice', actorId: 'bob', type: 'like' },
+      'notifications/n2': { recipientId: 'alice', actorId: 'bob', type: 'comment' },
+      'notifications/n3': { recipientId: 'bob', actorId: 'alice', type: 'follow' },
+      'notifications/n4': { recipientId: 'alice', actorId: 'carol', type: 'like' }
+    });
+
+    const result = await enforceBlock(db, 'alice', 'bob');
+
+    report(result.edgesRemoved === 2 && !db.data('users/alice/following/bob') && !db.data('users/bob/following/alice'),
+      'follow edges removed both ways', JSON.stringify(result));
+    report(db.data('users/alice/following/carol') !== undefined, 'other follows kept', 'carol edge removed');
+    report(result.notificationsDeleted === 2 && db.paths('notifications').join() === 'notifications/n3,notifications/n4',
+      'only the blocked user\'s notifications to the blocker deleted', db.paths('notifications').join());
+
+    const again = await enforceBlock(db, 'alice', 'bob');
+    report(again.edgesRemoved === 0 && again.notificationsDeleted === 0, 'running again changes nothing', JSON.stringify(again));
+  }
+
+  section('Aggregated notifications on block');
+  {
+    const likeKey = 'like_alice_alice-us-az-hopi-point';
+    const db = createFakeFirestore({
+      ...people,
+      // bob liked last, carol and dave before him
+      'notifications/likes': {
+        recipientId: 'alice',
+        actorId: 'bob',
+        type: 'like',
+        postId: 'alice-us-az-hopi-point',
+        aggregationKey: likeKey,
+        sourceKeys: ['like:dave_alice-us-az-hopi-point', 'like:carol_alice-us-az-hopi-point', 'like:bob_alice-us-az-hopi-point'],
+        actorIds: ['bob', 'carol', 'dave'],
+        actorCount: 3,
+        mergedActorIds: ['bob', 'carol', 'dave']
+      },
+      // bob is in the middle of an older follow aggregate
+      'notifications/follows': {
+        recipientId: 'alice',
+        actorId: 'carol',
+        type: 'follow',
+        aggregationKey: 'follow_alice',
+        sourceKeys: ['follow:bob:alice', 'follow:carol:alice'],
+        actorIds: ['carol', 'bob'],
+        actorCount: 2,
+        mergedActorIds: ['carol', 'bob']
+      },
+      // Only bob on this one
+      'notifications/solo': {
+        recipientId: 'alice',
+        actorId: 'bob',
+        type: 'like',
+        postId: 'alice-us-ca-sf-ferry-building',
+        aggregationKey: 'like_alice_alice-us-ca-sf-ferry-building',
+        sourceKeys: ['like:bob_alice-us-ca-sf-ferry-building'],
+        actorIds: ['bob'],
+        actorCount: 1,
+        mergedActorIds: ['bob']
+      },
+      [`notification_aggregates/${likeKey}`]: { notificationId: 'likes' },
+      'notification_aggregates/like_alice_alice-us-ca-sf-ferry-building': { notificationId: 'solo' },
+      // bob's aggregate on carol's post isn't alice's business
+      'notifications/carols': {
+        recipientId: 'carol',
+        actorId: 'bob',
+        type: 'like',
+        sourceKeys: ['like:bob_carol-us-az-hopi-point'],
+        actorIds: ['bob'],
+        actorCount: 1,
+        mergedActorIds: ['bob']
+      }
+    });
+
+    const result = await enforceBlock(db, 'alice', 'bob');
+    const likes = db.data('notifications/likes') || {};
+    const follows = db.data('notifications/follows') || {};
+
+    report(likes.actorId === 'carol' && likes.actorIds.join() === 'carol,dave' && likes.actorCount === 2,
+      'blocked user was last to like → next actor takes over', JSON.stringify(likes));
+    report(likes.mergedActorIds.join() === 'carol,dave' && !likes.sourceKeys.some(key => key.includes('bob')),
+      'blocked user\'s merged id and source key removed', JSON.stringify(likes));
+    report(follows.actorId === 'carol' && follows.actorIds.join() === 'carol' && follows.actorCount === 1
+      && follows.sourceKeys.join() === 'follow:carol:alice', 'blocked user inside an aggregate → removed', JSON.stringify(follows));
+    report(!db.data('notifications/solo') && !db.data('notification_aggregates/like_alice_alice-us-ca-sf-ferry-building'),
+      'aggregate with only the blocked user → deleted with its pointer', db.paths('notification_aggregates').join());
+    report(db.data(`notification_aggregates/${likeKey}`) !== undefined, 'pointer of a kept aggregate stays', 'deleted');
+    report(db.data('notifications/carols') !== undefined, 'other recipients\' notifications untouched', 'deleted');
+    report(result.notificationsUpdated === 2 && result.notificationsDeleted === 1, 'counts what changed', JSON.stringify(result));
+
+    const again = await enforceBlock(db, 'alice', 'bob');
+    report(again.notificationsUpdated === 0 && again.notificationsDeleted === 0, 'running again changes nothing', JSON.stringify(again));
+  }
+}
+
+runAsync(run);
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Comment Replies Test
+ *
+ * Checks replies.js against an in-memory Firestore:
+ * - Who a comment or reply notifies
+ * - replyCount follows replies being added and removed, never below 0
+ * - Deleting a parent deletes its replies, and only those
+ * - Quarantining a parent takes its replies into quarantine with it
+ * - Restoring the parent brings them back, with replyCount right again
+ * - Runs are safe to repeat and stop once the parent is restored
+ *
+ * Run this BEFORE deploying changes to replies.js
+ */
+
+const {notificationRecipients, adjustReplyCount, deleteReplies, quarantineReplies, restoreReplies} = require('./replies');
+const {writeQuarantine} = require('./commentQuarantine');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const parent = {
+  userId: 'bob',
+  postId: 'alice-us-az-hopi-point',
+  postOwnerId: 'alice',
+  text: 'reported comment',
+  replyCount: 3
+};
+
+function thread(replyCount = 3) {
+  const docs = { 'comments/c1': { ...parent, replyCount } };
+  for (let i = 1; i <= replyCount; i++) {
+    docs[`comments/r${i}`] = { userId: 'carol', postId: parent.postId, parentCommentId: 'c1', text: `reply ${i}` };
+  }
+  docs['comments/other'] = { userId: 'carol', postId: parent.postId, text: 'unrelated' };
+  return docs;
+}
+
+async function quarantineParent(db) {
+  const ref = db.collection('comments').doc('c1');
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    writeQuarantine(db, transaction, ref, doc.data(), 'reports');
+  });
+}
+
+// What restoreReportedContent does for a comment
+async function restoreParent(db) {
+  const { quarantinedAt, reason, ...comment } = db.data('quarantined_comments/c1');
+  await db.collection('comments').doc('c1').set({ ...comment, restoredAt: new Date() });
+  await db.collection('quarantined_comments').doc('c1').delete();
+}
+
+// updateReplyCounts runs once per restored reply
+async function countRestoredReplies(db, restored) {
+  for (let i = 0; i < restored; i++) {
+    await adjustReplyCount(db, 'c1', 1);
+  }
+}
+
+async function run() {
+  header('COMMENT REPLIES TEST');
+
+  section('Notifications');
+  {
+    const db = createFakeFirestore(thread());
+    const recipients = async comment => (await notificationRecipients(db, comment))
+      .map(({ recipientId, type }) => `${type}:${recipientId}`).join();
+
+    const topLevel = await recipients({ userId: 'carol', postOwnerId: 'alice', text: 'nice' });
+    report(topLevel === 'comment:alice', 'comment notifies the post owner', topLevel);
+
+    const reply = await recipients({ userId: 'carol', postOwnerId: 'alice', parentCommentId: 'c1', text: 'agreed' });
+    report(reply === 'comment:alice,reply:bob', 'reply also notifies the parent\'s author', reply);
+
+    const ownReply = await recipients({ userId: 'bob', postOwnerId: 'alice', parentCommentId: 'c1', text: 'thanks' });
+    report(ownReply === 'comment:alice', 'no reply notification for replying to yourself', ownReply);
+
+    await db.collection('comments').doc('c2').set({ userId: 'alice', postOwnerId: 'alice', text: 'my post' });
+    const toOwner = await recipients({ userId: 'carol', postOwnerId: 'alice', parentCommentId: 'c2', text: 'hi' });
+    report(toOwner === 'comment:alice', 'post owner replied to → notified once', toOwner);
+
+    const ownerReply = await recipients({ userId: 'alice', postOwnerId: 'alice', parentCommentId: 'c1', text: 'welcome' });
+    report(ownerReply === 'reply:bob', 'owner replying on their own post → only the parent\'s author', ownerReply);
+
+    const orphan = await recipients({ userId: 'carol', postOwnerId: 'alice', parentCommentId: 'gone', text: 'hi' });
+    report(orphan === 'comment:alice', 'parent deleted → post owner only', orphan);
+  }
+
+  section('Reply counts');
+  {
+    const db = createFakeFirestore(thread());
+    await adjustReplyCount(db, 'c1', 1);
+    report(db.data('comments/c1').replyCount === 4, 'new reply counts up', db.data('comments/c1').replyCount);
+
+    await adjustReplyCount(db, 'c1', -1);
+    await adjustReplyCount(db, 'c1', -1);
+    report(db.data('comments/c1').replyCount === 2, 'deleted reply counts down', db.data('comments/c1').replyCount);
+
+    await db.collection('comments').doc('c1').update({ replyCount: 0 });
+    await adjustReplyCount(db, 'c1', -1);
+    report(db.data('comments/c1').replyCount === 0, 'never goes below 0', db.data('comments/c1').replyCount);
+
+    const changed = await adjustReplyCount(db, 'gone', -1);
+    report(changed === false && db.data('comments/gone') === undefined, 'parent already deleted → nothing written', JSON.stringify(db.data('comments/gone')));
+  }
+
+  section('Cascade');
+  {
+    const db = createFakeFirestore({
+      ...thread(),
+      'comments/c2': { userId: 'dave', postId: parent.postId, text: 'another thread', replyCount: 1 },
+      'comments/r9': { userId: 'carol', postId: parent.postId, parentCommentId: 'c2', text: 'reply to c2' }
+    });
+    await db.collection('comments').doc('c1').delete();
+    const deleted = await deleteReplies(db, 'c1');
+
+    report(deleted === 3 && !db.data('comments/r1') && !db.data('comments/r3'), 'parent deleted → its replies deleted', db.paths('comments').join());
+    report(db.data('comments/r9') !== undefined && db.data('comments/other') !== undefined,
+      'other threads and comments kept', db.paths('comments').join());
+    report(await deleteReplies(db, 'c1') === 0, 'retry deletes nothing', 'deleted again');
+  }
+  {
+    const db = createFakeFirestore(thread(650));
+    const deleted = await deleteReplies(db, 'c1');
+    report(deleted === 650 && db.paths('comments').length === 2, 'threads over one batch are deleted in full', deleted);
+  }
+
+  section('Quarantine');
+  {
+    const db = createFakeFirestore(thread());
+    await quarantineParent(db);
+    const moved = await quarantineReplies(db, 'c1');
+
+    report(moved === 3, 'all replies moved', moved);
+    report(db.paths('comments').join() === 'comments/other', 'replies gone from comments/, other comments kept', db.paths('comments').join());
+    report(db.paths('quarantined_comments/c1/replies').length === 3, 'replies saved under the quarantine record', db.paths('quarantined_comments/c1/replies').join());
+    report(db.data('quarantined_comments/c1/replies/r2').text === 'reply 2', 'reply fields kept', JSON.stringify(db.data('quarantined_comments/c1/replies/r2')));
+    report(db.data('quarantined_comments/c1').replyCount === 0, 'quarantine record replyCount down by the moved replies', db.data('quarantined_comments/c1').replyCount);
+
+    const again = await quarantineReplies(db, 'c1');
+    report(again === 0 && db.paths('quarantined_comments/c1/replies').length === 3, 'retry moves nothing twice', again);
+  }
+  {
+    const db = createFakeFirestore(thread(450));
+    await quarantineParent(db);
+    const moved = await quarantineReplies(db, 'c1');
+    report(moved === 450 && db.paths('quarantined_comments/c1/replies').length === 450,
+      'large threads move a page per transaction', moved);
+  }
+
+  section('Restore');
+  {
+    const db = createFakeFirestore(thread());
+    await quarantineParent(db);
+    await quarantineReplies(db, 'c1');
+    await restoreParent(db);
+    const restored = await restoreReplies(db, 'c1');
+    await countRestoredReplies(db, restored);
+
+    report(restored === 3, 'all replies restored', restored);
+    report(['r1', 'r2', 'r3'].every(id => db.data(`comments/${id}`) && db.data(`comments/${id}`).parentCommentId === 'c1'),
+      'replies back in comments/ under the parent', db.paths('comments').join());
+    report(db.data('comments/r1').restoredAt !== undefined, 'restored replies marked restoredAt (no new notifications)', JSON.stringify(db.data('comments/r1')));
+    report(db.paths('quarantined_comments/c1/replies').length === 0, 'saved replies cleared', db.paths('quarantined_comments/c1/replies').join());
+    report(db.data('comments/c1').replyCount === 3, 'parent replyCount back to 3', db.data('comments/c1').replyCount);
+
+    const again = await restoreReplies(db, 'c1');
+    report(again === 0, 'retry restores nothing twice', again);
+  }
+  {
+    const db = createFakeFirestore(thread());
+    await quarantineParent(db);
+    await restoreParent(db);
+    const moved = await quarantineReplies(db, 'c1');
+
+    report(moved === 0 && db.paths('comments').length === 5, 'parent restored before the move ran → replies left in place', db.paths('comments').join());
+  }
+}
+
+runAsync(run);
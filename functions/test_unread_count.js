@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Unread Notification Counter Test
+ *
+ * Checks the users/{userId}.unreadNotificationCount upkeep in
+ * notifications.js against an in-memory Firestore:
+ * - Reading or deleting an unread notification counts down, never below 0
+ * - Writes that don't change unread state leave the counter alone
+ * - markAllNotificationsRead marks every page read and ends at exactly 0,
+ *   and the trigger doesn't count those reads a second time
+ *
+ * Run this BEFORE deploying changes to the unread counter
+ */
+
+const {applyUnreadCountDelta, markAllNotificationsRead} = require('./notifications');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+const unread = { recipientId: 'alice', actorId: 'bob', type: 'like', isRead: false };
+const read = { ...unread, isRead: true };
+
+const count = db => db.data('users/alice').unreadNotificationCount;
+
+function inbox(unreadCount, storedCount = unreadCount) {
+  const docs = {
+    'users/alice': { username: 'alice', unreadNotificationCount: storedCount },
+    'users/bob': { username: 'bob', unreadNotificationCount: 1 },
+    'notifications/bob1': { recipientId: 'bob', actorId: 'alice', type: 'follow', isRead: false },
+    'notifications/old': { ...read, actorId: 'carol' }
+  };
+  for (let i = 0; i < unreadCount; i++) {
+    docs[`notifications/n${i}`] = { ...unread, actorId: `user${i}` };
+  }
+  return docs;
+}
+
+// What updateUnreadNotificationCount sees for a write to notifications/{id}
+async function write(db, id, after) {
+  const before = db.data(`notifications/${id}`) || null;
+  if (after) {
+    await db.collection('notifications').doc(id).set(after);
+  } else {
+    await db.collection('notifications').doc(id).delete();
+  }
+  return applyUnreadCountDelta(db, before, after);
+}
+
+async function run() {
+  header('UNREAD COUNTER TEST');
+
+  section('Trigger');
+  {
+    const db = createFakeFirestore(inbox(3));
+
+    await write(db, 'n0', read);
+    report(count(db) === 2, 'marking one read counts down', count(db));
+
+    await write(db, 'n1', null);
+    report(count(db) === 1, 'deleting an unread one counts down', count(db));
+
+    const readDeleted = await write(db, 'old', null);
+    report(readDeleted === false && count(db) === 1, 'deleting a read one changes nothing', count(db));
+
+    const merged = await write(db, 'n2', { ...unread, actorCount: 2 });
+    report(merged === false && count(db) === 1, 'merging into an unread one changes nothing', count(db));
+
+    const created = await write(db, 'n9', unread);
+    report(created === false && count(db) === 1, 'new notifications are counted by createNotification, not here', count(db));
+
+    report(db.data('users/bob').unreadNotificationCount === 1, 'other users\' counters untouched', db.data('users/bob').unreadNotificationCount);
+  }
+  {
+    const db = createFakeFirestore(inbox(2, 0));
+    const changed = await write(db, 'n0', read);
+    report(changed === false && count(db) === 0, 'never goes below 0 (drifted or retried)', count(db));
+  }
+  {
+    const db = createFakeFirestore({ 'notifications/n0': unread });
+    const changed = await write(db, 'n0', null);
+    report(changed === false && db.data('users/alice') === undefined, 'recipient deleted → profile not recreated', JSON.stringify(db.data('users/alice')));
+  }
+
+  section('Mark all read');
+  {
+    // More than one page (MARK_ALL_PAGE_SIZE is 400), with a drifted counter
+    const db = createFakeFirestore(inbox(450, 470));
+    const marked = await markAllNotificationsRead(db, 'alice');
+
+    report(marked === 450, 'every unread notification marked, across pages', marked);
+    const left = db.paths('notifications').filter(path => db.data(path).recipientId === 'alice' && !db.data(path).isRead);
+    report(left.length === 0, 'nothing unread left', left.length);
+    report(count(db) === 0, 'counter ends at exactly 0 (drift repaired)', count(db));
+    report(db.data('notifications/bob1').isRead === false && db.data('users/bob').unreadNotificationCount === 1,
+      'other users\' notifications and counters untouched', JSON.stringify(db.data('notifications/bob1')));
+    report(db.data('notifications/n0').readByMarkAll === true, 'marked readByMarkAll', JSON.stringify(db.data('notifications/n0')));
+
+    await db.collection('users').doc('alice').update({ unreadNotificationCount: 1 });
+    const counted = await applyUnreadCountDelta(db, { ...unread }, db.data('notifications/n0'));
+    report(counted === false && count(db) === 1, 'trigger skips mark-all reads (no double count)', count(db));
+
+    const again = await markAllNotificationsRead(db, 'alice');
+    report(again === 0 && count(db) === 0, 'running again marks nothing and resets the counter', count(db));
+  }
+  {
+    const db = createFakeFirestore({ 'notifications/n0': unread });
+    const marked = await markAllNotificationsRead(db, 'alice');
+    report(marked === 0 && db.data('notifications/n0').isRead === false, 'no profile → nothing marked', JSON.stringify(db.data('notifications/n0')));
+  }
+}
+
+runAsync(run);
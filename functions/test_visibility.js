@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Visibility Test
+ *
+ * Checks visibility.js against an in-memory Firestore:
+ * - New profiles and posts get hidden: false
+ * - A hide that landed first is never overwritten
+ * - The backfill fills in every profile and post without the field
+ *
+ * Run this BEFORE deploying changes to visibility.js
+ */
+
+const {markVisible, backfillVisibility} = require('./visibility');
+const {createFakeFirestore} = require('./testFirestore');
+const {header, section, report, runAsync} = require('./testHarness');
+
+async function run() {
+  header('VISIBILITY TEST');
+
+  section('New documents');
+  {
+    const db = createFakeFirestore({
+      'users/alice': { username: 'alice' },
+      'users/bob': { username: 'bob', hidden: true, hiddenReason: 'reports' },
+      'users/carol': { username: 'carol', hidden: false }
+    });
+
+    const marked = await markVisible(db, db.collection('users').doc('alice'));
+    report(marked === true && db.data('users/alice').hidden === false, 'new profile → hidden: false', JSON.stringify(db.data('users/alice')));
+
+    const hiddenFirst = await markVisible(db, db.collection('users').doc('bob'));
+    report(hiddenFirst === false && db.data('users/bob').hidden === true, 'already hidden → left hidden', JSON.stringify(db.data('users/bob')));
+
+    const retried = await markVisible(db, db.collection('users').doc('carol'));
+    report(retried === false, 'retried trigger → no-op', retried);
+
+    const deleted = await markVisible(db, db.collection('users').doc('dave'));
+    report(deleted === false && db.data('users/dave') === undefined, 'deleted before the trigger ran → not recreated', JSON.stringify(db.data('users/dave')));
+  }
+
+  section('Backfill');
+  {
+    const initial = {
+      'users/bob/collectedStamps/us-ca-sf-ferry-building': { userId: 'bob', hidden: true }
+    };
+    // More than one page of each
+    for (let i = 0; i < 350; i++) {
+      initial[`users/user${i}`] = { username: `user${i}` };
+      initial[`users/user${i}/collectedStamps/us-az-hopi-point`] = { userId: `user${i}` };
+    }
+    initial['users/bob'] = { username: 'bob', hidden: true };
+    initial['users/carol'] = { username: 'carol', hidden: false };
+
+    const db = createFakeFirestore(initial);
+
+    const dryRun = await backfillVisibility({ db, dryRun: true });
+    report(dryRun.users === 350 && dryRun.posts === 350, 'dry run counts docs missing the field', JSON.stringify(dryRun));
+    report(db.data('users/user0').hidden === undefined, 'dry run writes nothing', JSON.stringify(db.data('users/user0')));
+
+    const counts = await backfillVisibility({ db });
+    report(counts.users === 350 && counts.posts === 350 && counts.scanned === 703, 'every profile and post fixed, across pages', JSON.stringify(counts));
+
+    const missing = [...db.docs.entries()].filter(([, data]) => data.hidden === undefined);
+    report(missing.length === 0, 'no doc left without hidden', missing.map(([path]) => path).slice(0, 5).join(', '));
+    report(db.data('users/bob').hidden === true && db.data('users/bob/collectedStamps/us-ca-sf-ferry-building').hidden === true,
+      'hidden docs stay hidden', JSON.stringify(db.data('users/bob')));
+
+    const again = await backfillVisibility({ db });
+    report(again.users === 0 && again.posts === 0, 'second run has nothing to do', JSON.stringify(again));
+  }
+}
+
+runAsync(run);
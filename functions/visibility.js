@@ -0,0 +1,107 @@
+const {onDocumentCreated} = require('firebase-functions/v2/firestore');
+const admin = require('firebase-admin');
+
+/**
+ * hidden flag on profiles and posts
+ *
+ * reportContent hides a profile or post by setting hidden: true. Rules only
+ * let a list query through if it can't return hidden documents, so the app
+ * filters its profile and post queries on hidden == false - and a document
+ * without the field never matches that filter. Every users/{userId} and
+ * collectedStamps doc therefore carries hidden: false from creation:
+ *
+ * - Clients can't write hidden (firestore.rules), so the triggers below add it
+ * - Docs from before this are filled in by backfillVisibility
+ *   (`stampbook-admin reconcile visibility`)
+ *
+ * Owners can always list their own posts, so a new post shows up for its
+ * owner right away and for everyone else once the trigger has run.
+ */
+
+const PAGE_SIZE = 300;
+
+/**
+ * Set hidden: false on a doc that has no hidden field yet
+ *
+ * Runs in a transaction so a hide that lands first is never overwritten.
+ *
+ * @returns {Promise<boolean>} true if the field was added
+ */
+async function markVisible(db, ref) {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().hidden !== undefined) {
+      return false;
+    }
+    transaction.update(ref, { hidden: false });
+    return true;
+  });
+}
+
+function visibilityTrigger(document) {
+  return onDocumentCreated({ document, retry: true }, async (event) => {
+    try {
+      await markVisible(admin.firestore(), event.data.ref);
+    } catch (error) {
+      console.error(`❌ Failed to set hidden on ${event.data.ref.path}:`, error);
+      throw error; // Re-throw so the event is retried (markVisible is a no-op the second time)
+    }
+    return null;
+  });
+}
+
+/**
+ * Firestore Trigger: New profiles start visible (hidden: false)
+ */
+exports.initProfileVisibility = visibilityTrigger('users/{userId}');
+
+/**
+ * Firestore Trigger: New posts start visible (hidden: false)
+ */
+exports.initPostVisibility = visibilityTrigger('users/{userId}/collectedStamps/{stampId}');
+
+/**
+ * Add hidden: false to every profile and post that doesn't have the field
+ *
+ * @param {object} options
+ * @param {Firestore} options.db
+ * @param {boolean} [options.dryRun] - Count only, write nothing
+ * @param {function(string)} [options.log]
+ * @returns {Promise<{users: number, posts: number, scanned: number}>} Docs
+ *   fixed (or that would be, in a dry run)
+ */
+async function backfillVisibility({ db, dryRun = false, log = () => {} }) {
+  const counts = { users: 0, posts: 0, scanned: 0 };
+
+  const sweep = async (query, key) => {
+    let cursor = null;
+    for (;;) {
+      let page = query.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+      if (cursor) {
+        page = page.startAfter(cursor);
+      }
+      const snapshot = await page.get();
+      if (snapshot.empty) {
+        return;
+      }
+      counts.scanned += snapshot.size;
+
+      const missing = snapshot.docs.filter(doc => doc.data().hidden === undefined);
+      for (const doc of missing) {
+        if (dryRun || await markVisible(db, doc.ref)) {
+          counts[key]++;
+        }
+      }
+      cursor = snapshot.docs[snapshot.size - 1];
+      log(`   ...${counts.scanned} scanned`);
+    }
+  };
+
+  await sweep(db.collection('users'), 'users');
+  await sweep(db.collectionGroup('collectedStamps'), 'posts');
+
+  return counts;
+}
+
+exports.markVisible = markVisible;
+exports.backfillVisibility = backfillVisibility;
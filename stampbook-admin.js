@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * stampbook-admin - Admin CLI for Stampbook
+ *
+ * One entry point for the admin jobs that used to be one-off scripts in the
+ * repo root. firebase-admin is set up once from serviceAccountKey.json
+ * (cli/context.js) and each command group lives in cli/.
+ *
+ * Usage:
+ *   node stampbook-admin.js <group> <command> [args] [options]
+ *   node stampbook-admin.js --help
+ *
+ * Examples:
+ *   node stampbook-admin.js user audit @hiroo
+ *   node stampbook-admin.js user delete mpd4k2n13adMFMY52nksmaQTbMQ2 --reason "Asked by email"
+ *   node stampbook-admin.js stamps sync --dry-run
+ *   node stampbook-admin.js invites create --code LAUNCH100 --max-uses 100
+ *   node stampbook-admin.js reconcile counts hiroo --json
+ */
+
+const {parseArgs} = require('util');
+const {CliError, colors, createContext} = require('./cli/context');
+
+const GROUPS = {
+  user: require('./cli/users'),
+  stamps: require('./cli/stamps'),
+  invites: require('./cli/invites'),
+  reconcile: require('./cli/reconcile')
+};
+
+const GLOBAL_OPTIONS = {
+  'dry-run': { type: 'boolean' },
+  project: { type: 'string' },
+  json: { type: 'boolean' },
+  yes: { type: 'boolean', short: 'y' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+function printHelp(groupName) {
+  const groups = groupName ? { [groupName]: GROUPS[groupName] } : GROUPS;
+  const paint = (text, color) => process.stdout.isTTY ? `${colors[color]}${text}${colors.reset}` : text;
+
+  console.log(`\n${paint('stampbook-admin', 'cyan')} - Stampbook admin tasks\n`);
+  console.log('Usage: node stampbook-admin.js <group> <command> [args] [options]\n');
+
+  Object.entries(groups).forEach(([name, group]) => {
+    console.log(`${paint(name, 'blue')} - ${group.description}`);
+    Object.entries(group.commands).forEach(([commandName, command]) => {
+      console.log(`  ${name} ${commandName} ${command.usage}`.trimEnd());
+      console.log(`      ${command.summary}`);
+    });
+    console.log();
+  });
+
+  console.log('Global options:');
+  console.log('  --dry-run        Show what would change, write nothing');
+  console.log('  --project <id>   Firebase project (must match serviceAccountKey.json)');
+  console.log('  --json           Print the result as JSON on stdout (progress goes to stderr)');
+  console.log('  --yes, -y        Don\'t ask before changing anything');
+  console.log('  --help, -h       Show this help\n');
+  console.log('Users can be given as a user ID, a username or @username.\n');
+}
+
+/**
+ * Find the command, then parse again with its options so typos are errors
+ */
+function parseCommand(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: GLOBAL_OPTIONS, strict: false, allowPositionals: true });
+  const [groupName, commandName] = positionals;
+  const group = GROUPS[groupName];
+
+  if (values.help === true || !group || !group.commands[commandName]) {
+    return { groupName: group ? groupName : null, help: true, unknown: positionals.length > 0 && values.help !== true };
+  }
+
+  const command = group.commands[commandName];
+  const parsed = parseArgs({
+    args: argv,
+    options: { ...GLOBAL_OPTIONS, ...command.options },
+    allowPositionals: true
+  });
+  if (parsed.positionals[0] !== groupName || parsed.positionals[1] !== commandName) {
+    throw new CliError(`Put options after the command: node stampbook-admin.js ${groupName} ${commandName} ${command.usage}`);
+  }
+
+  return { command, options: parsed.values, args: parsed.positionals.slice(2) };
+}
+
+async function main() {
+  const { command, options, args, groupName, help, unknown } = parseCommand(process.argv.slice(2));
+  if (help) {
+    printHelp(groupName);
+    return unknown ? 1 : 0;
+  }
+
+  const ctx = createContext({
+    dryRun: Boolean(options['dry-run']),
+    project: options.project,
+    json: Boolean(options.json),
+    yes: Boolean(options.yes)
+  });
+  if (ctx.dryRun) {
+    ctx.log('💡 Dry run - nothing will be written\n', 'yellow');
+  }
+
+  const result = await command.run(ctx, args, options);
+  if (ctx.json) {
+    console.log(JSON.stringify(result === undefined ? null : result, null, 2));
+  }
+  return 0;
+}
+
+main()
+  .then(code => {
+    process.exit(code);
+  })
+  .catch(error => {
+    const expected = error instanceof CliError || String(error.code).startsWith('ERR_PARSE_ARGS');
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify({ error: error.message }, null, 2));
+    } else {
+      console.error(`\n${colors.red}❌ ${error.message}${colors.reset}`);
+    }
+    if (!expected) {
+      console.error(error);
+    }
+    process.exit(1);
+  });